@@ -4,7 +4,25 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 require('dotenv').config();
 
+const { initDb } = require('./db/migrate');
+const { taskRepository } = require('./repositories');
+const { claimUnownedTasks } = require('./utils/accounts');
+const { scheduleTrashPurge } = require('./utils/trash');
+const { scheduleWebhookDeliveries } = require('./utils/webhooks');
+const { scheduleReminders } = require('./utils/reminders');
+const authRouter = require('./routes/auth');
 const tasksRouter = require('./routes/tasks');
+const projectsRouter = require('./routes/projects');
+const tagsRouter = require('./routes/tags');
+const activityRouter = require('./routes/activity');
+const workflowRouter = require('./routes/workflow');
+const calendarRouter = require('./routes/calendar');
+const webhooksRouter = require('./routes/webhooks');
+const notificationsRouter = require('./routes/notifications');
+const docsRouter = require('./routes/docs');
+const { openApiDocument } = require('./openapi/document');
+const authenticate = require('./middleware/auth');
+const authenticateCalendarFeed = require('./middleware/calendarAuth');
 const errorHandler = require('./middleware/errorHandler');
 
 const app = express();
@@ -27,18 +45,19 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'Last-Event-ID'],
+  exposedHeaders: ['ETag']
 }));
 
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
-} else {
+} else if (process.env.NODE_ENV !== 'test') {
   app.use(morgan('combined'));
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Health check endpoint
@@ -52,19 +71,37 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
-app.use('/api/tasks', tasksRouter);
+app.use('/api', docsRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/tasks', authenticateCalendarFeed, tasksRouter);
+app.use('/api/projects', authenticate, projectsRouter);
+app.use('/api/tags', authenticate, tagsRouter);
+app.use('/api/activity', authenticate, activityRouter);
+app.use('/api/workflow', authenticate, workflowRouter);
+app.use('/api/calendar', authenticate, calendarRouter);
+app.use('/api/webhooks', authenticate, webhooksRouter);
+app.use('/api/notifications', authenticate, notificationsRouter);
 
 // API info endpoint
 app.get('/api', (req, res) => {
   res.json({
     success: true,
     message: 'Task Management API',
-    version: '1.0.0',
+    version: openApiDocument.info.version,
     endpoints: {
+      auth: '/api/auth',
       tasks: '/api/tasks',
+      projects: '/api/projects',
+      tags: '/api/tags',
+      activity: '/api/activity',
+      workflow: '/api/workflow',
+      calendar: '/api/calendar',
+      webhooks: '/api/webhooks',
+      notifications: '/api/notifications',
       health: '/health'
     },
-    documentation: 'Available endpoints for task management operations'
+    documentation: '/api/docs',
+    openapi: '/api/openapi.json'
   });
 });
 
@@ -91,12 +128,28 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`📝 API Base URL: http://localhost:${PORT}/api`);
-});
+// Start server once the database schema and task storage are in place and
+// tasks from before accounts have an owner.
+// Tests require the app without starting it.
+if (require.main === module) {
+  initDb()
+    .then(() => taskRepository.init())
+    .then(claimUnownedTasks)
+    .then(() => {
+      scheduleTrashPurge();
+      scheduleWebhookDeliveries();
+      scheduleReminders();
+      app.listen(PORT, () => {
+        console.log(`🚀 Server running on port ${PORT}`);
+        console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+        console.log(`📝 API Base URL: http://localhost:${PORT}/api`);
+      });
+    })
+    .catch((err) => {
+      console.error('Failed to start server:', err);
+      process.exit(1);
+    });
+}
 
 module.exports = app;
@@ -0,0 +1,151 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Database connection; SQLITE_PATH=:memory: gives a throwaway database
+const dbPath = process.env.SQLITE_PATH || path.join(__dirname, 'database.sqlite');
+const db = new sqlite3.Database(dbPath);
+
+// Every request shares the one connection, so a statement run while a
+// transaction is open would become part of it and be committed or rolled
+// back with it. Statements and transactions are therefore queued and run
+// one at a time; statements of the open transaction, told apart by the
+// async context they run in, skip the queue.
+let queue = Promise.resolve();
+const transactionContext = new AsyncLocalStorage();
+
+// The open transaction of the current async context, if any. Work started
+// inside a transaction but still running after it ended is queued again.
+const currentTransaction = () => {
+  const transaction = transactionContext.getStore();
+  return transaction?.open ? transaction : null;
+};
+
+// Run `work` once everything queued before it is done, or right away
+// inside the open transaction. Statements `work` runs outside the
+// transaction would wait for it, so it must not use the database itself.
+const exclusive = (work) => {
+  if (currentTransaction()) {
+    return work();
+  }
+  const result = queue.then(work);
+  queue = result.catch(() => {});
+  return result;
+};
+
+// Helper function to run SQL queries with promises
+const runQuery = (sql, params = []) => exclusive(() => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve(rows);
+    }
+  });
+}));
+
+// Helper function to run SQL commands with promises
+const runCommand = (sql, params = []) => exclusive(() => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) {
+      reject(err);
+    } else {
+      resolve({ id: this.lastID, changes: this.changes });
+    }
+  });
+}));
+
+// Helper function to run a multi-statement SQL script with promises
+const runScript = (sql) => exclusive(() => new Promise((resolve, reject) => {
+  db.exec(sql, (err) => {
+    if (err) {
+      reject(err);
+    } else {
+      resolve();
+    }
+  });
+}));
+
+// Run `work` in a savepoint of the open transaction, rolled back if it
+// throws or unless keep(result) holds. Outside a transaction one is opened
+// for it. Savepoints are named by nesting depth, kept per transaction.
+const withSavepoint = async (work, keep = () => true) => {
+  const transaction = currentTransaction();
+  if (!transaction) {
+    return withTransaction(() => withSavepoint(work, keep));
+  }
+
+  const name = `savepoint_${++transaction.savepoints}`;
+  try {
+    await runCommand(`SAVEPOINT ${name}`);
+    let result;
+    try {
+      result = await work();
+    } catch (err) {
+      await runCommand(`ROLLBACK TO ${name}`);
+      await runCommand(`RELEASE ${name}`);
+      throw err;
+    }
+    if (!keep(result)) {
+      await runCommand(`ROLLBACK TO ${name}`);
+    }
+    await runCommand(`RELEASE ${name}`);
+    return result;
+  } finally {
+    transaction.savepoints--;
+  }
+};
+
+// Run `work` inside a transaction, committing when it resolves and rolling
+// back when it throws. Nothing else runs on the connection until it is
+// done. Called inside another transaction, the work gets a savepoint.
+const withTransaction = (work) => {
+  if (currentTransaction()) {
+    return withSavepoint(work);
+  }
+
+  return exclusive(() => {
+    const transaction = { open: true, savepoints: 0, committed: [] };
+    return transactionContext.run(transaction, async () => {
+      let result;
+      try {
+        await runCommand('BEGIN IMMEDIATE');
+        try {
+          result = await work();
+          await runCommand('COMMIT');
+        } catch (err) {
+          await runCommand('ROLLBACK');
+          throw err;
+        }
+      } finally {
+        transaction.open = false;
+      }
+      transactionContext.exit(() => transaction.committed.forEach(callback => callback()));
+      return result;
+    });
+  });
+};
+
+// Call `callback` once the open transaction is committed, or right away
+// outside one. Dropped if the transaction is rolled back. For telling
+// others about changes, who would otherwise read them before they are
+// committed.
+const afterCommit = (callback) => {
+  const transaction = currentTransaction();
+  if (transaction) {
+    transaction.committed.push(callback);
+  } else {
+    callback();
+  }
+};
+
+module.exports = {
+  db,
+  exclusive,
+  runQuery,
+  runCommand,
+  runScript,
+  withTransaction,
+  withSavepoint,
+  afterCommit,
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { runQuery, runCommand, runScript, withTransaction } = require('./index');
+
+// Numbered migration scripts: 001_initial_schema.up.sql applies version 1
+// and 001_initial_schema.down.sql undoes it
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+// The migrations in a directory, oldest first, each with the paths of its
+// up and (optional) down script
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      continue;
+    }
+
+    const [, number, name, direction] = match;
+    const version = parseInt(number, 10);
+    const migration = migrations.get(version) || { version, name, up: null, down: null };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has scripts with different names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = path.join(dir, file);
+    migrations.set(version, migration);
+  }
+
+  const sorted = [...migrations.values()].sort((a, b) => a.version - b.version);
+  const withoutUp = sorted.find(migration => !migration.up);
+  if (withoutUp) {
+    throw new Error(`Migration ${withoutUp.version} (${withoutUp.name}) has no up script`);
+  }
+  return sorted;
+};
+
+// Applied migrations by version
+const appliedMigrations = async () => {
+  await runCommand(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name TEXT NOT NULL,
+       applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+     )`
+  );
+  const rows = await runQuery('SELECT * FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row]));
+};
+
+// Apply every pending migration in order, each in its own transaction
+// together with its schema_migrations row. Stops at the first failure,
+// leaving the migrations before it applied. Resolves with those applied.
+const migrate = async () => {
+  const applied = await appliedMigrations();
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    const script = fs.readFileSync(migration.up, 'utf8');
+    await withTransaction(async () => {
+      await runScript(script);
+      await runCommand(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    }).catch((err) => {
+      err.message = `Migration ${migration.version} (${migration.name}) failed: ${err.message}`;
+      throw err;
+    });
+  }
+  return pending;
+};
+
+// Undo the latest `steps` applied migrations, newest first, each in its
+// own transaction. Resolves with those rolled back.
+const rollback = async (steps = 1) => {
+  const applied = await appliedMigrations();
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const latest = [...applied.values()].reverse().slice(0, steps);
+
+  for (const { version, name } of latest) {
+    const migration = migrations.get(version);
+    if (!migration?.down) {
+      throw new Error(`Migration ${version} (${name}) has no down script`);
+    }
+
+    const script = fs.readFileSync(migration.down, 'utf8');
+    await withTransaction(async () => {
+      await runScript(script);
+      await runCommand('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    }).catch((err) => {
+      err.message = `Rolling back migration ${version} (${name}) failed: ${err.message}`;
+      throw err;
+    });
+  }
+  return latest;
+};
+
+// Every migration, on disk or applied, with its `applied_at` (null while
+// pending) and whether its scripts are `missing` from disk
+const migrationStatus = async () => {
+  const applied = await appliedMigrations();
+  const migrations = loadMigrations();
+  const onDisk = new Set(migrations.map(migration => migration.version));
+
+  return [
+    ...migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied_at: applied.get(version)?.applied_at || null,
+      missing: false
+    })),
+    ...[...applied.values()]
+      .filter(row => !onDisk.has(row.version))
+      .map(({ version, name, applied_at: appliedAt }) => ({ version, name, applied_at: appliedAt, missing: true }))
+  ].sort((a, b) => a.version - b.version);
+};
+
+// Bring the database schema up to date
+const initDb = async () => {
+  try {
+    await runCommand('PRAGMA foreign_keys = ON');
+    const applied = await migrate();
+    applied.forEach(({ version, name }) => console.log(`Applied migration ${version} (${name})`));
+    console.log('Database initialized successfully');
+  } catch (err) {
+    console.error('Error initializing database:', err);
+    throw err;
+  }
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  initDb,
+  migrate,
+  rollback,
+  migrationStatus,
+};
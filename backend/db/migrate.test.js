@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runQuery, runCommand } = require('./index');
+const { loadMigrations, migrate, rollback, migrationStatus } = require('./migrate');
+
+const VERSIONS = [
+  [1, 'initial_schema'],
+  [2, 'users'],
+  [3, 'projects'],
+  [4, 'tags'],
+  [5, 'subtasks'],
+  [6, 'task_dependencies'],
+  [7, 'recurring_tasks'],
+  [8, 'comments'],
+  [9, 'task_events'],
+  [10, 'trash'],
+  [11, 'task_versions'],
+  [12, 'task_search'],
+  [13, 'status_workflow'],
+  [14, 'task_priority'],
+  [15, 'calendar_feeds'],
+  [16, 'webhooks'],
+  [17, 'reminders'],
+  [18, 'task_child_tables_without_foreign_keys']
+];
+
+// Whether each migration is applied, oldest first
+const applied = async () => (await migrationStatus()).map(migration => Boolean(migration.applied_at));
+
+const tables = async () => (await runQuery(
+  "SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('users', 'tasks', 'comments')"
+)).map(table => table.name).sort();
+
+const versions = (migrations) => migrations.map(({ version, name }) => [version, name]);
+
+// A directory holding the given migration scripts, each empty
+const dirs = [];
+const migrationsDir = (files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  files.forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+  dirs.push(dir);
+  return dir;
+};
+
+afterAll(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true })));
+
+describe('loadMigrations', () => {
+  test('reads the numbered scripts in order', () => {
+    expect(versions(loadMigrations())).toEqual(VERSIONS);
+    expect(loadMigrations().every(migration => migration.up && migration.down)).toBe(true);
+  });
+
+  test('ignores other files and allows a migration without a down script', () => {
+    const dir = migrationsDir(['010_later.up.sql', '2_earlier.up.sql', '2_earlier.down.sql', 'README.md', '003_draft.sql']);
+
+    const migrations = loadMigrations(dir);
+
+    expect(versions(migrations)).toEqual([[2, 'earlier'], [10, 'later']]);
+    expect(migrations[1].down).toBeNull();
+  });
+
+  test.each([
+    [['001_one.up.sql', '001_uno.down.sql'], 'Migration 1 has scripts with different names: one and uno'],
+    [['001_one.up.sql', '002_two.down.sql'], 'Migration 2 (two) has no up script']
+  ])('refuses %j', (files, message) => {
+    expect(() => loadMigrations(migrationsDir(files))).toThrow(message);
+  });
+});
+
+describe('migrate and rollback', () => {
+  beforeAll(async () => {
+    await runCommand('PRAGMA foreign_keys = ON');
+  });
+
+  test('apply every migration once and undo them newest first', async () => {
+    expect(versions(await migrate())).toEqual(VERSIONS);
+    expect(await migrate()).toEqual([]);
+    expect(await tables()).toEqual(['comments', 'tasks', 'users']);
+
+    const status = await migrationStatus();
+    expect(versions(status)).toEqual(VERSIONS);
+    expect(status.every(migration => migration.applied_at && !migration.missing)).toBe(true);
+
+    expect(versions(await rollback(1))).toEqual(VERSIONS.slice(-1));
+    expect(await applied()).toEqual(VERSIONS.map((_, i) => i < VERSIONS.length - 1));
+
+    expect(versions(await rollback(100))).toEqual(VERSIONS.slice(0, -1).reverse());
+    expect(await tables()).toEqual([]);
+    expect(await runQuery("SELECT name FROM sqlite_master WHERE name NOT IN ('schema_migrations', 'sqlite_sequence')")).toEqual([]);
+    expect(await rollback()).toEqual([]);
+  });
+
+  test('upgrade a tasks table from before migrations, keeping its tasks', async () => {
+    await runCommand(
+      `CREATE TABLE tasks (
+         id INTEGER PRIMARY KEY AUTOINCREMENT,
+         title TEXT NOT NULL,
+         description TEXT,
+         status TEXT DEFAULT 'pending',
+         due_date TEXT,
+         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+       )`
+    );
+    await runCommand("INSERT INTO tasks (title, due_date) VALUES ('From the old days', '2020-01-01')");
+
+    expect(versions(await migrate())).toEqual(VERSIONS);
+
+    expect(await runQuery('SELECT title, due_date, priority, version, owner_id, deleted_at FROM tasks')).toEqual([
+      { title: 'From the old days', due_date: '2020-01-01', priority: 'none', version: 1, owner_id: null, deleted_at: null }
+    ]);
+  });
+
+  test('stop at a failing migration, keeping those before it', async () => {
+    await rollback(2);
+    const readFileSync = fs.readFileSync;
+    const read = jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) => (
+      file.endsWith('017_reminders.up.sql') ? 'UPDATE nowhere SET id = 1;' : readFileSync(file, ...args)
+    ));
+
+    try {
+      await expect(migrate()).rejects.toThrow('Migration 17 (reminders) failed: SQLITE_ERROR: no such table: nowhere');
+    } finally {
+      read.mockRestore();
+    }
+
+    expect(await applied()).toEqual(VERSIONS.map(([version]) => version < 17));
+    expect(versions(await migrate())).toEqual(VERSIONS.slice(16));
+  });
+
+  test('keep the tasks when rolling back the columns added to them', async () => {
+    await runCommand("UPDATE tasks SET priority = 'high', version = 3");
+
+    await rollback(VERSIONS.length - 1);
+    expect(await runQuery('SELECT * FROM tasks')).toEqual([expect.objectContaining({ title: 'From the old days' })]);
+    expect(Object.keys((await runQuery('SELECT * FROM tasks'))[0])).toEqual(
+      ['id', 'title', 'description', 'status', 'due_date', 'created_at', 'updated_at']
+    );
+
+    await migrate();
+    expect(await runQuery('SELECT title, priority, version FROM tasks')).toEqual([
+      { title: 'From the old days', priority: 'none', version: 1 }
+    ]);
+  });
+
+  test('list applied migrations whose scripts are gone, which cannot be rolled back', async () => {
+    await runCommand("INSERT INTO schema_migrations (version, name) VALUES (99, 'removed')");
+
+    expect((await migrationStatus()).pop()).toMatchObject({ version: 99, name: 'removed', missing: true });
+    await expect(rollback()).rejects.toThrow('Migration 99 (removed) has no down script');
+
+    await runCommand('DELETE FROM schema_migrations WHERE version = 99');
+  });
+});
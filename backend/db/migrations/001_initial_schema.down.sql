@@ -0,0 +1,2 @@
+-- Indexes go with their table
+DROP TABLE tasks;
@@ -1,3 +1,7 @@
+-- Schema as init.sql created it before migrations were introduced. Tables
+-- are created IF NOT EXISTS so databases set up before then are adopted as
+-- they are.
+
 CREATE TABLE IF NOT EXISTS tasks (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     title TEXT NOT NULL,
@@ -0,0 +1,4 @@
+DROP INDEX idx_tasks_owner_id;
+ALTER TABLE tasks DROP COLUMN owner_id;
+DROP TABLE refresh_tokens;
+DROP TABLE users;
@@ -0,0 +1,2 @@
+-- Recurrence rule of a recurring task, as an RRULE string
+ALTER TABLE tasks ADD COLUMN recurrence TEXT;
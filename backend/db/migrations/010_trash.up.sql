@@ -0,0 +1,4 @@
+-- Trashed tasks keep their row with the time they were trashed
+ALTER TABLE tasks ADD COLUMN deleted_at TEXT;
+
+CREATE INDEX idx_tasks_deleted_at ON tasks(deleted_at);
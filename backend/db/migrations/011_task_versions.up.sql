@@ -0,0 +1,2 @@
+-- Version of a task, increased by each write that changes it
+ALTER TABLE tasks ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
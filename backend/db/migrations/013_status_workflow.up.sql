@@ -0,0 +1,40 @@
+-- Task statuses. The category groups statuses into open and done ones;
+-- is_complete marks the status that completes a task (subtask progress,
+-- recurrence) and requires_unblocked the statuses a blocked task cannot
+-- move to. New tasks start in the is_default status.
+CREATE TABLE statuses (
+    name TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    color TEXT NOT NULL DEFAULT '#6b7280',
+    position INTEGER NOT NULL DEFAULT 0,
+    category TEXT NOT NULL CHECK (category IN ('open', 'done')),
+    is_default INTEGER NOT NULL DEFAULT 0,
+    is_complete INTEGER NOT NULL DEFAULT 0,
+    requires_unblocked INTEGER NOT NULL DEFAULT 0
+);
+
+-- Allowed status changes; a task can only move along these
+CREATE TABLE status_transitions (
+    from_status TEXT NOT NULL REFERENCES statuses(name) ON DELETE CASCADE,
+    to_status TEXT NOT NULL REFERENCES statuses(name) ON DELETE CASCADE,
+    PRIMARY KEY (from_status, to_status),
+    CHECK (from_status != to_status)
+);
+
+-- The statuses tasks had before the workflow could be configured
+INSERT INTO statuses (name, label, color, position, category, is_default, is_complete, requires_unblocked) VALUES
+    ('pending', 'Pending', '#ca8a04', 1, 'open', 1, 0, 0),
+    ('in-progress', 'In Progress', '#2563eb', 2, 'open', 0, 0, 1),
+    ('completed', 'Completed', '#16a34a', 3, 'done', 0, 1, 1),
+    ('cancelled', 'Cancelled', '#dc2626', 4, 'done', 0, 0, 0);
+
+INSERT INTO status_transitions (from_status, to_status) VALUES
+    ('pending', 'in-progress'),
+    ('pending', 'completed'),
+    ('pending', 'cancelled'),
+    ('in-progress', 'pending'),
+    ('in-progress', 'completed'),
+    ('in-progress', 'cancelled'),
+    ('completed', 'pending'),
+    ('completed', 'in-progress'),
+    ('cancelled', 'pending');
@@ -0,0 +1,2 @@
+DROP INDEX idx_tasks_priority;
+ALTER TABLE tasks DROP COLUMN priority;
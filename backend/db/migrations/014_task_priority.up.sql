@@ -0,0 +1,5 @@
+-- Task priority, none for the tasks already there
+ALTER TABLE tasks ADD COLUMN priority TEXT NOT NULL DEFAULT 'none'
+    CHECK (priority IN ('none', 'low', 'medium', 'high', 'urgent'));
+
+CREATE INDEX idx_tasks_priority ON tasks(priority);
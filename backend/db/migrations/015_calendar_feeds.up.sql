@@ -0,0 +1,8 @@
+-- Secret calendar feed tokens, one per user. Only a SHA-256 hash is
+-- stored, so a lost feed link is replaced rather than shown again.
+CREATE TABLE calendar_tokens (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    last_used_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
@@ -0,0 +1,4 @@
+ALTER TABLE webhook_deliveries DROP COLUMN reminder_log_id;
+DROP TABLE notifications;
+DROP TABLE reminder_log;
+ALTER TABLE tasks DROP COLUMN reminders;
@@ -0,0 +1,37 @@
+-- Reminder offsets of a task, as a JSON array of minutes before its due date
+ALTER TABLE tasks ADD COLUMN reminders TEXT;
+
+-- Due-date reminders that have been sent (or skipped because a later one
+-- was due by then), one per task, offset and due moment. The unique key is
+-- what keeps a reminder from going out twice; a new due date starts over.
+-- A reminder is leased to the sender that claims it until it records how
+-- sending went; one still being sent past that is claimed again.
+CREATE TABLE reminder_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    offset_minutes INTEGER NOT NULL,
+    due_at TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('sending', 'sent', 'failed', 'skipped')),
+    channels TEXT NOT NULL DEFAULT '{}',
+    leased_until TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (task_id, offset_minutes, due_at)
+);
+
+-- In-app notifications, such as due-date reminders
+CREATE TABLE notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    body TEXT,
+    read_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Reminders sent to webhooks are logged by their reminder_log id, leaving
+-- event_id to the history ids of task events
+ALTER TABLE webhook_deliveries ADD COLUMN reminder_log_id INTEGER;
+
+CREATE INDEX idx_notifications_user_id ON notifications(user_id, read_at);
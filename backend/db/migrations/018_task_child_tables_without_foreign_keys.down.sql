@@ -0,0 +1,51 @@
+-- Puts the foreign keys to the tasks table back. Rows of tasks that are not
+-- in SQLite (stored elsewhere, or already purged) are dropped.
+
+CREATE TABLE comments_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    author_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+INSERT INTO comments_old
+SELECT id, task_id, author_id, body, created_at, updated_at FROM comments
+WHERE task_id IN (SELECT id FROM tasks);
+DROP TABLE comments;
+ALTER TABLE comments_old RENAME TO comments;
+CREATE INDEX idx_comments_task_id ON comments(task_id);
+
+CREATE TABLE reminder_log_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    offset_minutes INTEGER NOT NULL,
+    due_at TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('sending', 'sent', 'failed', 'skipped')),
+    channels TEXT NOT NULL DEFAULT '{}',
+    leased_until TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (task_id, offset_minutes, due_at)
+);
+INSERT INTO reminder_log_old
+SELECT id, task_id, offset_minutes, due_at, status, channels, leased_until, created_at FROM reminder_log
+WHERE task_id IN (SELECT id FROM tasks);
+DROP TABLE reminder_log;
+ALTER TABLE reminder_log_old RENAME TO reminder_log;
+
+CREATE TABLE notifications_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    body TEXT,
+    read_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+INSERT INTO notifications_old
+SELECT id, user_id, task_id, type, title, body, read_at, created_at FROM notifications
+WHERE task_id IS NULL OR task_id IN (SELECT id FROM tasks);
+DROP TABLE notifications;
+ALTER TABLE notifications_old RENAME TO notifications;
+CREATE INDEX idx_notifications_user_id ON notifications(user_id, read_at);
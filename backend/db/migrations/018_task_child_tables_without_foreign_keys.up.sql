@@ -0,0 +1,50 @@
+-- Tasks may be stored outside SQLite (see DATABASE_URL), so the tables
+-- holding rows of a task no longer reference the tasks table. Their rows
+-- are deleted along with the task when it is purged instead of by ON
+-- DELETE CASCADE. SQLite cannot drop a foreign key, so each table is
+-- rebuilt.
+
+CREATE TABLE comments_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    author_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+INSERT INTO comments_new SELECT id, task_id, author_id, body, created_at, updated_at FROM comments;
+DROP TABLE comments;
+ALTER TABLE comments_new RENAME TO comments;
+CREATE INDEX idx_comments_task_id ON comments(task_id);
+
+CREATE TABLE reminder_log_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    offset_minutes INTEGER NOT NULL,
+    due_at TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('sending', 'sent', 'failed', 'skipped')),
+    channels TEXT NOT NULL DEFAULT '{}',
+    leased_until TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (task_id, offset_minutes, due_at)
+);
+INSERT INTO reminder_log_new
+SELECT id, task_id, offset_minutes, due_at, status, channels, leased_until, created_at FROM reminder_log;
+DROP TABLE reminder_log;
+ALTER TABLE reminder_log_new RENAME TO reminder_log;
+
+CREATE TABLE notifications_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_id INTEGER,
+    type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    body TEXT,
+    read_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+INSERT INTO notifications_new
+SELECT id, user_id, task_id, type, title, body, read_at, created_at FROM notifications;
+DROP TABLE notifications;
+ALTER TABLE notifications_new RENAME TO notifications;
+CREATE INDEX idx_notifications_user_id ON notifications(user_id, read_at);
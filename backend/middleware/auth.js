@@ -0,0 +1,27 @@
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Require a valid Bearer access token and expose the user as req.user
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    req.user = { id: parseInt(payload.sub, 10), email: payload.email };
+    next();
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      error: err.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+    });
+  }
+};
+
+module.exports = authenticate;
@@ -0,0 +1,35 @@
+const { runQuery, runCommand } = require('../db');
+const { hashFeedToken } = require('../utils/tokens');
+const authenticate = require('./auth');
+
+// Calendar apps cannot send an Authorization header, so the calendar feed
+// also accepts the user's secret feed token as ?token=. Every other request
+// needs a regular access token.
+const authenticateCalendarFeed = async (req, res, next) => {
+  const isFeed = (req.method === 'GET' || req.method === 'HEAD') && req.path === '/calendar.ics';
+  if (!isFeed || typeof req.query.token !== 'string') {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const users = await runQuery(
+      `SELECT u.id, u.email FROM calendar_tokens c JOIN users u ON u.id = c.user_id
+       WHERE c.token_hash = ?`,
+      [hashFeedToken(req.query.token)]
+    );
+    if (users.length === 0) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid calendar token'
+      });
+    }
+
+    await runCommand("UPDATE calendar_tokens SET last_used_at = datetime('now') WHERE user_id = ?", [users[0].id]);
+    req.user = { id: users[0].id, email: users[0].email };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = authenticateCalendarFeed;
@@ -0,0 +1,16 @@
+const { validationResult } = require('express-validator');
+
+// Respond with 400 if any preceding express-validator chain failed
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = handleValidation;
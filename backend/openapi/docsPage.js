@@ -0,0 +1,48 @@
+// Interactive docs for an OpenAPI document: Swagger UI, served from the
+// swagger-ui-dist package rather than a CDN, so the page only loads
+// scripts from the API itself as its Content Security Policy requires.
+// Requests can be tried out with an access token from POST /api/auth/login,
+// entered under Authorize.
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Starts Swagger UI on the document named by the page. A script file of
+// its own, since inline scripts are not allowed.
+const DOCS_SCRIPT = `window.addEventListener('load', function () {
+  var container = document.getElementById('docs');
+  window.ui = SwaggerUIBundle({
+    url: container.dataset.url,
+    dom_id: '#docs',
+    deepLinking: true,
+    persistAuthorization: true,
+    validatorUrl: null
+  });
+});
+`;
+
+// The docs page of an OpenAPI document, its assets served under `assets`
+// and the document itself at `documentUrl`
+const renderDocsPage = (document, { assets, documentUrl }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(document.info.title)}</title>
+  <link rel="stylesheet" href="${escapeHtml(assets)}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs" data-url="${escapeHtml(documentUrl)}"></div>
+  <script src="${escapeHtml(assets)}/swagger-ui-bundle.js"></script>
+  <script src="${escapeHtml(assets)}/init.js"></script>
+</body>
+</html>
+`;
+
+module.exports = {
+  DOCS_SCRIPT,
+  renderDocsPage,
+};
@@ -0,0 +1,695 @@
+const { version } = require('../package.json');
+const { PRIORITIES } = require('../repositories/taskQuery');
+const { EVENT_QUERY_PARAMETERS } = require('../utils/taskEvents');
+const {
+  IMPORT_LIMIT,
+  TaskInput,
+  TaskPatch,
+  TaskStatusInput,
+  DependencyInput,
+  BulkOperation,
+  BulkRequest,
+  CommentInput,
+  LIST_PARAMETERS,
+  EXPORT_FORMAT_PARAMETER,
+  CALENDAR_COMPONENT_PARAMETER,
+  IMPORT_DRY_RUN_PARAMETER
+} = require('./schemas');
+
+// The OpenAPI 3.1 description of the task API, served at /api/openapi.json
+// and rendered at /api/docs. Request bodies and query parameters come from
+// ./schemas, which the request validators are generated from; responses
+// are described here.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+const nullable = (type) => ({ type: [type, 'null'] });
+
+// A successful response: `data` plus any other top-level fields
+const success = (description, data, fields = {}) => ({
+  description,
+  content: json({
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { const: true },
+      ...(data && { data }),
+      ...fields,
+      message: { type: 'string' }
+    }
+  })
+});
+
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const TASK_ID = { $ref: '#/components/parameters/TaskId' };
+
+const ETAG_HEADER = {
+  ETag: { description: 'The task version, for If-Match', schema: { type: 'string' } }
+};
+
+const IF_MATCH = {
+  name: 'If-Match',
+  in: 'header',
+  description: 'Only write if the task still has this ETag; `*` or no header always writes',
+  schema: { type: 'string' }
+};
+
+const PAGINATION = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer' },
+    sort: { type: 'string' },
+    next_cursor: nullable('string'),
+    prev_cursor: nullable('string')
+  }
+};
+
+const NEXT_OCCURRENCE = {
+  ...ref('Task'),
+  description: 'The next occurrence, when the write completed a recurring task'
+};
+
+const schemas = {
+  TaskInput,
+  TaskPatch,
+  TaskStatusInput,
+  DependencyInput,
+  BulkOperation,
+  BulkRequest,
+  CommentInput,
+  Task: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      title: { type: 'string' },
+      description: nullable('string'),
+      status: { type: 'string' },
+      priority: { type: 'string', enum: PRIORITIES },
+      due_date: nullable('string'),
+      owner_id: { type: 'integer' },
+      project_id: nullable('integer'),
+      parent_id: nullable('integer'),
+      recurrence: nullable('string'),
+      reminders: { type: 'array', items: { type: 'integer' } },
+      deleted_at: nullable('string'),
+      version: { type: 'integer', description: 'Incremented by every write; the ETag' },
+      created_at: { type: 'string' },
+      updated_at: { type: 'string' },
+      tags: { type: 'array', items: ref('TagSummary') },
+      comment_count: { type: 'integer' },
+      progress: {
+        type: 'object',
+        description: 'Subtasks in the complete status, out of all subtasks',
+        properties: { completed: { type: 'integer' }, total: { type: 'integer' } }
+      },
+      blocked_by: { type: 'array', items: ref('TaskSummary') },
+      is_blocked: { type: 'boolean', description: 'Whether any blocker is not done' }
+    }
+  },
+  ListedTask: {
+    allOf: [ref('Task')],
+    properties: {
+      search: {
+        type: 'object',
+        description: 'With a search: its rank (lower is better) and the title and a snippet with matches in <mark>',
+        properties: {
+          rank: { type: 'number' },
+          title: { type: 'string' },
+          snippet: nullable('string')
+        }
+      },
+      smart_score: { type: 'integer', description: 'With sort=smart: how pressing the task is, higher first' }
+    }
+  },
+  TrashedTask: {
+    allOf: [ref('Task')],
+    properties: {
+      purge_at: { type: 'string', format: 'date-time', description: 'When the task is deleted for good' }
+    }
+  },
+  TaskSummary: {
+    type: 'object',
+    properties: { id: { type: 'integer' }, title: { type: 'string' }, status: { type: 'string' } }
+  },
+  TagSummary: {
+    type: 'object',
+    properties: { id: { type: 'integer' }, name: { type: 'string' }, color: { type: 'string' } }
+  },
+  ExportedTask: {
+    type: 'object',
+    description: 'A task as exported, importable again; tags are tag IDs',
+    properties: {
+      id: { type: 'integer' },
+      title: { type: 'string' },
+      description: nullable('string'),
+      status: { type: 'string' },
+      priority: { type: 'string' },
+      due_date: nullable('string'),
+      project_id: nullable('integer'),
+      parent_id: nullable('integer'),
+      recurrence: nullable('string'),
+      reminders: { type: 'array', items: { type: 'integer' } },
+      tags: { type: 'array', items: { type: 'integer' } },
+      created_at: { type: 'string' },
+      updated_at: { type: 'string' }
+    }
+  },
+  BulkResult: {
+    type: 'object',
+    description: 'The outcome of one operation, with an HTTP status and the body fields of the matching single-task request',
+    properties: {
+      index: { type: 'integer' },
+      id: { type: 'integer' },
+      op: { type: 'string' },
+      success: { type: 'boolean' },
+      status: { type: 'integer' },
+      data: ref('Task'),
+      next_occurrence: ref('Task'),
+      error: { type: 'string' }
+    }
+  },
+  ImportResult: {
+    type: 'object',
+    properties: {
+      row: { type: 'integer', description: 'Row number, from 1' },
+      success: { type: 'boolean' },
+      data: { description: 'The task as it will be created', ...ref('TaskInput') },
+      errors: { type: 'array', items: ref('ValidationIssue') }
+    }
+  },
+  TaskEvent: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      task_id: { type: 'integer' },
+      owner_id: { type: 'integer' },
+      actor_id: nullable('integer'),
+      action: { type: 'string', enum: ['created', 'updated', 'status_changed', 'deleted', 'restored', 'purged'] },
+      task_title: { type: 'string' },
+      changes: {
+        type: 'object',
+        description: 'Changed fields, each as { from, to }',
+        additionalProperties: { type: 'object', properties: { from: {}, to: {} } }
+      },
+      created_at: { type: 'string' },
+      actor: {
+        type: ['object', 'null'],
+        properties: { id: { type: 'integer' }, name: nullable('string'), email: { type: 'string' } }
+      }
+    }
+  },
+  Comment: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      task_id: { type: 'integer' },
+      author_id: { type: 'integer' },
+      body: { type: 'string' },
+      created_at: { type: 'string' },
+      updated_at: { type: 'string' },
+      author_name: nullable('string'),
+      author_email: { type: 'string' }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { const: false },
+      error: { type: 'string' },
+      details: { description: 'More about the error, such as the validation errors' }
+    }
+  },
+  ValidationIssue: {
+    type: 'object',
+    description: 'One failed check, as reported by express-validator',
+    properties: {
+      type: { type: 'string' },
+      value: {},
+      msg: { type: 'string' },
+      path: { type: 'string' },
+      location: { type: 'string', enum: ['body', 'query', 'params', 'headers'] }
+    }
+  },
+  ValidationError: {
+    allOf: [ref('Error')],
+    properties: {
+      error: { const: 'Validation failed' },
+      details: { type: 'array', items: ref('ValidationIssue') }
+    }
+  }
+};
+
+const responses = {
+  BadRequest: {
+    description: 'The request failed validation',
+    content: json({ oneOf: [ref('ValidationError'), ref('Error')] })
+  },
+  Unauthorized: {
+    description: 'Missing, invalid or expired access token',
+    content: json(ref('Error'))
+  },
+  NotFound: {
+    description: 'No such task of yours',
+    content: json(ref('Error'))
+  },
+  PreconditionFailed: {
+    description: 'The task changed since the If-Match ETag; `data` is the current task',
+    headers: ETAG_HEADER,
+    content: json({ allOf: [ref('Error')], properties: { data: ref('Task') } })
+  },
+  StatusConflict: {
+    description: 'The workflow does not allow the status change: `allowed` lists the statuses it can move to, or `details` the open blockers',
+    content: json({
+      allOf: [ref('Error')],
+      properties: {
+        allowed: { type: 'array', items: { type: 'string' } },
+        details: { type: 'array', items: ref('TaskSummary') }
+      }
+    })
+  }
+};
+
+const ERROR_STATUSES = {
+  NotFound: 404,
+  StatusConflict: 409,
+  PreconditionFailed: 412
+};
+
+// The error responses of a route: those every task route can give, and
+// the named ones
+const errors = (...names) => ({
+  400: response('BadRequest'),
+  401: response('Unauthorized'),
+  ...Object.fromEntries(names.map(name => [ERROR_STATUSES[name], response(name)]))
+});
+
+const TASK_BODY = { required: true, content: json(ref('TaskInput')) };
+
+const paths = {
+  '/tasks': {
+    get: {
+      tags: ['Tasks'],
+      summary: 'List tasks',
+      description: 'Your tasks matching the filters, a page at a time. Only top-level tasks are listed unless `parent` says otherwise.',
+      parameters: LIST_PARAMETERS,
+      responses: {
+        200: success('A page of tasks', { type: 'array', items: ref('ListedTask') }, {
+          count: { type: 'integer', description: 'Tasks on this page' },
+          total: { type: 'integer', description: 'Tasks matching the filters' },
+          status_counts: {
+            type: 'object',
+            description: 'Tasks matching the filters other than status, by status',
+            additionalProperties: { type: 'integer' }
+          },
+          pagination: PAGINATION
+        }),
+        ...errors()
+      }
+    },
+    post: {
+      tags: ['Tasks'],
+      summary: 'Create a task',
+      requestBody: TASK_BODY,
+      responses: {
+        201: success('The task', ref('Task')),
+        ...errors()
+      }
+    }
+  },
+  '/tasks/export': {
+    get: {
+      tags: ['Import and export'],
+      summary: 'Export tasks',
+      description: 'Every task matching the list filters, as a CSV or JSON download. `limit`, `after` and `before` are ignored.',
+      parameters: [...LIST_PARAMETERS, EXPORT_FORMAT_PARAMETER],
+      responses: {
+        200: {
+          description: 'The tasks; CSV has a header row and tags and reminders separated by semicolons',
+          content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/json': { schema: { type: 'array', items: ref('ExportedTask') } }
+          }
+        },
+        ...errors()
+      }
+    }
+  },
+  '/tasks/import': {
+    post: {
+      tags: ['Import and export'],
+      summary: 'Import tasks',
+      description: `Create up to ${IMPORT_LIMIT} tasks from CSV with a header row, or from a JSON array. `
+        + 'Every row is validated like POST /tasks first, and nothing is imported if any row is invalid.',
+      parameters: [IMPORT_DRY_RUN_PARAMETER],
+      requestBody: {
+        required: true,
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'application/json': { schema: { type: 'array', minItems: 1, maxItems: IMPORT_LIMIT, items: ref('TaskInput') } }
+        }
+      },
+      responses: {
+        200: success('With dry_run=true: the result of every row', { type: 'array', items: ref('ImportResult') }, {
+          summary: { type: 'object', properties: { valid: { type: 'integer' }, invalid: { type: 'integer' } } }
+        }),
+        201: success('The created tasks', { type: 'array', items: ref('Task') }),
+        400: {
+          description: 'Invalid rows (in `details`, with a `summary`) or an unreadable import',
+          content: json(ref('Error'))
+        },
+        401: response('Unauthorized'),
+        415: { description: 'Neither CSV nor JSON', content: json(ref('Error')) }
+      }
+    }
+  },
+  '/tasks/bulk': {
+    post: {
+      tags: ['Tasks'],
+      summary: 'Apply operations to many tasks',
+      description: 'Operations are applied in order, each succeeding or failing on its own. With `atomic`, the first failure undoes them all.',
+      requestBody: { required: true, content: json(ref('BulkRequest')) },
+      responses: {
+        200: success('The outcome of every operation', { type: 'array', items: ref('BulkResult') }, {
+          summary: { type: 'object', properties: { succeeded: { type: 'integer' }, failed: { type: 'integer' } } }
+        }),
+        '4XX': {
+          description: 'An atomic request failed with the status of the failed operation; `data` has every outcome, the others 424',
+          content: json({ allOf: [ref('Error')], properties: { data: { type: 'array', items: ref('BulkResult') } } })
+        },
+        ...errors()
+      }
+    }
+  },
+  '/tasks/calendar.ics': {
+    get: {
+      tags: ['Calendar'],
+      summary: 'Calendar feed',
+      description: 'The tasks with a due date that match the list filters, as iCalendar. Subtasks are included unless `parent` says otherwise. '
+        + 'Calendar apps subscribe with the feed token from /api/calendar.',
+      security: [{ bearerAuth: [] }, { calendarToken: [] }],
+      parameters: [...LIST_PARAMETERS, CALENDAR_COMPONENT_PARAMETER],
+      responses: {
+        200: { description: 'The feed', content: { 'text/calendar': { schema: { type: 'string' } } } },
+        ...errors()
+      }
+    }
+  },
+  '/tasks/stream': {
+    get: {
+      tags: ['Tasks'],
+      summary: 'Live task changes',
+      description: 'Server-Sent Events: `created` and `updated` with `{ task }`, `deleted` with `{ id }`, and `reset` when too much was missed to replay. '
+        + 'Reconnect with Last-Event-ID to get the changes missed.',
+      parameters: [{ name: 'Last-Event-ID', in: 'header', schema: { type: 'integer' } }],
+      responses: {
+        200: { description: 'The event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        401: response('Unauthorized')
+      }
+    }
+  },
+  '/tasks/trash': {
+    get: {
+      tags: ['Trash'],
+      summary: 'List trashed tasks',
+      description: 'Most recently deleted first. Subtasks trashed with their parent are not listed; they are restored with it.',
+      responses: {
+        200: success('The trashed tasks', { type: 'array', items: ref('TrashedTask') }, {
+          count: { type: 'integer' },
+          retention_days: { type: 'integer', description: 'Days a task stays in the trash' }
+        }),
+        401: response('Unauthorized')
+      }
+    }
+  },
+  '/tasks/{id}': {
+    parameters: [TASK_ID],
+    get: {
+      tags: ['Tasks'],
+      summary: 'Get a task',
+      responses: {
+        200: { ...success('The task', ref('Task')), headers: ETAG_HEADER },
+        ...errors('NotFound')
+      }
+    },
+    put: {
+      tags: ['Tasks'],
+      summary: 'Update a task',
+      description: 'Fields left out keep their values and null clears a field. A write that changes nothing keeps the version.',
+      parameters: [IF_MATCH],
+      requestBody: TASK_BODY,
+      responses: {
+        200: {
+          ...success('The task', ref('Task'), { next_occurrence: NEXT_OCCURRENCE }),
+          headers: ETAG_HEADER
+        },
+        ...errors('NotFound', 'StatusConflict', 'PreconditionFailed')
+      }
+    },
+    patch: {
+      tags: ['Tasks'],
+      summary: 'Update some fields of a task',
+      parameters: [IF_MATCH],
+      requestBody: {
+        required: true,
+        content: {
+          'application/merge-patch+json': { schema: ref('TaskPatch') },
+          'application/json': { schema: ref('TaskPatch') }
+        }
+      },
+      responses: {
+        200: {
+          ...success('The task', ref('Task'), { next_occurrence: NEXT_OCCURRENCE }),
+          headers: ETAG_HEADER
+        },
+        ...errors('NotFound', 'StatusConflict', 'PreconditionFailed'),
+        415: { description: 'Not a merge patch', content: json(ref('Error')) }
+      }
+    },
+    delete: {
+      tags: ['Trash'],
+      summary: 'Move a task to the trash',
+      parameters: [IF_MATCH],
+      responses: {
+        200: success('Trashed'),
+        ...errors('NotFound', 'PreconditionFailed')
+      }
+    }
+  },
+  '/tasks/{id}/status': {
+    parameters: [TASK_ID],
+    patch: {
+      tags: ['Tasks'],
+      summary: 'Change the status of a task',
+      parameters: [IF_MATCH],
+      requestBody: { required: true, content: json(ref('TaskStatusInput')) },
+      responses: {
+        200: {
+          ...success('The task', ref('Task'), { next_occurrence: NEXT_OCCURRENCE }),
+          headers: ETAG_HEADER
+        },
+        ...errors('NotFound', 'StatusConflict', 'PreconditionFailed')
+      }
+    }
+  },
+  '/tasks/{id}/restore': {
+    parameters: [TASK_ID],
+    post: {
+      tags: ['Trash'],
+      summary: 'Restore a task from the trash',
+      responses: {
+        200: success('The restored task', ref('Task')),
+        ...errors('NotFound'),
+        409: { description: 'The parent task is in the trash too; restore it first', content: json(ref('Error')) }
+      }
+    }
+  },
+  '/tasks/{id}/purge': {
+    parameters: [TASK_ID],
+    delete: {
+      tags: ['Trash'],
+      summary: 'Delete a trashed task for good',
+      description: 'Its subtasks, comments and reminders go with it',
+      responses: {
+        200: success('Deleted'),
+        ...errors('NotFound')
+      }
+    }
+  },
+  '/tasks/{id}/subtasks': {
+    parameters: [TASK_ID],
+    get: {
+      tags: ['Subtasks'],
+      summary: 'List the subtasks of a task',
+      responses: {
+        200: success('The direct subtasks', { type: 'array', items: ref('Task') }, {
+          count: { type: 'integer' },
+          progress: schemas.Task.properties.progress
+        }),
+        ...errors('NotFound')
+      }
+    },
+    post: {
+      tags: ['Subtasks'],
+      summary: 'Create a subtask',
+      description: 'The subtask goes in the project of its parent unless `project_id` says otherwise',
+      requestBody: TASK_BODY,
+      responses: {
+        201: success('The subtask', ref('Task')),
+        ...errors('NotFound')
+      }
+    }
+  },
+  '/tasks/{id}/dependencies': {
+    parameters: [TASK_ID],
+    get: {
+      tags: ['Dependencies'],
+      summary: 'Get the blockers and dependents of a task',
+      responses: {
+        200: success('The dependencies', {
+          type: 'object',
+          properties: {
+            blocked_by: { type: 'array', items: ref('TaskSummary') },
+            blocking: { type: 'array', items: ref('TaskSummary') },
+            is_blocked: { type: 'boolean' }
+          }
+        }),
+        ...errors('NotFound')
+      }
+    },
+    post: {
+      tags: ['Dependencies'],
+      summary: 'Mark a task as blocked by another',
+      requestBody: { required: true, content: json(ref('DependencyInput')) },
+      responses: {
+        201: success('The blocked task', ref('Task')),
+        ...errors('NotFound'),
+        409: { description: 'The dependency exists already or would create a cycle', content: json(ref('Error')) }
+      }
+    }
+  },
+  '/tasks/{id}/dependencies/{blockedById}': {
+    parameters: [TASK_ID, { name: 'blockedById', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }],
+    delete: {
+      tags: ['Dependencies'],
+      summary: 'Remove a dependency',
+      responses: {
+        200: success('The task that was blocked', ref('Task')),
+        ...errors('NotFound')
+      }
+    }
+  },
+  '/tasks/{id}/calendar.ics': {
+    parameters: [TASK_ID],
+    get: {
+      tags: ['Calendar'],
+      summary: 'Download a task as iCalendar',
+      parameters: [CALENDAR_COMPONENT_PARAMETER],
+      responses: {
+        200: { description: 'The task', content: { 'text/calendar': { schema: { type: 'string' } } } },
+        ...errors('NotFound')
+      }
+    }
+  },
+  '/tasks/{id}/history': {
+    parameters: [TASK_ID],
+    get: {
+      tags: ['History'],
+      summary: 'Get the change history of a task',
+      description: 'Newest first',
+      parameters: EVENT_QUERY_PARAMETERS,
+      responses: {
+        200: success('A page of events', { type: 'array', items: ref('TaskEvent') }, {
+          count: { type: 'integer' },
+          pagination: {
+            type: 'object',
+            properties: { limit: { type: 'integer' }, next_cursor: nullable('string') }
+          }
+        }),
+        ...errors('NotFound')
+      }
+    }
+  },
+  '/tasks/{id}/comments': {
+    parameters: [TASK_ID],
+    get: {
+      tags: ['Comments'],
+      summary: 'Get the comments on a task',
+      description: 'Oldest first',
+      responses: {
+        200: success('The comments', { type: 'array', items: ref('Comment') }, { count: { type: 'integer' } }),
+        ...errors('NotFound')
+      }
+    },
+    post: {
+      tags: ['Comments'],
+      summary: 'Comment on a task',
+      requestBody: { required: true, content: json(ref('CommentInput')) },
+      responses: {
+        201: success('The comment', ref('Comment')),
+        ...errors('NotFound')
+      }
+    }
+  },
+  '/tasks/{id}/comments/{commentId}': {
+    parameters: [TASK_ID, { name: 'commentId', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }],
+    put: {
+      tags: ['Comments'],
+      summary: 'Edit a comment',
+      requestBody: { required: true, content: json(ref('CommentInput')) },
+      responses: {
+        200: success('The comment', ref('Comment')),
+        ...errors('NotFound'),
+        403: { description: 'Only the author can edit a comment', content: json(ref('Error')) }
+      }
+    },
+    delete: {
+      tags: ['Comments'],
+      summary: 'Delete a comment',
+      responses: {
+        200: success('Deleted'),
+        ...errors('NotFound'),
+        403: { description: 'Only the author can delete a comment', content: json(ref('Error')) }
+      }
+    }
+  }
+};
+
+const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Task Management API',
+    version,
+    description: 'Every response is JSON of the form `{ success, data, message }`, or `{ success: false, error, details }` on failure, '
+      + 'unless it is a download or a stream.'
+  },
+  servers: [{ url: '/api' }],
+  security: [{ bearerAuth: [] }],
+  paths,
+  components: {
+    schemas,
+    responses,
+    parameters: {
+      TaskId: { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }
+    },
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'An access token from POST /api/auth/login'
+      },
+      calendarToken: {
+        type: 'apiKey',
+        in: 'query',
+        name: 'token',
+        description: 'The secret calendar feed token from /api/calendar; only for the calendar feed'
+      }
+    }
+  }
+};
+
+module.exports = {
+  openApiDocument,
+};
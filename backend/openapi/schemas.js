@@ -0,0 +1,358 @@
+const { PRIORITIES, SORTABLE_COLUMNS, DEFAULT_LIMIT, MAX_LIMIT } = require('../repositories/taskQuery');
+const { MAX_REMINDERS, MAX_REMINDER_OFFSET } = require('../utils/reminders');
+
+// JSON schemas of the task API's requests, and its query parameters as
+// OpenAPI parameter objects. They are part of the OpenAPI document and the
+// request validators are generated from them (see ./validation), so change
+// a request's shape here.
+
+// Most tags a task can have
+const MAX_TASK_TAGS = 20;
+
+// Most operations accepted by one bulk request
+const BULK_LIMIT = 100;
+
+// Bulk operations and the field each one needs
+const BULK_OPERATIONS = {
+  status: 'status',
+  priority: 'priority',
+  due_date: 'due_date',
+  delete: null,
+  add_tags: 'tags',
+  remove_tags: 'tags'
+};
+
+// Most rows accepted by one import
+const IMPORT_LIMIT = 1000;
+
+// A day or a moment in ISO 8601, e.g. 2024-05-01 or 2024-05-01T09:30:00Z
+const DATE_OR_DATE_TIME = [{ format: 'date' }, { format: 'date-time' }];
+
+const TASK_PROPERTIES = {
+  title: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 255,
+    'x-message': 'Title is required and must be less than 255 characters'
+  },
+  description: {
+    type: ['string', 'null'],
+    maxLength: 1000,
+    'x-message': 'Description must be less than 1000 characters'
+  },
+  status: {
+    type: 'string',
+    description: 'One of the statuses of the workflow (`GET /api/workflow`). New tasks default to its default status.',
+    'x-message': 'Status must be one of the workflow statuses'
+  },
+  priority: {
+    type: 'string',
+    enum: PRIORITIES,
+    default: 'none',
+    'x-message': `Priority must be one of: ${PRIORITIES.join(', ')}`
+  },
+  due_date: {
+    type: ['string', 'null'],
+    anyOf: [...DATE_OR_DATE_TIME, { const: '' }],
+    description: 'A date or a date and time. Null or an empty string means no due date.',
+    'x-message': 'Due date must be a valid ISO 8601 date'
+  },
+  project_id: {
+    type: ['integer', 'null'],
+    minimum: 1,
+    description: 'One of your projects',
+    'x-message': 'Project ID must be a positive integer'
+  },
+  parent_id: {
+    type: ['integer', 'null'],
+    minimum: 1,
+    description: 'Makes the task a subtask of another of your tasks',
+    'x-message': 'Parent ID must be a positive integer'
+  },
+  recurrence: {
+    type: ['string', 'null'],
+    description: 'An iCalendar RRULE such as `FREQ=WEEKLY;BYDAY=MO`. Completing the task creates the next occurrence.',
+    'x-message': 'Recurrence must be an RRULE string'
+  },
+  reminders: {
+    type: ['array', 'null'],
+    maxItems: MAX_REMINDERS,
+    items: {
+      type: 'integer',
+      minimum: -MAX_REMINDER_OFFSET,
+      maximum: MAX_REMINDER_OFFSET,
+      'x-message': 'Reminders must be whole minutes before the due date (negative for after it), up to 30 days either way'
+    },
+    description: 'Minutes before the due date to send a reminder at. Duplicates are dropped.',
+    'x-message': `Reminders must be an array of at most ${MAX_REMINDERS} offsets`
+  },
+  tags: {
+    type: 'array',
+    maxItems: MAX_TASK_TAGS,
+    items: { type: 'integer', minimum: 1, 'x-message': 'Tags must be an array of tag IDs' },
+    description: 'IDs of your tags, replacing those assigned',
+    'x-message': `Tags must be an array of at most ${MAX_TASK_TAGS} tag IDs`
+  }
+};
+
+// Body of POST /api/tasks and PUT /api/tasks/:id; also each imported row
+const TaskInput = {
+  type: 'object',
+  required: ['title'],
+  properties: TASK_PROPERTIES,
+  'x-message': 'Task must be a JSON object'
+};
+
+// Body of PATCH /api/tasks/:id, a JSON Merge Patch (RFC 7396)
+const TaskPatch = {
+  type: 'object',
+  description: 'Only the fields present are changed and null clears a field. Title and status cannot be cleared.',
+  additionalProperties: false,
+  properties: {
+    ...TASK_PROPERTIES,
+    description: { ...TASK_PROPERTIES.description, description: 'Null clears the description' },
+    tags: { ...TASK_PROPERTIES.tags, type: ['array', 'null'], description: 'Null removes every tag' }
+  },
+  'x-message': 'Patch must be a JSON object'
+};
+
+const TaskStatusInput = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: TASK_PROPERTIES.status
+  }
+};
+
+const DependencyInput = {
+  type: 'object',
+  required: ['blocked_by_id'],
+  properties: {
+    blocked_by_id: {
+      type: 'integer',
+      minimum: 1,
+      description: 'The task that has to be done first',
+      'x-message': 'Blocked by ID must be a positive integer'
+    }
+  }
+};
+
+const BulkOperation = {
+  type: 'object',
+  required: ['id', 'op'],
+  description: 'One change to one task. Every operation but delete needs the field it is named after, add_tags and remove_tags need tags.',
+  properties: {
+    id: { type: 'integer', minimum: 1, 'x-message': 'Each operation needs a valid task ID' },
+    op: {
+      type: 'string',
+      enum: Object.keys(BULK_OPERATIONS),
+      'x-message': `Operation must be one of: ${Object.keys(BULK_OPERATIONS).join(', ')}`
+    },
+    version: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Fail with 412 unless the task is at this version',
+      'x-message': 'Version must be a positive integer'
+    },
+    status: TASK_PROPERTIES.status,
+    priority: TASK_PROPERTIES.priority,
+    due_date: TASK_PROPERTIES.due_date,
+    tags: {
+      ...TASK_PROPERTIES.tags,
+      minItems: 1,
+      description: 'Tag IDs to add or remove',
+      'x-message': `Tags must be an array of 1 to ${MAX_TASK_TAGS} tag IDs`
+    }
+  },
+  'x-message': 'Each operation must be an object'
+};
+
+const BulkRequest = {
+  type: 'object',
+  required: ['operations'],
+  properties: {
+    operations: {
+      type: 'array',
+      minItems: 1,
+      maxItems: BULK_LIMIT,
+      items: BulkOperation,
+      'x-message': `Operations must be an array of 1 to ${BULK_LIMIT} items`
+    },
+    atomic: {
+      type: 'boolean',
+      default: false,
+      description: 'Roll back every change when one operation fails',
+      'x-message': 'Atomic must be a boolean'
+    }
+  }
+};
+
+const CommentInput = {
+  type: 'object',
+  required: ['body'],
+  properties: {
+    body: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 2000,
+      'x-message': 'Comment body is required and must be less than 2000 characters'
+    }
+  }
+};
+
+// An ISO 8601 list filter on a date column
+const dateFilter = (name, description) => ({
+  name,
+  in: 'query',
+  description,
+  schema: { type: 'string', anyOf: DATE_OR_DATE_TIME, 'x-message': `${name} must be an ISO 8601 date` }
+});
+
+// true/false query parameter
+const booleanFilter = (name, description) => ({
+  name,
+  in: 'query',
+  description,
+  schema: { type: 'boolean', 'x-message': `${name} must be true or false` }
+});
+
+// Filters, order and page of a task list (GET /api/tasks, the export and
+// the calendar feed)
+const LIST_PARAMETERS = [
+  {
+    name: 'search',
+    in: 'query',
+    description: 'Full-text search of titles and descriptions: words match as prefixes, `"quoted phrases"` exactly, and `-word` excludes. A search without any word, such as `*`, is rejected',
+    schema: { type: 'string', 'x-message': 'Search must be text' }
+  },
+  {
+    name: 'status',
+    in: 'query',
+    description: 'Comma-separated workflow statuses; prefix one with ! to exclude it',
+    schema: { type: 'string', 'x-message': 'Status must be a comma-separated list of statuses (prefix with ! to exclude)' }
+  },
+  {
+    name: 'priority',
+    in: 'query',
+    description: 'Comma-separated priorities; prefix one with ! to exclude it',
+    schema: {
+      type: 'string',
+      'x-message': `Priority must be a comma-separated list of: ${PRIORITIES.join(', ')} (prefix with ! to exclude)`
+    }
+  },
+  {
+    name: 'project',
+    in: 'query',
+    description: 'A project ID, or `none` for tasks without a project; prefix with ! to exclude',
+    schema: {
+      type: 'string',
+      pattern: '^!?(none|[1-9]\\d*)$',
+      'x-message': 'Project must be a project ID or "none", optionally prefixed with ! to exclude'
+    }
+  },
+  {
+    name: 'parent',
+    in: 'query',
+    description: 'Subtasks of a task ID, `none` for top-level tasks or `any` for both. Defaults to `none`.',
+    schema: {
+      type: 'string',
+      pattern: '^(none|any|[1-9]\\d*)$',
+      'x-message': 'Parent must be a task ID, "none" or "any"'
+    }
+  },
+  {
+    name: 'tags',
+    in: 'query',
+    description: 'Comma-separated tag names; prefix one with ! to exclude it',
+    schema: { type: 'string', 'x-message': 'Tags must be a comma-separated list of tag names' }
+  },
+  {
+    name: 'tag_mode',
+    in: 'query',
+    description: 'Whether tasks need `any` or `all` of the included tags',
+    schema: { type: 'string', enum: ['any', 'all'], default: 'any', 'x-message': 'Tag mode must be one of: any, all' }
+  },
+  dateFilter('due_after', 'Due on or after this day'),
+  dateFilter('due_before', 'Due on or before this day'),
+  dateFilter('created_after', 'Created after this moment'),
+  dateFilter('updated_since', 'Updated at or after this moment'),
+  booleanFilter('has_due_date', 'Only tasks with (true) or without (false) a due date'),
+  booleanFilter('overdue', 'Only tasks past (true) or not past (false) their due date and not done'),
+  {
+    name: 'today',
+    in: 'query',
+    description: 'The client\'s date, which overdue and smart ordering are judged against. Defaults to the server\'s date (UTC).',
+    schema: { type: 'string', format: 'date', 'x-message': 'Today must be a YYYY-MM-DD date' }
+  },
+  {
+    name: 'sort',
+    in: 'query',
+    description: `Comma-separated columns to sort by, each prefixed with - for descending: ${SORTABLE_COLUMNS.join(', ')}. `
+      + '`relevance` needs a search and is the default for one; otherwise the default is `-created_at`.',
+    schema: {
+      type: 'string',
+      'x-message': `Sort must be a comma-separated list of: ${SORTABLE_COLUMNS.join(', ')} (prefix with - for descending)`
+    }
+  },
+  {
+    name: 'limit',
+    in: 'query',
+    description: 'Tasks per page',
+    schema: {
+      type: 'integer',
+      minimum: 1,
+      maximum: MAX_LIMIT,
+      default: DEFAULT_LIMIT,
+      'x-message': `Limit must be an integer between 1 and ${MAX_LIMIT}`
+    }
+  },
+  {
+    name: 'after',
+    in: 'query',
+    description: 'Cursor of the next page (`pagination.next_cursor`)',
+    schema: { type: 'string', 'x-message': 'After must be a cursor' }
+  },
+  {
+    name: 'before',
+    in: 'query',
+    description: 'Cursor of the previous page (`pagination.prev_cursor`); not with `after`',
+    schema: { type: 'string', 'x-message': 'Before must be a cursor' }
+  }
+];
+
+const EXPORT_FORMAT_PARAMETER = {
+  name: 'format',
+  in: 'query',
+  schema: { type: 'string', enum: ['csv', 'json'], default: 'csv', 'x-message': 'Format must be one of: csv, json' }
+};
+
+const CALENDAR_COMPONENT_PARAMETER = {
+  name: 'component',
+  in: 'query',
+  description: 'Whether tasks appear as events (the default) or to-dos',
+  schema: { type: 'string', enum: ['event', 'todo'], default: 'event', 'x-message': 'Component must be one of: event, todo' }
+};
+
+const IMPORT_DRY_RUN_PARAMETER = {
+  name: 'dry_run',
+  in: 'query',
+  description: 'Only validate the rows and report the results',
+  schema: { type: 'boolean', default: false, 'x-message': 'dry_run must be true or false' }
+};
+
+module.exports = {
+  MAX_TASK_TAGS,
+  BULK_OPERATIONS,
+  IMPORT_LIMIT,
+  TaskInput,
+  TaskPatch,
+  TaskStatusInput,
+  DependencyInput,
+  BulkOperation,
+  BulkRequest,
+  CommentInput,
+  LIST_PARAMETERS,
+  EXPORT_FORMAT_PARAMETER,
+  CALENDAR_COMPONENT_PARAMETER,
+  IMPORT_DRY_RUN_PARAMETER,
+};
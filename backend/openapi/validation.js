@@ -0,0 +1,176 @@
+const { body, query } = require('express-validator');
+
+// Request validation generated from the JSON schemas of the OpenAPI
+// document, so the documented request shapes and the checks applied to
+// requests are one and the same. The keywords the API's schemas use are
+// supported: type (with "null"), enum, const, minLength, maxLength, pattern,
+// format (date, date-time), minimum, maximum, minItems, maxItems, items,
+// anyOf, properties, required and additionalProperties: false. A schema's
+// `x-message` is the error reported for it. What a schema cannot express
+// (ownership, workflow statuses, RRULEs...) is added by `hooks`, keyed by
+// field path, which extend the chain of a field once the schema checks pass.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:?\d{2})?$/;
+
+// Values of each type. Query strings and CSV cells are text, so integers
+// and booleans are also accepted as text.
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value)),
+  boolean: (value) => typeof value === 'boolean' || value === 'true' || value === 'false',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  null: (value) => value === null
+};
+
+const FORMAT_CHECKS = {
+  date: (value) => ISO_DATE.test(value) && !isNaN(Date.parse(value)),
+  'date-time': (value) => ISO_DATE_TIME.test(value) && !isNaN(Date.parse(value))
+};
+
+const typesOf = (schema) => [].concat(schema.type || []);
+
+// Whether a value conforms to a schema. Object properties are not looked
+// into; each property gets validators of its own.
+const conformsTo = (value, schema) => {
+  if (schema.anyOf && !schema.anyOf.some(option => conformsTo(value, option))) {
+    return false;
+  }
+  const types = typesOf(schema);
+  if (types.length > 0 && !types.some(type => TYPE_CHECKS[type](value))) {
+    return false;
+  }
+  if (value === null) {
+    return true;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return false;
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    return false;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return false;
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return false;
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) return false;
+    if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) return false;
+  }
+
+  if (types.includes('integer') && TYPE_CHECKS.integer(value)) {
+    if (schema.minimum !== undefined && Number(value) < schema.minimum) return false;
+    if (schema.maximum !== undefined && Number(value) > schema.maximum) return false;
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return false;
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return false;
+    if (schema.items && !value.every(item => conformsTo(item, schema.items))) return false;
+  }
+  return true;
+};
+
+// Convert a valid value to the type its schema describes. Booleans stay
+// text in query strings, where handlers compare them with 'true'.
+const coerce = (value, schema, location) => {
+  const types = typesOf(schema);
+  if (types.includes('integer') && typeof value === 'string') {
+    return Number(value);
+  }
+  if (types.includes('boolean') && typeof value === 'string' && location === body) {
+    return value === 'true';
+  }
+  if (Array.isArray(value) && schema.items) {
+    return value.map(item => coerce(item, schema.items, location));
+  }
+  return value;
+};
+
+// Validators of one field. Surrounding whitespace is trimmed from text
+// before it is checked. Later checks are guarded with .if() rather than
+// .bail(), which would stop every value of a wildcard path at the first bad
+// one.
+const fieldValidators = (location, path, schema, { required, hooks }) => {
+  const { items, ...own } = schema;
+  const objectItems = Boolean(items?.properties);
+  const types = typesOf(schema);
+
+  let chain = location(path, schema['x-message'] || `Invalid value for ${path}`);
+  if (!required) {
+    chain = chain.optional(types.includes('null') ? { values: 'null' } : undefined);
+  }
+  chain = chain
+    .customSanitizer(value => (types.includes('string') && typeof value === 'string' ? value.trim() : value))
+    .custom(value => conformsTo(value, own));
+  if (items && !objectItems) {
+    chain = chain
+      .if(value => conformsTo(value, own))
+      .custom(value => !Array.isArray(value) || value.every(item => conformsTo(item, items)));
+    // Bad items are reported with their own message, if they have one
+    if (items['x-message']) {
+      chain = chain.withMessage(items['x-message']);
+    }
+  }
+  chain = chain
+    .if(value => conformsTo(value, schema))
+    .customSanitizer(value => coerce(value, schema, location));
+  if (hooks[path]) {
+    chain = hooks[path](chain);
+  }
+
+  return objectItems ? [chain, ...objectValidators(location, `${path}.*`, items, hooks)] : [chain];
+};
+
+// Validators of an object and each of its properties
+const objectValidators = (location, path, schema, hooks) => {
+  const { properties = {}, required = [] } = schema;
+
+  const unknownFields = (value) => (schema.additionalProperties === false
+    ? Object.keys(value).filter(key => !Object.hasOwn(properties, key))
+    : []);
+
+  let chain = (path ? location(path) : location())
+    .custom(value => TYPE_CHECKS.object(value))
+    .withMessage(schema['x-message'] || 'Body must be a JSON object')
+    .if(value => TYPE_CHECKS.object(value))
+    .custom((value) => {
+      const unknown = unknownFields(value);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown field${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+      }
+      return true;
+    });
+  if (hooks[path]) {
+    chain = hooks[path](chain.if(value => unknownFields(value).length === 0));
+  }
+
+  return [
+    chain,
+    ...Object.entries(properties).flatMap(([name, property]) => fieldValidators(
+      location,
+      path ? `${path}.${name}` : name,
+      property,
+      { required: required.includes(name), hooks }
+    ))
+  ];
+};
+
+// Validators of a JSON request body described by an object schema. The
+// hook of the body itself is keyed by '', that of the items of an array of
+// objects by 'field.*'.
+const bodyValidators = (schema, hooks = {}) => objectValidators(body, '', schema, hooks);
+
+// Validators of the query parameters among OpenAPI parameter objects
+const queryValidators = (parameters, hooks = {}) => parameters
+  .filter(parameter => parameter.in === 'query')
+  .flatMap(parameter => fieldValidators(query, parameter.name, parameter.schema, {
+    required: Boolean(parameter.required),
+    hooks
+  }));
+
+module.exports = {
+  conformsTo,
+  bodyValidators,
+  queryValidators,
+};
@@ -0,0 +1,27 @@
+// Where tasks are stored, chosen by DATABASE_URL:
+//   unset or sqlite:...            the application's SQLite database
+//   postgres://... postgresql://   a PostgreSQL database
+//   memory:                        in process memory, gone on restart
+// Everything else (users, projects, tags, comments, history...) always
+// lives in SQLite. Each backend is only loaded when selected, so the
+// PostgreSQL client is not needed to run on SQLite.
+const createTaskRepository = (url = process.env.DATABASE_URL || '') => {
+  if (/^postgres(ql)?:\/\//.test(url)) {
+    return require('./postgresTaskRepository').createPostgresTaskRepository(url);
+  }
+  if (url.startsWith('memory:')) {
+    return require('./memoryTaskRepository').createMemoryTaskRepository();
+  }
+  if (url && !url.startsWith('sqlite:')) {
+    throw new Error(`Unsupported DATABASE_URL "${url.split(':')[0]}:"; use sqlite:, postgres:// or memory:`);
+  }
+  return require('./sqliteTaskRepository').createSqliteTaskRepository();
+};
+
+// The task repository of this process; call init() once before use
+const taskRepository = createTaskRepository();
+
+module.exports = {
+  createTaskRepository,
+  taskRepository,
+};
@@ -0,0 +1,492 @@
+const { exclusive, withTransaction, withSavepoint } = require('../db');
+const { MATCH_START, MATCH_END } = require('../utils/search');
+const { PRIORITIES, DEFAULT_LIMIT, toTimestamp, toPage, decodeCursor, sortValue } = require('./taskQuery');
+const { TASK_COLUMNS, WRITABLE_COLUMNS, toId } = require('./sqlTaskRepository');
+const { latestReferencedTaskId } = require('./sqliteTaskRepository');
+
+// Tasks kept in process memory, for tests and throwaway runs; they are
+// lost when the server stops. Filters, ordering and cursors behave as in
+// the SQL backends. Search matches whole words and word prefixes without
+// stemming, ranking title hits above description hits.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The day of a date or timestamp as YYYY-MM-DD, or null when it cannot be
+// read, like SQLite's date()
+const toDay = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+const dayNumber = (day) => Date.parse(`${day}T00:00:00Z`) / DAY_MS;
+
+// Smart ordering score of a task, negated like the SQL backends' column;
+// see smartScoresSql in sqlTaskRepository.js
+const smartScore = (task, today, doneStatuses) => {
+  const todayNumber = dayNumber(toDay(today));
+  const dueDay = toDay(task.due_date);
+  let dueScore = 0;
+  if (dueDay) {
+    const days = dayNumber(dueDay) - todayNumber;
+    dueScore = days < 0 ? 35 + Math.min(-days, 15) : Math.max(14 - days, 0) * 2;
+  }
+  const age = Math.min(todayNumber - dayNumber(toDay(task.created_at)), 30) / 3;
+  const score = PRIORITIES.indexOf(task.priority) * 10 + dueScore + age -
+    (doneStatuses.includes(task.status) ? 1000 : 0);
+  return -Math.trunc(score);
+};
+
+// The words of a text with their positions, folded for matching
+const tokenize = (text) => [...(text || '').matchAll(/[\p{L}\p{N}_]+/gu)].map(match => ({
+  word: match[0].normalize('NFD').replace(/\p{M}/gu, '').toLowerCase(),
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+// Word ranges of a text matched by a search term (see parseSearch)
+const termMatches = (tokens, { words, prefix }) => {
+  const terms = words.map(word => word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase());
+  const ranges = [];
+  for (let i = 0; i + terms.length <= tokens.length; i++) {
+    const matched = terms.every((term, offset) => {
+      const { word } = tokens[i + offset];
+      return prefix && offset === terms.length - 1 ? word.startsWith(term) : word === term;
+    });
+    if (matched) {
+      ranges.push({ start: tokens[i].start, end: tokens[i + terms.length - 1].end });
+    }
+  }
+  return ranges;
+};
+
+// Wrap matched ranges of a text in the match markers
+const highlight = (text, ranges) => {
+  let result = '';
+  let position = 0;
+  for (const { start, end } of [...ranges].sort((a, b) => a.start - b.start)) {
+    if (start < position) continue;
+    result += text.slice(position, start) + MATCH_START + text.slice(start, end) + MATCH_END;
+    position = end;
+  }
+  return result + text.slice(position);
+};
+
+// Search columns of a task matching every included term, or null when it
+// does not match
+const searchMatch = (task, include) => {
+  const titleTokens = tokenize(task.title);
+  const descriptionTokens = tokenize(task.description);
+  const titleRanges = [];
+  const descriptionRanges = [];
+  let score = 0;
+
+  for (const term of include) {
+    const inTitle = termMatches(titleTokens, term);
+    const inDescription = termMatches(descriptionTokens, term);
+    if (inTitle.length === 0 && inDescription.length === 0) {
+      return null;
+    }
+    score += inTitle.length * 10 + inDescription.length;
+    titleRanges.push(...inTitle);
+    descriptionRanges.push(...inDescription);
+  }
+
+  return {
+    relevance: -score,
+    search_title: highlight(task.title, titleRanges),
+    search_snippet: task.description ? highlight(task.description, descriptionRanges) : null
+  };
+};
+
+const matchesAny = (task, terms) => terms.some(term => (
+  termMatches(tokenize(task.title), term).length > 0 || termMatches(tokenize(task.description), term).length > 0
+));
+
+// Compare two rows by sort keys; values as in sortValue
+const compareBy = (sortKeys) => (a, b) => {
+  for (const key of sortKeys) {
+    const x = sortValue(a, key.column);
+    const y = sortValue(b, key.column);
+    if (x !== y) {
+      const order = x < y ? -1 : 1;
+      return key.desc ? -order : order;
+    }
+  }
+  return 0;
+};
+
+// A row holding the sort key values of a cursor, to compare rows with
+const cursorRow = (sortKeys, values) => Object.fromEntries(sortKeys.map((key, index) => [
+  key.column,
+  key.column === 'priority' ? PRIORITIES[values[index]] : values[index]
+]));
+
+const createMemoryTaskRepository = () => {
+  let store = { tasks: new Map(), taskTags: [], dependencies: [], nextId: 1 };
+
+  const copy = (task) => Object.fromEntries(TASK_COLUMNS.map(column => [column, task[column] ?? null]));
+  const live = () => [...store.tasks.values()].filter(task => task.deleted_at === null);
+  const tagsOf = (taskId) => store.taskTags.filter(row => row.task_id === taskId).map(row => row.tag_id);
+
+  // Ids of a task and all of its subtasks, at any depth
+  const descendantIds = (id) => {
+    const ids = [id];
+    for (let i = 0; i < ids.length; i++) {
+      for (const task of store.tasks.values()) {
+        if (task.parent_id === ids[i] && !ids.includes(task.id)) {
+          ids.push(task.id);
+        }
+      }
+    }
+    return ids;
+  };
+
+  // Whether a live task passes the filters of a list query, status aside
+  const matchesFilters = (task, query) => {
+    if (task.owner_id !== query.ownerId || query.empty) {
+      return false;
+    }
+    const { priority, project, parent, tags } = query;
+    if (priority.include.length > 0 && !priority.include.includes(task.priority)) return false;
+    if (priority.exclude.includes(task.priority)) return false;
+
+    if (project) {
+      const inProject = task.project_id === project.id;
+      if (project.negated ? inProject : !inProject) return false;
+    }
+
+    if (parent === 'none' && task.parent_id !== null) return false;
+    if (parent !== 'none' && parent !== 'any' && task.parent_id !== parent) return false;
+
+    const assigned = tagsOf(task.id);
+    if (tags.include.length > 0) {
+      const found = tags.include.filter(tagId => assigned.includes(tagId)).length;
+      if (tags.all ? found < tags.include.length : found === 0) return false;
+    }
+    if (tags.exclude.some(tagId => assigned.includes(tagId))) return false;
+
+    const dueDay = toDay(task.due_date);
+    if (query.dueAfter && !(dueDay && dueDay >= toDay(query.dueAfter))) return false;
+    if (query.dueBefore && !(dueDay && dueDay <= toDay(query.dueBefore))) return false;
+    if (query.createdAfter && !(task.created_at > query.createdAfter)) return false;
+    if (query.updatedSince && !(task.updated_at >= query.updatedSince)) return false;
+    if (query.hasDueDate !== null && Boolean(task.due_date) !== query.hasDueDate) return false;
+
+    if (query.overdue !== null) {
+      const overdue = Boolean(dueDay) && dueDay < toDay(query.today) && !query.doneStatuses.includes(task.status);
+      if (overdue !== query.overdue) return false;
+    }
+
+    if (query.search?.exclude && matchesAny(task, query.search.exclude)) return false;
+    return true;
+  };
+
+  const matchesStatus = (task, { status }) => (
+    (status.include.length === 0 || status.include.includes(task.status)) && !status.exclude.includes(task.status)
+  );
+
+  // Run work on the store, putting back a copy taken beforehand unless it
+  // succeeds
+  const isolated = async (work, keep = () => true) => {
+    const snapshot = structuredClone(store);
+    let result;
+    try {
+      result = await work();
+    } catch (err) {
+      store = snapshot;
+      throw err;
+    }
+    if (!keep(result)) {
+      store = snapshot;
+    }
+    return result;
+  };
+
+  const repository = {
+    // Ids continue after those of earlier runs still referred to in SQLite
+    init: async () => {
+      store.nextId = await latestReferencedTaskId() + 1;
+      console.log('Tasks are kept in memory and will be lost when the server stops');
+    },
+
+    close: async () => {},
+
+    findById: async (id, ownerId, { trashed = false } = {}) => {
+      const task = store.tasks.get(toId(id));
+      if (!task || task.owner_id !== ownerId || (task.deleted_at !== null) !== trashed) {
+        return null;
+      }
+      return copy(task);
+    },
+
+    findByIds: async (ids, ownerId) => live()
+      .filter(task => task.owner_id === ownerId && ids.includes(task.id))
+      .map(copy),
+
+    list: async (query, { limit = DEFAULT_LIMIT, after, before, counts = true } = {}) => {
+      const smart = query.sortKeys.some(key => key.column === 'smart');
+      const rows = [];
+      for (const task of live()) {
+        if (!matchesFilters(task, query)) continue;
+        const row = copy(task);
+        if (query.search?.include) {
+          const match = searchMatch(task, query.search.include);
+          if (!match) continue;
+          Object.assign(row, match);
+        }
+        if (smart) {
+          row.smart = smartScore(task, query.today, query.doneStatuses);
+        }
+        rows.push(row);
+      }
+
+      // Status counts ignore the status filter so every status can be shown
+      let statusCounts = null;
+      if (counts) {
+        statusCounts = {};
+        for (const row of rows) {
+          statusCounts[row.status] = (statusCounts[row.status] || 0) + 1;
+        }
+      }
+      let matching = rows.filter(row => matchesStatus(row, query));
+      const total = counts ? matching.length : null;
+
+      const { sortKeys, sort } = query;
+      const compare = compareBy(sortKeys);
+      const backwards = Boolean(before);
+      const cursorToken = after || before;
+      if (cursorToken) {
+        const values = decodeCursor(cursorToken, sortKeys, sort);
+        if (!values) {
+          return { error: 'Invalid or expired cursor' };
+        }
+        const position = cursorRow(sortKeys, values);
+        matching = matching.filter(row => (backwards ? compare(row, position) < 0 : compare(row, position) > 0));
+      }
+
+      matching.sort((a, b) => (backwards ? compare(b, a) : compare(a, b)));
+      return { ...toPage(matching.slice(0, limit + 1), query, { limit, after, before }), total, statusCounts };
+    },
+
+    listSubtasks: async (parentId) => live()
+      .filter(task => task.parent_id === toId(parentId))
+      .sort((a, b) => (a.created_at === b.created_at ? a.id - b.id : a.created_at < b.created_at ? -1 : 1))
+      .map(copy),
+
+    listTrash: async (ownerId) => [...store.tasks.values()]
+      .filter((task) => {
+        if (task.owner_id !== ownerId || task.deleted_at === null) {
+          return false;
+        }
+        const parent = store.tasks.get(task.parent_id);
+        return !parent || parent.deleted_at === null || parent.deleted_at !== task.deleted_at;
+      })
+      .sort((a, b) => (a.deleted_at === b.deleted_at ? b.id - a.id : a.deleted_at < b.deleted_at ? 1 : -1))
+      .map(copy),
+
+    listExpiredTrash: async (before) => {
+      const cutoff = toTimestamp(before);
+      return [...store.tasks.values()]
+        .filter(task => task.deleted_at !== null && task.deleted_at <= cutoff)
+        .map(copy);
+    },
+
+    listWithReminders: async ({ dueFrom, dueTo, doneStatuses }) => live()
+      .filter((task) => {
+        const dueDay = toDay(task.due_date);
+        return task.reminders !== null && dueDay && !doneStatuses.includes(task.status) &&
+          dueDay >= dueFrom && dueDay <= dueTo;
+      })
+      .map(copy),
+
+    insert: async (ownerId, fields) => {
+      const now = toTimestamp();
+      const id = store.nextId++;
+      store.tasks.set(id, {
+        ...Object.fromEntries(WRITABLE_COLUMNS.map(column => [column, fields[column] ?? null])),
+        id,
+        owner_id: ownerId,
+        deleted_at: null,
+        version: 1,
+        created_at: now,
+        updated_at: now
+      });
+      return id;
+    },
+
+    update: async (id, fields, { version } = {}) => {
+      const task = store.tasks.get(toId(id));
+      if (!task || (version !== undefined && task.version !== version)) {
+        return false;
+      }
+      for (const column of WRITABLE_COLUMNS.filter(name => name in fields)) {
+        task[column] = fields[column] ?? null;
+      }
+      task.version++;
+      task.updated_at = toTimestamp();
+      return true;
+    },
+
+    trash: async (id) => {
+      const deletedAt = new Date().toISOString().replace('T', ' ').slice(0, 23);
+      for (const taskId of descendantIds(toId(id))) {
+        const task = store.tasks.get(taskId);
+        if (task && task.deleted_at === null) {
+          task.deleted_at = deletedAt;
+          task.version++;
+        }
+      }
+      return deletedAt;
+    },
+
+    restore: async (trashed) => {
+      for (const taskId of descendantIds(trashed.id)) {
+        const task = store.tasks.get(taskId);
+        if (task && task.deleted_at === trashed.deleted_at) {
+          task.deleted_at = null;
+          task.version++;
+        }
+      }
+    },
+
+    purge: async (id) => {
+      const ids = descendantIds(toId(id));
+      ids.forEach(taskId => store.tasks.delete(taskId));
+      store.taskTags = store.taskTags.filter(row => !ids.includes(row.task_id));
+      store.dependencies = store.dependencies.filter(row => !ids.includes(row.task_id) && !ids.includes(row.blocked_by_id));
+      return ids;
+    },
+
+    isSelfOrDescendant: async (id, candidateId) => descendantIds(toId(id)).includes(toId(candidateId)),
+
+    countOpenSubtasks: async (id, doneStatuses) => live()
+      .filter(task => task.parent_id === toId(id) && !doneStatuses.includes(task.status))
+      .length,
+
+    tagIds: async (taskIds) => store.taskTags
+      .filter(row => taskIds.includes(row.task_id))
+      .map(row => ({ ...row })),
+
+    setTags: async (taskId, tagIds) => {
+      store.taskTags = [
+        ...store.taskTags.filter(row => row.task_id !== taskId),
+        ...tagIds.map(tagId => ({ task_id: taskId, tag_id: tagId }))
+      ];
+    },
+
+    removeTag: async (tagId) => {
+      store.taskTags = store.taskTags.filter(row => row.tag_id !== toId(tagId));
+    },
+
+    countByTag: async (ownerId) => {
+      const counts = new Map();
+      for (const row of store.taskTags) {
+        const task = store.tasks.get(row.task_id);
+        if (task && task.owner_id === ownerId && task.deleted_at === null) {
+          counts.set(row.tag_id, (counts.get(row.tag_id) || 0) + 1);
+        }
+      }
+      return counts;
+    },
+
+    countByProject: async (ownerId) => {
+      const counts = new Map();
+      for (const task of live()) {
+        if (task.owner_id === ownerId && task.project_id !== null) {
+          counts.set(task.project_id, (counts.get(task.project_id) || 0) + 1);
+        }
+      }
+      return counts;
+    },
+
+    clearProject: async (projectId) => {
+      for (const task of store.tasks.values()) {
+        if (task.project_id === toId(projectId)) {
+          task.project_id = null;
+        }
+      }
+    },
+
+    claimUnowned: async (ownerId) => {
+      const unowned = [...store.tasks.values()].filter(task => task.owner_id === null);
+      for (const task of unowned) {
+        task.owner_id = ownerId;
+      }
+      return unowned.length;
+    },
+
+    progress: async (taskIds, completeStatuses) => taskIds
+      .map((parentId) => {
+        const subtasks = live().filter(task => task.parent_id === parentId);
+        return {
+          parent_id: parentId,
+          total: subtasks.length,
+          completed: subtasks.filter(task => completeStatuses.includes(task.status)).length
+        };
+      })
+      .filter(row => row.total > 0),
+
+    blockers: async (taskIds) => store.dependencies
+      .filter(row => taskIds.includes(row.task_id))
+      .map(row => ({ task_id: row.task_id, blocker: store.tasks.get(row.blocked_by_id) }))
+      .filter(({ blocker }) => blocker && blocker.deleted_at === null)
+      .sort((a, b) => a.blocker.id - b.blocker.id)
+      .map(({ task_id: taskId, blocker }) => ({ task_id: taskId, id: blocker.id, title: blocker.title, status: blocker.status })),
+
+    blocking: async (taskId) => store.dependencies
+      .filter(row => row.blocked_by_id === toId(taskId))
+      .map(row => store.tasks.get(row.task_id))
+      .filter(task => task && task.deleted_at === null)
+      .sort((a, b) => a.id - b.id)
+      .map(task => ({ id: task.id, title: task.title, status: task.status })),
+
+    addDependency: async (taskId, blockerId) => {
+      store.dependencies.push({ task_id: taskId, blocked_by_id: blockerId, created_at: toTimestamp() });
+    },
+
+    removeDependency: async (taskId, blockerId) => {
+      const before = store.dependencies.length;
+      store.dependencies = store.dependencies.filter(row => (
+        row.task_id !== toId(taskId) || row.blocked_by_id !== toId(blockerId)
+      ));
+      return store.dependencies.length < before;
+    },
+
+    wouldCreateCycle: async (taskId, blockerId) => {
+      const upstream = [blockerId];
+      for (let i = 0; i < upstream.length; i++) {
+        for (const row of store.dependencies) {
+          if (row.task_id === upstream[i] && !upstream.includes(row.blocked_by_id)) {
+            upstream.push(row.blocked_by_id);
+          }
+        }
+      }
+      return upstream.includes(taskId);
+    },
+
+    // Writes to SQLite made by the work (history, webhooks) are rolled back
+    // together with the tasks
+    transaction: (work) => withTransaction(() => isolated(work)),
+
+    savepoint: (work, keep = () => true) => withSavepoint(() => isolated(work, keep), keep)
+  };
+
+  // Putting back the store undoes every change made since the copy, so
+  // calls from outside a transaction wait for it to end, queued with the
+  // SQLite statements
+  const UNQUEUED = ['init', 'close', 'transaction', 'savepoint'];
+  return Object.fromEntries(Object.entries(repository).map(([name, method]) => [
+    name,
+    UNQUEUED.includes(name) ? method : (...args) => exclusive(() => method(...args))
+  ]));
+};
+
+module.exports = {
+  createMemoryTaskRepository,
+};
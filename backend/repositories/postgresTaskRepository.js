@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Pool } = require('pg');
+const { withTransaction, withSavepoint } = require('../db');
+const { loadMigrations } = require('../db/migrate');
+const { MATCH_START, MATCH_END } = require('../utils/search');
+const { createSqlTaskRepository } = require('./sqlTaskRepository');
+const { latestReferencedTaskId } = require('./sqliteTaskRepository');
+
+// Tasks stored in a PostgreSQL database, selected with a postgres:// URL.
+// The schema comes from the migrations in db/migrations/postgres, applied
+// on init.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations', 'postgres');
+
+// ts_headline() options: whole titles, and description snippets of about
+// the length SQLite's snippet() returns
+const TITLE_HEADLINE = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, HighlightAll=true`;
+const SNIPPET_HEADLINE = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MinWords=12, MaxWords=24`;
+
+// Search matches joined to the task list, ranked with title hits weighted
+// above description hits. ts_rank() is higher for better matches, so it is
+// negated to sort like bm25().
+const SEARCH_MATCHES_SQL = `
+  JOIN (
+    SELECT t.id AS task_id,
+           -ts_rank('{0.1, 0.1, 0.1, 1.0}', t.search_vector, q.query) AS relevance,
+           ts_headline('english', t.title, q.query, ?) AS search_title,
+           CASE WHEN COALESCE(t.description, '') = '' THEN NULL
+                ELSE ts_headline('english', t.description, q.query, ?) END AS search_snippet
+    FROM tasks t, (SELECT to_tsquery('english', ?) AS query) q
+    WHERE t.search_vector @@ q.query
+  ) search_matches ON search_matches.task_id = tasks.id
+`;
+
+// A parsed search term as a tsquery: its words in sequence, the last one
+// as a prefix unless the term is a quoted phrase
+const toTsQuery = ({ words, prefix }) => words
+  .map((word, index) => `'${word}'${prefix && index === words.length - 1 ? ':*' : ''}`)
+  .join(' <-> ');
+
+const dialect = {
+  day: (expr) => `task_day(${expr})`,
+  dayDiff: (later, earlier) => `(${later} - ${earlier})`,
+  least: (a, b) => `LEAST(${a}, ${b})`,
+  greatest: (a, b) => `GREATEST(${a}, ${b})`,
+  integer: (expr) => `CAST(TRUNC(${expr}) AS INTEGER)`,
+  count: 'CAST(COUNT(*) AS INTEGER)',
+  searchMatches: (include) => ({
+    sql: SEARCH_MATCHES_SQL,
+    params: [TITLE_HEADLINE, SNIPPET_HEADLINE, include.map(toTsQuery).join(' & ')]
+  }),
+  searchExcludes: (exclude) => ({
+    sql: "NOT (search_vector @@ to_tsquery('english', ?))",
+    params: [exclude.map(toTsQuery).join(' | ')]
+  })
+};
+
+// Number `?` placeholders as $1, $2...
+const toPostgresSql = (sql) => {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+};
+
+const createPostgresTaskRepository = (url) => {
+  const pool = new Pool({ connectionString: url });
+  // An idle client losing its connection must not take the server down
+  pool.on('error', (err) => console.error('PostgreSQL connection error:', err));
+
+  // The transaction being run, if any: its client and how many savepoints
+  // are open in it
+  const transactionContext = new AsyncLocalStorage();
+  const execute = (sql, params = []) => (
+    transactionContext.getStore()?.client || pool
+  ).query(toPostgresSql(sql), params);
+
+  // Run work on one client inside BEGIN/COMMIT, rolling back if it throws
+  const inTransaction = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await transactionContext.run({ client, savepoints: 0 }, work);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  // Run work in a savepoint of the open transaction, rolled back if it
+  // throws or unless keep(result) holds. Savepoints get a name per nesting
+  // level, so one can be opened inside another.
+  const inSavepoint = async (work, keep) => {
+    const transaction = transactionContext.getStore();
+    const name = `task_savepoint_${++transaction.savepoints}`;
+    try {
+      await execute(`SAVEPOINT ${name}`);
+      let result;
+      try {
+        result = await work();
+      } catch (err) {
+        await execute(`ROLLBACK TO SAVEPOINT ${name}`);
+        throw err;
+      }
+      if (!keep(result)) {
+        await execute(`ROLLBACK TO SAVEPOINT ${name}`);
+      }
+      await execute(`RELEASE SAVEPOINT ${name}`);
+      return result;
+    } finally {
+      transaction.savepoints--;
+    }
+  };
+
+  // Work on tasks usually writes history and webhooks to SQLite as well,
+  // so transactions and savepoints are paired with SQLite ones, committed
+  // or rolled back together
+  const driver = {
+    query: async (sql, params) => (await execute(sql, params)).rows,
+    run: async (sql, params) => ({ changes: (await execute(sql, params)).rowCount }),
+    insert: async (sql, params) => (await execute(`${sql} RETURNING id`, params)).rows[0].id,
+    transaction: (work) => withTransaction(() => inTransaction(work)),
+    savepoint: (work, keep = () => true) => {
+      if (!transactionContext.getStore()) {
+        return driver.transaction(() => driver.savepoint(work, keep));
+      }
+      return withSavepoint(() => inSavepoint(work, keep), keep);
+    }
+  };
+
+  // Apply every pending migration in order, each in its own transaction
+  // together with its schema_migrations row. Resolves with those applied.
+  const migrate = async () => {
+    await pool.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version INTEGER PRIMARY KEY,
+         name TEXT NOT NULL,
+         applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+       )`
+    );
+    const { rows } = await pool.query('SELECT version FROM schema_migrations');
+    const applied = new Set(rows.map(row => row.version));
+    const pending = loadMigrations(MIGRATIONS_DIR).filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      const script = fs.readFileSync(migration.up, 'utf8');
+      await inTransaction(async () => {
+        await execute(script);
+        await execute('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      }).catch((err) => {
+        err.message = `PostgreSQL migration ${migration.version} (${migration.name}) failed: ${err.message}`;
+        throw err;
+      });
+    }
+    return pending;
+  };
+
+  // Move the id sequence past the ids of tasks SQLite still has rows of,
+  // e.g. from before tasks were moved here
+  const skipReferencedIds = async () => {
+    const latest = await latestReferencedTaskId();
+    await execute(
+      `SELECT setval('tasks_id_seq', ?) FROM tasks_id_seq
+       WHERE ? > CASE WHEN is_called THEN last_value ELSE last_value - 1 END`,
+      [latest, latest]
+    );
+  };
+
+  const init = async () => {
+    try {
+      const applied = await migrate();
+      applied.forEach(({ version, name }) => console.log(`Applied PostgreSQL migration ${version} (${name})`));
+      await skipReferencedIds();
+      console.log('Tasks are stored in PostgreSQL');
+    } catch (err) {
+      console.error('Error initializing PostgreSQL task storage:', err);
+      throw err;
+    }
+  };
+
+  return createSqlTaskRepository({ driver, dialect, init, close: () => pool.end() });
+};
+
+module.exports = {
+  createPostgresTaskRepository,
+};
@@ -0,0 +1,576 @@
+const { PRIORITIES, toTimestamp, toPage, decodeCursor, DEFAULT_LIMIT } = require('./taskQuery');
+
+// Task repository over a SQL database, shared by the SQLite and PostgreSQL
+// backends. The statements stick to SQL both understand; what differs is
+// left to a `dialect` (date arithmetic, full-text search) and a `driver`
+// that runs statements with `?` placeholders:
+//   query(sql, params)     resolves with the rows
+//   run(sql, params)       resolves with { changes }
+//   insert(sql, params)    resolves with the id of the inserted row
+//   transaction(work)      runs work in a transaction
+//   savepoint(work, keep)  runs work in a savepoint, rolled back unless
+//                          keep(result) holds
+// Timestamps are written from here, in the 'YYYY-MM-DD HH:MM:SS' format of
+// the created_at/updated_at columns, so both databases store the same text.
+
+// Columns of a task row, in order
+const TASK_COLUMNS = [
+  'id', 'title', 'description', 'status', 'priority', 'due_date', 'owner_id', 'project_id', 'parent_id',
+  'recurrence', 'reminders', 'deleted_at', 'version', 'created_at', 'updated_at'
+];
+
+// Columns written on insert and update
+const WRITABLE_COLUMNS = [
+  'title', 'description', 'status', 'priority', 'due_date', 'project_id', 'parent_id', 'recurrence', 'reminders'
+];
+
+const TASK_COLUMNS_SQL = TASK_COLUMNS.map(column => `tasks.${column}`).join(', ');
+const SELECT_TASKS = `SELECT ${TASK_COLUMNS_SQL} FROM tasks`;
+
+// A priority's position in PRIORITIES, for ordering
+const PRIORITY_RANK_SQL = `(CASE priority ${PRIORITIES.map((priority, rank) => `WHEN '${priority}' THEN ${rank}`).join(' ')} END)`;
+
+// Sort columns mapped to the SQL expression used for ordering. Nullable
+// columns are coalesced so that cursor comparisons never have to deal
+// with NULL.
+const SORT_EXPRESSIONS = {
+  title: 'title',
+  status: 'status',
+  priority: PRIORITY_RANK_SQL,
+  due_date: "COALESCE(due_date, '')",
+  created_at: 'created_at',
+  updated_at: 'updated_at',
+  relevance: 'search_matches.relevance',
+  smart: 'smart_scores.smart',
+  id: 'id'
+};
+
+// Ids of a task and all of its subtasks, at any depth
+const DESCENDANTS_SQL = `
+  WITH RECURSIVE descendants(id) AS (
+    SELECT CAST(? AS INTEGER)
+    UNION
+    SELECT t.id FROM tasks t JOIN descendants d ON t.parent_id = d.id
+  )
+  SELECT id FROM descendants
+`;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// `expr IN (...)` over a list of values, adding them to params. An empty
+// list matches nothing, or everything when negated.
+const inList = (expr, values, params, { not = false } = {}) => {
+  if (values.length === 0) {
+    return not ? '1 = 1' : '1 = 0';
+  }
+  params.push(...values);
+  return `${expr} ${not ? 'NOT IN' : 'IN'} (${placeholders(values)})`;
+};
+
+// Route parameters arrive as strings; anything that is not a whole number
+// cannot be a task id
+const toId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) ? id : null;
+};
+
+// Smart ordering scores joined to the task list. Priority counts 10 points
+// per level, an overdue task 35 plus a point per day late (up to 15), a task
+// due within two weeks 2 points per day closer, and age a point per three
+// days (up to 10); finished tasks sink to the bottom. Days are whole days
+// from the query's today, so the order and its cursors hold for the whole
+// day. The score is negated so that ascending order puts the most pressing
+// first. Only the owner's live tasks are scored.
+const smartScoresSql = (dialect, { today, doneStatuses, ownerId }, params) => {
+  const dueDay = dialect.day('due_date');
+  const done = inList('status', doneStatuses, params);
+  params.push(today, ownerId);
+  return `
+    JOIN (
+      SELECT tasks.id AS task_id,
+             -${dialect.integer(`
+               ${PRIORITY_RANK_SQL} * 10
+               + COALESCE(CASE
+                   WHEN COALESCE(due_date, '') = '' THEN 0
+                   WHEN ${dueDay} < today.day
+                     THEN 35 + ${dialect.least(dialect.dayDiff('today.day', dueDay), 15)}
+                   ELSE ${dialect.greatest(`14 - ${dialect.dayDiff(dueDay, 'today.day')}`, 0)} * 2
+                 END, 0)
+               + ${dialect.least(dialect.dayDiff('today.day', dialect.day('created_at')), 30)} / 3.0
+               - CASE WHEN ${done} THEN 1000 ELSE 0 END`)} AS smart
+      FROM tasks, (SELECT ${dialect.day('?')} AS day) today
+      WHERE owner_id = ? AND deleted_at IS NULL
+    ) smart_scores ON smart_scores.task_id = tasks.id
+  `;
+};
+
+// Build the FROM clause, conditions and columns of a task list query
+const buildListSql = (dialect, query) => {
+  const fromParams = [];
+  const columns = [TASK_COLUMNS_SQL];
+  let from = 'tasks';
+
+  // Matching tasks are joined in with their rank and highlights
+  if (query.search?.include) {
+    const matches = dialect.searchMatches(query.search.include);
+    from += matches.sql;
+    fromParams.push(...matches.params);
+    columns.push('search_matches.relevance', 'search_matches.search_title', 'search_matches.search_snippet');
+  }
+  if (query.sortKeys.some(key => key.column === 'smart')) {
+    from += smartScoresSql(dialect, query, fromParams);
+    columns.push('smart_scores.smart');
+  }
+
+  const params = [query.ownerId];
+  const conditions = ['owner_id = ?', 'deleted_at IS NULL'];
+
+  if (query.empty) {
+    conditions.push('1 = 0');
+  }
+
+  if (query.priority.include.length > 0) {
+    conditions.push(inList('priority', query.priority.include, params));
+  }
+  if (query.priority.exclude.length > 0) {
+    conditions.push(inList('priority', query.priority.exclude, params, { not: true }));
+  }
+
+  if (query.project) {
+    const { id, negated } = query.project;
+    if (id === null) {
+      conditions.push(`project_id IS ${negated ? 'NOT ' : ''}NULL`);
+    } else {
+      conditions.push(negated ? '(project_id IS NULL OR project_id != ?)' : 'project_id = ?');
+      params.push(id);
+    }
+  }
+
+  if (query.parent === 'none') {
+    conditions.push('parent_id IS NULL');
+  } else if (query.parent !== 'any') {
+    conditions.push('parent_id = ?');
+    params.push(query.parent);
+  }
+
+  const { tags } = query;
+  if (tags.include.length > 0) {
+    let tagQuery = `SELECT task_id FROM task_tags WHERE ${inList('tag_id', tags.include, params)}`;
+    if (tags.all) {
+      tagQuery += ' GROUP BY task_id HAVING COUNT(*) = ?';
+      params.push(tags.include.length);
+    }
+    conditions.push(`id IN (${tagQuery})`);
+  }
+  if (tags.exclude.length > 0) {
+    conditions.push(`id NOT IN (SELECT task_id FROM task_tags WHERE ${inList('tag_id', tags.exclude, params)})`);
+  }
+
+  if (query.dueAfter) {
+    conditions.push(`${dialect.day('due_date')} >= ${dialect.day('?')}`);
+    params.push(query.dueAfter);
+  }
+  if (query.dueBefore) {
+    conditions.push(`${dialect.day('due_date')} <= ${dialect.day('?')}`);
+    params.push(query.dueBefore);
+  }
+  if (query.createdAfter) {
+    conditions.push('created_at > ?');
+    params.push(query.createdAfter);
+  }
+  if (query.updatedSince) {
+    conditions.push('updated_at >= ?');
+    params.push(query.updatedSince);
+  }
+  if (query.hasDueDate !== null) {
+    conditions.push(query.hasDueDate ? "COALESCE(due_date, '') != ''" : "COALESCE(due_date, '') = ''");
+  }
+
+  // Open tasks due before today
+  if (query.overdue !== null) {
+    const overdueParams = [query.today];
+    const overdue = `(COALESCE(due_date, '') != '' AND ${dialect.day('due_date')} < ${dialect.day('?')}
+      AND ${inList('status', query.doneStatuses, overdueParams, { not: true })})`;
+    conditions.push(query.overdue ? overdue : `NOT ${overdue}`);
+    params.push(...overdueParams);
+  }
+
+  if (query.search?.exclude) {
+    const excluded = dialect.searchExcludes(query.search.exclude);
+    conditions.push(excluded.sql);
+    params.push(...excluded.params);
+  }
+
+  // The status filter is kept apart so status counts can ignore it
+  const statusConditions = [];
+  const statusParams = [];
+  if (query.status.include.length > 0) {
+    statusConditions.push(inList('status', query.status.include, statusParams));
+  }
+  if (query.status.exclude.length > 0) {
+    statusConditions.push(inList('status', query.status.exclude, statusParams, { not: true }));
+  }
+
+  return { from, columns, conditions, params: [...fromParams, ...params], statusConditions, statusParams };
+};
+
+// Build a keyset condition selecting rows strictly after (or before) the
+// cursor position, e.g. for (a ASC, id DESC):
+//   (a > ?) OR (a = ? AND id < ?)
+const buildCursorCondition = (sortKeys, values, backwards) => {
+  const clauses = [];
+  const params = [];
+
+  sortKeys.forEach((key, index) => {
+    const parts = [];
+    for (let i = 0; i < index; i++) {
+      parts.push(`${SORT_EXPRESSIONS[sortKeys[i].column]} = ?`);
+      params.push(values[i]);
+    }
+    const forward = key.desc ? '<' : '>';
+    const backward = key.desc ? '>' : '<';
+    parts.push(`${SORT_EXPRESSIONS[key.column]} ${backwards ? backward : forward} ?`);
+    params.push(values[index]);
+    clauses.push(`(${parts.join(' AND ')})`);
+  });
+
+  return { sql: `(${clauses.join(' OR ')})`, params };
+};
+
+const buildOrderBy = (sortKeys, backwards) => sortKeys
+  .map(key => `${SORT_EXPRESSIONS[key.column]} ${key.desc !== backwards ? 'DESC' : 'ASC'}`)
+  .join(', ');
+
+// Row counts by the value of a column, e.g. tasks per project, as a Map
+const countsBy = (rows, column) => new Map(rows.map(row => [row[column], row.count]));
+
+const createSqlTaskRepository = ({ driver, dialect, init = async () => {}, close = async () => {} }) => {
+  const { query: runQuery, run: runCommand } = driver;
+
+  const findById = async (id, ownerId, { trashed = false } = {}) => {
+    const taskId = toId(id);
+    if (taskId === null) {
+      return null;
+    }
+    const rows = await runQuery(
+      `${SELECT_TASKS} WHERE id = ? AND owner_id = ? AND deleted_at IS ${trashed ? 'NOT NULL' : 'NULL'}`,
+      [taskId, ownerId]
+    );
+    return rows[0] || null;
+  };
+
+  return {
+    init,
+
+    // Release the database connections, e.g. at the end of a test run
+    close,
+
+    // Load a task by id, scoped to the task owner. Trashed tasks are only
+    // returned when `trashed` is set.
+    findById,
+
+    // Load the live tasks of an owner with the given ids, in no particular order
+    findByIds: async (ids, ownerId) => {
+      if (ids.length === 0) {
+        return [];
+      }
+      return runQuery(
+        `${SELECT_TASKS} WHERE owner_id = ? AND deleted_at IS NULL AND id IN (${placeholders(ids)})`,
+        [ownerId, ...ids]
+      );
+    },
+
+    // One page of a task list query (see buildTaskListQuery) after or before
+    // a cursor, with the total and per-status counts unless `counts` is off.
+    // Resolves with an `error` for a cursor that does not fit the query.
+    list: async (query, { limit = DEFAULT_LIMIT, after, before, counts = true } = {}) => {
+      const listSql = buildListSql(dialect, query);
+      const { from, columns } = listSql;
+      let { conditions, params } = listSql;
+      const { sortKeys, sort } = query;
+
+      let statusCounts = null;
+      let total = null;
+      if (counts) {
+        // Status counts ignore the status filter so every status can be shown
+        const rows = await runQuery(
+          `SELECT status, ${dialect.count} AS count FROM ${from} WHERE ${conditions.join(' AND ')} GROUP BY status`,
+          params
+        );
+        statusCounts = Object.fromEntries(rows.map(row => [row.status, row.count]));
+      }
+
+      conditions = [...conditions, ...listSql.statusConditions];
+      params = [...params, ...listSql.statusParams];
+
+      if (counts) {
+        [{ total }] = await runQuery(
+          `SELECT ${dialect.count} AS total FROM ${from} WHERE ${conditions.join(' AND ')}`,
+          params
+        );
+      }
+
+      const cursorToken = after || before;
+      const backwards = Boolean(before);
+      if (cursorToken) {
+        const values = decodeCursor(cursorToken, sortKeys, sort);
+        if (!values) {
+          return { error: 'Invalid or expired cursor' };
+        }
+        const cursor = buildCursorCondition(sortKeys, values, backwards);
+        conditions = [...conditions, cursor.sql];
+        params = [...params, ...cursor.params];
+      }
+
+      // Fetch one extra row to know whether another page exists
+      const rows = await runQuery(
+        `SELECT ${columns.join(', ')} FROM ${from} WHERE ${conditions.join(' AND ')}` +
+          ` ORDER BY ${buildOrderBy(sortKeys, backwards)} LIMIT ?`,
+        [...params, limit + 1]
+      );
+
+      return { ...toPage(rows, query, { limit, after, before }), total, statusCounts };
+    },
+
+    // The live direct subtasks of a task, oldest first
+    listSubtasks: (parentId) => runQuery(
+      `${SELECT_TASKS} WHERE parent_id = ? AND deleted_at IS NULL ORDER BY created_at ASC, id ASC`,
+      [toId(parentId)]
+    ),
+
+    // An owner's trashed tasks, most recently deleted first. Subtasks
+    // trashed together with their parent are left out.
+    listTrash: (ownerId) => runQuery(
+      `${SELECT_TASKS}
+       LEFT JOIN tasks p ON p.id = tasks.parent_id
+       WHERE tasks.owner_id = ? AND tasks.deleted_at IS NOT NULL
+         AND (p.id IS NULL OR p.deleted_at IS NULL OR p.deleted_at != tasks.deleted_at)
+       ORDER BY tasks.deleted_at DESC, tasks.id DESC`,
+      [ownerId]
+    ),
+
+    // Trashed tasks of every owner deleted at or before a date
+    listExpiredTrash: (before) => runQuery(
+      `${SELECT_TASKS} WHERE deleted_at IS NOT NULL AND deleted_at <= ?`,
+      [toTimestamp(before)]
+    ),
+
+    // Live open tasks of every owner with reminders and a due date between
+    // two days
+    listWithReminders: ({ dueFrom, dueTo, doneStatuses }) => {
+      const params = [];
+      const open = inList('status', doneStatuses, params, { not: true });
+      return runQuery(
+        `${SELECT_TASKS}
+         WHERE deleted_at IS NULL AND reminders IS NOT NULL AND COALESCE(due_date, '') != '' AND ${open}
+           AND ${dialect.day('due_date')} BETWEEN ${dialect.day('?')} AND ${dialect.day('?')}`,
+        [...params, dueFrom, dueTo]
+      );
+    },
+
+    // Insert a task for an owner and resolve with its id
+    insert: (ownerId, fields) => {
+      const now = toTimestamp();
+      return driver.insert(
+        `INSERT INTO tasks (${WRITABLE_COLUMNS.join(', ')}, owner_id, created_at, updated_at)
+         VALUES (${placeholders(WRITABLE_COLUMNS)}, ?, ?, ?)`,
+        [...WRITABLE_COLUMNS.map(column => fields[column] ?? null), ownerId, now, now]
+      );
+    },
+
+    // Write fields of a task, bumping its version. With `version` the write
+    // only happens if the task is still at that version. Resolves with
+    // whether the task was written.
+    update: async (id, fields, { version } = {}) => {
+      const columns = WRITABLE_COLUMNS.filter(column => column in fields);
+      const params = [...columns.map(column => fields[column] ?? null), toTimestamp(), toId(id)];
+      if (version !== undefined) {
+        params.push(version);
+      }
+      const result = await runCommand(
+        `UPDATE tasks SET ${columns.map(column => `${column} = ?, `).join('')}version = version + 1, updated_at = ?
+         WHERE id = ?${version !== undefined ? ' AND version = ?' : ''}`,
+        params
+      );
+      return result.changes > 0;
+    },
+
+    // Move a task and its live subtasks to the trash. They share one
+    // millisecond-precision deleted_at value so they can be restored
+    // together. Resolves with that value.
+    trash: async (id) => {
+      const deletedAt = new Date().toISOString().replace('T', ' ').slice(0, 23);
+      await runCommand(
+        `UPDATE tasks SET deleted_at = ?, version = version + 1 WHERE deleted_at IS NULL AND id IN (${DESCENDANTS_SQL})`,
+        [deletedAt, toId(id)]
+      );
+      return deletedAt;
+    },
+
+    // Restore a trashed task together with the subtasks trashed alongside it
+    restore: async (task) => {
+      await runCommand(
+        `UPDATE tasks SET deleted_at = NULL, version = version + 1 WHERE deleted_at = ? AND id IN (${DESCENDANTS_SQL})`,
+        [task.deleted_at, task.id]
+      );
+    },
+
+    // Permanently delete a task with its subtasks, tags and dependencies.
+    // Resolves with the ids of the deleted tasks.
+    purge: async (id) => {
+      const rows = await runQuery(DESCENDANTS_SQL, [toId(id)]);
+      await runCommand('DELETE FROM tasks WHERE id = ?', [toId(id)]);
+      return rows.map(row => row.id);
+    },
+
+    // Whether candidateId is the task itself or one of its descendants
+    isSelfOrDescendant: async (id, candidateId) => {
+      const rows = await runQuery(
+        `WITH RECURSIVE descendants(id) AS (
+           SELECT CAST(? AS INTEGER)
+           UNION
+           SELECT t.id FROM tasks t JOIN descendants d ON t.parent_id = d.id
+         )
+         SELECT 1 FROM descendants WHERE id = ? LIMIT 1`,
+        [toId(id), toId(candidateId)]
+      );
+      return rows.length > 0;
+    },
+
+    // Count the live subtasks of a task not in one of the done statuses
+    countOpenSubtasks: async (id, doneStatuses) => {
+      const params = [toId(id)];
+      const [{ open }] = await runQuery(
+        `SELECT ${dialect.count} AS open FROM tasks
+         WHERE parent_id = ? AND deleted_at IS NULL AND ${inList('status', doneStatuses, params, { not: true })}`,
+        params
+      );
+      return open;
+    },
+
+    // Tag ids assigned to tasks, as { task_id, tag_id } rows
+    tagIds: (taskIds) => (taskIds.length === 0 ? [] : runQuery(
+      `SELECT task_id, tag_id FROM task_tags WHERE task_id IN (${placeholders(taskIds)})`,
+      taskIds
+    )),
+
+    // Replace the tags assigned to a task
+    setTags: async (taskId, tagIds) => {
+      await runCommand('DELETE FROM task_tags WHERE task_id = ?', [taskId]);
+      for (const tagId of tagIds) {
+        await runCommand('INSERT INTO task_tags (task_id, tag_id) VALUES (?, ?)', [taskId, tagId]);
+      }
+    },
+
+    // Unassign a deleted tag from every task
+    removeTag: async (tagId) => {
+      await runCommand('DELETE FROM task_tags WHERE tag_id = ?', [toId(tagId)]);
+    },
+
+    // Live tasks of an owner per tag id
+    countByTag: async (ownerId) => countsBy(await runQuery(
+      `SELECT tt.tag_id, ${dialect.count} AS count
+       FROM task_tags tt JOIN tasks t ON t.id = tt.task_id
+       WHERE t.owner_id = ? AND t.deleted_at IS NULL
+       GROUP BY tt.tag_id`,
+      [ownerId]
+    ), 'tag_id'),
+
+    // Live tasks of an owner per project id
+    countByProject: async (ownerId) => countsBy(await runQuery(
+      `SELECT project_id, ${dialect.count} AS count
+       FROM tasks
+       WHERE owner_id = ? AND deleted_at IS NULL AND project_id IS NOT NULL
+       GROUP BY project_id`,
+      [ownerId]
+    ), 'project_id'),
+
+    // Unassign a deleted project from its tasks
+    clearProject: async (projectId) => {
+      await runCommand('UPDATE tasks SET project_id = NULL WHERE project_id = ?', [toId(projectId)]);
+    },
+
+    // Give the tasks without an owner, from before accounts existed, to an
+    // owner. Resolves with how many there were.
+    claimUnowned: async (ownerId) => (
+      await runCommand('UPDATE tasks SET owner_id = ? WHERE owner_id IS NULL', [ownerId])
+    ).changes,
+
+    // Live subtask counts of parent tasks, as { parent_id, total, completed }
+    // rows where completed counts those in one of the complete statuses
+    progress: (taskIds, completeStatuses) => {
+      if (taskIds.length === 0) {
+        return [];
+      }
+      const params = [];
+      const complete = inList('status', completeStatuses, params);
+      return runQuery(
+        `SELECT parent_id, ${dialect.count} AS total,
+                CAST(SUM(CASE WHEN ${complete} THEN 1 ELSE 0 END) AS INTEGER) AS completed
+         FROM tasks WHERE parent_id IN (${placeholders(taskIds)}) AND deleted_at IS NULL
+         GROUP BY parent_id`,
+        [...params, ...taskIds]
+      );
+    },
+
+    // Live tasks blocking each of the given tasks, as { task_id, id, title, status } rows
+    blockers: (taskIds) => (taskIds.length === 0 ? [] : runQuery(
+      `SELECT d.task_id, t.id, t.title, t.status
+       FROM task_dependencies d JOIN tasks t ON t.id = d.blocked_by_id
+       WHERE d.task_id IN (${placeholders(taskIds)}) AND t.deleted_at IS NULL
+       ORDER BY t.id ASC`,
+      taskIds
+    )),
+
+    // Live tasks blocked by a task, as { id, title, status } rows
+    blocking: (taskId) => runQuery(
+      `SELECT t.id, t.title, t.status
+       FROM task_dependencies d JOIN tasks t ON t.id = d.task_id
+       WHERE d.blocked_by_id = ? AND t.deleted_at IS NULL
+       ORDER BY t.id ASC`,
+      [toId(taskId)]
+    ),
+
+    // Mark a task as blocked by another
+    addDependency: async (taskId, blockerId) => {
+      await runCommand(
+        'INSERT INTO task_dependencies (task_id, blocked_by_id, created_at) VALUES (?, ?, ?)',
+        [taskId, blockerId, toTimestamp()]
+      );
+    },
+
+    // Remove a dependency, resolving with whether it existed
+    removeDependency: async (taskId, blockerId) => {
+      const result = await runCommand(
+        'DELETE FROM task_dependencies WHERE task_id = ? AND blocked_by_id = ?',
+        [toId(taskId), toId(blockerId)]
+      );
+      return result.changes > 0;
+    },
+
+    // Whether blockerId already depends, directly or transitively, on
+    // taskId; adding "taskId blocked by blockerId" would then close a cycle
+    wouldCreateCycle: async (taskId, blockerId) => {
+      const rows = await runQuery(
+        `WITH RECURSIVE upstream(id) AS (
+           SELECT CAST(? AS INTEGER)
+           UNION
+           SELECT d.blocked_by_id FROM task_dependencies d JOIN upstream u ON d.task_id = u.id
+         )
+         SELECT 1 FROM upstream WHERE id = ? LIMIT 1`,
+        [blockerId, taskId]
+      );
+      return rows.length > 0;
+    },
+
+    transaction: driver.transaction,
+    savepoint: driver.savepoint
+  };
+};
+
+module.exports = {
+  TASK_COLUMNS,
+  WRITABLE_COLUMNS,
+  toId,
+  createSqlTaskRepository,
+};
@@ -0,0 +1,65 @@
+const { runQuery, runCommand, withTransaction, withSavepoint } = require('../db');
+const { MATCH_START, MATCH_END, buildMatchQuery } = require('../utils/search');
+const { createSqlTaskRepository } = require('./sqlTaskRepository');
+
+// Tasks stored in the application's SQLite database, next to everything
+// else. The schema comes from the migrations in db/migrations.
+
+// Search matches joined to the task list, ranked with title hits weighted
+// above description hits
+const SEARCH_MATCHES_SQL = `
+  JOIN (
+    SELECT rowid AS task_id,
+           bm25(tasks_fts, 10.0, 1.0) AS relevance,
+           highlight(tasks_fts, 0, ?, ?) AS search_title,
+           snippet(tasks_fts, 1, ?, ?, '…', 24) AS search_snippet
+    FROM tasks_fts WHERE tasks_fts MATCH ?
+  ) search_matches ON search_matches.task_id = tasks.id
+`;
+
+const dialect = {
+  day: (expr) => `date(${expr})`,
+  dayDiff: (later, earlier) => `(julianday(${later}) - julianday(${earlier}))`,
+  least: (a, b) => `MIN(${a}, ${b})`,
+  greatest: (a, b) => `MAX(${a}, ${b})`,
+  integer: (expr) => `CAST(${expr} AS INTEGER)`,
+  count: 'COUNT(*)',
+  searchMatches: (include) => ({
+    sql: SEARCH_MATCHES_SQL,
+    params: [MATCH_START, MATCH_END, MATCH_START, MATCH_END, buildMatchQuery({ include }).include]
+  }),
+  searchExcludes: (exclude) => ({
+    sql: 'id NOT IN (SELECT rowid FROM tasks_fts WHERE tasks_fts MATCH ?)',
+    params: [buildMatchQuery({ exclude }).exclude]
+  })
+};
+
+const driver = {
+  query: runQuery,
+  run: runCommand,
+  insert: async (sql, params) => (await runCommand(sql, params)).id,
+  transaction: withTransaction,
+  savepoint: withSavepoint
+};
+
+const createSqliteTaskRepository = () => createSqlTaskRepository({ driver, dialect });
+
+// The highest task id that rows in SQLite refer to (history, comments,
+// notifications, reminders), or 0. Backends keeping tasks elsewhere start
+// their ids above it, so a new task never picks up the rows of an old one.
+const latestReferencedTaskId = async () => {
+  const [{ latest }] = await runQuery(
+    `SELECT MAX(task_id) AS latest FROM (
+       SELECT MAX(task_id) AS task_id FROM task_events
+       UNION ALL SELECT MAX(task_id) FROM comments
+       UNION ALL SELECT MAX(task_id) FROM notifications
+       UNION ALL SELECT MAX(task_id) FROM reminder_log
+     )`
+  );
+  return latest || 0;
+};
+
+module.exports = {
+  createSqliteTaskRepository,
+  latestReferencedTaskId,
+};
@@ -0,0 +1,195 @@
+const { parseSearch } = require('../utils/search');
+
+// Task list queries, shared by every task repository. The list parameters
+// of GET /api/tasks are turned into a plain description of the filters,
+// order and page here; each repository then runs it its own way.
+
+// Task priorities from least to most pressing
+const PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+
+// Columns a task list can be sorted by. Relevance is the rank of a search
+// match, where lower is a better match; smart is likewise lowest for the
+// task to work on first.
+const SORTABLE_COLUMNS = ['title', 'status', 'priority', 'due_date', 'created_at', 'updated_at', 'relevance', 'smart'];
+
+const DEFAULT_SORT = '-created_at';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Parse a sort string such as "due_date,-created_at" into sort keys.
+// The task id is always appended as a tie-breaker so cursors are stable.
+const parseSort = (sortParam) => {
+  const keys = [];
+
+  for (const part of sortParam.split(',')) {
+    const field = part.trim();
+    if (!field) continue;
+
+    const desc = field.startsWith('-');
+    const column = desc ? field.slice(1) : field;
+    if (!SORTABLE_COLUMNS.includes(column)) {
+      return null;
+    }
+    if (!keys.some(key => key.column === column)) {
+      keys.push({ column, desc });
+    }
+  }
+
+  if (keys.length === 0) {
+    return null;
+  }
+
+  keys.push({ column: 'id', desc: keys[0].desc });
+  return keys;
+};
+
+// The value of a row's sort key; priority sorts by its rank and a missing
+// due date as an empty string
+const sortValue = (row, column) => (
+  column === 'priority' ? PRIORITIES.indexOf(row.priority) : row[column] ?? ''
+);
+
+// Cursors are opaque base64 tokens holding the sort key values of a row
+const encodeCursor = (row, sortKeys, sort) => {
+  const values = sortKeys.map(key => sortValue(row, key.column));
+  return Buffer.from(JSON.stringify({ s: sort, v: values })).toString('base64');
+};
+
+const decodeCursor = (token, sortKeys, sort) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+    if (cursor.s !== sort || !Array.isArray(cursor.v) || cursor.v.length !== sortKeys.length) {
+      return null;
+    }
+    return cursor.v;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Split a comma-separated filter such as "pending,!completed" into the
+// values to include and the values (prefixed with !) to exclude
+const parseListFilter = (value) => {
+  const include = [];
+  const exclude = [];
+  for (const part of (value || '').split(',')) {
+    const item = part.trim();
+    if (item.startsWith('!')) {
+      if (item.length > 1) exclude.push(item.slice(1));
+    } else if (item) {
+      include.push(item);
+    }
+  }
+  return { include: [...new Set(include)], exclude: [...new Set(exclude)] };
+};
+
+// A date in the format of the created_at/updated_at columns (UTC)
+const toTimestamp = (value = new Date()) => new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+
+// Build a task list query from validated list parameters. Tag names are
+// looked up in `tagIds` (lower-cased name to id) since tags are not part of
+// the task store. Returns an `error` for a request that cannot be listed,
+// such as a search with nothing searchable in it. The query is `empty`
+// when it cannot match anything, e.g. for a tag that does not exist.
+const buildTaskListQuery = (ownerId, params, { tagIds = new Map(), workflow }) => {
+  const search = params.search ? parseSearch(params.search) : null;
+  // Searches are ranked by relevance unless another order is asked for
+  const sort = params.sort || (search?.include ? 'relevance' : DEFAULT_SORT);
+  const sortKeys = parseSort(sort);
+
+  if (params.search && !search) {
+    return { error: 'Search must include a word or "quoted phrase" to search for' };
+  }
+  if (sortKeys.some(key => key.column === 'relevance') && !search?.include) {
+    return { error: 'Sorting by relevance requires a search' };
+  }
+
+  let empty = false;
+
+  // "all" requires every named tag to be assigned, "any" at least one;
+  // tags prefixed with ! must not be assigned
+  const tagFilter = parseListFilter((params.tags || '').toLowerCase());
+  const all = params.tag_mode === 'all';
+  const includeTags = tagFilter.include.map(name => tagIds.get(name)).filter(Boolean);
+  if (tagFilter.include.length > 0 && (all ? includeTags.length < tagFilter.include.length : includeTags.length === 0)) {
+    empty = true;
+  }
+
+  let project = null;
+  if (params.project) {
+    const negated = params.project.startsWith('!');
+    const value = negated ? params.project.slice(1) : params.project;
+    project = { id: value === 'none' ? null : parseInt(value, 10), negated };
+  }
+
+  const parent = params.parent || 'none';
+
+  return {
+    ownerId,
+    status: parseListFilter(params.status),
+    priority: parseListFilter(params.priority),
+    project,
+    // Only top-level tasks are listed by default
+    parent: parent === 'none' || parent === 'any' ? parent : parseInt(parent, 10),
+    tags: {
+      include: includeTags,
+      exclude: tagFilter.exclude.map(name => tagIds.get(name)).filter(Boolean),
+      all
+    },
+    // Due date bounds are inclusive days
+    dueAfter: params.due_after || null,
+    dueBefore: params.due_before || null,
+    createdAfter: params.created_after ? toTimestamp(params.created_after) : null,
+    updatedSince: params.updated_since ? toTimestamp(params.updated_since) : null,
+    hasDueDate: params.has_due_date === undefined ? null : params.has_due_date === 'true',
+    overdue: params.overdue === undefined ? null : params.overdue === 'true',
+    // Overdue and smart ordering are judged against the client's date when
+    // it sends one
+    today: params.today || new Date().toISOString().slice(0, 10),
+    doneStatuses: workflow.doneStatuses,
+    search,
+    empty,
+    sort,
+    sortKeys
+  };
+};
+
+// Turn the rows read for a page, in page order and with one extra row to
+// tell whether another page exists, into the page and its cursors
+const toPage = (rows, { sort, sortKeys }, { limit, after, before }) => {
+  const backwards = Boolean(before);
+  const hasMore = rows.length > limit;
+  const tasks = rows.slice(0, limit);
+  if (backwards) {
+    tasks.reverse();
+  }
+
+  const first = tasks[0];
+  const last = tasks[tasks.length - 1];
+  let nextCursor = null;
+  let prevCursor = null;
+
+  if (backwards) {
+    nextCursor = last ? encodeCursor(last, sortKeys, sort) : null;
+    prevCursor = hasMore ? encodeCursor(first, sortKeys, sort) : null;
+  } else {
+    nextCursor = hasMore ? encodeCursor(last, sortKeys, sort) : null;
+    prevCursor = after && first ? encodeCursor(first, sortKeys, sort) : null;
+  }
+
+  return { tasks, nextCursor, prevCursor };
+};
+
+module.exports = {
+  PRIORITIES,
+  SORTABLE_COLUMNS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseSort,
+  sortValue,
+  decodeCursor,
+  parseListFilter,
+  toTimestamp,
+  buildTaskListQuery,
+  toPage,
+};
@@ -0,0 +1,459 @@
+const { runQuery, runCommand } = require('../db');
+const { initDb } = require('../db/migrate');
+const { createTaskRepository } = require('.');
+const { buildTaskListQuery } = require('./taskQuery');
+
+// The behaviour every task repository shares, run against each backend.
+// PostgreSQL is included when TEST_DATABASE_URL points at a database.
+const BACKENDS = [
+  ['memory', 'memory:'],
+  ['sqlite', 'sqlite:']
+];
+if (/^postgres(ql)?:\/\//.test(process.env.TEST_DATABASE_URL || '')) {
+  BACKENDS.push(['postgres', process.env.TEST_DATABASE_URL]);
+}
+
+// Tasks left in PostgreSQL by an earlier run would belong to the users of
+// this one, whose SQLite database starts out empty, so they are removed
+const emptyPostgres = async (url) => {
+  const { Pool } = require('pg');
+  const pool = new Pool({ connectionString: url });
+  try {
+    await pool.query('TRUNCATE tasks, task_tags, task_dependencies');
+  } finally {
+    await pool.end();
+  }
+};
+
+const WORKFLOW = { doneStatuses: ['completed', 'cancelled'] };
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await initDb();
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+let users = 0;
+const createUser = async () => (await runCommand(
+  "INSERT INTO users (email, password_hash) VALUES (?, 'not a hash')",
+  [`owner${++users}@example.com`]
+)).id;
+
+describe.each(BACKENDS)('%s task repository', (name, url) => {
+  let repository;
+  let ownerId;
+
+  beforeAll(async () => {
+    repository = createTaskRepository(url);
+    await repository.init();
+    if (name === 'postgres') {
+      await emptyPostgres(url);
+    }
+  });
+
+  afterAll(() => repository.close());
+
+  // Each test works with the tasks of a new owner
+  beforeEach(async () => {
+    ownerId = await createUser();
+  });
+
+  const insert = (fields = {}, owner = ownerId) => repository.insert(owner, {
+    title: 'Task',
+    status: 'pending',
+    priority: 'none',
+    ...fields
+  });
+
+  const createTag = async (tagName) => (await runCommand(
+    'INSERT INTO tags (owner_id, name) VALUES (?, ?)',
+    [ownerId, tagName]
+  )).id;
+
+  const list = (params = {}, page = {}, { tagIds } = {}) => repository.list(
+    buildTaskListQuery(ownerId, params, { workflow: WORKFLOW, tagIds }),
+    page
+  );
+
+  const titles = async (params, page, options) => (await list(params, page, options)).tasks.map(task => task.title);
+
+  describe('tasks', () => {
+    test('are found by id for their owner only', async () => {
+      const id = await insert({ title: 'Write report', description: 'Quarterly', due_date: '2024-05-01' });
+
+      const task = await repository.findById(id, ownerId);
+      expect(task).toMatchObject({
+        id,
+        title: 'Write report',
+        description: 'Quarterly',
+        status: 'pending',
+        priority: 'none',
+        due_date: '2024-05-01',
+        owner_id: ownerId,
+        project_id: null,
+        parent_id: null,
+        deleted_at: null,
+        version: 1
+      });
+      expect(task.created_at).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+
+      expect(await repository.findById(id, await createUser())).toBeNull();
+      expect(await repository.findById('not-an-id', ownerId)).toBeNull();
+      expect(await repository.findById(String(id), ownerId)).toMatchObject({ id });
+    });
+
+    test('are updated only while at the expected version', async () => {
+      const id = await insert({ title: 'Draft' });
+
+      expect(await repository.update(id, { title: 'Final' }, { version: 1 })).toBe(true);
+      expect(await repository.update(id, { title: 'Stale' }, { version: 1 })).toBe(false);
+      expect(await repository.update(id, { priority: 'high' })).toBe(true);
+
+      expect(await repository.findById(id, ownerId)).toMatchObject({ title: 'Final', priority: 'high', version: 3 });
+    });
+
+    test('are found in bulk, leaving out other owners and the trash', async () => {
+      const kept = await insert({ title: 'Kept' });
+      const trashed = await insert({ title: 'Trashed' });
+      const foreign = await insert({ title: 'Foreign' }, await createUser());
+      await repository.trash(trashed);
+
+      const found = await repository.findByIds([kept, trashed, foreign], ownerId);
+      expect(found.map(task => task.id)).toEqual([kept]);
+    });
+  });
+
+  describe('lists', () => {
+    test('filter by status, priority, project, parent and due date', async () => {
+      const projectId = (await runCommand('INSERT INTO projects (owner_id, name) VALUES (?, ?)', [ownerId, 'Home'])).id;
+      const parent = await insert({ title: 'Parent', priority: 'high', due_date: '2024-05-01', project_id: projectId });
+      await insert({ title: 'Child', parent_id: parent });
+      await insert({ title: 'Done', status: 'completed', priority: 'low', due_date: '2024-06-01' });
+      await insert({ title: 'Loose', priority: 'urgent' });
+
+      const sorted = { sort: 'title' };
+      expect(await titles(sorted)).toEqual(['Done', 'Loose', 'Parent']);
+      expect(await titles({ ...sorted, status: '!completed' })).toEqual(['Loose', 'Parent']);
+      expect(await titles({ ...sorted, priority: 'high,urgent' })).toEqual(['Loose', 'Parent']);
+      expect(await titles({ ...sorted, project: String(projectId) })).toEqual(['Parent']);
+      expect(await titles({ ...sorted, project: '!none' })).toEqual(['Parent']);
+      expect(await titles({ ...sorted, parent: String(parent) })).toEqual(['Child']);
+      expect(await titles({ ...sorted, parent: 'any' })).toEqual(['Child', 'Done', 'Loose', 'Parent']);
+      expect(await titles({ ...sorted, due_after: '2024-05-15' })).toEqual(['Done']);
+      expect(await titles({ ...sorted, due_before: '2024-05-01' })).toEqual(['Parent']);
+      expect(await titles({ ...sorted, has_due_date: 'false' })).toEqual(['Loose']);
+      expect(await titles({ ...sorted, overdue: 'true', today: '2024-07-01' })).toEqual(['Parent']);
+    });
+
+    test('filter by any or all of the tags, and by tags left out', async () => {
+      const work = await createTag('work');
+      const urgent = await createTag('urgent');
+      const tagIds = new Map([['work', work], ['urgent', urgent]]);
+      await repository.setTags(await insert({ title: 'Both' }), [work, urgent]);
+      await repository.setTags(await insert({ title: 'Work' }), [work]);
+      await insert({ title: 'None' });
+
+      const options = { tagIds };
+      expect(await titles({ sort: 'title', tags: 'work,urgent' }, {}, options)).toEqual(['Both', 'Work']);
+      expect(await titles({ sort: 'title', tags: 'work,urgent', tag_mode: 'all' }, {}, options)).toEqual(['Both']);
+      expect(await titles({ sort: 'title', tags: '!urgent' }, {}, options)).toEqual(['None', 'Work']);
+      expect(await titles({ sort: 'title', tags: 'unknown' }, {}, options)).toEqual([]);
+    });
+
+    test('count tasks per status regardless of the status filter', async () => {
+      await insert({ status: 'pending' });
+      await insert({ status: 'pending' });
+      await insert({ status: 'completed' });
+
+      const page = await list({ status: 'completed' });
+      expect(page.total).toBe(1);
+      expect(page.statusCounts).toEqual({ pending: 2, completed: 1 });
+    });
+
+    test('page forwards and backwards with cursors', async () => {
+      for (const title of ['e', 'c', 'a', 'd', 'b']) {
+        await insert({ title });
+      }
+
+      const first = await list({ sort: 'title' }, { limit: 2 });
+      expect(first.tasks.map(task => task.title)).toEqual(['a', 'b']);
+      expect(first.prevCursor).toBeNull();
+
+      const second = await list({ sort: 'title' }, { limit: 2, after: first.nextCursor });
+      expect(second.tasks.map(task => task.title)).toEqual(['c', 'd']);
+
+      const third = await list({ sort: 'title' }, { limit: 2, after: second.nextCursor });
+      expect(third.tasks.map(task => task.title)).toEqual(['e']);
+      expect(third.nextCursor).toBeNull();
+
+      const back = await list({ sort: 'title' }, { limit: 2, before: third.prevCursor });
+      expect(back.tasks.map(task => task.title)).toEqual(['c', 'd']);
+
+      const descending = await list({ sort: '-title' }, { limit: 3 });
+      expect(descending.tasks.map(task => task.title)).toEqual(['e', 'd', 'c']);
+    });
+
+    test('sort by priority rank and by what to work on next', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const day = (offset) => new Date(Date.parse(today) + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      await insert({ title: 'Urgent, no due date', priority: 'urgent' });
+      await insert({ title: 'Three days late', due_date: day(-3) });
+      await insert({ title: 'High, due in five days', priority: 'high', due_date: `${day(5)}T09:00:00Z` });
+      await insert({ title: 'Medium, done', priority: 'medium', status: 'completed', due_date: day(-1) });
+      await insert({ title: 'Low, due in three weeks', priority: 'low', due_date: day(21) });
+
+      expect(await titles({ sort: '-priority' })).toEqual([
+        'Urgent, no due date', 'High, due in five days', 'Medium, done', 'Low, due in three weeks', 'Three days late'
+      ]);
+
+      const smart = [
+        'High, due in five days', 'Urgent, no due date', 'Three days late', 'Low, due in three weeks', 'Medium, done'
+      ];
+      expect(await titles({ sort: 'smart', today })).toEqual(smart);
+
+      const first = await list({ sort: 'smart', today }, { limit: 2 });
+      const second = await list({ sort: 'smart', today }, { limit: 3, after: first.nextCursor });
+      expect([...first.tasks, ...second.tasks].map(task => task.title)).toEqual(smart);
+
+      // A week on, the late task has overtaken the urgent one
+      expect(await titles({ sort: 'smart', today: day(7) })).toEqual([
+        'High, due in five days', 'Three days late', 'Urgent, no due date', 'Low, due in three weeks', 'Medium, done'
+      ]);
+    });
+
+    test('reject a cursor made for another order', async () => {
+      await insert();
+      await insert();
+      const { nextCursor } = await list({ sort: 'title' }, { limit: 1 });
+
+      expect(await list({ sort: 'priority' }, { after: nextCursor })).toEqual({ error: 'Invalid or expired cursor' });
+    });
+
+    test('search titles and descriptions by word prefix, phrase and exclusion', async () => {
+      await insert({ title: 'Deploy api server', description: 'ship the release notes' });
+      await insert({ title: 'Release notes draft', description: 'for the deployment' });
+      await insert({ title: 'Buy milk' });
+
+      // Matches in the title rank above matches in the description
+      expect(await titles({ search: 'note' })).toEqual(['Release notes draft', 'Deploy api server']);
+      expect(await titles({ search: '"release notes" -draft' })).toEqual(['Deploy api server']);
+      expect(await titles({ search: 'mil' })).toEqual(['Buy milk']);
+      expect(await titles({ search: 'nothing' })).toEqual([]);
+
+      const [match] = (await list({ search: 'milk' })).tasks;
+      expect(match.search_title).toContain('milk');
+    });
+  });
+
+  describe('trash', () => {
+    test('takes subtasks along and restores them together', async () => {
+      const parent = await insert({ title: 'Parent' });
+      const child = await insert({ title: 'Child', parent_id: parent });
+
+      await repository.trash(parent);
+      expect(await repository.findById(child, ownerId)).toBeNull();
+      expect((await repository.listTrash(ownerId)).map(task => task.id)).toEqual([parent]);
+
+      const trashed = await repository.findById(parent, ownerId, { trashed: true });
+      await repository.restore(trashed);
+      expect(await repository.findById(parent, ownerId)).not.toBeNull();
+      expect(await repository.findById(child, ownerId)).not.toBeNull();
+    });
+
+    test('purges a task with its subtasks', async () => {
+      const parent = await insert({ title: 'Parent' });
+      const child = await insert({ title: 'Child', parent_id: parent });
+      await repository.trash(parent);
+
+      expect((await repository.purge(parent)).sort((a, b) => a - b)).toEqual([parent, child]);
+      expect(await repository.findById(parent, ownerId, { trashed: true })).toBeNull();
+      expect(await repository.findById(child, ownerId, { trashed: true })).toBeNull();
+    });
+
+    test('lists tasks trashed long enough ago to purge', async () => {
+      const id = await insert();
+      await repository.trash(id);
+
+      const expired = async (before) => (await repository.listExpiredTrash(before)).map(task => task.id);
+      expect(await expired(new Date(Date.now() - 60 * 1000))).not.toContain(id);
+      expect(await expired(new Date(Date.now() + 60 * 1000))).toContain(id);
+    });
+  });
+
+  describe('subtasks', () => {
+    test('are counted while open and reported as progress', async () => {
+      const parent = await insert();
+      await insert({ parent_id: parent, status: 'completed' });
+      await insert({ parent_id: parent, status: 'pending' });
+
+      expect(await repository.countOpenSubtasks(parent, WORKFLOW.doneStatuses)).toBe(1);
+      expect(await repository.progress([parent], ['completed'])).toEqual([{ parent_id: parent, total: 2, completed: 1 }]);
+      expect(await repository.isSelfOrDescendant(parent, parent)).toBe(true);
+      expect((await repository.listSubtasks(parent)).map(task => task.status)).toEqual(['completed', 'pending']);
+    });
+  });
+
+  describe('owners', () => {
+    // PostgreSQL requires an owner, so it never has tasks to claim
+    test('claim the tasks without an owner', async () => {
+      const owned = await insert({ title: 'Owned' }, await createUser());
+      const unowned = name === 'postgres' ? [] : [await insert({ title: 'Unowned' }, null)];
+
+      expect(await repository.claimUnowned(ownerId)).toBe(unowned.length);
+      expect(await repository.claimUnowned(ownerId)).toBe(0);
+
+      expect((await repository.findByIds([owned, ...unowned], ownerId)).map(task => task.id)).toEqual(unowned);
+    });
+  });
+
+  describe('tags and projects', () => {
+    test('are assigned, counted and removed', async () => {
+      const work = await createTag('work');
+      const home = await createTag('home');
+      const id = await insert();
+      await repository.setTags(id, [work, home]);
+      await repository.setTags(await insert(), [work]);
+
+      expect((await repository.tagIds([id])).map(row => row.tag_id).sort((a, b) => a - b)).toEqual([work, home]);
+      expect((await repository.countByTag(ownerId)).get(work)).toBe(2);
+
+      await repository.removeTag(work);
+      expect((await repository.tagIds([id])).map(row => row.tag_id)).toEqual([home]);
+
+      const projectId = (await runCommand('INSERT INTO projects (owner_id, name) VALUES (?, ?)', [ownerId, 'Home'])).id;
+      await repository.update(id, { project_id: projectId });
+      expect((await repository.countByProject(ownerId)).get(projectId)).toBe(1);
+      await repository.clearProject(projectId);
+      expect(await repository.findById(id, ownerId)).toMatchObject({ project_id: null });
+    });
+  });
+
+  describe('dependencies', () => {
+    test('are listed both ways and removed', async () => {
+      const task = await insert({ title: 'Ship' });
+      const blocker = await insert({ title: 'Test' });
+      await repository.addDependency(task, blocker);
+
+      expect(await repository.blockers([task])).toEqual([{ task_id: task, id: blocker, title: 'Test', status: 'pending' }]);
+      expect(await repository.blocking(blocker)).toEqual([{ id: task, title: 'Ship', status: 'pending' }]);
+
+      expect(await repository.removeDependency(task, blocker)).toBe(true);
+      expect(await repository.removeDependency(task, blocker)).toBe(false);
+      expect(await repository.blockers([task])).toEqual([]);
+    });
+
+    test('tell when a new one would close a cycle', async () => {
+      const a = await insert();
+      const b = await insert();
+      const c = await insert();
+      await repository.addDependency(a, b);
+      await repository.addDependency(b, c);
+
+      // b blocked by a, while a waits for b
+      expect(await repository.wouldCreateCycle(b, a)).toBe(true);
+      // c blocked by a, while a waits for b, which waits for c
+      expect(await repository.wouldCreateCycle(c, a)).toBe(true);
+      expect(await repository.wouldCreateCycle(a, c)).toBe(false);
+    });
+  });
+
+  describe('reminders', () => {
+    test('are looked for among open tasks due in a window', async () => {
+      const due = await insert({ due_date: '2024-05-02', reminders: '[60]' });
+      await insert({ due_date: '2024-05-02', reminders: '[60]', status: 'completed' });
+      await insert({ due_date: '2024-05-02' });
+      await insert({ due_date: '2024-08-01', reminders: '[60]' });
+
+      const found = await repository.listWithReminders({
+        dueFrom: '2024-05-01',
+        dueTo: '2024-05-03',
+        doneStatuses: WORKFLOW.doneStatuses
+      });
+      expect(found.filter(task => task.owner_id === ownerId).map(task => task.id)).toEqual([due]);
+    });
+  });
+
+  describe('transactions', () => {
+    const recordEvent = (taskId) => runCommand(
+      "INSERT INTO task_events (task_id, owner_id, action, task_title, changes) VALUES (?, ?, 'created', 'Task', '{}')",
+      [taskId, ownerId]
+    );
+    const eventCount = async () => (await runQuery('SELECT COUNT(*) AS count FROM task_events WHERE owner_id = ?', [ownerId]))[0].count;
+
+    test('commit their work', async () => {
+      const id = await repository.transaction(async () => {
+        const taskId = await insert({ title: 'Committed' });
+        await recordEvent(taskId);
+        return taskId;
+      });
+
+      expect(await repository.findById(id, ownerId)).toMatchObject({ title: 'Committed' });
+      expect(await eventCount()).toBe(1);
+    });
+
+    test('roll back tasks and SQLite writes together when the work throws', async () => {
+      await expect(repository.transaction(async () => {
+        await recordEvent(await insert({ title: 'Rolled back' }));
+        throw new Error('Failed');
+      })).rejects.toThrow('Failed');
+
+      expect(await titles()).toEqual([]);
+      expect(await eventCount()).toBe(0);
+    });
+
+    test('roll back savepoints that are not kept, and nothing else', async () => {
+      await repository.transaction(async () => {
+        await insert({ title: 'Kept' });
+        await repository.savepoint(async () => {
+          await recordEvent(await insert({ title: 'Dropped' }));
+          return 'dropped';
+        }, result => result !== 'dropped');
+        await expect(repository.savepoint(async () => {
+          await insert({ title: 'Thrown' });
+          await repository.savepoint(() => insert({ title: 'Nested' }));
+          throw new Error('Failed');
+        })).rejects.toThrow('Failed');
+        await repository.savepoint(() => insert({ title: 'Also kept' }));
+      });
+
+      expect(await titles({ sort: 'title' })).toEqual(['Also kept', 'Kept']);
+      expect(await eventCount()).toBe(0);
+    });
+
+    test('do not take writes made outside them down when rolled back', async () => {
+      let release;
+      const released = new Promise((resolve) => {
+        release = resolve;
+      });
+
+      const rolledBack = repository.transaction(async () => {
+        await insert({ title: 'Inside' });
+        await released;
+        throw new Error('Failed');
+      });
+      const outside = Promise.all([insert({ title: 'Outside' }), recordEvent(0)]);
+      release();
+
+      await expect(rolledBack).rejects.toThrow('Failed');
+      await outside;
+      expect(await titles()).toEqual(['Outside']);
+      expect(await eventCount()).toBe(1);
+    });
+
+    test('run one after another with savepoints of their own', async () => {
+      const transfer = (title) => repository.transaction(async () => {
+        await repository.savepoint(() => insert({ title: `${title} one` }));
+        await repository.savepoint(async () => {
+          await insert({ title: `${title} two` });
+          throw new Error('Failed');
+        }).catch(() => {});
+      });
+
+      await Promise.all([transfer('A'), transfer('B'), transfer('C')]);
+      expect(await titles({ sort: 'title' })).toEqual(['A one', 'B one', 'C one']);
+    });
+  });
+});
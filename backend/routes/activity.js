@@ -0,0 +1,27 @@
+const express = require('express');
+const handleValidation = require('../middleware/validate');
+const { validateEventQuery, listTaskEvents } = require('../utils/taskEvents');
+
+const router = express.Router();
+
+// GET /api/activity - Get the change history of all the user's tasks, newest first
+router.get('/', validateEventQuery, handleValidation, async (req, res, next) => {
+  try {
+    const { limit, cursor } = req.query;
+    const page = await listTaskEvents({ ownerId: req.user.id, limit, cursor });
+
+    res.json({
+      success: true,
+      data: page.events,
+      count: page.events.length,
+      pagination: {
+        limit: page.limit,
+        next_cursor: page.nextCursor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+
+beforeAll(setUpDatabase);
+
+const actions = (res) => res.body.data.map(event => event.action);
+
+describe('GET /api/tasks/:id/history', () => {
+  let api;
+  let user;
+
+  beforeAll(async () => {
+    ({ api, user } = await signUp({ name: 'Grace' }));
+  });
+
+  test('records who changed which fields, newest first', async () => {
+    const task = (await api.post('/api/tasks').send({ title: 'Draft', priority: 'low' })).body.data;
+    await api.patch(`/api/tasks/${task.id}`).send({ title: 'Final draft', priority: 'high' });
+    await api.patch(`/api/tasks/${task.id}/status`).send({ status: 'completed' });
+
+    const res = await api.get(`/api/tasks/${task.id}/history`);
+
+    expect(res.status).toBe(200);
+    expect(actions(res)).toEqual(['status_changed', 'updated', 'created']);
+    const [statusChanged, updated, created] = res.body.data;
+    expect(statusChanged.changes).toEqual({ status: { from: 'pending', to: 'completed' } });
+    expect(updated).toMatchObject({
+      task_id: task.id,
+      task_title: 'Final draft',
+      actor: { id: user.id, name: 'Grace', email: user.email },
+      changes: {
+        title: { from: 'Draft', to: 'Final draft' },
+        priority: { from: 'low', to: 'high' }
+      }
+    });
+    expect(created.changes).toMatchObject({ title: { from: null, to: 'Draft' }, status: { from: null, to: 'pending' } });
+  });
+
+  test('does not record updates that change nothing', async () => {
+    const task = (await api.post('/api/tasks').send({ title: 'Same' })).body.data;
+    await api.patch(`/api/tasks/${task.id}`).send({ title: 'Same' });
+
+    expect(actions(await api.get(`/api/tasks/${task.id}/history`))).toEqual(['created']);
+  });
+
+  test('records tags by name', async () => {
+    const tag = (await api.post('/api/tags').send({ name: 'errand' })).body.data;
+    const task = (await api.post('/api/tasks').send({ title: 'Post letter' })).body.data;
+    await api.patch(`/api/tasks/${task.id}`).send({ tags: [tag.id] });
+
+    const [updated] = (await api.get(`/api/tasks/${task.id}/history`)).body.data;
+
+    expect(updated.changes).toEqual({ tags: { from: null, to: ['errand'] } });
+  });
+
+  test('records trashing and restoring a task', async () => {
+    const task = (await api.post('/api/tasks').send({ title: 'Oops' })).body.data;
+    await api.delete(`/api/tasks/${task.id}`);
+    await api.post(`/api/tasks/${task.id}/restore`);
+
+    expect(actions(await api.get(`/api/tasks/${task.id}/history`))).toEqual(['restored', 'deleted', 'created']);
+  });
+
+  test('pages with a cursor', async () => {
+    const task = (await api.post('/api/tasks').send({ title: 'v1' })).body.data;
+    for (const title of ['v2', 'v3', 'v4']) {
+      await api.patch(`/api/tasks/${task.id}`).send({ title });
+    }
+
+    const first = await api.get(`/api/tasks/${task.id}/history`).query({ limit: 3 });
+    expect(first.body.data.map(event => event.task_title)).toEqual(['v4', 'v3', 'v2']);
+    expect(first.body.pagination).toEqual({ limit: 3, next_cursor: expect.any(String) });
+
+    const second = await api.get(`/api/tasks/${task.id}/history`).query({ limit: 3, cursor: first.body.pagination.next_cursor });
+    expect(second.body.data.map(event => event.task_title)).toEqual(['v1']);
+    expect(second.body.pagination.next_cursor).toBeNull();
+  });
+
+  test.each([
+    [{ limit: 0 }, 'limit'],
+    [{ limit: 201 }, 'limit'],
+    [{ cursor: 'abc' }, 'cursor']
+  ])('rejects %p', async (query, path) => {
+    const task = (await api.post('/api/tasks').send({ title: 'Check' })).body.data;
+
+    const res = await api.get(`/api/tasks/${task.id}/history`).query(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(error => error.path)).toEqual([path]);
+  });
+
+  test("keeps other users' history out of reach", async () => {
+    const task = (await api.post('/api/tasks').send({ title: 'Secret' })).body.data;
+    const { api: otherApi } = await signUp();
+
+    expect((await otherApi.get(`/api/tasks/${task.id}/history`)).status).toBe(404);
+  });
+});
+
+describe('GET /api/activity', () => {
+  test("lists the changes to all the user's tasks, purged ones included", async () => {
+    const { api } = await signUp();
+    const first = (await api.post('/api/tasks').send({ title: 'First' })).body.data;
+    const second = (await api.post('/api/tasks').send({ title: 'Second' })).body.data;
+    await api.delete(`/api/tasks/${first.id}`);
+    await api.delete(`/api/tasks/${first.id}/purge`);
+    await (await signUp()).api.post('/api/tasks').send({ title: 'Not mine' });
+
+    const res = await api.get('/api/activity');
+
+    expect(res.body.data.map(event => [event.action, event.task_id, event.task_title])).toEqual([
+      ['purged', first.id, 'First'],
+      ['deleted', first.id, 'First'],
+      ['created', second.id, 'Second'],
+      ['created', first.id, 'First']
+    ]);
+    expect(res.body.pagination).toEqual({ limit: 50, next_cursor: null });
+  });
+});
@@ -0,0 +1,234 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body } = require('express-validator');
+const { runQuery, runCommand, withTransaction } = require('../db');
+const authenticate = require('../middleware/auth');
+const { claimUnownedTasks } = require('../utils/accounts');
+const handleValidation = require('../middleware/validate');
+const {
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+} = require('../utils/tokens');
+
+const router = express.Router();
+
+const BCRYPT_ROUNDS = 10;
+
+// Validation middleware
+const validateCredentials = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required')
+    .normalizeEmail({ gmail_remove_dots: false }),
+  body('password')
+    .isString()
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters')
+];
+
+const validateRegistration = [
+  ...validateCredentials,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name must be less than 100 characters')
+];
+
+const validateRefreshToken = [
+  body('refresh_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+// Strip sensitive fields before returning a user
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  created_at: user.created_at
+});
+
+// Issue a new access/refresh token pair and persist the refresh token id
+const issueTokens = async (user) => {
+  const refresh = signRefreshToken(user);
+  await runCommand(
+    'INSERT INTO refresh_tokens (user_id, token_id, expires_at) VALUES (?, ?, ?)',
+    [user.id, refresh.tokenId, refresh.expiresAt]
+  );
+
+  return {
+    access_token: signAccessToken(user),
+    refresh_token: refresh.token,
+    token_type: 'Bearer'
+  };
+};
+
+// Look up the stored record for a refresh token, or null if it is invalid
+const findRefreshToken = async (token) => {
+  let payload;
+  try {
+    payload = verifyRefreshToken(token);
+  } catch (err) {
+    return null;
+  }
+
+  const rows = await runQuery(
+    `SELECT * FROM refresh_tokens
+     WHERE token_id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > ?`,
+    [payload.jti, parseInt(payload.sub, 10), new Date().toISOString()]
+  );
+  return rows[0] || null;
+};
+
+// POST /api/auth/register - Create an account
+router.post('/register', validateRegistration, handleValidation, async (req, res, next) => {
+  try {
+    const { email, password, name } = req.body;
+
+    const existing = await runQuery('SELECT id FROM users WHERE email = ?', [email]);
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const result = await withTransaction(async () => {
+      const inserted = await runCommand(
+        `INSERT INTO users (email, name, password_hash, created_at, updated_at)
+         VALUES (?, ?, ?, datetime('now'), datetime('now'))`,
+        [email, name || null, passwordHash]
+      );
+      await claimUnownedTasks();
+      return inserted;
+    });
+
+    const users = await runQuery('SELECT * FROM users WHERE id = ?', [result.id]);
+    const tokens = await issueTokens(users[0]);
+
+    res.status(201).json({
+      success: true,
+      data: { user: toPublicUser(users[0]), ...tokens },
+      message: 'Account created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/login - Exchange credentials for tokens
+router.post('/login', validateCredentials, handleValidation, async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const users = await runQuery('SELECT * FROM users WHERE email = ?', [email]);
+    const user = users[0];
+    const valid = user && await bcrypt.compare(password, user.password_hash);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    const tokens = await issueTokens(user);
+
+    res.json({
+      success: true,
+      data: { user: toPublicUser(user), ...tokens },
+      message: 'Logged in successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/refresh - Rotate a refresh token for a new token pair
+router.post('/refresh', validateRefreshToken, handleValidation, async (req, res, next) => {
+  try {
+    const stored = await findRefreshToken(req.body.refresh_token);
+    if (!stored) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    const users = await runQuery('SELECT * FROM users WHERE id = ?', [stored.user_id]);
+    if (users.length === 0) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    // Refresh tokens are single use; of two requests with the same token,
+    // only the one that revokes it gets new tokens
+    const revoked = await runCommand(
+      "UPDATE refresh_tokens SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL",
+      [stored.id]
+    );
+    if (revoked.changes === 0) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+    const tokens = await issueTokens(users[0]);
+
+    res.json({
+      success: true,
+      data: { user: toPublicUser(users[0]), ...tokens }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/logout - Revoke a refresh token
+router.post('/logout', validateRefreshToken, handleValidation, async (req, res, next) => {
+  try {
+    const stored = await findRefreshToken(req.body.refresh_token);
+    if (stored) {
+      await runCommand(
+        "UPDATE refresh_tokens SET revoked_at = datetime('now') WHERE id = ?",
+        [stored.id]
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/me - Get the authenticated user
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
+    const users = await runQuery('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicUser(users[0])
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
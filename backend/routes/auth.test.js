@@ -0,0 +1,133 @@
+const request = require('supertest');
+const { app, setUpDatabase, signUp } = require('../test/helpers');
+const { runQuery, runCommand } = require('../db');
+const { claimUnownedTasks } = require('../utils/accounts');
+
+beforeAll(setUpDatabase);
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refresh_token: refreshToken });
+
+// A task as stored before accounts existed
+const insertUnownedTask = async (title) => (await runCommand(
+  'INSERT INTO tasks (title, owner_id) VALUES (?, NULL)',
+  [title]
+)).id;
+
+const titles = async (api) => (await api.get('/api/tasks?sort=title')).body.data.map(task => task.title);
+
+describe('tasks created before accounts existed', () => {
+  // Runs first, while the database has no accounts
+  test('go to the first account registered', async () => {
+    await insertUnownedTask('Legacy');
+
+    const first = await signUp();
+    const second = await signUp();
+
+    expect(await titles(first.api)).toEqual(['Legacy']);
+    expect(await titles(second.api)).toEqual([]);
+  });
+
+  test('go to the first account when claimed once accounts exist', async () => {
+    const [{ id: firstId }] = await runQuery('SELECT MIN(id) AS id FROM users');
+    const later = await signUp();
+    await insertUnownedTask('Left behind');
+
+    expect(await claimUnownedTasks()).toBe(1);
+
+    expect(await runQuery('SELECT owner_id FROM tasks WHERE title = ?', ['Left behind'])).toEqual([{ owner_id: firstId }]);
+    expect(await titles(later.api)).toEqual([]);
+  });
+});
+
+describe('POST /api/auth/register', () => {
+  test('creates an account and signs it in', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'New.Person@Example.com', password: 'password123', name: 'New Person' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.user).toMatchObject({ email: 'new.person@example.com', name: 'New Person' });
+    expect(res.body.data.user.password_hash).toBeUndefined();
+    expect(res.body.data.token_type).toBe('Bearer');
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.data.access_token}`);
+    expect(me.status).toBe(200);
+    expect(me.body.data.email).toBe('new.person@example.com');
+  });
+
+  test('refuses an email address already registered', async () => {
+    await request(app).post('/api/auth/register').send({ email: 'taken@example.com', password: 'password123' });
+
+    const res = await request(app).post('/api/auth/register').send({ email: 'TAKEN@example.com', password: 'password456' });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('refuses a short password', async () => {
+    const res = await request(app).post('/api/auth/register').send({ email: 'short@example.com', password: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(error => error.path)).toEqual(['password']);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  test('signs in with the right password only', async () => {
+    const { user } = await signUp();
+
+    const wrong = await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong-password' });
+    expect(wrong.status).toBe(401);
+
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: 'password123' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.id).toBe(user.id);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  test('rotates the refresh token', async () => {
+    const { refreshToken } = await signUp();
+
+    const res = await refresh(refreshToken);
+    expect(res.status).toBe(200);
+    expect(res.body.data.refresh_token).not.toBe(refreshToken);
+
+    expect((await refresh(refreshToken)).status).toBe(401);
+    expect((await refresh(res.body.data.refresh_token)).status).toBe(200);
+  });
+
+  test('gives new tokens to only one of two requests with the same token', async () => {
+    const { user, refreshToken } = await signUp();
+
+    const responses = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 401]);
+    // The token issued at registration and the one issued in its place
+    const [{ count }] = await runQuery('SELECT COUNT(*) AS count FROM refresh_tokens WHERE user_id = ?', [user.id]);
+    expect(count).toBe(2);
+  });
+
+  test('refuses a token that is not a refresh token', async () => {
+    const { accessToken } = await signUp();
+
+    expect((await refresh(accessToken)).status).toBe(401);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  test('revokes the refresh token', async () => {
+    const { refreshToken } = await signUp();
+
+    const res = await request(app).post('/api/auth/logout').send({ refresh_token: refreshToken });
+
+    expect(res.status).toBe(200);
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+});
+
+describe('/api/tasks', () => {
+  test('requires an access token', async () => {
+    expect((await request(app).get('/api/tasks')).status).toBe(401);
+    expect((await request(app).get('/api/tasks').set('Authorization', 'Bearer nonsense')).status).toBe(401);
+  });
+});
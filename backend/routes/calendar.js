@@ -0,0 +1,77 @@
+const express = require('express');
+const { runQuery, runCommand } = require('../db');
+const { generateFeedToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+// The subscription URL of a feed token
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/tasks/calendar.ics?token=${token}`;
+
+// GET /api/calendar - Whether the calendar feed link is on, and when it
+// was created and last fetched
+router.get('/', async (req, res, next) => {
+  try {
+    const [feed] = await runQuery(
+      'SELECT created_at, last_used_at FROM calendar_tokens WHERE user_id = ?',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(feed),
+        created_at: feed?.created_at || null,
+        last_used_at: feed?.last_used_at || null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/calendar/token - Create a new calendar feed link, replacing
+// the previous one. The link is only returned this once.
+router.post('/token', async (req, res, next) => {
+  try {
+    const { token, tokenHash } = generateFeedToken();
+    await runCommand(
+      `INSERT INTO calendar_tokens (user_id, token_hash) VALUES (?, ?)
+       ON CONFLICT (user_id) DO UPDATE SET
+         token_hash = excluded.token_hash, last_used_at = NULL, created_at = datetime('now')`,
+      [req.user.id, tokenHash]
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token,
+        url: feedUrl(req, token)
+      },
+      message: 'Calendar link created; copy it now, it will not be shown again'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/calendar/token - Turn the calendar feed link off
+router.delete('/token', async (req, res, next) => {
+  try {
+    const result = await runCommand('DELETE FROM calendar_tokens WHERE user_id = ?', [req.user.id]);
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No calendar link to turn off'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar link turned off'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const request = require('supertest');
+const { app, setUpDatabase, signUp } = require('../test/helpers');
+
+beforeAll(setUpDatabase);
+
+let api;
+
+beforeAll(async () => {
+  ({ api } = await signUp());
+  const parent = (await api.post('/api/tasks').send({ title: 'Move house', due_date: '2024-06-30' })).body.data;
+  await api.post(`/api/tasks/${parent.id}/subtasks`).send({ title: 'Book van', due_date: '2024-06-20', priority: 'high' });
+  await api.post('/api/tasks').send({ title: 'No date' });
+});
+
+const summaries = (res) => [...res.text.matchAll(/^SUMMARY:(.*)\r$/gm)].map(match => match[1]).sort();
+
+describe('/api/calendar', () => {
+  test('creates a feed link, replaces it and turns it off', async () => {
+    const { api: ownApi } = await signUp();
+    expect((await ownApi.get('/api/calendar')).body.data).toEqual({ enabled: false, created_at: null, last_used_at: null });
+
+    const created = await ownApi.post('/api/calendar/token');
+    expect(created.status).toBe(201);
+    const { token, url } = created.body.data;
+    expect(url).toMatch(new RegExp(`^http://127\\.0\\.0\\.1:\\d+/api/tasks/calendar\\.ics\\?token=${token}$`));
+    expect((await ownApi.get('/api/calendar')).body.data).toMatchObject({ enabled: true, last_used_at: null });
+
+    await request(app).get('/api/tasks/calendar.ics').query({ token });
+    expect((await ownApi.get('/api/calendar')).body.data.last_used_at).not.toBeNull();
+
+    const replaced = (await ownApi.post('/api/calendar/token')).body.data.token;
+    expect((await request(app).get('/api/tasks/calendar.ics').query({ token })).status).toBe(401);
+    expect((await request(app).get('/api/tasks/calendar.ics').query({ token: replaced })).status).toBe(200);
+
+    expect((await ownApi.delete('/api/calendar/token')).status).toBe(200);
+    expect((await request(app).get('/api/tasks/calendar.ics').query({ token: replaced })).status).toBe(401);
+    expect((await ownApi.delete('/api/calendar/token')).status).toBe(404);
+  });
+});
+
+describe('GET /api/tasks/calendar.ics', () => {
+  test('lists the tasks with a due date, subtasks included, to a feed token', async () => {
+    const { token } = (await api.post('/api/calendar/token')).body.data;
+
+    const res = await request(app).get('/api/tasks/calendar.ics').query({ token });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/calendar; charset=utf-8');
+    expect(res.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(res.text).toMatch(/END:VCALENDAR\r\n$/);
+    expect(summaries(res)).toEqual(['Book van', 'Move house']);
+  });
+
+  test('takes the list filters and the component', async () => {
+    const res = await api.get('/api/tasks/calendar.ics').query({ priority: 'high', component: 'todo' });
+
+    expect(summaries(res)).toEqual(['Book van']);
+    expect(res.text).toContain('BEGIN:VTODO');
+    expect(summaries(await api.get('/api/tasks/calendar.ics').query({ parent: 'none' }))).toEqual(['Move house']);
+    expect(summaries(await api.get('/api/tasks/calendar.ics').query({ has_due_date: false }))).toEqual([]);
+  });
+
+  test('only accepts feed tokens for the feed', async () => {
+    const { token } = (await api.post('/api/calendar/token')).body.data;
+
+    expect((await request(app).get('/api/tasks/calendar.ics').query({ token: 'guess' })).body.error).toBe('Invalid calendar token');
+    expect((await request(app).get('/api/tasks').query({ token })).status).toBe(401);
+    expect((await request(app).get('/api/tasks/calendar.ics')).status).toBe(401);
+  });
+
+  test('rejects an unknown component', async () => {
+    const res = await api.get('/api/tasks/calendar.ics').query({ component: 'journal' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([expect.objectContaining({ path: 'component', msg: 'Component must be one of: event, todo' })]);
+  });
+});
+
+describe('GET /api/tasks/:id/calendar.ics', () => {
+  test('downloads the due date of a task', async () => {
+    const [task] = (await api.get('/api/tasks').query({ search: 'move' })).body.data;
+
+    const res = await api.get(`/api/tasks/${task.id}/calendar.ics`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe(`attachment; filename="task-${task.id}.ics"`);
+    expect(res.text).toContain(`UID:task-${task.id}@task-manager`);
+    expect(res.text).toContain('DTSTART;VALUE=DATE:20240630');
+  });
+
+  test('refuses a task without a due date', async () => {
+    const [task] = (await api.get('/api/tasks').query({ search: 'date' })).body.data;
+
+    const res = await api.get(`/api/tasks/${task.id}/calendar.ics`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Task has no due date');
+  });
+});
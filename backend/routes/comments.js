@@ -0,0 +1,164 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { runQuery, runCommand } = require('../db');
+const { taskRepository } = require('../repositories');
+const handleValidation = require('../middleware/validate');
+const { bodyValidators } = require('../openapi/validation');
+const { CommentInput } = require('../openapi/schemas');
+
+// Mounted under /api/tasks/:id/comments, so the task id comes from the parent route
+const router = express.Router({ mergeParams: true });
+
+// Validation middleware
+const validateComment = bodyValidators(CommentInput);
+
+const validateTaskId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid task ID is required')
+];
+
+const validateCommentId = [
+  param('commentId')
+    .isInt({ min: 1 })
+    .withMessage('Valid comment ID is required')
+];
+
+// Comments are returned with their author's name and email
+const COMMENT_SELECT = `
+  SELECT c.*, u.name AS author_name, u.email AS author_email
+  FROM comments c JOIN users u ON u.id = c.author_id
+`;
+
+// Check that the task exists and belongs to the current user
+const ownsTask = async (taskId, ownerId) => Boolean(await taskRepository.findById(taskId, ownerId));
+
+// Load a comment by id, scoped to its task
+const findComment = async (id, taskId) => {
+  const comments = await runQuery(`${COMMENT_SELECT} WHERE c.id = ? AND c.task_id = ?`, [id, taskId]);
+  return comments[0] || null;
+};
+
+// Every comment route requires access to the parent task
+router.use(validateTaskId, handleValidation, async (req, res, next) => {
+  try {
+    if (!(await ownsTask(req.params.id, req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tasks/:id/comments - Get the comment thread of a task, oldest first
+router.get('/', async (req, res, next) => {
+  try {
+    const comments = await runQuery(
+      `${COMMENT_SELECT} WHERE c.task_id = ? ORDER BY c.created_at ASC, c.id ASC`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      data: comments,
+      count: comments.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tasks/:id/comments - Add a comment to a task
+router.post('/', validateComment, handleValidation, async (req, res, next) => {
+  try {
+    const result = await runCommand(
+      `INSERT INTO comments (task_id, author_id, body, created_at, updated_at)
+       VALUES (?, ?, ?, datetime('now'), datetime('now'))`,
+      [req.params.id, req.user.id, req.body.body]
+    );
+
+    const comment = await findComment(result.id, req.params.id);
+
+    res.status(201).json({
+      success: true,
+      data: comment,
+      message: 'Comment added successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/tasks/:id/comments/:commentId - Edit a comment
+router.put('/:commentId', validateCommentId, validateComment, handleValidation, async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+    const existingComment = await findComment(commentId, id);
+
+    if (!existingComment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    if (existingComment.author_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author can edit a comment'
+      });
+    }
+
+    await runCommand(
+      `UPDATE comments SET body = ?, updated_at = datetime('now') WHERE id = ?`,
+      [req.body.body, commentId]
+    );
+
+    const comment = await findComment(commentId, id);
+
+    res.json({
+      success: true,
+      data: comment,
+      message: 'Comment updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/tasks/:id/comments/:commentId - Delete a comment
+router.delete('/:commentId', validateCommentId, handleValidation, async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+    const existingComment = await findComment(commentId, id);
+
+    if (!existingComment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found'
+      });
+    }
+
+    if (existingComment.author_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the author can delete a comment'
+      });
+    }
+
+    await runCommand('DELETE FROM comments WHERE id = ?', [commentId]);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+const { runCommand } = require('../db');
+
+beforeAll(setUpDatabase);
+
+let api;
+let user;
+let task;
+
+beforeAll(async () => {
+  ({ api, user } = await signUp({ name: 'Ada' }));
+  task = (await api.post('/api/tasks').send({ title: 'Discuss' })).body.data;
+});
+
+const comments = () => `/api/tasks/${task.id}/comments`;
+
+describe('/api/tasks/:id/comments', () => {
+  test('adds comments with their author and lists them oldest first', async () => {
+    const first = await api.post(comments()).send({ body: 'First thought' });
+    await api.post(comments()).send({ body: 'Second thought' });
+
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({
+      task_id: task.id,
+      author_id: user.id,
+      author_name: 'Ada',
+      author_email: user.email,
+      body: 'First thought'
+    });
+
+    const res = await api.get(comments());
+    expect(res.body.count).toBe(2);
+    expect(res.body.data.map(comment => comment.body)).toEqual(['First thought', 'Second thought']);
+    expect((await api.get(`/api/tasks/${task.id}`)).body.data.comment_count).toBe(2);
+  });
+
+  test.each(['', 'x'.repeat(2001)])('rejects a body of %#', async (body) => {
+    const res = await api.post(comments()).send({ body });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([expect.objectContaining({
+      path: 'body',
+      msg: 'Comment body is required and must be less than 2000 characters'
+    })]);
+  });
+
+  test('edits and deletes a comment', async () => {
+    const comment = (await api.post(comments()).send({ body: 'Typo hree' })).body.data;
+
+    const edited = await api.put(`${comments()}/${comment.id}`).send({ body: 'Typo here' });
+    expect(edited.status).toBe(200);
+    expect(edited.body.data.body).toBe('Typo here');
+
+    expect((await api.delete(`${comments()}/${comment.id}`)).status).toBe(200);
+    expect((await api.put(`${comments()}/${comment.id}`).send({ body: 'Again' })).status).toBe(404);
+  });
+
+  test('only lets the author edit or delete a comment', async () => {
+    const other = await signUp();
+    const { id } = await runCommand(
+      `INSERT INTO comments (task_id, author_id, body, created_at, updated_at)
+       VALUES (?, ?, ?, datetime('now'), datetime('now'))`,
+      [task.id, other.user.id, 'Not yours']
+    );
+
+    const edited = await api.put(`${comments()}/${id}`).send({ body: 'Mine now' });
+    expect(edited.status).toBe(403);
+    expect(edited.body.error).toBe('Only the author can edit a comment');
+
+    const deleted = await api.delete(`${comments()}/${id}`);
+    expect(deleted.status).toBe(403);
+    expect(deleted.body.error).toBe('Only the author can delete a comment');
+  });
+
+  test('does not find comments through another task', async () => {
+    const comment = (await api.post(comments()).send({ body: 'Here' })).body.data;
+    const otherTask = (await api.post('/api/tasks').send({ title: 'Elsewhere' })).body.data;
+
+    const res = await api.put(`/api/tasks/${otherTask.id}/comments/${comment.id}`).send({ body: 'Moved' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Comment not found');
+  });
+
+  test("keeps other users' tasks out of reach", async () => {
+    const { api: otherApi } = await signUp();
+
+    expect((await otherApi.get(comments())).status).toBe(404);
+    expect((await otherApi.post(comments()).send({ body: 'Hi' })).body.error).toBe('Task not found');
+  });
+});
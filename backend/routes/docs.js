@@ -0,0 +1,29 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { openApiDocument } = require('../openapi/document');
+const { DOCS_SCRIPT, renderDocsPage } = require('../openapi/docsPage');
+
+// API documentation; public, like the /api info endpoint
+const router = express.Router();
+
+// GET /api/openapi.json - OpenAPI 3.1 description of the task API
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// GET /api/docs - Interactive API reference built from the same document,
+// where requests can be tried out
+router.get('/docs', (req, res) => {
+  res.type('html').send(renderDocsPage(openApiDocument, {
+    assets: `${req.baseUrl}/docs`,
+    documentUrl: `${req.baseUrl}/openapi.json`
+  }));
+});
+
+// The docs page's scripts and styles
+router.get('/docs/init.js', (req, res) => {
+  res.type('js').send(DOCS_SCRIPT);
+});
+router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
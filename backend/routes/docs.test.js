@@ -0,0 +1,41 @@
+const request = require('supertest');
+const { app } = require('../test/helpers');
+
+describe('GET /api/openapi.json', () => {
+  test('describes the task API', async () => {
+    const res = await request(app).get('/api/openapi.json');
+
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toMatch(/^3\.1\./);
+    expect(res.body.paths['/tasks'].get).toBeDefined();
+    expect(res.body.components.securitySchemes.bearerAuth).toMatchObject({ type: 'http', scheme: 'bearer' });
+  });
+});
+
+describe('GET /api/docs', () => {
+  test('serves Swagger UI for the document from the API itself', async () => {
+    const res = await request(app).get('/api/docs');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/html/);
+    expect(res.headers['content-security-policy']).toContain("script-src 'self'");
+    expect(res.text).toContain('data-url="/api/openapi.json"');
+    // Scripts are files of their own, as the Content Security Policy requires
+    expect(res.text).not.toMatch(/<script>/);
+
+    const sources = [...res.text.matchAll(/(?:src|href)="([^"]+)"/g)].map(match => match[1]);
+    expect(sources).toEqual(['/api/docs/swagger-ui.css', '/api/docs/swagger-ui-bundle.js', '/api/docs/init.js']);
+    for (const source of sources) {
+      const asset = await request(app).get(source);
+      expect(asset.status).toBe(200);
+    }
+  });
+
+  test('starts Swagger UI on the document', async () => {
+    const res = await request(app).get('/api/docs/init.js');
+
+    expect(res.headers['content-type']).toMatch(/javascript/);
+    expect(res.text).toContain('SwaggerUIBundle(');
+    expect(res.text).toContain('container.dataset.url');
+  });
+});
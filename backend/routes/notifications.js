@@ -0,0 +1,104 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const { runQuery, runCommand } = require('../db');
+const handleValidation = require('../middleware/validate');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Validation middleware
+const validateListQuery = [
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false')
+    .toBoolean(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+    .toInt()
+];
+
+const validateId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid notification ID is required')
+];
+
+// GET /api/notifications - Get the latest notifications, newest first,
+// with the number still unread
+router.get('/', validateListQuery, handleValidation, async (req, res, next) => {
+  try {
+    const { unread = false, limit = DEFAULT_LIMIT } = req.query;
+
+    const notifications = await runQuery(
+      `SELECT * FROM notifications
+       WHERE user_id = ? ${unread ? 'AND read_at IS NULL' : ''}
+       ORDER BY id DESC
+       LIMIT ?`,
+      [req.user.id, limit]
+    );
+    const [{ count }] = await runQuery(
+      'SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: notifications,
+      count: notifications.length,
+      unread_count: count
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/notifications/read - Mark all notifications as read
+router.post('/read', async (req, res, next) => {
+  try {
+    const result = await runCommand(
+      "UPDATE notifications SET read_at = datetime('now') WHERE user_id = ? AND read_at IS NULL",
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: { updated: result.changes },
+      message: 'Notifications marked as read'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/notifications/:id/read - Mark a notification as read
+router.post('/:id/read', validateId, handleValidation, async (req, res, next) => {
+  try {
+    const result = await runCommand(
+      "UPDATE notifications SET read_at = IFNULL(read_at, datetime('now')) WHERE id = ? AND user_id = ?",
+      [req.params.id, req.user.id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    const [notification] = await runQuery('SELECT * FROM notifications WHERE id = ?', [req.params.id]);
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+const { sendDueReminders } = require('../utils/reminders');
+
+beforeAll(setUpDatabase);
+
+let api;
+
+// Three reminders, sent one after the other
+beforeAll(async () => {
+  ({ api } = await signUp());
+  for (const title of ['Call plumber', 'Pay rent', 'Book flights']) {
+    await api.post('/api/tasks').send({ title, due_date: '2030-05-02', reminders: [60] });
+    await sendDueReminders(new Date('2030-05-02T08:00:00Z'));
+  }
+});
+
+const titles = (res) => res.body.data.map(notification => notification.title);
+
+describe('/api/notifications', () => {
+  test('lists the newest notifications first with the number unread', async () => {
+    const res = await api.get('/api/notifications').query({ limit: 2 });
+
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(['Book flights is due in 1 hour', 'Pay rent is due in 1 hour']);
+    expect(res.body).toMatchObject({ count: 2, unread_count: 3 });
+  });
+
+  test('marks one notification or all of them as read', async () => {
+    const [newest] = (await api.get('/api/notifications')).body.data;
+
+    const read = await api.post(`/api/notifications/${newest.id}/read`);
+    expect(read.body.data.read_at).not.toBeNull();
+    const again = await api.post(`/api/notifications/${newest.id}/read`);
+    expect(again.body.data.read_at).toBe(read.body.data.read_at);
+
+    const unread = await api.get('/api/notifications').query({ unread: true });
+    expect(titles(unread)).toEqual(['Pay rent is due in 1 hour', 'Call plumber is due in 1 hour']);
+    expect(unread.body.unread_count).toBe(2);
+
+    expect((await api.post('/api/notifications/read')).body.data).toEqual({ updated: 2 });
+    expect((await api.get('/api/notifications')).body.unread_count).toBe(0);
+  });
+
+  test("keeps other users' notifications out of reach", async () => {
+    const [notification] = (await api.get('/api/notifications')).body.data;
+    const { api: otherApi } = await signUp();
+
+    expect((await otherApi.get('/api/notifications')).body).toMatchObject({ data: [], unread_count: 0 });
+    const res = await otherApi.post(`/api/notifications/${notification.id}/read`);
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Notification not found');
+  });
+
+  test.each([
+    [{ unread: 'maybe' }, 'unread'],
+    [{ limit: 0 }, 'limit'],
+    [{ limit: 101 }, 'limit']
+  ])('rejects %j', async (query, path) => {
+    const res = await api.get('/api/notifications').query(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(error => error.path)).toEqual([path]);
+  });
+});
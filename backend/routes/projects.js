@@ -0,0 +1,171 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { runQuery, runCommand } = require('../db');
+const { taskRepository } = require('../repositories');
+const handleValidation = require('../middleware/validate');
+
+const router = express.Router();
+
+// Validation middleware
+const validateProject = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be less than 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value such as #3b82f6')
+];
+
+const validateId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid project ID is required')
+];
+
+const PROJECT_SELECT = 'SELECT p.* FROM projects p';
+
+// Projects are returned with a count of the tasks they contain
+const withTaskCounts = async (projects, ownerId) => {
+  if (projects.length === 0) {
+    return projects;
+  }
+  const counts = await taskRepository.countByProject(ownerId);
+  return projects.map(project => ({ ...project, task_count: counts.get(project.id) || 0 }));
+};
+
+// Load a project by id, scoped to the project owner
+const findProject = async (id, ownerId) => {
+  const projects = await runQuery(`${PROJECT_SELECT} WHERE p.id = ? AND p.owner_id = ?`, [id, ownerId]);
+  const [project] = await withTaskCounts(projects, ownerId);
+  return project || null;
+};
+
+// GET /api/projects - Get all projects
+router.get('/', async (req, res, next) => {
+  try {
+    const projects = await withTaskCounts(await runQuery(
+      `${PROJECT_SELECT} WHERE p.owner_id = ? ORDER BY p.name COLLATE NOCASE ASC`,
+      [req.user.id]
+    ), req.user.id);
+
+    res.json({
+      success: true,
+      data: projects,
+      count: projects.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/projects/:id - Get a specific project
+router.get('/:id', validateId, handleValidation, async (req, res, next) => {
+  try {
+    const project = await findProject(req.params.id, req.user.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/projects - Create a new project
+router.post('/', validateProject, handleValidation, async (req, res, next) => {
+  try {
+    const { name, description, color = '#3b82f6' } = req.body;
+
+    const result = await runCommand(
+      `INSERT INTO projects (owner_id, name, description, color, created_at, updated_at)
+       VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))`,
+      [req.user.id, name, description, color]
+    );
+
+    const project = await findProject(result.id, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: project,
+      message: 'Project created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/projects/:id - Update a project
+router.put('/:id', validateId, validateProject, handleValidation, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingProject = await findProject(id, req.user.id);
+    if (!existingProject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found'
+      });
+    }
+
+    const { name, description, color = existingProject.color } = req.body;
+
+    await runCommand(
+      `UPDATE projects
+       SET name = ?, description = ?, color = ?, updated_at = datetime('now')
+       WHERE id = ?`,
+      [name, description, color, id]
+    );
+
+    const project = await findProject(id, req.user.id);
+
+    res.json({
+      success: true,
+      data: project,
+      message: 'Project updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/projects/:id - Delete a project; its tasks become unassigned
+router.delete('/:id', validateId, handleValidation, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingProject = await findProject(id, req.user.id);
+    if (!existingProject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Project not found'
+      });
+    }
+
+    await runCommand('DELETE FROM projects WHERE id = ?', [id]);
+    await taskRepository.clearProject(existingProject.id);
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+
+beforeAll(setUpDatabase);
+
+let api;
+
+beforeAll(async () => {
+  ({ api } = await signUp());
+});
+
+const createProject = async (project) => (await api.post('/api/projects').send(project)).body.data;
+const titles = (res) => res.body.data.map(task => task.title).sort();
+
+describe('/api/projects', () => {
+  test('creates a project with the default color', async () => {
+    const res = await api.post('/api/projects').send({ name: 'Home', description: 'Chores' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ name: 'Home', description: 'Chores', color: '#3b82f6', task_count: 0 });
+  });
+
+  test.each([
+    [{ name: '' }, 'name'],
+    [{ name: 'x'.repeat(101) }, 'name'],
+    [{ name: 'Work', color: 'blue' }, 'color']
+  ])('rejects %p', async (project, path) => {
+    const res = await api.post('/api/projects').send(project);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(error => error.path)).toEqual([path]);
+  });
+
+  test('lists projects by name with the number of tasks in each', async () => {
+    const { api: ownApi } = await signUp();
+    const work = (await ownApi.post('/api/projects').send({ name: 'work' })).body.data;
+    await ownApi.post('/api/projects').send({ name: 'Errands' });
+    await ownApi.post('/api/tasks').send({ title: 'Report', project_id: work.id });
+    await ownApi.post('/api/tasks').send({ title: 'Review', project_id: work.id });
+
+    const res = await ownApi.get('/api/projects');
+
+    expect(res.body.count).toBe(2);
+    expect(res.body.data.map(project => [project.name, project.task_count])).toEqual([['Errands', 0], ['work', 2]]);
+  });
+
+  test('updates a project, keeping its color unless given one', async () => {
+    const project = await createProject({ name: 'Garden', color: '#22c55e' });
+
+    const res = await api.put(`/api/projects/${project.id}`).send({ name: 'Yard' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ name: 'Yard', color: '#22c55e' });
+    expect((await api.get(`/api/projects/${project.id}`)).body.data.name).toBe('Yard');
+  });
+
+  test('filters tasks by project, by other projects and by none', async () => {
+    const { api: ownApi } = await signUp();
+    const project = (await ownApi.post('/api/projects').send({ name: 'Trip' })).body.data;
+    await ownApi.post('/api/tasks').send({ title: 'Pack', project_id: project.id });
+    await ownApi.post('/api/tasks').send({ title: 'Water plants' });
+
+    const list = (query) => ownApi.get('/api/tasks').query(query);
+
+    expect(titles(await list({ project: project.id }))).toEqual(['Pack']);
+    expect(titles(await list({ project: `!${project.id}` }))).toEqual(['Water plants']);
+    expect(titles(await list({ project: 'none' }))).toEqual(['Water plants']);
+  });
+
+  test('deletes a project and leaves its tasks without one', async () => {
+    const project = await createProject({ name: 'Old' });
+    const task = (await api.post('/api/tasks').send({ title: 'Keep me', project_id: project.id })).body.data;
+
+    const res = await api.delete(`/api/projects/${project.id}`);
+
+    expect(res.status).toBe(200);
+    expect((await api.get(`/api/projects/${project.id}`)).status).toBe(404);
+    const kept = await api.get(`/api/tasks/${task.id}`);
+    expect(kept.status).toBe(200);
+    expect(kept.body.data.project_id).toBeNull();
+  });
+
+  test("keeps other users' projects out of reach", async () => {
+    const project = await createProject({ name: 'Private' });
+    const { api: otherApi } = await signUp();
+
+    expect((await otherApi.get(`/api/projects/${project.id}`)).status).toBe(404);
+    expect((await otherApi.put(`/api/projects/${project.id}`).send({ name: 'Mine' })).status).toBe(404);
+    expect((await otherApi.delete(`/api/projects/${project.id}`)).status).toBe(404);
+    expect((await otherApi.get('/api/projects')).body.data).toEqual([]);
+
+    const task = await otherApi.post('/api/tasks').send({ title: 'Sneak in', project_id: project.id });
+    expect(task.status).toBe(400);
+    expect(task.body.details).toEqual([expect.objectContaining({ path: 'project_id', msg: 'Project not found' })]);
+  });
+});
@@ -0,0 +1,190 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { runQuery, runCommand } = require('../db');
+const { taskRepository } = require('../repositories');
+const handleValidation = require('../middleware/validate');
+
+const router = express.Router();
+
+// Validation middleware
+const validateTag = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name is required and must be less than 50 characters')
+    .not()
+    .contains(',')
+    .withMessage('Name cannot contain commas'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value such as #6b7280')
+];
+
+const validateId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid tag ID is required')
+];
+
+const TAG_SELECT = 'SELECT g.* FROM tags g';
+
+// Tags are returned with a count of the tasks they are assigned to
+const withTaskCounts = async (tags, ownerId) => {
+  if (tags.length === 0) {
+    return tags;
+  }
+  const counts = await taskRepository.countByTag(ownerId);
+  return tags.map(tag => ({ ...tag, task_count: counts.get(tag.id) || 0 }));
+};
+
+// Load a tag by id, scoped to the tag owner
+const findTag = async (id, ownerId) => {
+  const tags = await runQuery(`${TAG_SELECT} WHERE g.id = ? AND g.owner_id = ?`, [id, ownerId]);
+  const [tag] = await withTaskCounts(tags, ownerId);
+  return tag || null;
+};
+
+// Check whether another tag of the same owner already uses a name
+const nameTaken = async (name, ownerId, excludeId = null) => {
+  const tags = await runQuery(
+    'SELECT id FROM tags WHERE owner_id = ? AND name = ? AND id IS NOT ?',
+    [ownerId, name, excludeId]
+  );
+  return tags.length > 0;
+};
+
+// GET /api/tags - Get all tags
+router.get('/', async (req, res, next) => {
+  try {
+    const tags = await withTaskCounts(await runQuery(
+      `${TAG_SELECT} WHERE g.owner_id = ? ORDER BY g.name ASC`,
+      [req.user.id]
+    ), req.user.id);
+
+    res.json({
+      success: true,
+      data: tags,
+      count: tags.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tags/:id - Get a specific tag
+router.get('/:id', validateId, handleValidation, async (req, res, next) => {
+  try {
+    const tag = await findTag(req.params.id, req.user.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tag
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tags - Create a new tag
+router.post('/', validateTag, handleValidation, async (req, res, next) => {
+  try {
+    const { name, color = '#6b7280' } = req.body;
+
+    if (await nameTaken(name, req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A tag with this name already exists'
+      });
+    }
+
+    const result = await runCommand(
+      `INSERT INTO tags (owner_id, name, color, created_at, updated_at)
+       VALUES (?, ?, ?, datetime('now'), datetime('now'))`,
+      [req.user.id, name, color]
+    );
+
+    const tag = await findTag(result.id, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: tag,
+      message: 'Tag created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/tags/:id - Update a tag
+router.put('/:id', validateId, validateTag, handleValidation, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingTag = await findTag(id, req.user.id);
+    if (!existingTag) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      });
+    }
+
+    const { name, color = existingTag.color } = req.body;
+
+    if (await nameTaken(name, req.user.id, existingTag.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A tag with this name already exists'
+      });
+    }
+
+    await runCommand(
+      "UPDATE tags SET name = ?, color = ?, updated_at = datetime('now') WHERE id = ?",
+      [name, color, id]
+    );
+
+    const tag = await findTag(id, req.user.id);
+
+    res.json({
+      success: true,
+      data: tag,
+      message: 'Tag updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/tags/:id - Delete a tag and remove it from all tasks
+router.delete('/:id', validateId, handleValidation, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingTag = await findTag(id, req.user.id);
+    if (!existingTag) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      });
+    }
+
+    await runCommand('DELETE FROM tags WHERE id = ?', [id]);
+    await taskRepository.removeTag(existingTag.id);
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+
+beforeAll(setUpDatabase);
+
+let api;
+let tags;
+
+beforeAll(async () => {
+  ({ api } = await signUp());
+  tags = {};
+  for (const name of ['Urgent', 'home', 'Work']) {
+    tags[name] = (await api.post('/api/tags').send({ name })).body.data;
+  }
+  for (const [title, names] of [
+    ['Pay rent', ['Urgent', 'home']],
+    ['Mow lawn', ['home']],
+    ['Send report', ['Urgent', 'Work']],
+    ['Read book', []]
+  ]) {
+    await api.post('/api/tasks').send({ title, tags: names.map(name => tags[name].id) });
+  }
+});
+
+const titles = (res) => res.body.data.map(task => task.title).sort();
+
+describe('/api/tags', () => {
+  test('lists tags by name with the number of tasks each is assigned to', async () => {
+    const res = await api.get('/api/tags');
+
+    expect(res.body.data.map(tag => [tag.name, tag.task_count, tag.color])).toEqual([
+      ['home', 2, '#6b7280'],
+      ['Urgent', 2, '#6b7280'],
+      ['Work', 1, '#6b7280']
+    ]);
+  });
+
+  test.each([
+    [{ name: '' }, 'name'],
+    [{ name: 'a,b' }, 'name'],
+    [{ name: 'Red', color: 'red' }, 'color']
+  ])('rejects %p', async (tag, path) => {
+    const res = await api.post('/api/tags').send(tag);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(error => error.path)).toEqual([path]);
+  });
+
+  test('rejects a name already taken by another tag', async () => {
+    expect((await api.post('/api/tags').send({ name: 'Work' })).status).toBe(409);
+    expect((await api.put(`/api/tags/${tags.Work.id}`).send({ name: 'home' })).status).toBe(409);
+    expect((await api.put(`/api/tags/${tags.Work.id}`).send({ name: 'Work', color: '#ef4444' })).status).toBe(200);
+  });
+
+  test('deletes a tag and takes it off its tasks', async () => {
+    const tag = (await api.post('/api/tags').send({ name: 'Someday' })).body.data;
+    const task = (await api.post('/api/tasks').send({ title: 'Learn piano', tags: [tag.id] })).body.data;
+    expect(task.tags).toEqual([expect.objectContaining({ id: tag.id, name: 'Someday' })]);
+
+    expect((await api.delete(`/api/tags/${tag.id}`)).status).toBe(200);
+
+    expect((await api.get(`/api/tasks/${task.id}`)).body.data.tags).toEqual([]);
+    await api.delete(`/api/tasks/${task.id}`);
+  });
+
+  test("keeps other users' tags out of reach", async () => {
+    const { api: otherApi } = await signUp();
+
+    expect((await otherApi.get(`/api/tags/${tags.Work.id}`)).status).toBe(404);
+    expect((await otherApi.delete(`/api/tags/${tags.Work.id}`)).status).toBe(404);
+    // Names are only unique per user
+    expect((await otherApi.post('/api/tags').send({ name: 'Work' })).status).toBe(201);
+
+    const task = await otherApi.post('/api/tasks').send({ title: 'Borrow', tags: [tags.Work.id] });
+    expect(task.status).toBe(400);
+    expect(task.body.details).toEqual([expect.objectContaining({ path: 'tags', msg: 'One or more tags were not found' })]);
+  });
+});
+
+describe('GET /api/tasks?tags=', () => {
+  const list = (query) => api.get('/api/tasks').query(query);
+
+  test('lists tasks with any of the tags, named in any case', async () => {
+    expect(titles(await list({ tags: 'urgent,HOME' }))).toEqual(['Mow lawn', 'Pay rent', 'Send report']);
+  });
+
+  test('lists tasks with all of the tags', async () => {
+    expect(titles(await list({ tags: 'urgent,home', tag_mode: 'all' }))).toEqual(['Pay rent']);
+  });
+
+  test('leaves out tasks with tags prefixed with !', async () => {
+    expect(titles(await list({ tags: '!urgent' }))).toEqual(['Mow lawn', 'Read book']);
+    expect(titles(await list({ tags: 'home,!urgent' }))).toEqual(['Mow lawn']);
+  });
+
+  test('lists nothing for tags that do not exist', async () => {
+    expect(titles(await list({ tags: 'nope' }))).toEqual([]);
+    expect(titles(await list({ tags: 'home,nope', tag_mode: 'all' }))).toEqual([]);
+    expect(titles(await list({ tags: 'home,nope' }))).toEqual(['Mow lawn', 'Pay rent']);
+  });
+
+  test('returns the tags of each task, by name', async () => {
+    const [task] = (await list({ tags: 'work' })).body.data;
+
+    expect(task.tags.map(tag => tag.name)).toEqual(['Urgent', 'Work']);
+  });
+});
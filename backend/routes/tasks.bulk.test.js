@@ -0,0 +1,162 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+const { taskRepository } = require('../repositories');
+
+beforeAll(setUpDatabase);
+
+let api;
+let tags;
+
+beforeAll(async () => {
+  ({ api } = await signUp());
+  tags = [];
+  for (const name of ['red', 'blue']) {
+    tags.push((await api.post('/api/tags').send({ name })).body.data);
+  }
+});
+
+const createTask = async (task = {}) => (await api.post('/api/tasks').send({ title: 'Bulk', ...task })).body.data;
+const getTask = async (task) => (await api.get(`/api/tasks/${task.id}`)).body.data;
+const bulk = (body) => api.post('/api/tasks/bulk').send(body);
+
+describe('POST /api/tasks/bulk', () => {
+  test('applies every operation and reports each one', async () => {
+    const first = await createTask({ tags: [tags[0].id] });
+    const second = await createTask();
+    const third = await createTask();
+
+    const res = await bulk({
+      operations: [
+        { id: first.id, op: 'status', status: 'completed' },
+        { id: first.id, op: 'add_tags', tags: [tags[1].id, tags[0].id] },
+        { id: second.id, op: 'priority', priority: 'high' },
+        { id: second.id, op: 'due_date', due_date: '2024-06-01' },
+        { id: second.id, op: 'remove_tags', tags: [tags[0].id] },
+        { id: third.id, op: 'delete' }
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ succeeded: 6, failed: 0 });
+    expect(res.body.message).toBe('6 of 6 operations applied');
+    expect(res.body.data[0]).toMatchObject({ index: 0, id: first.id, op: 'status', success: true, status: 200 });
+
+    expect(await getTask(first)).toMatchObject({ status: 'completed' });
+    expect((await getTask(first)).tags.map(tag => tag.name)).toEqual(['blue', 'red']);
+    expect(await getTask(second)).toMatchObject({ priority: 'high', due_date: '2024-06-01', tags: [] });
+    expect((await api.get(`/api/tasks/${third.id}`)).status).toBe(404);
+
+    const history = (await api.get(`/api/tasks/${second.id}/history`)).body.data;
+    expect(history.map(event => Object.keys(event.changes))).toEqual([['due_date'], ['priority'], expect.any(Array)]);
+  });
+
+  test('applies the other operations when one fails', async () => {
+    const task = await createTask();
+    const { api: otherApi } = await signUp();
+    const theirs = (await otherApi.post('/api/tasks').send({ title: 'Theirs' })).body.data;
+
+    const res = await bulk({
+      operations: [
+        { id: theirs.id, op: 'priority', priority: 'high' },
+        { id: task.id, op: 'priority', priority: 'low', version: task.version + 1 },
+        { id: task.id, op: 'priority', priority: 'medium', version: task.version }
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ succeeded: 1, failed: 2 });
+    expect(res.body.data.map(result => result.status)).toEqual([404, 412, 200]);
+    expect(res.body.data[1]).toMatchObject({ error: 'Task has been modified since it was loaded', data: { id: task.id } });
+    expect((await getTask(task)).priority).toBe('medium');
+    expect((await otherApi.get(`/api/tasks/${theirs.id}`)).body.data.priority).toBe('none');
+  });
+
+  test('applies nothing when an atomic request fails', async () => {
+    const task = await createTask();
+    const blocker = await createTask();
+    const blocked = await createTask();
+    await api.post(`/api/tasks/${blocked.id}/dependencies`).send({ blocked_by_id: blocker.id });
+
+    const res = await bulk({
+      atomic: true,
+      operations: [
+        { id: task.id, op: 'priority', priority: 'high' },
+        { id: blocked.id, op: 'status', status: 'completed' },
+        { id: task.id, op: 'delete' }
+      ]
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Bulk operation failed; no changes were applied');
+    expect(res.body.data.map(result => result.status)).toEqual([424, 409, 424]);
+    expect(res.body.data[0].error).toBe('Not applied because operation 1 failed');
+    expect(res.body.data[1].error).toBe('Task is blocked by 1 open task');
+
+    expect((await getTask(task)).priority).toBe('none');
+    expect((await api.get(`/api/tasks/${task.id}/history`)).body.data.map(event => event.action)).toEqual(['created']);
+  });
+
+  test('keeps changes made by other requests while an atomic request rolls back', async () => {
+    const task = await createTask();
+    const other = await signUp();
+
+    let bulkWaiting;
+    const bulkStarted = new Promise((resolve) => {
+      bulkWaiting = resolve;
+    });
+    let releaseBulk;
+    const bulkReleased = new Promise((resolve) => {
+      releaseBulk = resolve;
+    });
+    let otherWaiting;
+    const otherStarted = new Promise((resolve) => {
+      otherWaiting = resolve;
+    });
+    const { update, insert } = taskRepository;
+    const updateSpy = jest.spyOn(taskRepository, 'update').mockImplementationOnce(async (...args) => {
+      bulkWaiting();
+      await bulkReleased;
+      return update(...args);
+    });
+    const insertSpy = jest.spyOn(taskRepository, 'insert').mockImplementationOnce((...args) => {
+      otherWaiting();
+      return insert(...args);
+    });
+
+    try {
+      const bulked = bulk({
+        atomic: true,
+        operations: [
+          { id: task.id, op: 'priority', priority: 'high' },
+          { id: 999999, op: 'delete' }
+        ]
+      }).then(res => res);
+      await bulkStarted;
+      const created = other.api.post('/api/tasks').send({ title: 'Created meanwhile' }).then(res => res);
+      await otherStarted;
+      releaseBulk();
+      const [bulkRes, createRes] = await Promise.all([bulked, created]);
+
+      expect(bulkRes.status).toBe(404);
+      expect(createRes.status).toBe(201);
+      expect((await getTask(task)).priority).toBe('none');
+      const { id } = createRes.body.data;
+      expect((await other.api.get(`/api/tasks/${id}/history`)).body.data.map(event => event.action)).toEqual(['created']);
+    } finally {
+      updateSpy.mockRestore();
+      insertSpy.mockRestore();
+    }
+  });
+
+  test.each([
+    [{ operations: [] }, 'operations', 'Operations must be an array of 1 to 100 items'],
+    [{ operations: [{ id: 1, op: 'status' }] }, 'operations[0]', 'The status operation requires status'],
+    [{ operations: [{ id: 1, op: 'rename' }] }, 'operations[0].op', 'Operation must be one of: status, priority, due_date, delete, add_tags, remove_tags'],
+    [{ operations: [{ id: 1, op: 'add_tags', tags: [] }] }, 'operations[0].tags', 'Tags must be an array of 1 to 20 tag IDs'],
+    [{ operations: [{ id: 1, op: 'delete' }], atomic: 'yes' }, 'atomic', 'Atomic must be a boolean']
+  ])('rejects %j', async (body, path, msg) => {
+    const res = await bulk(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([expect.objectContaining({ path, msg })]);
+  });
+});
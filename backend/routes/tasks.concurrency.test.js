@@ -0,0 +1,100 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+const { taskRepository } = require('../repositories');
+
+beforeAll(setUpDatabase);
+
+let api;
+
+beforeAll(async () => {
+  ({ api } = await signUp());
+});
+
+const createTask = async (task) => (await api.post('/api/tasks').send(task)).body.data;
+
+// Conditional writes of a task, by method
+const WRITES = [
+  ['PUT', (id) => api.put(`/api/tasks/${id}`).send({ title: 'Put', status: 'pending' })],
+  ['PATCH', (id) => api.patch(`/api/tasks/${id}`).send({ title: 'Patched' })],
+  ['PATCH status', (id) => api.patch(`/api/tasks/${id}/status`).send({ status: 'completed' })],
+  ['DELETE', (id) => api.delete(`/api/tasks/${id}`)]
+];
+
+describe('task versions and If-Match', () => {
+  test('exposes the version as an ETag that every write changes', async () => {
+    const task = await createTask({ title: 'Versioned' });
+
+    const loaded = await api.get(`/api/tasks/${task.id}`);
+    expect(loaded.headers.etag).toBe(`"${task.version}"`);
+
+    const updated = await api.patch(`/api/tasks/${task.id}`).send({ title: 'Versioned again' });
+    expect(updated.body.data.version).toBe(task.version + 1);
+    expect(updated.headers.etag).toBe(`"${task.version + 1}"`);
+  });
+
+  test('keeps the version when a write changes nothing', async () => {
+    const task = await createTask({ title: 'Unchanged', priority: 'low', reminders: [60, 1440] });
+
+    const writes = [
+      await api.patch(`/api/tasks/${task.id}`).send({}),
+      await api.patch(`/api/tasks/${task.id}`).send({ title: 'Unchanged', reminders: [1440, 60] }),
+      await api.put(`/api/tasks/${task.id}`).send({ title: 'Unchanged', status: 'pending', priority: 'low', tags: [] }),
+      await api.patch(`/api/tasks/${task.id}/status`).send({ status: 'pending' })
+    ];
+    const bulk = await api.post('/api/tasks/bulk').send({ operations: [{ id: task.id, op: 'priority', priority: 'low' }] });
+
+    for (const res of writes) {
+      expect(res.status).toBe(200);
+      expect(res.body.data.version).toBe(task.version);
+      expect(res.headers.etag).toBe(`"${task.version}"`);
+    }
+    expect(bulk.body.data[0]).toMatchObject({ success: true, data: { version: task.version } });
+    expect((await api.get(`/api/tasks/${task.id}`)).body.data.updated_at).toBe(task.updated_at);
+  });
+
+  test.each(WRITES)('%s writes when If-Match names the current version', async (method, write) => {
+    const task = await createTask({ title: 'Current' });
+
+    const res = await write(task.id).set('If-Match', `"${task.version - 1}", "${task.version}"`);
+
+    expect(res.status).toBe(200);
+  });
+
+  test.each(WRITES)('%s refuses an outdated If-Match and returns the current task', async (method, write) => {
+    const task = await createTask({ title: 'Original' });
+    await api.patch(`/api/tasks/${task.id}`).send({ title: 'Changed elsewhere' });
+
+    const res = await write(task.id).set('If-Match', `"${task.version}"`);
+
+    expect(res.status).toBe(412);
+    expect(res.body.error).toBe('Task has been modified since it was loaded');
+    expect(res.body.data).toMatchObject({ title: 'Changed elsewhere', version: task.version + 1 });
+    expect(res.headers.etag).toBe(`"${task.version + 1}"`);
+    expect((await api.get(`/api/tasks/${task.id}`)).body.data.title).toBe('Changed elsewhere');
+  });
+
+  test('writes unconditionally without If-Match or with *', async () => {
+    const task = await createTask({ title: 'Anyhow' });
+
+    expect((await api.patch(`/api/tasks/${task.id}`).send({ title: 'One' })).status).toBe(200);
+    expect((await api.patch(`/api/tasks/${task.id}`).set('If-Match', '*').send({ title: 'Two' })).status).toBe(200);
+  });
+
+  test('refuses a write that lands after another one changed the task', async () => {
+    const task = await createTask({ title: 'Raced' });
+    const { update } = taskRepository;
+    // Another write gets in between loading the task and updating it
+    const spy = jest.spyOn(taskRepository, 'update').mockImplementationOnce(async (...args) => {
+      await update(task.id, { title: 'Won the race' });
+      return update(...args);
+    });
+
+    try {
+      const res = await api.patch(`/api/tasks/${task.id}`).send({ title: 'Lost the race' });
+
+      expect(res.status).toBe(412);
+      expect(res.body.data).toMatchObject({ title: 'Won the race', version: task.version + 1 });
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,151 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+
+beforeAll(setUpDatabase);
+
+let api;
+
+beforeEach(async () => {
+  ({ api } = await signUp());
+});
+
+const createTask = async (title, fields = {}) => {
+  const res = await api.post('/api/tasks').send({ title, ...fields });
+  return res.body.data.id;
+};
+
+const block = (taskId, blockerId) => api.post(`/api/tasks/${taskId}/dependencies`).send({ blocked_by_id: blockerId });
+
+describe('POST /api/tasks/:id/dependencies', () => {
+  test('marks a task as blocked by another', async () => {
+    const task = await createTask('Ship');
+    const blocker = await createTask('Test');
+
+    const res = await block(task, blocker);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.blocked_by).toEqual([{ id: blocker, title: 'Test', status: 'pending' }]);
+    expect(res.body.data.is_blocked).toBe(true);
+
+    const dependencies = await api.get(`/api/tasks/${blocker}/dependencies`);
+    expect(dependencies.body.data.blocking).toEqual([{ id: task, title: 'Ship', status: 'pending' }]);
+  });
+
+  test('refuses a task blocking itself', async () => {
+    const task = await createTask('Ship');
+
+    const res = await block(task, task);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('A task cannot be blocked by itself');
+  });
+
+  test('refuses a direct cycle', async () => {
+    const a = await createTask('A');
+    const b = await createTask('B');
+    await block(a, b);
+
+    const res = await block(b, a);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe(`Adding this dependency would create a cycle: task ${a} already depends on task ${b}`);
+  });
+
+  test('refuses an indirect cycle', async () => {
+    const a = await createTask('A');
+    const b = await createTask('B');
+    const c = await createTask('C');
+    await block(a, b);
+    await block(b, c);
+
+    const res = await block(c, a);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe(`Adding this dependency would create a cycle: task ${a} already depends on task ${c}`);
+    expect((await api.get(`/api/tasks/${c}`)).body.data.blocked_by).toEqual([]);
+  });
+
+  test('allows two tasks blocked by the same one', async () => {
+    const a = await createTask('A');
+    const b = await createTask('B');
+    const c = await createTask('C');
+    await block(a, c);
+
+    const res = await block(b, c);
+
+    expect(res.status).toBe(201);
+    expect((await block(a, b)).status).toBe(201);
+  });
+
+  test('refuses a dependency that already exists', async () => {
+    const a = await createTask('A');
+    const b = await createTask('B');
+    await block(a, b);
+
+    const res = await block(a, b);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Dependency already exists');
+  });
+
+  test('does not find tasks of other users', async () => {
+    const task = await createTask('Mine');
+    const other = await signUp();
+    const foreign = (await other.api.post('/api/tasks').send({ title: 'Theirs' })).body.data.id;
+
+    expect((await block(task, foreign)).status).toBe(404);
+  });
+});
+
+describe('PATCH /api/tasks/:id/status of a blocked task', () => {
+  test('refuses statuses that require the task to be unblocked', async () => {
+    const task = await createTask('Ship');
+    const blocker = await createTask('Test');
+    await block(task, blocker);
+
+    for (const status of ['in-progress', 'completed']) {
+      const res = await api.patch(`/api/tasks/${task}/status`).send({ status });
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('Task is blocked by 1 open task');
+      expect(res.body.details).toEqual([{ id: blocker, title: 'Test', status: 'pending' }]);
+    }
+    expect((await api.get(`/api/tasks/${task}`)).body.data.status).toBe('pending');
+  });
+
+  test('allows other statuses', async () => {
+    const task = await createTask('Ship');
+    await block(task, await createTask('Test'));
+
+    const res = await api.patch(`/api/tasks/${task}/status`).send({ status: 'cancelled' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('cancelled');
+  });
+
+  test('allows them once every blocker is done', async () => {
+    const task = await createTask('Ship');
+    const tested = await createTask('Test');
+    const dropped = await createTask('Review');
+    await block(task, tested);
+    await block(task, dropped);
+
+    await api.patch(`/api/tasks/${tested}/status`).send({ status: 'completed' });
+    const stillBlocked = await api.patch(`/api/tasks/${task}/status`).send({ status: 'completed' });
+    expect(stillBlocked.status).toBe(409);
+    expect(stillBlocked.body.details.map(blocker => blocker.id)).toEqual([dropped]);
+
+    await api.patch(`/api/tasks/${dropped}/status`).send({ status: 'cancelled' });
+    const res = await api.patch(`/api/tasks/${task}/status`).send({ status: 'completed' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.is_blocked).toBe(false);
+  });
+
+  test('allows them once the dependency is removed', async () => {
+    const task = await createTask('Ship');
+    const blocker = await createTask('Test');
+    await block(task, blocker);
+
+    expect((await api.delete(`/api/tasks/${task}/dependencies/${blocker}`)).status).toBe(200);
+    const res = await api.patch(`/api/tasks/${task}/status`).send({ status: 'in-progress' });
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,96 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+const { parseCsv } = require('../utils/csv');
+
+beforeAll(setUpDatabase);
+
+let api;
+
+beforeAll(async () => {
+  ({ api } = await signUp());
+  await api.post('/api/tasks').send({ title: 'Plain', priority: 'low' });
+  await api.post('/api/tasks').send({
+    title: 'Quote "this", please',
+    description: 'Line one\nLine two',
+    status: 'completed',
+    due_date: '2024-05-01',
+    recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+    reminders: [60, 1440]
+  });
+});
+
+const exportTasks = (query) => api.get('/api/tasks/export').query(query);
+
+describe('GET /api/tasks/export', () => {
+  test('downloads the tasks as CSV', async () => {
+    const res = await exportTasks();
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="tasks-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+    const [header, ...rows] = parseCsv(res.text);
+    expect(header).toEqual([
+      'id', 'title', 'description', 'status', 'priority', 'due_date', 'project_id', 'parent_id',
+      'recurrence', 'reminders', 'tags', 'created_at', 'updated_at'
+    ]);
+    const quoted = Object.fromEntries(header.map((column, index) => [column, rows[0][index]]));
+    expect(quoted).toMatchObject({
+      title: 'Quote "this", please',
+      description: 'Line one\nLine two',
+      status: 'completed',
+      recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+      reminders: '1440;60',
+      tags: ''
+    });
+    expect(rows[1][1]).toBe('Plain');
+  });
+
+  test('downloads the tasks as JSON', async () => {
+    const res = await exportTasks({ format: 'json' });
+
+    expect(res.headers['content-type']).toBe('application/json; charset=utf-8');
+    expect(res.body.map(task => task.title)).toEqual(['Quote "this", please', 'Plain']);
+    expect(res.body[0]).toMatchObject({ reminders: [1440, 60], tags: [], project_id: null });
+  });
+
+  test('exports only the tasks matching the list filters', async () => {
+    const res = await exportTasks({ format: 'json', status: 'completed' });
+
+    expect(res.body.map(task => task.title)).toEqual(['Quote "this", please']);
+  });
+
+  test.each(['csv', 'json'])('exports %s that imports into another account as it was', async (format) => {
+    const exported = await exportTasks({ format, sort: 'title' });
+    const { api: otherApi } = await signUp();
+
+    const imported = format === 'csv'
+      ? await otherApi.post('/api/tasks/import').set('Content-Type', 'text/csv').send(exported.text)
+      : await otherApi.post('/api/tasks/import').send(exported.body);
+    expect(imported.status).toBe(201);
+
+    const fields = ({ title, description, status, priority, due_date, recurrence, reminders }) => (
+      { title, description, status, priority, due_date, recurrence, reminders }
+    );
+    const original = (await exportTasks({ format: 'json', sort: 'title' })).body.map(fields);
+    const copy = (await otherApi.get('/api/tasks/export').query({ format: 'json', sort: 'title' })).body.map(fields);
+    expect(copy).toEqual(original);
+  });
+
+  test('exports past the size of one batch', async () => {
+    const { api: ownApi } = await signUp();
+    const tasks = Array.from({ length: 501 }, (_, index) => ({ title: `Task ${index}` }));
+    await ownApi.post('/api/tasks/import').send(tasks);
+
+    const res = await ownApi.get('/api/tasks/export').query({ format: 'json' });
+
+    expect(res.body).toHaveLength(501);
+    expect(new Set(res.body.map(task => task.id)).size).toBe(501);
+  });
+
+  test('rejects an unknown format', async () => {
+    const res = await exportTasks({ format: 'xml' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([expect.objectContaining({ path: 'format', msg: 'Format must be one of: csv, json' })]);
+  });
+});
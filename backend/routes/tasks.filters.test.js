@@ -0,0 +1,73 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+const { runCommand } = require('../db');
+
+beforeAll(setUpDatabase);
+
+let api;
+
+beforeAll(async () => {
+  ({ api } = await signUp());
+  for (const [title, status, priority, dueDate] of [
+    ['Past', 'pending', 'high', '2024-05-01'],
+    ['Past done', 'completed', 'high', '2024-05-01'],
+    ['Today', 'in-progress', 'low', '2024-05-10T17:00:00Z'],
+    ['Soon', 'pending', 'urgent', '2024-05-20'],
+    ['Someday', 'cancelled', 'none', null]
+  ]) {
+    await api.post('/api/tasks').send({ title, status, priority, due_date: dueDate });
+  }
+  await runCommand("UPDATE tasks SET created_at = '2024-01-01 00:00:00', updated_at = '2024-01-01 00:00:00' WHERE title = 'Someday'");
+});
+
+const list = async (query) => {
+  const res = await api.get('/api/tasks').query(query);
+  expect(res.status).toBe(200);
+  return res.body.data.map(task => task.title).sort();
+};
+
+describe('GET /api/tasks filters', () => {
+  test('filters by sets of statuses and priorities, or everything but them', async () => {
+    expect(await list({ status: 'pending,in-progress' })).toEqual(['Past', 'Soon', 'Today']);
+    expect(await list({ status: '!completed,!cancelled' })).toEqual(['Past', 'Soon', 'Today']);
+    expect(await list({ priority: 'high,urgent' })).toEqual(['Past', 'Past done', 'Soon']);
+    expect(await list({ priority: '!high' })).toEqual(['Someday', 'Soon', 'Today']);
+  });
+
+  test('filters by due date, counting both bounds as whole days', async () => {
+    expect(await list({ due_after: '2024-05-10' })).toEqual(['Soon', 'Today']);
+    expect(await list({ due_before: '2024-05-10' })).toEqual(['Past', 'Past done', 'Today']);
+    expect(await list({ due_after: '2024-05-02', due_before: '2024-05-19' })).toEqual(['Today']);
+    expect(await list({ has_due_date: false })).toEqual(['Someday']);
+    expect(await list({ has_due_date: true })).toHaveLength(4);
+  });
+
+  test('lists open tasks past their due date as overdue', async () => {
+    expect(await list({ overdue: true, today: '2024-05-10' })).toEqual(['Past']);
+    expect(await list({ overdue: true, today: '2024-05-11' })).toEqual(['Past', 'Today']);
+    expect(await list({ overdue: false, today: '2024-05-10' })).toEqual(['Past done', 'Someday', 'Soon', 'Today']);
+  });
+
+  test('filters by when tasks were created and updated', async () => {
+    expect(await list({ created_after: '2024-02-01' })).toEqual(['Past', 'Past done', 'Soon', 'Today']);
+    expect(await list({ updated_since: '2024-01-01T00:00:00Z' })).toHaveLength(5);
+    expect(await list({ created_after: '2023-12-31', updated_since: '2024-01-02' })).toHaveLength(4);
+  });
+
+  test('combines filters', async () => {
+    expect(await list({ status: 'pending', priority: 'high,urgent', due_before: '2024-05-15' })).toEqual(['Past']);
+  });
+
+  test.each([
+    [{ status: 'pending,waiting' }, 'status'],
+    [{ priority: 'high,!extreme' }, 'priority'],
+    [{ due_after: 'May 1st' }, 'due_after'],
+    [{ created_after: '2024-13-01' }, 'created_after'],
+    [{ overdue: 'yes' }, 'overdue'],
+    [{ today: '2024-05-10T00:00:00Z' }, 'today']
+  ])('rejects %p', async (query, path) => {
+    const res = await api.get('/api/tasks').query(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(error => error.path)).toEqual([path]);
+  });
+});
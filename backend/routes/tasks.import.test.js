@@ -0,0 +1,107 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+const { taskRepository } = require('../repositories');
+
+beforeAll(setUpDatabase);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/tasks/import', () => {
+  test('creates the tasks of a CSV file, quoted cells included', async () => {
+    const { api } = await signUp();
+    const csv = 'Title,Description,Priority\r\n' +
+      '"Plan, then ship","Line one\r\nsaid ""go""",high\r\n' +
+      'Second,,\r\n';
+
+    const res = await api.post('/api/tasks/import').set('Content-Type', 'text/csv').send(csv);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.map(task => [task.title, task.description, task.priority])).toEqual([
+      ['Plan, then ship', 'Line one\r\nsaid "go"', 'high'],
+      ['Second', null, 'none']
+    ]);
+  });
+
+  test('reports the errors of each row and imports nothing when any is invalid', async () => {
+    const { api } = await signUp();
+    const csv = 'title,priority\nGood,low\n,low\nAlso good,extreme\n';
+
+    const dryRun = await api.post('/api/tasks/import?dry_run=true').set('Content-Type', 'text/csv').send(csv);
+    expect(dryRun.status).toBe(200);
+    expect(dryRun.body.summary).toEqual({ valid: 1, invalid: 2 });
+    expect(dryRun.body.data.map(result => [result.row, result.success])).toEqual([[1, true], [2, false], [3, false]]);
+    expect(dryRun.body.data[1].errors.map(error => error.path)).toContain('title');
+    expect(dryRun.body.data[2].errors.map(error => error.path)).toEqual(['priority']);
+
+    const res = await api.post('/api/tasks/import').set('Content-Type', 'text/csv').send(csv);
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(result => result.row)).toEqual([2, 3]);
+
+    const list = await api.get('/api/tasks');
+    expect(list.body.data).toEqual([]);
+  });
+
+  test('rejects CSV with an unterminated quoted value', async () => {
+    const { api } = await signUp();
+
+    const res = await api.post('/api/tasks/import').set('Content-Type', 'text/csv').send('title\n"Open\n');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid CSV: Unterminated quoted value');
+  });
+
+  test('rolls back a failing import without losing tasks created meanwhile', async () => {
+    const importer = await signUp();
+    const other = await signUp();
+
+    // The import fails on its second task, once a task of another request
+    // is waiting to be written
+    let importWaiting;
+    const importStarted = new Promise((resolve) => {
+      importWaiting = resolve;
+    });
+    let failImport;
+    const importFailing = new Promise((resolve) => {
+      failImport = resolve;
+    });
+    let otherWaiting;
+    const otherStarted = new Promise((resolve) => {
+      otherWaiting = resolve;
+    });
+    const insert = taskRepository.insert;
+    jest.spyOn(taskRepository, 'insert')
+      .mockImplementationOnce((...args) => insert(...args))
+      .mockImplementationOnce(async () => {
+        importWaiting();
+        await importFailing;
+        throw new Error('Disk full');
+      })
+      .mockImplementationOnce((...args) => {
+        otherWaiting();
+        return insert(...args);
+      });
+
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const imported = importer.api.post('/api/tasks/import')
+      .send([{ title: 'Imported 1' }, { title: 'Imported 2' }])
+      .then(res => res);
+    await importStarted;
+    const created = other.api.post('/api/tasks').send({ title: 'Created meanwhile' }).then(res => res);
+    await otherStarted;
+    failImport();
+    const [importRes, createRes] = await Promise.all([imported, created]);
+    consoleError.mockRestore();
+
+    expect(importRes.status).toBe(500);
+    expect(createRes.status).toBe(201);
+
+    expect((await importer.api.get('/api/tasks')).body.data).toEqual([]);
+    expect((await importer.api.get('/api/activity')).body.data).toEqual([]);
+
+    const { id } = createRes.body.data;
+    expect((await other.api.get(`/api/tasks/${id}`)).body.data).toMatchObject({ title: 'Created meanwhile' });
+    const history = await other.api.get(`/api/tasks/${id}/history`);
+    expect(history.body.data.map(event => event.action)).toEqual(['created']);
+  });
+});
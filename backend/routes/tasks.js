@@ -1,150 +1,1431 @@
 const express = require('express');
-const sqlite3 = require('sqlite3').verbose();
-const { body, validationResult } = require('express-validator');
-const path = require('path');
+const { once } = require('events');
+const { validationResult } = require('express-validator');
+const { runQuery } = require('../db');
+const { taskRepository } = require('../repositories');
+const { PRIORITIES, DEFAULT_LIMIT, parseSort, parseListFilter, buildTaskListQuery } = require('../repositories/taskQuery');
+const { bodyValidators, queryValidators } = require('../openapi/validation');
+const {
+  MAX_TASK_TAGS,
+  BULK_OPERATIONS,
+  IMPORT_LIMIT,
+  TaskInput,
+  TaskPatch,
+  TaskStatusInput,
+  DependencyInput,
+  BulkRequest,
+  LIST_PARAMETERS,
+  EXPORT_FORMAT_PARAMETER,
+  CALENDAR_COMPONENT_PARAMETER,
+  IMPORT_DRY_RUN_PARAMETER
+} = require('../openapi/schemas');
+const { normalizeRule, nextOccurrence } = require('../utils/recurrence');
+const { taskEventEmitter, validateEventQuery, recordTaskEvent, listTaskEvents } = require('../utils/taskEvents');
+const { TRASH_RETENTION_DAYS, trashTask, restoreTask, purgeTask, purgeDate } = require('../utils/trash');
+const { parseSearch, toHighlightHtml } = require('../utils/search');
+const { getWorkflow, isKnownStatus } = require('../utils/workflow');
+const { toCsvLine, parseCsv } = require('../utils/csv');
+const { formatDate, taskToICal, calendarStart, calendarEnd } = require('../utils/ical');
+const { parseReminders, serializeReminders } = require('../utils/reminders');
+const commentsRouter = require('./comments');
 
 const router = express.Router();
 
-// Database connection
-const dbPath = path.join(__dirname, '../db/database.sqlite');
-const db = new sqlite3.Database(dbPath);
-
-// Initialize database with schema
-const initDb = () => {
-  const fs = require('fs');
-  const schemaPath = path.join(__dirname, '../db/init.sql');
-  const schema = fs.readFileSync(schemaPath, 'utf8');
-  
-  db.exec(schema, (err) => {
-    if (err) {
-      console.error('Error initializing database:', err);
+// When enabled, a parent task cannot be completed while it has open subtasks
+const REQUIRE_SUBTASKS_COMPLETE = process.env.REQUIRE_SUBTASKS_COMPLETE === 'true';
+
+// Check that every tag ID in a list belongs to the current user
+const checkTagsOwned = async (value, { req }) => {
+  if (value.length === 0) {
+    return true;
+  }
+  const tags = await runQuery(
+    `SELECT id FROM tags WHERE owner_id = ? AND id IN (${value.map(() => '?').join(', ')})`,
+    [req.user.id, ...value]
+  );
+  if (tags.length !== value.length) {
+    throw new Error('One or more tags were not found');
+  }
+  return true;
+};
+
+// Rows read per query while streaming an export or calendar feed
+const EXPORT_BATCH_SIZE = 500;
+
+// Most missed events replayed to a reconnecting stream; past this the
+// client is told to reload instead
+const STREAM_REPLAY_LIMIT = 500;
+
+// How often an idle stream sends a comment to keep proxies from closing it
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Stream event types of the task history actions
+const STREAM_EVENT_TYPES = {
+  created: 'created',
+  restored: 'created',
+  updated: 'updated',
+  status_changed: 'updated',
+  deleted: 'deleted',
+  purged: 'deleted'
+};
+
+// Task fields a client may write
+const WRITABLE_FIELDS = Object.keys(TaskInput.properties);
+
+// Export and CSV import columns holding a list, written semicolon-separated
+const LIST_FIELDS = ['reminders', 'tags'];
+
+// Checks of task fields that their schema cannot express, added to the
+// validators generated from it. Hooks only see values the schema accepts,
+// and never null.
+const TASK_FIELD_HOOKS = {
+  status: chain => chain.custom(isKnownStatus),
+  project_id: chain => chain.custom(async (value, { req }) => {
+    const projects = await runQuery(
+      'SELECT id FROM projects WHERE id = ? AND owner_id = ?',
+      [value, req.user.id]
+    );
+    if (projects.length === 0) {
+      throw new Error('Project not found');
+    }
+    return true;
+  }),
+  parent_id: chain => chain.custom(async (value, { req }) => {
+    if (!await taskRepository.findById(value, req.user.id)) {
+      throw new Error('Parent task not found');
+    }
+    return true;
+  }),
+  // normalizeRule throws a message saying what is wrong with the rule
+  recurrence: chain => chain
+    .custom((value) => {
+      if (value) {
+        normalizeRule(value);
+      }
+      return true;
+    })
+    .bail()
+    .customSanitizer(value => (value ? normalizeRule(value) : null)),
+  reminders: chain => chain.customSanitizer(value => [...new Set(value)].sort((a, b) => b - a)),
+  tags: chain => chain
+    .customSanitizer(value => [...new Set(value)])
+    .custom(checkTagsOwned)
+};
+
+// Validation middleware
+const validateTask = bodyValidators(TaskInput, TASK_FIELD_HOOKS);
+
+// Columns of an exported task, in order
+const EXPORT_FIELDS = [
+  'id', 'title', 'description', 'status', 'priority', 'due_date', 'project_id', 'parent_id',
+  'recurrence', 'reminders', 'tags', 'created_at', 'updated_at'
+];
+
+// A bulk request is a list of operations, each on one task
+const validateBulk = bodyValidators(BulkRequest, {
+  'operations.*': chain => chain.custom((operation) => {
+    const field = BULK_OPERATIONS[operation.op];
+    if (field && operation[field] === undefined) {
+      throw new Error(`The ${operation.op} operation requires ${field}`);
+    }
+    return true;
+  }),
+  'operations.*.status': TASK_FIELD_HOOKS.status,
+  'operations.*.tags': TASK_FIELD_HOOKS.tags
+});
+
+// A merge patch must be an object holding only writable fields
+const validateTaskPatch = bodyValidators(TaskPatch, TASK_FIELD_HOOKS);
+
+// Attach assigned tags, subtask progress and blockers to each task
+const hydrateTasks = async (tasks) => {
+  if (tasks.length === 0) {
+    return tasks;
+  }
+
+  const ids = tasks.map(task => task.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const workflow = await getWorkflow();
+
+  // Tag assignments are kept with the tasks, the tags themselves in SQLite
+  const tasksByTag = {};
+  for (const { task_id: taskId, tag_id: tagId } of await taskRepository.tagIds(ids)) {
+    (tasksByTag[tagId] = tasksByTag[tagId] || []).push(taskId);
+  }
+  const tagIds = Object.keys(tasksByTag);
+  const tags = tagIds.length === 0 ? [] : await runQuery(
+    `SELECT id, name, color FROM tags WHERE id IN (${tagIds.map(() => '?').join(', ')}) ORDER BY name ASC`,
+    tagIds
+  );
+
+  const tagsByTask = {};
+  for (const tag of tags) {
+    for (const taskId of tasksByTag[tag.id]) {
+      (tagsByTask[taskId] = tagsByTask[taskId] || []).push(tag);
+    }
+  }
+
+  const progressRows = await taskRepository.progress(ids, workflow.completeStatuses);
+  const progressByTask = {};
+  for (const row of progressRows) {
+    progressByTask[row.parent_id] = { completed: row.completed, total: row.total };
+  }
+
+  const blockerRows = await taskRepository.blockers(ids);
+  const blockersByTask = {};
+  for (const { task_id: taskId, ...blocker } of blockerRows) {
+    (blockersByTask[taskId] = blockersByTask[taskId] || []).push(blocker);
+  }
+
+  const commentRows = await runQuery(
+    `SELECT task_id, COUNT(*) AS count
+     FROM comments WHERE task_id IN (${placeholders})
+     GROUP BY task_id`,
+    ids
+  );
+  const commentCounts = {};
+  for (const row of commentRows) {
+    commentCounts[row.task_id] = row.count;
+  }
+
+  return tasks.map(task => {
+    const blockedBy = blockersByTask[task.id] || [];
+    return {
+      ...task,
+      reminders: parseReminders(task.reminders),
+      tags: tagsByTask[task.id] || [],
+      comment_count: commentCounts[task.id] || 0,
+      progress: progressByTask[task.id] || { completed: 0, total: 0 },
+      blocked_by: blockedBy,
+      is_blocked: blockedBy.some(blocker => !workflow.isDone(blocker.status))
+    };
+  });
+};
+
+// Insert a task for an owner and return its id
+const insertTask = async (ownerId, data) => {
+  const { defaultStatus } = await getWorkflow();
+  const taskId = await taskRepository.insert(ownerId, {
+    ...data,
+    status: data.status || defaultStatus,
+    priority: data.priority || 'none',
+    recurrence: data.recurrence || null,
+    reminders: serializeReminders(data.reminders)
+  });
+  if (data.tags) {
+    await taskRepository.setTags(taskId, data.tags);
+  }
+  return taskId;
+};
+
+// Create the next occurrence of a recurring task that was just completed.
+// The rule moves to the new task so completing an old occurrence again
+// never spawns duplicates. Returns the new task, or null when the series
+// has ended.
+const spawnNextOccurrence = async (task, ownerId) => {
+  if (!task.recurrence) {
+    return null;
+  }
+
+  const next = nextOccurrence(task.recurrence, task.due_date);
+  await taskRepository.update(task.id, { recurrence: null });
+  if (!next) {
+    return null;
+  }
+
+  const taskId = await insertTask(ownerId, {
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    due_date: next.dueDate,
+    project_id: task.project_id,
+    parent_id: task.parent_id,
+    recurrence: next.recurrence,
+    reminders: task.reminders,
+    tags: task.tags.map(tag => tag.id)
+  });
+  const nextTask = await findTask(taskId, ownerId);
+  await recordTaskEvent('created', { after: nextTask, actorId: ownerId });
+  return nextTask;
+};
+
+// Whether moving from one status to another completes a task
+const isCompletion = async (from, to) => {
+  const workflow = await getWorkflow();
+  return workflow.isComplete(to) && !workflow.isComplete(from);
+};
+
+// Find the reason, if any, that a hydrated task may not move to a status.
+// Returns an error body for a 409 response, or null when allowed.
+const checkStatusChange = async (task, status) => {
+  if (!status || status === task.status) {
+    return null;
+  }
+
+  const workflow = await getWorkflow();
+  if (!workflow.canTransition(task.status, status)) {
+    return {
+      error: `Cannot change status from ${task.status} to ${status}`,
+      allowed: workflow.allowedFrom(task.status)
+    };
+  }
+
+  if (workflow.requiresUnblocked(status)) {
+    const openBlockers = task.blocked_by.filter(blocker => !workflow.isDone(blocker.status));
+    if (openBlockers.length > 0) {
+      return {
+        error: `Task is blocked by ${openBlockers.length} open task${openBlockers.length === 1 ? '' : 's'}`,
+        details: openBlockers
+      };
+    }
+  }
+
+  if (REQUIRE_SUBTASKS_COMPLETE && workflow.isComplete(status)) {
+    const open = await taskRepository.countOpenSubtasks(task.id, workflow.doneStatuses);
+    if (open > 0) {
+      return { error: `Task has ${open} open subtask${open === 1 ? '' : 's'}` };
+    }
+  }
+
+  return null;
+};
+
+// Load a task by id, scoped to the task owner. Trashed tasks are only
+// returned when `trashed` is set.
+const findTask = async (id, ownerId, { trashed = false } = {}) => {
+  const task = await taskRepository.findById(id, ownerId, { trashed });
+  if (!task) {
+    return null;
+  }
+  const [hydrated] = await hydrateTasks([task]);
+  return hydrated;
+};
+
+// Tasks carry a version that every write increments; it is exposed as a
+// strong ETag so clients can make conditional writes with If-Match
+const etagFor = (task) => `"${task.version}"`;
+
+// Check a request's If-Match header against the current task. A missing
+// header or `*` always matches.
+const ifMatchPasses = (req, task) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') {
+    return true;
+  }
+  return header.split(',').map(tag => tag.trim()).includes(etagFor(task));
+};
+
+// Reject a conditional write that was based on an outdated version. The
+// current task is returned so the client can merge the changes.
+const sendPreconditionFailed = (res, task) => {
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      error: 'Task not found'
+    });
+  }
+  res.set('ETag', etagFor(task));
+  return res.status(412).json({
+    success: false,
+    error: 'Task has been modified since it was loaded',
+    data: task
+  });
+};
+
+// Whether two lists of ids hold the same ids, in any order
+const sameIds = (a, b) => a.length === b.length && a.every(id => b.includes(id));
+
+// Write changed fields of an existing task and send the response. Shared by
+// PUT and PATCH: fields left out keep their values, null clears a field and
+// a null tag list removes every tag. Enforces the parent, blocker and
+// version rules and schedules the next occurrence of a completed recurring
+// task. When nothing changes nothing is written, so the version stays.
+const applyTaskUpdate = async (req, res, existingTask, changes, { action = 'updated', message }) => {
+  const id = existingTask.id;
+  const current = { ...existingTask, reminders: serializeReminders(existingTask.reminders) };
+  const changed = {};
+  for (const field of WRITABLE_FIELDS.filter(name => name !== 'tags' && name in changes)) {
+    const value = field === 'reminders' ? serializeReminders(changes.reminders) : changes[field] ?? null;
+    if (value !== (current[field] ?? null)) {
+      changed[field] = value;
+    }
+  }
+  const { status = existingTask.status, parent_id = existingTask.parent_id } = changed;
+
+  // Tags are only replaced when the update includes them
+  const tags = 'tags' in changes ? changes.tags || [] : null;
+  const tagsChanged = tags !== null && !sameIds(tags, existingTask.tags.map(tag => tag.id));
+
+  if (Object.keys(changed).length === 0 && !tagsChanged) {
+    res.set('ETag', etagFor(existingTask));
+    return res.json({
+      success: true,
+      data: existingTask,
+      message
+    });
+  }
+
+  if (parent_id && await taskRepository.isSelfOrDescendant(id, parent_id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'A task cannot be moved under itself or one of its subtasks'
+    });
+  }
+
+  const statusError = await checkStatusChange(existingTask, status);
+  if (statusError) {
+    return res.status(409).json({
+      success: false,
+      ...statusError
+    });
+  }
+
+  // The version check guards against a write landing between our read and this update
+  const updated = await taskRepository.update(id, changed, { version: existingTask.version });
+  if (!updated) {
+    return sendPreconditionFailed(res, await findTask(id, req.user.id));
+  }
+
+  if (tagsChanged) {
+    await taskRepository.setTags(id, tags);
+  }
+
+  // Get the updated task
+  let task = await findTask(id, req.user.id);
+
+  // Completing a recurring task schedules its next occurrence
+  let nextTask = null;
+  if (await isCompletion(existingTask.status, status)) {
+    nextTask = await spawnNextOccurrence(task, req.user.id);
+    task = await findTask(id, req.user.id);
+  }
+
+  await recordTaskEvent(action, { before: existingTask, after: task, actorId: req.user.id });
+
+  res.set('ETag', etagFor(task));
+  res.json({
+    success: true,
+    data: task,
+    ...(nextTask && { next_occurrence: nextTask }),
+    message
+  });
+};
+
+// Apply one bulk operation and describe the outcome with an HTTP-style
+// status. Failures are returned rather than thrown, so only unexpected
+// errors abort the whole request.
+const applyBulkOperation = async (operation, userId) => {
+  const existingTask = await findTask(operation.id, userId);
+  if (!existingTask) {
+    return { status: 404, error: 'Task not found' };
+  }
+  if (operation.version !== undefined && operation.version !== existingTask.version) {
+    return { status: 412, error: 'Task has been modified since it was loaded', data: existingTask };
+  }
+
+  if (operation.op === 'delete') {
+    await trashTask(existingTask.id);
+    await recordTaskEvent('deleted', { before: existingTask, actorId: userId });
+    return { status: 200 };
+  }
+
+  const current = existingTask.tags.map(tag => tag.id);
+  let tags = null;
+  if (operation.op === 'add_tags') {
+    tags = [...new Set([...current, ...operation.tags])];
+  } else if (operation.op === 'remove_tags') {
+    tags = current.filter(id => !operation.tags.includes(id));
+  }
+
+  // An operation that changes nothing writes nothing
+  const unchanged = tags
+    ? sameIds(tags, current)
+    : (operation[operation.op] || null) === (existingTask[operation.op] || null);
+  if (unchanged) {
+    return { status: 200, data: existingTask };
+  }
+
+  let nextTask = null;
+  if (operation.op === 'status') {
+    const statusError = await checkStatusChange(existingTask, operation.status);
+    if (statusError) {
+      return { status: 409, ...statusError };
+    }
+    await taskRepository.update(existingTask.id, { status: operation.status });
+    if (await isCompletion(existingTask.status, operation.status)) {
+      nextTask = await spawnNextOccurrence(existingTask, userId);
+    }
+  } else if (operation.op === 'priority') {
+    await taskRepository.update(existingTask.id, { priority: operation.priority });
+  } else if (operation.op === 'due_date') {
+    await taskRepository.update(existingTask.id, { due_date: operation.due_date || null });
+  } else {
+    if (operation.op === 'add_tags' && tags.length > MAX_TASK_TAGS) {
+      return { status: 400, error: `A task can have at most ${MAX_TASK_TAGS} tags` };
+    }
+    await taskRepository.setTags(existingTask.id, tags);
+    await taskRepository.update(existingTask.id, {});
+  }
+
+  const task = await findTask(existingTask.id, userId);
+  await recordTaskEvent(operation.op === 'status' ? 'status_changed' : 'updated', {
+    before: existingTask,
+    after: task,
+    actorId: userId
+  });
+  return { status: 200, data: task, ...(nextTask && { next_occurrence: nextTask }) };
+};
+
+// Move the search columns of a listed task into its `search` object, with
+// matched terms wrapped in <mark> tags
+const withSearchMatch = ({ relevance, search_title, search_snippet, ...task }) => ({
+  ...task,
+  search: {
+    rank: relevance,
+    title: toHighlightHtml(search_title),
+    snippet: toHighlightHtml(search_snippet)
+  }
+});
+
+// Replace the smart ordering column of a listed task with its score, where
+// higher is more pressing
+const withSmartScore = ({ smart, ...task }) => ({ ...task, smart_score: -smart });
+
+// Validation middleware for list queries
+const validateListQuery = queryValidators(LIST_PARAMETERS, {
+  search: chain => chain
+    .custom(value => parseSearch(value) !== null)
+    .withMessage('Search must include a word or "quoted phrase" to search for'),
+  sort: chain => chain.custom(value => parseSort(value) !== null),
+  status: chain => chain.custom(async (value) => {
+    const workflow = await getWorkflow();
+    const { include, exclude } = parseListFilter(value);
+    if (![...include, ...exclude].every(workflow.isStatus)) {
+      throw new Error(`Status must be a comma-separated list of: ${workflow.names.join(', ')} (prefix with ! to exclude)`);
+    }
+    return true;
+  }),
+  priority: chain => chain.custom((value) => {
+    const { include, exclude } = parseListFilter(value);
+    return [...include, ...exclude].every(priority => PRIORITIES.includes(priority));
+  }),
+  before: chain => chain
+    .custom((value, { req }) => !req.query.after)
+    .withMessage('Only one of after or before may be given')
+});
+
+// Build the list query of a request from its validated filters, looking up
+// the tags it filters by, or return an `error` for a request that cannot be
+// listed
+const listQueryFor = async (req, params = req.query) => {
+  const tagFilter = parseListFilter((params.tags || '').toLowerCase());
+  const names = [...tagFilter.include, ...tagFilter.exclude];
+  const tags = names.length === 0 ? [] : await runQuery(
+    `SELECT id, lower(name) AS name FROM tags WHERE owner_id = ? AND lower(name) IN (${names.map(() => '?').join(', ')})`,
+    [req.user.id, ...names]
+  );
+
+  return buildTaskListQuery(req.user.id, params, {
+    tagIds: new Map(tags.map(tag => [tag.name, tag.id])),
+    workflow: await getWorkflow()
+  });
+};
+
+// GET /api/tasks - Get tasks with optional filtering, sorting and pagination
+router.get('/', validateListQuery, async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const listQuery = await listQueryFor(req);
+    if (listQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: listQuery.error
+      });
+    }
+    const { after, before } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_LIMIT;
+
+    const page = await taskRepository.list(listQuery, { limit, after, before });
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: page.error
+      });
+    }
+
+    const smart = listQuery.sortKeys.some(key => key.column === 'smart');
+    const tasks = await hydrateTasks(page.tasks);
+
+    res.json({
+      success: true,
+      data: tasks.map(task => {
+        const listed = smart ? withSmartScore(task) : task;
+        return listQuery.search?.include ? withSearchMatch(listed) : listed;
+      }),
+      count: tasks.length,
+      total: page.total,
+      status_counts: page.statusCounts,
+      pagination: {
+        limit,
+        sort: listQuery.sort,
+        next_cursor: page.nextCursor,
+        prev_cursor: page.prevCursor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Read every task matching a list query, status filter included, in
+// batches in the query's sort order, handing each hydrated batch on
+const forEachTaskBatch = async (listQuery, handleBatch) => {
+  let after = null;
+  do {
+    const page = await taskRepository.list(listQuery, { limit: EXPORT_BATCH_SIZE, after, counts: false });
+    await handleBatch(await hydrateTasks(page.tasks));
+    after = page.nextCursor;
+  } while (after);
+};
+
+// Write part of a streamed response, waiting for the client to catch up
+// whenever the socket buffer is full
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+};
+
+// An exported task, with its tags as tag IDs so it can be imported again
+const toExportRow = (task) => ({
+  ...Object.fromEntries(EXPORT_FIELDS.map(field => [field, task[field] ?? null])),
+  tags: task.tags.map(tag => tag.id)
+});
+
+// GET /api/tasks/export - Download the tasks matching the list filters as
+// CSV (the default) or JSON. Rows are read and written in batches, so an
+// export never has to fit in memory.
+router.get('/export', [
+  ...validateListQuery,
+  ...queryValidators([EXPORT_FORMAT_PARAMETER])
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const listQuery = await listQueryFor(req);
+    if (listQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: listQuery.error
+      });
+    }
+    const format = req.query.format || 'csv';
+
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="tasks-${new Date().toISOString().slice(0, 10)}.${format}"`
+    });
+
+    await writeChunk(res, format === 'csv' ? toCsvLine(EXPORT_FIELDS) : '[');
+    let first = true;
+    await forEachTaskBatch(listQuery, async (batch) => {
+      const tasks = batch.map(toExportRow);
+      if (format === 'csv') {
+        await writeChunk(res, tasks.map(task => toCsvLine(EXPORT_FIELDS.map(field => (
+          LIST_FIELDS.includes(field) ? task[field].join(';') : task[field]
+        )))).join(''));
+      } else if (tasks.length > 0) {
+        await writeChunk(res, `${first ? '' : ','}\n${tasks.map(task => JSON.stringify(task)).join(',\n')}`);
+        first = false;
+      }
+    });
+    res.end(format === 'csv' ? '' : '\n]\n');
+  } catch (error) {
+    // Once streaming has started the only way to signal failure is to cut
+    // the response short
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      next(error);
+    }
+  }
+});
+
+const validateCalendarComponent = queryValidators([CALENDAR_COMPONENT_PARAMETER]);
+
+// GET /api/tasks/calendar.ics - iCalendar feed of the tasks with a due date,
+// taking the list filters. Calendar apps subscribe with the secret feed
+// token from /api/calendar as ?token=. Subtasks are included unless the
+// `parent` filter says otherwise.
+router.get('/calendar.ics', [...validateListQuery, validateCalendarComponent], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const listQuery = await listQueryFor(req, { parent: 'any', ...req.query, has_due_date: 'true' });
+    if (listQuery.error) {
+      return res.status(400).json({
+        success: false,
+        error: listQuery.error
+      });
+    }
+    // Tasks without a due date have no place in a calendar
+    if (req.query.has_due_date === 'false') {
+      listQuery.empty = true;
+    }
+    const workflow = await getWorkflow();
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="tasks.ics"'
+    });
+    await writeChunk(res, calendarStart('Tasks'));
+    await forEachTaskBatch(listQuery, async (tasks) => {
+      await writeChunk(res, tasks
+        .filter(task => formatDate(task.due_date))
+        .map(task => taskToICal(task, workflow, req.query.component))
+        .join(''));
+    });
+    res.end(calendarEnd());
+  } catch (error) {
+    // Once streaming has started the only way to signal failure is to cut
+    // the response short
+    if (res.headersSent) {
+      res.destroy(error);
     } else {
-      console.log('Database initialized successfully');
+      next(error);
+    }
+  }
+});
+
+// Stream events for the owner's task changes after an event id. Several
+// changes to one task collapse into one event with the task as it is now,
+// at the id of its latest change.
+const readStreamEvents = async (ownerId, afterId) => {
+  const events = await runQuery(
+    'SELECT id, task_id, action FROM task_events WHERE owner_id = ? AND id > ? ORDER BY id ASC LIMIT ?',
+    [ownerId, afterId, STREAM_REPLAY_LIMIT + 1]
+  );
+  if (events.length > STREAM_REPLAY_LIMIT) {
+    const [{ latest }] = await runQuery('SELECT MAX(id) AS latest FROM task_events WHERE owner_id = ?', [ownerId]);
+    return [{ id: latest, type: 'reset', data: {} }];
+  }
+
+  const changes = new Map();
+  for (const event of events) {
+    const previous = changes.get(event.task_id);
+    changes.set(event.task_id, {
+      id: event.id,
+      type: STREAM_EVENT_TYPES[event.action],
+      created: previous?.created || STREAM_EVENT_TYPES[event.action] === 'created'
+    });
+  }
+  if (changes.size === 0) {
+    return [];
+  }
+
+  const ids = [...changes.keys()];
+  const rows = await taskRepository.findByIds(ids, ownerId);
+  const tasks = new Map((await hydrateTasks(rows)).map(task => [task.id, task]));
+
+  return ids
+    .map((taskId) => {
+      const change = changes.get(taskId);
+      const task = tasks.get(taskId);
+      if (change.type === 'deleted' || !task) {
+        return { id: change.id, type: 'deleted', data: { id: taskId } };
+      }
+      return { id: change.id, type: change.created ? 'created' : 'updated', data: { task } };
+    })
+    .sort((a, b) => a.id - b.id);
+};
+
+// GET /api/tasks/stream - Server-Sent Events for changes to the user's
+// tasks: `created` and `updated` with the task, `deleted` with its id, and
+// `reset` when too much was missed to replay. Event ids are task history
+// ids, so a client reconnecting with Last-Event-ID gets what it missed.
+router.get('/stream', async (req, res, next) => {
+  try {
+    const ownerId = req.user.id;
+    let cursor = parseInt(req.get('Last-Event-ID'), 10);
+    if (!Number.isInteger(cursor) || cursor < 0) {
+      const [{ latest }] = await runQuery(
+        'SELECT IFNULL(MAX(id), 0) AS latest FROM task_events WHERE owner_id = ?',
+        [ownerId]
+      );
+      cursor = latest;
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(': connected\n\n');
+
+    // Changes arriving while events are being sent are picked up by one
+    // more read once it is done
+    let sending = false;
+    let sendAgain = false;
+    let closed = false;
+    const sendEvents = async () => {
+      if (sending) {
+        sendAgain = true;
+        return;
+      }
+      sending = true;
+      try {
+        do {
+          sendAgain = false;
+          for (const event of await readStreamEvents(ownerId, cursor)) {
+            await writeChunk(res, `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+            cursor = event.id;
+          }
+        } while (sendAgain && !closed);
+      } catch (error) {
+        res.destroy(error);
+      } finally {
+        sending = false;
+      }
+    };
+
+    const handleRecorded = (eventOwnerId) => {
+      if (eventOwnerId === ownerId) {
+        sendEvents();
+      }
+    };
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+
+    taskEventEmitter.on('recorded', handleRecorded);
+    res.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      taskEventEmitter.off('recorded', handleRecorded);
+    });
+
+    // Replay whatever was missed since Last-Event-ID
+    sendEvents();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tasks/trash - Get trashed tasks, most recently deleted first.
+// Subtasks trashed together with their parent are restored with it and not
+// listed separately.
+router.get('/trash', async (req, res, next) => {
+  try {
+    const rows = await taskRepository.listTrash(req.user.id);
+    const tasks = (await hydrateTasks(rows)).map(task => ({
+      ...task,
+      purge_at: purgeDate(task.deleted_at)
+    }));
+
+    res.json({
+      success: true,
+      data: tasks,
+      count: tasks.length,
+      retention_days: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tasks/:id - Get a specific task
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid task ID is required'
+      });
+    }
+
+    const task = await findTask(id, req.user.id);
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    res.set('ETag', etagFor(task));
+    res.json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tasks/:id/subtasks - Get the direct subtasks of a task
+router.get('/:id/subtasks', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid task ID is required'
+      });
+    }
+
+    const parentTask = await findTask(id, req.user.id);
+    if (!parentTask) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    const subtasks = await hydrateTasks(await taskRepository.listSubtasks(parentTask.id));
+
+    res.json({
+      success: true,
+      data: subtasks,
+      count: subtasks.length,
+      progress: parentTask.progress
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tasks/:id/subtasks - Create a subtask under a task
+router.post('/:id/subtasks', validateTask, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid task ID is required'
+      });
+    }
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const parentTask = await findTask(id, req.user.id);
+    if (!parentTask) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    // Subtasks live in their parent's project unless told otherwise
+    const taskId = await insertTask(req.user.id, {
+      project_id: parentTask.project_id,
+      ...req.body,
+      parent_id: parentTask.id
+    });
+
+    const task = await findTask(taskId, req.user.id);
+    await recordTaskEvent('created', { after: task, actorId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: task,
+      message: 'Subtask created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tasks/:id/dependencies - Get the blockers and dependents of a task
+router.get('/:id/dependencies', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid task ID is required'
+      });
+    }
+
+    const task = await findTask(id, req.user.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    const blocking = await taskRepository.blocking(task.id);
+
+    res.json({
+      success: true,
+      data: {
+        blocked_by: task.blocked_by,
+        blocking,
+        is_blocked: task.is_blocked
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tasks/:id/dependencies - Mark a task as blocked by another task
+router.post('/:id/dependencies', bodyValidators(DependencyInput), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid task ID is required'
+      });
+    }
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { blocked_by_id: blockedById } = req.body;
+
+    const task = await findTask(id, req.user.id);
+    const blocker = await findTask(blockedById, req.user.id);
+    if (!task || !blocker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    if (task.id === blocker.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'A task cannot be blocked by itself'
+      });
+    }
+
+    if (task.blocked_by.some(existing => existing.id === blocker.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Dependency already exists'
+      });
+    }
+
+    if (await taskRepository.wouldCreateCycle(task.id, blocker.id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Adding this dependency would create a cycle: task ${blocker.id} already depends on task ${task.id}`
+      });
+    }
+
+    await taskRepository.addDependency(task.id, blocker.id);
+
+    const updatedTask = await findTask(id, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: updatedTask,
+      message: 'Dependency added successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/tasks/:id/dependencies/:blockedById - Remove a dependency
+router.delete('/:id/dependencies/:blockedById', async (req, res, next) => {
+  try {
+    const { id, blockedById } = req.params;
+
+    if (!id || isNaN(id) || !blockedById || isNaN(blockedById)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid task IDs are required'
+      });
+    }
+
+    const task = await findTask(id, req.user.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    if (!await taskRepository.removeDependency(task.id, blockedById)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dependency not found'
+      });
+    }
+
+    const updatedTask = await findTask(id, req.user.id);
+
+    res.json({
+      success: true,
+      data: updatedTask,
+      message: 'Dependency removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tasks/:id/calendar.ics - Download a task's due date as an
+// iCalendar file
+router.get('/:id/calendar.ics', validateCalendarComponent, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid task ID is required'
+      });
     }
-  });
-};
-
-// Initialize database on startup
-initDb();
 
-// Validation middleware
-const validateTask = [
-  body('title')
-    .trim()
-    .isLength({ min: 1, max: 255 })
-    .withMessage('Title is required and must be less than 255 characters'),
-  body('description')
-    .optional()
-    .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Description must be less than 1000 characters'),
-  body('status')
-    .optional()
-    .isIn(['pending', 'in-progress', 'completed', 'cancelled'])
-    .withMessage('Status must be one of: pending, in-progress, completed, cancelled'),
-  body('due_date')
-    .optional()
-    .custom((value) => {
-      if (value === '' || value === null || value === undefined) {
-        return true; // Allow empty values
-      }
-      // Check if it's a valid ISO 8601 date
-      const date = new Date(value);
-      return !isNaN(date.getTime());
-    })
-    .withMessage('Due date must be a valid ISO 8601 date')
-];
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-// Helper function to run SQL queries with promises
-const runQuery = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(rows);
-      }
-    });
-  });
-};
+    const task = await findTask(id, req.user.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+    if (!formatDate(task.due_date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Task has no due date'
+      });
+    }
 
-// Helper function to run SQL commands with promises
-const runCommand = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.run(sql, params, function(err) {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({ id: this.lastID, changes: this.changes });
-      }
+    const workflow = await getWorkflow();
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="task-${task.id}.ics"`
     });
-  });
-};
+    res.send(calendarStart(task.title) + taskToICal(task, workflow, req.query.component) + calendarEnd());
+  } catch (error) {
+    next(error);
+  }
+});
 
-// GET /api/tasks - Get all tasks with optional filtering
-router.get('/', async (req, res, next) => {
+// GET /api/tasks/:id/history - Get the change history of a task, newest first
+router.get('/:id/history', validateEventQuery, async (req, res, next) => {
   try {
-    const { status, search } = req.query;
-    let sql = 'SELECT * FROM tasks';
-    let params = [];
-    let conditions = [];
+    const { id } = req.params;
 
-    // Add status filter
-    if (status) {
-      conditions.push('status = ?');
-      params.push(status);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid task ID is required'
+      });
     }
 
-    // Add search filter
-    if (search) {
-      conditions.push('(title LIKE ? OR description LIKE ?)');
-      params.push(`%${search}%`, `%${search}%`);
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
     }
 
-    // Add conditions to SQL
-    if (conditions.length > 0) {
-      sql += ' WHERE ' + conditions.join(' AND ');
+    const task = await findTask(id, req.user.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
     }
 
-    // Add ordering
-    sql += ' ORDER BY created_at DESC';
+    const { limit, cursor } = req.query;
+    const page = await listTaskEvents({
+      ownerId: req.user.id,
+      taskId: task.id,
+      limit,
+      cursor
+    });
 
-    const tasks = await runQuery(sql, params);
-    
     res.json({
       success: true,
-      data: tasks,
-      count: tasks.length
+      data: page.events,
+      count: page.events.length,
+      pagination: {
+        limit: page.limit,
+        next_cursor: page.nextCursor
+      }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// GET /api/tasks/:id - Get a specific task
-router.get('/:id', async (req, res, next) => {
+// /api/tasks/:id/comments - Comment thread of a task
+router.use('/:id/comments', commentsRouter);
+
+// POST /api/tasks/bulk - Apply a list of operations in one transaction.
+// By default each operation succeeds or fails on its own; with `atomic`
+// the first failure rolls back every change.
+router.post('/bulk', validateBulk, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    
-    if (!id || isNaN(id)) {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        error: 'Valid task ID is required'
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    const tasks = await runQuery('SELECT * FROM tasks WHERE id = ?', [id]);
-    
-    if (tasks.length === 0) {
-      return res.status(404).json({
+    const { operations, atomic = false } = req.body;
+    const rollback = Symbol('rollback');
+    const results = [];
+
+    try {
+      await taskRepository.transaction(async () => {
+        for (const [index, operation] of operations.entries()) {
+          // A savepoint per operation undoes the partial writes of one that fails
+          const outcome = await taskRepository.savepoint(
+            () => applyBulkOperation(operation, req.user.id),
+            result => result.status === 200
+          );
+          const success = outcome.status === 200;
+
+          results.push({ index, id: operation.id, op: operation.op, success, ...outcome });
+          if (!success && atomic) {
+            throw rollback;
+          }
+        }
+      });
+    } catch (error) {
+      if (error !== rollback) {
+        throw error;
+      }
+    }
+
+    if (atomic && results.some(result => !result.success)) {
+      const failed = results[results.length - 1];
+      // Report every operation, none of which was applied
+      const data = operations.map((operation, index) => index === failed.index
+        ? failed
+        : {
+          index,
+          id: operation.id,
+          op: operation.op,
+          success: false,
+          status: 424,
+          error: `Not applied because operation ${failed.index} failed`
+        });
+      return res.status(failed.status).json({
         success: false,
-        error: 'Task not found'
+        error: 'Bulk operation failed; no changes were applied',
+        data
       });
     }
 
+    const succeeded = results.filter(result => result.success).length;
     res.json({
       success: true,
-      data: tasks[0]
+      data: results,
+      summary: {
+        succeeded,
+        failed: results.length - succeeded
+      },
+      message: `${succeeded} of ${results.length} operation${results.length === 1 ? '' : 's'} applied`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Read the rows of an import: CSV with a header row naming the columns, or
+// a JSON array of tasks. Only writable fields are kept; empty CSV cells
+// count as missing and CSV tags are tag IDs separated by semicolons.
+const readImportRows = (req) => {
+  if (!req.is('text/csv')) {
+    return req.body.map(task => (
+      task !== null && typeof task === 'object' && !Array.isArray(task)
+        ? Object.fromEntries(Object.entries(task).filter(([field]) => WRITABLE_FIELDS.includes(field)))
+        : task
+    ));
+  }
+
+  const [header = [], ...lines] = parseCsv(typeof req.body === 'string' ? req.body : '');
+  const columns = header.map(column => column.trim().toLowerCase());
+  return lines.map(values => {
+    const row = {};
+    columns.forEach((column, index) => {
+      const value = values[index];
+      if (WRITABLE_FIELDS.includes(column) && value !== undefined && value !== '') {
+        row[column] = LIST_FIELDS.includes(column) ? value.split(';').map(item => item.trim()).filter(Boolean) : value;
+      }
+    });
+    return row;
+  });
+};
+
+// Check one import row with the same validators as POST /api/tasks,
+// returning its errors or the task as it would be created
+const validateImportRow = async (row, user) => {
+  if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: [{ msg: 'Each task must be an object' }] };
+  }
+  const rowReq = { body: row, user };
+  for (const validator of validateTask) {
+    await validator.run(rowReq);
+  }
+  const errors = validationResult(rowReq);
+  return errors.isEmpty() ? { data: rowReq.body } : { errors: errors.array() };
+};
+
+// POST /api/tasks/import - Create tasks from CSV (text/csv) or a JSON array.
+// Every row is validated before anything is written: with dry_run=true the
+// row-level results are only reported, and if any row is invalid nothing
+// is imported.
+router.post('/import', [
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  ...queryValidators([IMPORT_DRY_RUN_PARAMETER])
+], async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.is('text/csv') && !req.is('application/json')) {
+      return res.status(415).json({
+        success: false,
+        error: 'Content-Type must be text/csv or application/json'
+      });
+    }
+    if (req.is('application/json') && !Array.isArray(req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A JSON import must be an array of tasks'
+      });
+    }
+
+    let rows;
+    try {
+      rows = readImportRows(req);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid CSV: ${error.message}`
+      });
+    }
+    if (rows.length === 0 || rows.length > IMPORT_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `An import must have 1 to ${IMPORT_LIMIT} tasks`
+      });
+    }
+
+    const results = [];
+    for (const [index, row] of rows.entries()) {
+      const { data, errors: rowErrors } = await validateImportRow(row, req.user);
+      results.push(rowErrors
+        ? { row: index + 1, success: false, errors: rowErrors }
+        : { row: index + 1, success: true, data });
+    }
+    const summary = {
+      valid: results.filter(result => result.success).length,
+      invalid: results.filter(result => !result.success).length
+    };
+
+    if (req.query.dry_run === 'true') {
+      return res.json({
+        success: true,
+        data: results,
+        summary,
+        message: summary.invalid === 0
+          ? `${summary.valid} task${summary.valid === 1 ? '' : 's'} ready to import`
+          : `${summary.invalid} of ${rows.length} rows have errors`
+      });
+    }
+    if (summary.invalid > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Import has invalid rows; no tasks were imported',
+        details: results.filter(result => !result.success),
+        summary
+      });
+    }
+
+    const tasks = await taskRepository.transaction(async () => {
+      const created = [];
+      for (const result of results) {
+        const taskId = await insertTask(req.user.id, result.data);
+        const task = await findTask(taskId, req.user.id);
+        await recordTaskEvent('created', { after: task, actorId: req.user.id });
+        created.push(task);
+      }
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: tasks,
+      message: `${tasks.length} task${tasks.length === 1 ? '' : 's'} imported successfully`
     });
   } catch (error) {
     next(error);
@@ -164,21 +1445,15 @@ router.post('/', validateTask, async (req, res, next) => {
       });
     }
 
-    const { title, description, status = 'pending', due_date } = req.body;
-    
-    const sql = `
-      INSERT INTO tasks (title, description, status, due_date, created_at, updated_at)
-      VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
-    `;
-    
-    const result = await runCommand(sql, [title, description, status, due_date]);
+    const taskId = await insertTask(req.user.id, req.body);
     
     // Get the created task
-    const tasks = await runQuery('SELECT * FROM tasks WHERE id = ?', [result.id]);
+    const task = await findTask(taskId, req.user.id);
+    await recordTaskEvent('created', { after: task, actorId: req.user.id });
     
     res.status(201).json({
       success: true,
-      data: tasks[0],
+      data: task,
       message: 'Task created successfully'
     });
   } catch (error) {
@@ -209,32 +1484,19 @@ router.put('/:id', validateTask, async (req, res, next) => {
     }
 
     // Check if task exists
-    const existingTasks = await runQuery('SELECT * FROM tasks WHERE id = ?', [id]);
-    if (existingTasks.length === 0) {
+    const existingTask = await findTask(id, req.user.id);
+    if (!existingTask) {
       return res.status(404).json({
         success: false,
         error: 'Task not found'
       });
     }
 
-    const { title, description, status, due_date } = req.body;
-    
-    const sql = `
-      UPDATE tasks 
-      SET title = ?, description = ?, status = ?, due_date = ?, updated_at = datetime('now')
-      WHERE id = ?
-    `;
-    
-    await runCommand(sql, [title, description, status, due_date, id]);
-    
-    // Get the updated task
-    const tasks = await runQuery('SELECT * FROM tasks WHERE id = ?', [id]);
-    
-    res.json({
-      success: true,
-      data: tasks[0],
-      message: 'Task updated successfully'
-    });
+    if (!ifMatchPasses(req, existingTask)) {
+      return sendPreconditionFailed(res, existingTask);
+    }
+
+    await applyTaskUpdate(req, res, existingTask, req.body, { message: 'Task updated successfully' });
   } catch (error) {
     next(error);
   }
@@ -253,19 +1515,153 @@ router.delete('/:id', async (req, res, next) => {
     }
 
     // Check if task exists
-    const existingTasks = await runQuery('SELECT * FROM tasks WHERE id = ?', [id]);
-    if (existingTasks.length === 0) {
+    const existingTask = await findTask(id, req.user.id);
+    if (!existingTask) {
       return res.status(404).json({
         success: false,
         error: 'Task not found'
       });
     }
 
-    await runCommand('DELETE FROM tasks WHERE id = ?', [id]);
+    if (!ifMatchPasses(req, existingTask)) {
+      return sendPreconditionFailed(res, existingTask);
+    }
+
+    // Tasks go to the trash first; see /restore and /purge
+    await trashTask(existingTask.id);
+    await recordTaskEvent('deleted', { before: existingTask, actorId: req.user.id });
     
     res.json({
       success: true,
-      message: 'Task deleted successfully'
+      message: 'Task moved to trash'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tasks/:id/restore - Restore a task from the trash
+router.post('/:id/restore', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid task ID is required'
+      });
+    }
+
+    const trashedTask = await findTask(id, req.user.id, { trashed: true });
+    if (!trashedTask) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found in trash'
+      });
+    }
+
+    if (trashedTask.parent_id && await taskRepository.findById(trashedTask.parent_id, req.user.id, { trashed: true })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Restore the parent task first'
+      });
+    }
+
+    await restoreTask(trashedTask);
+    const task = await findTask(id, req.user.id);
+    await recordTaskEvent('restored', { task, actorId: req.user.id });
+
+    res.json({
+      success: true,
+      data: task,
+      message: 'Task restored successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/tasks/:id/purge - Permanently delete a trashed task
+router.delete('/:id/purge', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid task ID is required'
+      });
+    }
+
+    const trashedTask = await findTask(id, req.user.id, { trashed: true });
+    if (!trashedTask) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found in trash'
+      });
+    }
+
+    await purgeTask(trashedTask.id);
+    await recordTaskEvent('purged', { task: trashedTask, actorId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Task permanently deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/tasks/:id - Partially update a task (JSON Merge Patch, RFC 7396).
+// Only the fields present in the body are validated and changed; null
+// clears a field.
+router.patch('/:id', validateTaskPatch, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid task ID is required'
+      });
+    }
+
+    if (!req.is('application/merge-patch+json') && !req.is('application/json')) {
+      return res.status(415).json({
+        success: false,
+        error: 'Content-Type must be application/merge-patch+json'
+      });
+    }
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    // Check if task exists
+    const existingTask = await findTask(id, req.user.id);
+    if (!existingTask) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    if (!ifMatchPasses(req, existingTask)) {
+      return sendPreconditionFailed(res, existingTask);
+    }
+
+    const patch = req.body;
+    const onlyStatus = Object.keys(patch).length === 1 && 'status' in patch;
+    await applyTaskUpdate(req, res, existingTask, patch, {
+      action: onlyStatus ? 'status_changed' : 'updated',
+      message: 'Task updated successfully'
     });
   } catch (error) {
     next(error);
@@ -273,11 +1669,7 @@ router.delete('/:id', async (req, res, next) => {
 });
 
 // PATCH /api/tasks/:id/status - Update task status only
-router.patch('/:id/status', [
-  body('status')
-    .isIn(['pending', 'in-progress', 'completed', 'cancelled'])
-    .withMessage('Status must be one of: pending, in-progress, completed, cancelled')
-], async (req, res, next) => {
+router.patch('/:id/status', bodyValidators(TaskStatusInput, { status: TASK_FIELD_HOOKS.status }), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -300,25 +1692,20 @@ router.patch('/:id/status', [
     }
 
     // Check if task exists
-    const existingTasks = await runQuery('SELECT * FROM tasks WHERE id = ?', [id]);
-    if (existingTasks.length === 0) {
+    const existingTask = await findTask(id, req.user.id);
+    if (!existingTask) {
       return res.status(404).json({
         success: false,
         error: 'Task not found'
       });
     }
 
-    await runCommand(
-      'UPDATE tasks SET status = ?, updated_at = datetime("now") WHERE id = ?',
-      [status, id]
-    );
-    
-    // Get the updated task
-    const tasks = await runQuery('SELECT * FROM tasks WHERE id = ?', [id]);
-    
-    res.json({
-      success: true,
-      data: tasks[0],
+    if (!ifMatchPasses(req, existingTask)) {
+      return sendPreconditionFailed(res, existingTask);
+    }
+
+    await applyTaskUpdate(req, res, existingTask, { status }, {
+      action: 'status_changed',
       message: 'Task status updated successfully'
     });
   } catch (error) {
@@ -0,0 +1,134 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+
+beforeAll(setUpDatabase);
+
+let api;
+
+beforeAll(async () => {
+  ({ api } = await signUp());
+  for (const [title, status, dueDate] of [
+    ['c', 'pending', '2024-05-03'],
+    ['a', 'completed', '2024-05-01'],
+    ['e', 'pending', null],
+    ['b', 'in-progress', '2024-05-01'],
+    ['d', 'pending', '2024-05-02']
+  ]) {
+    await api.post('/api/tasks').send({ title, status, due_date: dueDate });
+  }
+});
+
+const list = (query) => api.get('/api/tasks').query(query);
+const titles = (res) => res.body.data.map(task => task.title);
+
+describe('GET /api/tasks', () => {
+  test('lists the newest tasks first, with the total and counts per status', async () => {
+    const res = await list();
+
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(['d', 'b', 'e', 'a', 'c']);
+    expect(res.body).toMatchObject({
+      count: 5,
+      total: 5,
+      status_counts: { pending: 3, 'in-progress': 1, completed: 1 },
+      pagination: { limit: 50, sort: '-created_at', next_cursor: null, prev_cursor: null }
+    });
+  });
+
+  test('lists only the tasks of the signed-in user', async () => {
+    const other = await signUp();
+
+    const res = await other.api.get('/api/tasks');
+
+    expect(res.body.data).toEqual([]);
+    expect(res.body.total).toBe(0);
+  });
+
+  test('sorts by several keys, each ascending or descending', async () => {
+    expect(titles(await list({ sort: 'title' }))).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(titles(await list({ sort: '-title' }))).toEqual(['e', 'd', 'c', 'b', 'a']);
+    // Tasks without a due date sort first
+    expect(titles(await list({ sort: 'due_date,-title' }))).toEqual(['e', 'b', 'a', 'd', 'c']);
+    expect(titles(await list({ sort: 'status,title' }))).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+
+  test('sorts by priority rank and by smart score, judged on the given day', async () => {
+    const user = await signUp();
+    for (const [title, status, priority, dueDate] of [
+      ['Someday', 'pending', 'none', null],
+      ['Urgent', 'pending', 'urgent', null],
+      ['Overdue', 'pending', 'low', '2024-05-01'],
+      ['Done', 'completed', 'urgent', '2024-05-01'],
+      ['Soon', 'pending', 'none', '2024-05-12']
+    ]) {
+      await user.api.post('/api/tasks').send({ title, status, priority, due_date: dueDate });
+    }
+    const sorted = (query) => user.api.get('/api/tasks').query(query);
+
+    expect(titles(await sorted({ sort: '-priority,title' }))).toEqual(['Done', 'Urgent', 'Overdue', 'Someday', 'Soon']);
+
+    const smart = await sorted({ sort: 'smart', today: '2024-05-10' });
+    expect(titles(smart)).toEqual(['Overdue', 'Urgent', 'Soon', 'Someday', 'Done']);
+    expect(smart.body.data.every(task => typeof task.smart_score === 'number')).toBe(true);
+  });
+
+  test('pages forwards and back with cursors', async () => {
+    const first = await list({ sort: 'title', limit: 2 });
+    expect(titles(first)).toEqual(['a', 'b']);
+    expect(first.body.total).toBe(5);
+    expect(first.body.pagination.prev_cursor).toBeNull();
+
+    const second = await list({ sort: 'title', limit: 2, after: first.body.pagination.next_cursor });
+    expect(titles(second)).toEqual(['c', 'd']);
+
+    const third = await list({ sort: 'title', limit: 2, after: second.body.pagination.next_cursor });
+    expect(titles(third)).toEqual(['e']);
+    expect(third.body.pagination.next_cursor).toBeNull();
+
+    const back = await list({ sort: 'title', limit: 2, before: third.body.pagination.prev_cursor });
+    expect(titles(back)).toEqual(['c', 'd']);
+  });
+
+  test('keeps its place when tasks are added before the cursor', async () => {
+    const user = await signUp();
+    for (const title of ['a', 'b', 'c', 'd']) {
+      await user.api.post('/api/tasks').send({ title });
+    }
+    const first = await user.api.get('/api/tasks').query({ sort: 'title', limit: 2 });
+    await user.api.post('/api/tasks').send({ title: 'aa' });
+
+    const second = await user.api.get('/api/tasks').query({ sort: 'title', limit: 2, after: first.body.pagination.next_cursor });
+
+    expect(titles(second)).toEqual(['c', 'd']);
+  });
+
+  test.each([
+    [{ sort: 'bogus' }, 'sort'],
+    [{ sort: 'title,-nope' }, 'sort'],
+    [{ limit: 0 }, 'limit'],
+    [{ limit: 201 }, 'limit'],
+    [{ limit: 'ten' }, 'limit'],
+    [{ after: 'x', before: 'y' }, 'before']
+  ])('rejects %p', async (query, path) => {
+    const res = await list(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(error => error.path)).toEqual([path]);
+  });
+
+  test('rejects a cursor of another order or a made-up one', async () => {
+    const { body } = await list({ sort: 'title', limit: 1 });
+
+    const otherOrder = await list({ sort: 'due_date', after: body.pagination.next_cursor });
+    expect(otherOrder.status).toBe(400);
+    expect(otherOrder.body.error).toBe('Invalid or expired cursor');
+
+    expect((await list({ after: 'not-a-cursor' })).status).toBe(400);
+  });
+
+  test('rejects sorting by relevance without a search', async () => {
+    const res = await list({ sort: 'relevance' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Sorting by relevance requires a search');
+  });
+});
@@ -0,0 +1,135 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+
+beforeAll(setUpDatabase);
+
+let api;
+let project;
+let tags;
+
+beforeAll(async () => {
+  ({ api } = await signUp());
+  project = (await api.post('/api/projects').send({ name: 'Garden' })).body.data;
+  tags = [];
+  for (const name of ['outside', 'weekend']) {
+    tags.push((await api.post('/api/tags').send({ name })).body.data);
+  }
+});
+
+const createTask = async () => (await api.post('/api/tasks').send({
+  title: 'Prune roses',
+  description: 'Before spring',
+  priority: 'high',
+  due_date: '2024-03-01',
+  project_id: project.id,
+  tags: tags.map(tag => tag.id)
+})).body.data;
+
+const patch = (task, body) => api.patch(`/api/tasks/${task.id}`)
+  .set('Content-Type', 'application/merge-patch+json')
+  .send(JSON.stringify(body));
+
+describe('PATCH /api/tasks/:id', () => {
+  test('changes only the fields in the patch', async () => {
+    const task = await createTask();
+
+    const res = await patch(task, { title: 'Prune the roses' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      title: 'Prune the roses',
+      description: 'Before spring',
+      priority: 'high',
+      due_date: '2024-03-01',
+      project_id: project.id
+    });
+    expect(res.body.data.tags.map(tag => tag.name)).toEqual(['outside', 'weekend']);
+  });
+
+  test('clears fields set to null', async () => {
+    const task = await createTask();
+
+    const res = await patch(task, { description: null, due_date: null, project_id: null, tags: null });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ title: 'Prune roses', description: null, due_date: null, project_id: null, tags: [] });
+  });
+
+  test('replaces the tags with those in the patch', async () => {
+    const task = await createTask();
+
+    const res = await patch(task, { tags: [tags[1].id] });
+
+    expect(res.body.data.tags.map(tag => tag.name)).toEqual(['weekend']);
+  });
+
+  test('records a patch of the status alone as a status change', async () => {
+    const task = await createTask();
+    await patch(task, { status: 'in-progress' });
+    await patch(task, {});
+
+    const history = (await api.get(`/api/tasks/${task.id}/history`)).body.data;
+    expect(history.map(event => event.action)).toEqual(['status_changed', 'created']);
+  });
+
+  test('also accepts application/json', async () => {
+    const task = await createTask();
+
+    const res = await api.patch(`/api/tasks/${task.id}`).send({ priority: 'low' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.priority).toBe('low');
+  });
+
+  test('rejects other content types', async () => {
+    const task = await createTask();
+
+    const res = await api.patch(`/api/tasks/${task.id}`).set('Content-Type', 'text/plain').send('priority=low');
+
+    expect(res.status).toBe(415);
+    expect(res.body.error).toBe('Content-Type must be application/merge-patch+json');
+  });
+
+  test.each([
+    [{ title: null }, 'title', 'Title is required and must be less than 255 characters'],
+    [{ status: null }, 'status', 'Status must be one of the workflow statuses'],
+    [{ priority: 'critical' }, 'priority', 'Priority must be one of: none, low, medium, high, urgent'],
+    [{ colour: 'red' }, '', 'Unknown field: colour'],
+    [['title'], '', 'Patch must be a JSON object']
+  ])('rejects %j', async (body, path, msg) => {
+    const task = await createTask();
+
+    const res = await patch(task, body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([expect.objectContaining({ path, msg })]);
+    expect((await api.get(`/api/tasks/${task.id}`)).body.data.version).toBe(task.version);
+  });
+});
+
+describe('PUT /api/tasks/:id', () => {
+  test('keeps the fields left out', async () => {
+    const task = await createTask();
+    await patch(task, { status: 'in-progress' });
+
+    const res = await api.put(`/api/tasks/${task.id}`).send({ title: 'Prune all roses' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      title: 'Prune all roses',
+      description: 'Before spring',
+      status: 'in-progress',
+      priority: 'high',
+      due_date: '2024-03-01',
+      project_id: project.id
+    });
+    expect(res.body.data.tags).toHaveLength(2);
+  });
+
+  test('clears fields set to null', async () => {
+    const task = await createTask();
+
+    const res = await api.put(`/api/tasks/${task.id}`).send({ title: 'Prune roses', description: null, project_id: null, tags: [] });
+
+    expect(res.body.data).toMatchObject({ description: null, project_id: null, priority: 'high', tags: [] });
+  });
+});
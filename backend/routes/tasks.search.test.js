@@ -0,0 +1,59 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+
+beforeAll(setUpDatabase);
+
+let api;
+
+beforeAll(async () => {
+  ({ api } = await signUp());
+  for (const task of [
+    { title: 'Deploy api server', description: 'Ship the <release> notes' },
+    { title: 'Release notes draft', description: 'For the launch' },
+    { title: 'Buy milk and bread' }
+  ]) {
+    await api.post('/api/tasks').send(task);
+  }
+});
+
+const search = (value, path = '/api/tasks') => api.get(path).query({ search: value });
+
+describe('GET /api/tasks?search=', () => {
+  test('ranks matches and marks the matched words', async () => {
+    const res = await search('release');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(task => task.title)).toEqual(['Release notes draft', 'Deploy api server']);
+    expect(res.body.data[0].search.title).toBe('<mark>Release</mark> notes draft');
+    expect(res.body.data[1].search.snippet).toContain('&lt;<mark>release</mark>&gt;');
+    expect(res.body.data[0].search.rank).toBeLessThan(res.body.data[1].search.rank);
+  });
+
+  test('matches word prefixes and phrases, and excludes words', async () => {
+    expect((await search('mil')).body.data.map(task => task.title)).toEqual(['Buy milk and bread']);
+    expect((await search('"notes draft"')).body.data.map(task => task.title)).toEqual(['Release notes draft']);
+    expect((await search('notes -draft')).body.data.map(task => task.title)).toEqual(['Deploy api server']);
+  });
+
+  test('searches for words that are query operators elsewhere', async () => {
+    const res = await search('AND');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(task => task.title)).toEqual(['Buy milk and bread']);
+  });
+
+  test.each(['*', '(', '"', '-', '!!! ---', '""'])('rejects %p, which has nothing to search for', async (value) => {
+    const res = await search(value);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.details).toEqual([expect.objectContaining({
+      path: 'search',
+      msg: 'Search must include a word or "quoted phrase" to search for'
+    })]);
+  });
+
+  test('rejects such a search in exports and the calendar feed as well', async () => {
+    expect((await search('*', '/api/tasks/export')).status).toBe(400);
+    expect((await search('*', '/api/tasks/calendar.ics')).status).toBe(400);
+  });
+});
@@ -0,0 +1,161 @@
+const http = require('http');
+const { app, setUpDatabase, signUp } = require('../test/helpers');
+
+let server;
+
+beforeAll(async () => {
+  await setUpDatabase();
+  server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+// Open the event stream as a user. Resolves once connected with
+// `until(count)`, which resolves with the events received once there are
+// that many, and `close()`.
+const openStream = (accessToken, lastEventId) => new Promise((resolve, reject) => {
+  const events = [];
+  const waiters = [];
+  let buffer = '';
+
+  const notify = () => {
+    for (const waiter of waiters.filter(item => events.length >= item.count)) {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(events);
+    }
+  };
+
+  const request = http.get({
+    host: '127.0.0.1',
+    port: server.address().port,
+    path: '/api/tasks/stream',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      ...(lastEventId !== undefined && { 'Last-Event-ID': String(lastEventId) })
+    }
+  }, (res) => {
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+      for (const message of messages) {
+        if (message.startsWith(':')) {
+          continue;
+        }
+        const fields = {};
+        for (const line of message.split('\n')) {
+          const colon = line.indexOf(':');
+          fields[line.slice(0, colon)] = line.slice(colon + 2);
+        }
+        events.push({ id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+      }
+      notify();
+    });
+    resolve({
+      status: res.statusCode,
+      headers: res.headers,
+      until: (count) => new Promise((resolveUntil) => {
+        waiters.push({ count, resolve: resolveUntil });
+        notify();
+      }),
+      close: () => request.destroy()
+    });
+  });
+  request.on('error', (error) => {
+    if (error.code !== 'ECONNRESET') {
+      reject(error);
+    }
+  });
+});
+
+describe('GET /api/tasks/stream', () => {
+  test('sends the changes to the tasks of the user as they happen', async () => {
+    const { api, accessToken } = await signUp();
+    const stream = await openStream(accessToken);
+
+    try {
+      expect(stream.status).toBe(200);
+      expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+
+      const task = (await api.post('/api/tasks').send({ title: 'Live' })).body.data;
+      const [created] = await stream.until(1);
+      expect(created).toMatchObject({ type: 'created', data: { task: { id: task.id, title: 'Live' } } });
+
+      await api.patch(`/api/tasks/${task.id}`).send({ title: 'Still live' });
+      const [, updated] = await stream.until(2);
+      expect(updated).toMatchObject({ type: 'updated', data: { task: { title: 'Still live' } } });
+      expect(updated.id).toBeGreaterThan(created.id);
+
+      await api.delete(`/api/tasks/${task.id}`);
+      const [, , deleted] = await stream.until(3);
+      expect(deleted).toMatchObject({ type: 'deleted', data: { id: task.id } });
+    } finally {
+      stream.close();
+    }
+  });
+
+  test("leaves out other users' changes and changes that are rolled back", async () => {
+    const { api, accessToken } = await signUp();
+    const { api: otherApi } = await signUp();
+    const task = (await api.post('/api/tasks').send({ title: 'Mine' })).body.data;
+    const stream = await openStream(accessToken);
+
+    try {
+      await otherApi.post('/api/tasks').send({ title: 'Theirs' });
+      await api.post('/api/tasks/bulk').send({
+        atomic: true,
+        operations: [{ id: task.id, op: 'priority', priority: 'high' }, { id: 999999, op: 'delete' }]
+      });
+      await api.post('/api/tasks').send({ title: 'Also mine' });
+
+      const events = await stream.until(1);
+      expect(events.map(event => [event.type, event.data.task.title])).toEqual([['created', 'Also mine']]);
+    } finally {
+      stream.close();
+    }
+  });
+
+  test('replays what was missed since Last-Event-ID, one event per task', async () => {
+    const { api, accessToken } = await signUp();
+    const kept = (await api.post('/api/tasks').send({ title: 'Kept' })).body.data;
+    const gone = (await api.post('/api/tasks').send({ title: 'Gone' })).body.data;
+    const [{ id: lastEventId }] = (await api.get('/api/activity').query({ limit: 1 })).body.data;
+
+    await api.patch(`/api/tasks/${kept.id}`).send({ title: 'Kept, renamed' });
+    await api.patch(`/api/tasks/${kept.id}`).send({ priority: 'high' });
+    const added = (await api.post('/api/tasks').send({ title: 'Added' })).body.data;
+    await api.patch(`/api/tasks/${added.id}`).send({ title: 'Added, renamed' });
+    await api.delete(`/api/tasks/${gone.id}`);
+
+    const stream = await openStream(accessToken, lastEventId);
+    try {
+      const events = await stream.until(3);
+
+      expect(events.map(event => [event.type, event.data.task?.title ?? event.data.id])).toEqual([
+        ['updated', 'Kept, renamed'],
+        ['created', 'Added, renamed'],
+        ['deleted', gone.id]
+      ]);
+      expect(events[0].data.task.priority).toBe('high');
+    } finally {
+      stream.close();
+    }
+  });
+
+  test('asks the client to reload when too much was missed', async () => {
+    const { api, accessToken } = await signUp();
+    await api.post('/api/tasks/import').send(Array.from({ length: 501 }, (_, index) => ({ title: `Task ${index}` })));
+    const [{ id: latest }] = (await api.get('/api/activity').query({ limit: 1 })).body.data;
+
+    const stream = await openStream(accessToken, 0);
+    try {
+      const [reset] = await stream.until(1);
+
+      expect(reset).toEqual({ id: latest, type: 'reset', data: {} });
+    } finally {
+      stream.close();
+    }
+  });
+});
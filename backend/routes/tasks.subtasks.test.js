@@ -0,0 +1,89 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+
+beforeAll(setUpDatabase);
+
+let api;
+
+beforeAll(async () => {
+  ({ api } = await signUp());
+});
+
+const createTask = async (task) => (await api.post('/api/tasks').send(task)).body.data;
+const createSubtask = async (parent, task) => (await api.post(`/api/tasks/${parent.id}/subtasks`).send(task)).body.data;
+const titles = (res) => res.body.data.map(task => task.title).sort();
+
+describe('/api/tasks/:id/subtasks', () => {
+  test("creates subtasks in their parent's project unless given another", async () => {
+    const home = (await api.post('/api/projects').send({ name: 'Home' })).body.data;
+    const work = (await api.post('/api/projects').send({ name: 'Work' })).body.data;
+    const parent = await createTask({ title: 'Move house', project_id: home.id });
+
+    const res = await api.post(`/api/tasks/${parent.id}/subtasks`).send({ title: 'Book van' });
+    const other = await createSubtask(parent, { title: 'Take day off', project_id: work.id });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ parent_id: parent.id, project_id: home.id });
+    expect(other).toMatchObject({ parent_id: parent.id, project_id: work.id });
+  });
+
+  test('lists the direct subtasks of a task with its progress', async () => {
+    const parent = await createTask({ title: 'Plan party' });
+    const invite = await createSubtask(parent, { title: 'Invite friends' });
+    await createSubtask(parent, { title: 'Bake cake', status: 'completed' });
+    await createSubtask(invite, { title: 'Find addresses' });
+
+    const res = await api.get(`/api/tasks/${parent.id}/subtasks`);
+
+    expect(titles(res)).toEqual(['Bake cake', 'Invite friends']);
+    expect(res.body.progress).toEqual({ completed: 1, total: 2 });
+    expect(res.body.data.find(task => task.id === invite.id).progress).toEqual({ completed: 0, total: 1 });
+  });
+
+  test('counts a subtask as done once it is completed', async () => {
+    const parent = await createTask({ title: 'Write essay' });
+    const outline = await createSubtask(parent, { title: 'Outline' });
+
+    await api.patch(`/api/tasks/${outline.id}/status`).send({ status: 'completed' });
+
+    expect((await api.get(`/api/tasks/${parent.id}`)).body.data.progress).toEqual({ completed: 1, total: 1 });
+  });
+
+  test('lists top-level tasks unless asked for subtasks', async () => {
+    const { api: ownApi } = await signUp();
+    const parent = (await ownApi.post('/api/tasks').send({ title: 'Parent' })).body.data;
+    await ownApi.post(`/api/tasks/${parent.id}/subtasks`).send({ title: 'Child' });
+
+    expect(titles(await ownApi.get('/api/tasks'))).toEqual(['Parent']);
+    expect(titles(await ownApi.get('/api/tasks').query({ parent: 'any' }))).toEqual(['Child', 'Parent']);
+    expect(titles(await ownApi.get('/api/tasks').query({ parent: parent.id }))).toEqual(['Child']);
+  });
+
+  test('does not move a task under itself or one of its subtasks', async () => {
+    const parent = await createTask({ title: 'Top' });
+    const child = await createSubtask(parent, { title: 'Middle' });
+    const grandchild = await createSubtask(child, { title: 'Bottom' });
+
+    for (const parentId of [parent.id, grandchild.id]) {
+      const res = await api.patch(`/api/tasks/${parent.id}`).send({ parent_id: parentId });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('A task cannot be moved under itself or one of its subtasks');
+    }
+
+    const moved = await api.patch(`/api/tasks/${grandchild.id}`).send({ parent_id: parent.id });
+    expect(moved.status).toBe(200);
+    expect(moved.body.data.parent_id).toBe(parent.id);
+  });
+
+  test("keeps other users' tasks out of reach", async () => {
+    const parent = await createTask({ title: 'Mine' });
+    const { api: otherApi } = await signUp();
+
+    expect((await otherApi.get(`/api/tasks/${parent.id}/subtasks`)).status).toBe(404);
+    expect((await otherApi.post(`/api/tasks/${parent.id}/subtasks`).send({ title: 'Theirs' })).status).toBe(404);
+
+    const moved = await otherApi.post('/api/tasks').send({ title: 'Theirs', parent_id: parent.id });
+    expect(moved.status).toBe(400);
+    expect(moved.body.details).toEqual([expect.objectContaining({ path: 'parent_id', msg: 'Parent task not found' })]);
+  });
+});
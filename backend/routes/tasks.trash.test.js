@@ -0,0 +1,126 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+const { runQuery, runCommand } = require('../db');
+const { taskRepository } = require('../repositories');
+const { purgeTask, purgeExpiredTasks } = require('../utils/trash');
+
+beforeAll(setUpDatabase);
+
+let api;
+
+beforeAll(async () => {
+  ({ api } = await signUp());
+});
+
+const createTask = async (task) => (await api.post('/api/tasks').send(task)).body.data;
+const createSubtask = async (parent, task) => (await api.post(`/api/tasks/${parent.id}/subtasks`).send(task)).body.data;
+const trashedIds = async () => (await api.get('/api/tasks/trash')).body.data.map(task => task.id);
+
+describe('trash', () => {
+  test('moves deleted tasks to the trash until they expire', async () => {
+    const task = await createTask({ title: 'Bin me' });
+
+    const res = await api.delete(`/api/tasks/${task.id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Task moved to trash');
+    expect((await api.get(`/api/tasks/${task.id}`)).status).toBe(404);
+
+    const trash = await api.get('/api/tasks/trash');
+    expect(trash.body.retention_days).toBe(30);
+    const [trashed] = trash.body.data.filter(item => item.id === task.id);
+    const deletedAt = new Date(`${trashed.deleted_at.replace(' ', 'T')}Z`);
+    expect(new Date(trashed.purge_at) - deletedAt).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  test('restores a task with the subtasks trashed alongside it', async () => {
+    const parent = await createTask({ title: 'Parent' });
+    const child = await createSubtask(parent, { title: 'Child' });
+    const earlier = await createSubtask(parent, { title: 'Trashed earlier' });
+    await api.delete(`/api/tasks/${earlier.id}`);
+
+    await api.delete(`/api/tasks/${parent.id}`);
+    expect((await api.get(`/api/tasks/${child.id}`)).status).toBe(404);
+    // Subtasks trashed with their parent are not listed on their own
+    expect(await trashedIds()).toEqual(expect.arrayContaining([parent.id, earlier.id]));
+    expect(await trashedIds()).not.toContain(child.id);
+
+    const res = await api.post(`/api/tasks/${parent.id}/restore`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.progress).toEqual({ completed: 0, total: 1 });
+    expect((await api.get(`/api/tasks/${child.id}`)).status).toBe(200);
+    expect(await trashedIds()).toContain(earlier.id);
+  });
+
+  test('restores a subtask only once its parent is back', async () => {
+    const parent = await createTask({ title: 'Parent' });
+    const child = await createSubtask(parent, { title: 'Child' });
+    await api.delete(`/api/tasks/${child.id}`);
+    await api.delete(`/api/tasks/${parent.id}`);
+
+    const res = await api.post(`/api/tasks/${child.id}/restore`);
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Restore the parent task first');
+
+    await api.post(`/api/tasks/${parent.id}/restore`);
+    expect((await api.post(`/api/tasks/${child.id}/restore`)).status).toBe(200);
+  });
+
+  test('purges a task with its subtasks and comments', async () => {
+    const parent = await createTask({ title: 'Parent' });
+    const child = await createSubtask(parent, { title: 'Child' });
+    await api.post(`/api/tasks/${child.id}/comments`).send({ body: 'Note' });
+    await api.delete(`/api/tasks/${parent.id}`);
+
+    const res = await api.delete(`/api/tasks/${parent.id}/purge`);
+
+    expect(res.status).toBe(200);
+    expect(await trashedIds()).not.toContain(parent.id);
+    expect((await api.post(`/api/tasks/${child.id}/restore`)).status).toBe(404);
+    expect(await runQuery('SELECT id FROM comments WHERE task_id = ?', [child.id])).toEqual([]);
+  });
+
+  test('only restores or purges tasks in the trash', async () => {
+    const task = await createTask({ title: 'Alive' });
+
+    for (const res of [await api.post(`/api/tasks/${task.id}/restore`), await api.delete(`/api/tasks/${task.id}/purge`)]) {
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Task not found in trash');
+    }
+  });
+
+  test("keeps other users' trash out of reach", async () => {
+    const task = await createTask({ title: 'Mine' });
+    await api.delete(`/api/tasks/${task.id}`);
+    const { api: otherApi } = await signUp();
+
+    expect((await otherApi.get('/api/tasks/trash')).body.data).toEqual([]);
+    expect((await otherApi.post(`/api/tasks/${task.id}/restore`)).status).toBe(404);
+    expect((await otherApi.delete(`/api/tasks/${task.id}/purge`)).status).toBe(404);
+  });
+
+  test('purges tasks trashed longer than the retention period', async () => {
+    const expired = await createTask({ title: 'Long gone' });
+    const recent = await createTask({ title: 'Just binned' });
+    await api.delete(`/api/tasks/${expired.id}`);
+    await api.delete(`/api/tasks/${recent.id}`);
+    await runCommand("UPDATE tasks SET deleted_at = '2000-01-01 00:00:00.000' WHERE id = ?", [expired.id]);
+
+    expect(await purgeExpiredTasks()).toBe(1);
+
+    expect(await trashedIds()).not.toContain(expired.id);
+    expect(await trashedIds()).toContain(recent.id);
+    const [purged] = (await api.get('/api/activity')).body.data;
+    expect(purged).toMatchObject({ action: 'purged', task_id: expired.id, actor: null });
+  });
+
+  test('purges nothing more when the task is already gone', async () => {
+    const purge = jest.spyOn(taskRepository, 'purge').mockResolvedValueOnce([]);
+
+    try {
+      expect(await purgeTask(999999)).toEqual([]);
+    } finally {
+      purge.mockRestore();
+    }
+  });
+});
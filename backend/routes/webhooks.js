@@ -0,0 +1,294 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { runQuery, runCommand } = require('../db');
+const handleValidation = require('../middleware/validate');
+const { validateEventQuery } = require('../utils/taskEvents');
+const { WEBHOOK_EVENTS, generateWebhookSecret, redeliver } = require('../utils/webhooks');
+
+const router = express.Router();
+
+// Validation middleware
+const validateWebhook = [
+  body('url')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http or https address')
+    .isLength({ max: 2000 })
+    .withMessage('URL must be less than 2000 characters'),
+  body('events')
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array'),
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Events must be among: ${WEBHOOK_EVENTS.join(', ')}`),
+  body('secret')
+    .optional()
+    .isString()
+    .isLength({ min: 16, max: 200 })
+    .withMessage('Secret must be between 16 and 200 characters'),
+  body('active')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Active must be true or false')
+];
+
+const validateId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid webhook ID is required')
+];
+
+const validateDeliveryId = [
+  param('deliveryId')
+    .isInt({ min: 1 })
+    .withMessage('Valid delivery ID is required')
+];
+
+// Webhooks are returned without their secret, which is only shown when it
+// is set, with the outcome of their latest delivery
+const WEBHOOK_SELECT = `
+  SELECT w.id, w.url, w.events, w.active, w.created_at, w.updated_at,
+         d.status AS last_delivery_status, d.created_at AS last_delivery_at
+  FROM webhooks w
+  LEFT JOIN webhook_deliveries d ON d.id = (SELECT MAX(id) FROM webhook_deliveries WHERE webhook_id = w.id)
+`;
+
+const formatWebhook = ({ events, active, ...webhook }) => ({
+  ...webhook,
+  events: JSON.parse(events),
+  active: Boolean(active)
+});
+
+// Deliveries are listed without their payload and response body
+const DELIVERY_COLUMNS = `id, webhook_id, event_id, reminder_log_id, event_type, status, attempts, next_attempt_at,
+  last_attempt_at, response_status, error, redelivery_of, created_at`;
+
+// Load a webhook by id, scoped to the webhook owner
+const findWebhook = async (id, ownerId) => {
+  const webhooks = await runQuery(`${WEBHOOK_SELECT} WHERE w.id = ? AND w.owner_id = ?`, [id, ownerId]);
+  return webhooks[0] ? formatWebhook(webhooks[0]) : null;
+};
+
+const webhookNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Webhook not found'
+});
+
+// GET /api/webhooks - Get all webhooks
+router.get('/', async (req, res, next) => {
+  try {
+    const webhooks = await runQuery(
+      `${WEBHOOK_SELECT} WHERE w.owner_id = ? ORDER BY w.id ASC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: webhooks.map(formatWebhook),
+      count: webhooks.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/webhooks/events - Get the event types webhooks can subscribe to
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    data: WEBHOOK_EVENTS
+  });
+});
+
+// GET /api/webhooks/:id - Get a specific webhook
+router.get('/:id', validateId, handleValidation, async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id, req.user.id);
+
+    if (!webhook) {
+      return webhookNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks - Create a webhook. A secret is generated when none is
+// given; either way it is returned only here.
+router.post('/', validateWebhook, handleValidation, async (req, res, next) => {
+  try {
+    const { url, events, secret = generateWebhookSecret(), active = true } = req.body;
+
+    const result = await runCommand(
+      `INSERT INTO webhooks (owner_id, url, events, secret, active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+      [req.user.id, url, JSON.stringify([...new Set(events)]), secret, active ? 1 : 0]
+    );
+
+    const webhook = await findWebhook(result.id, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: { ...webhook, secret },
+      message: 'Webhook created; copy the secret now, it will not be shown again'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/webhooks/:id - Update a webhook; omit the secret to keep it
+router.put('/:id', validateId, validateWebhook, handleValidation, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingWebhook = await findWebhook(id, req.user.id);
+    if (!existingWebhook) {
+      return webhookNotFound(res);
+    }
+
+    const { url, events, secret, active = existingWebhook.active } = req.body;
+
+    await runCommand(
+      `UPDATE webhooks
+       SET url = ?, events = ?, secret = COALESCE(?, secret), active = ?, updated_at = datetime('now')
+       WHERE id = ?`,
+      [url, JSON.stringify([...new Set(events)]), secret ?? null, active ? 1 : 0, id]
+    );
+
+    const webhook = await findWebhook(id, req.user.id);
+
+    res.json({
+      success: true,
+      data: webhook,
+      message: 'Webhook updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/webhooks/:id - Delete a webhook and its delivery log
+router.delete('/:id', validateId, handleValidation, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingWebhook = await findWebhook(id, req.user.id);
+    if (!existingWebhook) {
+      return webhookNotFound(res);
+    }
+
+    await runCommand('DELETE FROM webhooks WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/webhooks/:id/deliveries - Get the delivery log of a webhook,
+// newest first, paged like the activity feed
+router.get('/:id/deliveries', validateId, validateEventQuery, handleValidation, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { limit = 50, cursor } = req.query;
+
+    const webhook = await findWebhook(id, req.user.id);
+    if (!webhook) {
+      return webhookNotFound(res);
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await runQuery(
+      `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries
+       WHERE webhook_id = ? ${cursor ? 'AND id < ?' : ''}
+       ORDER BY id DESC
+       LIMIT ?`,
+      cursor ? [id, cursor, limit + 1] : [id, limit + 1]
+    );
+
+    const deliveries = rows.slice(0, limit);
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length,
+      pagination: {
+        limit,
+        next_cursor: rows.length > limit ? String(deliveries[deliveries.length - 1].id) : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Load a delivery of one of the user's webhooks
+const findDelivery = async (webhookId, deliveryId, ownerId) => {
+  const deliveries = await runQuery(
+    `SELECT d.* FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+     WHERE d.id = ? AND d.webhook_id = ? AND w.owner_id = ?`,
+    [deliveryId, webhookId, ownerId]
+  );
+  return deliveries[0] || null;
+};
+
+// GET /api/webhooks/:id/deliveries/:deliveryId - Get a delivery with its
+// payload and the endpoint's response
+router.get('/:id/deliveries/:deliveryId', validateId, validateDeliveryId, handleValidation, async (req, res, next) => {
+  try {
+    const delivery = await findDelivery(req.params.id, req.params.deliveryId, req.user.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...delivery, payload: JSON.parse(delivery.payload) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Queue a
+// delivery to be sent again with its original payload
+router.post('/:id/deliveries/:deliveryId/redeliver', validateId, validateDeliveryId, handleValidation, async (req, res, next) => {
+  try {
+    const delivery = await findDelivery(req.params.id, req.params.deliveryId, req.user.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    const redeliveryId = await redeliver(delivery);
+    const [redelivery] = await runQuery(
+      `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE id = ?`,
+      [redeliveryId]
+    );
+
+    res.status(202).json({
+      success: true,
+      data: redelivery,
+      message: 'Delivery queued'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const http = require('http');
+const { runQuery, runCommand } = require('../db');
+const { setUpDatabase, signUp } = require('../test/helpers');
+const { signPayload } = require('../utils/webhooks');
+
+// An endpoint that records the deliveries it receives and answers them
+// with `respondWith`
+const received = [];
+let respondWith = 200;
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    received.push({ method: req.method, headers: req.headers, body });
+    res.writeHead(respondWith).end(respondWith === 200 ? 'ok' : 'broken');
+  });
+});
+let endpoint;
+
+beforeAll(async () => {
+  await setUpDatabase();
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+afterAll(() => new Promise(resolve => receiver.close(resolve)));
+
+// Resolve with the first truthy result of `check`, which deliveries are
+// sent in the background to reach
+const waitFor = async (check) => {
+  for (let i = 0; i < 200; i++) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for a delivery');
+};
+
+const SECRET = 'a-shared-secret-of-some-length';
+
+describe('/api/webhooks', () => {
+  let api;
+
+  beforeAll(async () => {
+    ({ api } = await signUp());
+  });
+
+  test('lists the events webhooks can subscribe to', async () => {
+    const res = await api.get('/api/webhooks/events');
+
+    expect(res.body.data).toEqual(expect.arrayContaining(['task.created', 'task.status_changed', 'task.reminder']));
+  });
+
+  test('shows the secret only when it is set', async () => {
+    const created = await api.post('/api/webhooks').send({ url: endpoint, events: ['task.created', 'task.created'] });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ url: endpoint, events: ['task.created'], active: true });
+    expect(created.body.data.secret).toMatch(/^[0-9a-f]{48}$/);
+
+    const { id } = created.body.data;
+    const updated = await api.put(`/api/webhooks/${id}`).send({ url: endpoint, events: ['task.deleted'], active: false });
+    expect(updated.body.data).toMatchObject({ events: ['task.deleted'], active: false });
+    expect(updated.body.data).not.toHaveProperty('secret');
+    expect((await api.get('/api/webhooks')).body.data[0]).not.toHaveProperty('secret');
+
+    expect((await api.delete(`/api/webhooks/${id}`)).status).toBe(200);
+    expect((await api.get(`/api/webhooks/${id}`)).status).toBe(404);
+  });
+
+  test.each([
+    [{ url: 'ftp://example.com', events: ['task.created'] }, 'url'],
+    [{ url: 'https://example.com', events: [] }, 'events'],
+    [{ url: 'https://example.com', events: ['task.exploded'] }, 'events[0]'],
+    [{ url: 'https://example.com', events: ['task.created'], secret: 'short' }, 'secret'],
+    [{ url: 'https://example.com', events: ['task.created'], active: 'yes' }, 'active']
+  ])('rejects %j', async (webhook, path) => {
+    const res = await api.post('/api/webhooks').send(webhook);
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(error => error.path)).toEqual([path]);
+  });
+
+  test("keeps other users' webhooks out of reach", async () => {
+    const { id } = (await api.post('/api/webhooks').send({ url: endpoint, events: ['task.created'], active: false })).body.data;
+    const { api: otherApi } = await signUp();
+
+    expect((await otherApi.get(`/api/webhooks/${id}`)).status).toBe(404);
+    expect((await otherApi.get(`/api/webhooks/${id}/deliveries`)).status).toBe(404);
+    expect((await otherApi.delete(`/api/webhooks/${id}`)).status).toBe(404);
+  });
+});
+
+describe('webhook deliveries', () => {
+  let api;
+  let user;
+  let webhook;
+
+  const deliveries = async () => (await api.get(`/api/webhooks/${webhook.id}/deliveries`)).body.data;
+  const settled = (id) => waitFor(async () => {
+    const delivery = (await deliveries()).find(item => item.id === id);
+    return delivery.attempts > 0 && delivery;
+  });
+
+  beforeEach(async () => {
+    ({ api, user } = await signUp());
+    webhook = (await api.post('/api/webhooks').send({ url: endpoint, events: ['task.created'], secret: SECRET })).body.data;
+    received.length = 0;
+    respondWith = 200;
+  });
+
+  test('post signed events the webhook subscribes to', async () => {
+    const task = (await api.post('/api/tasks').send({ title: 'Hooked' })).body.data;
+
+    const [request] = await waitFor(() => received.length > 0 && received);
+    expect(request.method).toBe('POST');
+    expect(request.headers).toMatchObject({
+      'content-type': 'application/json',
+      'x-webhook-event': 'task.created',
+      'x-webhook-signature': `sha256=${signPayload(SECRET, request.headers['x-webhook-timestamp'], request.body)}`
+    });
+    const payload = JSON.parse(request.body);
+    expect(payload).toMatchObject({
+      type: 'task.created',
+      data: { task: { id: task.id, title: 'Hooked' }, actor_id: user.id, changes: { title: { from: null, to: 'Hooked' } } }
+    });
+
+    const [delivery] = await deliveries();
+    const sent = await settled(delivery.id);
+    expect(sent).toMatchObject({ event_type: 'task.created', status: 'succeeded', attempts: 1, response_status: 200, error: null });
+    expect(request.headers['x-webhook-delivery']).toBe(String(delivery.id));
+
+    const detail = await api.get(`/api/webhooks/${webhook.id}/deliveries/${delivery.id}`);
+    expect(detail.body.data).toMatchObject({ payload, response_body: 'ok' });
+    expect((await api.get(`/api/webhooks/${webhook.id}`)).body.data.last_delivery_status).toBe('succeeded');
+
+    // Not subscribed to updates
+    await api.patch(`/api/tasks/${task.id}`).send({ title: 'Changed' });
+    expect(await deliveries()).toHaveLength(1);
+  });
+
+  test('retry failed deliveries later, and again on request', async () => {
+    respondWith = 500;
+    await api.post('/api/tasks').send({ title: 'Broken endpoint' });
+    const [delivery] = await deliveries();
+
+    const failed = await settled(delivery.id);
+    expect(failed).toMatchObject({ status: 'pending', attempts: 1, response_status: 500, error: 'Endpoint responded with 500' });
+    expect(failed.next_attempt_at > failed.last_attempt_at).toBe(true);
+
+    respondWith = 200;
+    const redelivered = await api.post(`/api/webhooks/${webhook.id}/deliveries/${delivery.id}/redeliver`);
+    expect(redelivered.status).toBe(202);
+    expect(redelivered.body.data).toMatchObject({ status: 'pending', redelivery_of: delivery.id, event_id: delivery.event_id });
+
+    expect(await settled(redelivered.body.data.id)).toMatchObject({ status: 'succeeded' });
+    expect(received.map(request => request.body)).toEqual([received[0].body, received[0].body]);
+  });
+
+  test('are sent again when their sender stopped before recording how it went', async () => {
+    const stuck = async (leasedUntil) => (await runCommand(
+      `INSERT INTO webhook_deliveries (webhook_id, event_type, payload, next_attempt_at, leased_until)
+       VALUES (?, 'task.created', '{"id":0}', datetime('now', '-5 minutes'), datetime('now', ?))`,
+      [webhook.id, leasedUntil]
+    )).id;
+    const expired = await stuck('-1 minute');
+    const leased = await stuck('+1 minute');
+
+    // Queuing a delivery sends those due
+    await api.post('/api/tasks').send({ title: 'Wake the queue' });
+
+    expect(await settled(expired)).toMatchObject({ status: 'succeeded', attempts: 1 });
+    await settled((await deliveries())[0].id);
+    expect(await runQuery('SELECT status, attempts FROM webhook_deliveries WHERE id = ?', [leased])).toEqual([
+      { status: 'pending', attempts: 0 }
+    ]);
+    expect(await runQuery('SELECT leased_until FROM webhook_deliveries WHERE id = ?', [expired])).toEqual([{ leased_until: null }]);
+  });
+
+  test('are not queued for paused webhooks', async () => {
+    await api.put(`/api/webhooks/${webhook.id}`).send({ url: endpoint, events: ['task.created'], active: false });
+
+    await api.post('/api/tasks').send({ title: 'Nobody listening' });
+
+    expect(await deliveries()).toEqual([]);
+  });
+
+  test('are not queued for changes that are rolled back', async () => {
+    const { id } = (await api.post('/api/tasks').send({ title: 'Kept' })).body.data;
+    await api.put(`/api/webhooks/${webhook.id}`).send({ url: endpoint, events: ['task.created', 'task.deleted'] });
+
+    const res = await api.post('/api/tasks/bulk').send({
+      atomic: true,
+      operations: [{ id, op: 'delete' }, { id: 999999, op: 'delete' }]
+    });
+
+    expect(res.status).toBe(404);
+    expect((await deliveries()).map(delivery => delivery.event_type)).toEqual(['task.created']);
+  });
+});
@@ -0,0 +1,24 @@
+const express = require('express');
+const { getWorkflow } = require('../utils/workflow');
+
+const router = express.Router();
+
+// GET /api/workflow - Get the task statuses, in display order, with the
+// statuses each one may change to
+router.get('/', async (req, res, next) => {
+  try {
+    const workflow = await getWorkflow();
+
+    res.json({
+      success: true,
+      data: {
+        statuses: workflow.statuses,
+        default_status: workflow.defaultStatus
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
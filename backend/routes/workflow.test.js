@@ -0,0 +1,114 @@
+const { setUpDatabase, signUp } = require('../test/helpers');
+const { runCommand } = require('../db');
+
+let api;
+
+// A review step between in-progress and completed, added before the
+// workflow is first read
+beforeAll(async () => {
+  await setUpDatabase();
+  await runCommand(
+    `INSERT INTO statuses (name, label, color, position, category, is_default, is_complete, requires_unblocked)
+     VALUES ('review', 'In Review', '#9333ea', 3, 'open', 0, 0, 1)`
+  );
+  await runCommand("UPDATE statuses SET position = position + 1 WHERE name IN ('completed', 'cancelled')");
+  await runCommand(
+    `INSERT INTO status_transitions (from_status, to_status)
+     VALUES ('in-progress', 'review'), ('review', 'in-progress'), ('review', 'completed')`
+  );
+  ({ api } = await signUp());
+});
+
+const createTask = async (status) => (await api.post('/api/tasks').send({ title: 'Flow', status })).body.data;
+const moveTo = (task, status) => api.patch(`/api/tasks/${task.id}/status`).send({ status });
+
+describe('GET /api/workflow', () => {
+  test('lists the statuses in order with where each may go next', async () => {
+    const res = await api.get('/api/workflow');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.default_status).toBe('pending');
+    expect(res.body.data.statuses.map(status => status.name)).toEqual(['pending', 'in-progress', 'review', 'completed', 'cancelled']);
+    expect(res.body.data.statuses[2]).toMatchObject({
+      label: 'In Review',
+      category: 'open',
+      is_default: false,
+      is_complete: false,
+      requires_unblocked: true,
+      transitions: ['in-progress', 'completed']
+    });
+  });
+});
+
+describe('status changes', () => {
+  test('start tasks in the default status', async () => {
+    expect((await createTask()).status).toBe('pending');
+  });
+
+  test('follow the transitions of the workflow', async () => {
+    const task = await createTask();
+
+    for (const status of ['in-progress', 'review', 'completed']) {
+      const res = await moveTo(task, status);
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe(status);
+    }
+  });
+
+  test.each([
+    ['PATCH status', (task) => moveTo(task, 'review')],
+    ['PATCH', (task) => api.patch(`/api/tasks/${task.id}`).send({ status: 'review' })],
+    ['PUT', (task) => api.put(`/api/tasks/${task.id}`).send({ title: 'Flow', status: 'review' })]
+  ])('are refused through %s when the workflow does not allow them', async (method, write) => {
+    const task = await createTask();
+
+    const res = await write(task);
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({
+      error: 'Cannot change status from pending to review',
+      allowed: ['in-progress', 'completed', 'cancelled']
+    });
+    expect((await api.get(`/api/tasks/${task.id}`)).body.data.status).toBe('pending');
+  });
+
+  test('are refused in bulk when the workflow does not allow them', async () => {
+    const task = await createTask('cancelled');
+
+    const res = await api.post('/api/tasks/bulk').send({ operations: [{ id: task.id, op: 'status', status: 'completed' }] });
+
+    expect(res.body.data[0]).toMatchObject({ success: false, status: 409, error: 'Cannot change status from cancelled to completed' });
+  });
+
+  test('need the blockers of a task done for statuses that require it', async () => {
+    const blocker = await createTask();
+    const task = await createTask('in-progress');
+    await api.post(`/api/tasks/${task.id}/dependencies`).send({ blocked_by_id: blocker.id });
+
+    expect((await moveTo(task, 'review')).status).toBe(409);
+    await moveTo(blocker, 'completed');
+    expect((await moveTo(task, 'review')).status).toBe(200);
+  });
+
+  test.each(['waiting', 'Pending'])('reject the unknown status %p', async (status) => {
+    const res = await api.post('/api/tasks').send({ title: 'Flow', status });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([expect.objectContaining({
+      path: 'status',
+      msg: 'Status must be one of: pending, in-progress, review, completed, cancelled'
+    })]);
+  });
+
+  test('are counted and filtered by like the built-in statuses', async () => {
+    const { api: ownApi } = await signUp();
+    await ownApi.post('/api/tasks').send({ title: 'Waiting' });
+    const task = (await ownApi.post('/api/tasks').send({ title: 'Reviewed', status: 'in-progress' })).body.data;
+    await ownApi.patch(`/api/tasks/${task.id}/status`).send({ status: 'review' });
+
+    const res = await ownApi.get('/api/tasks').query({ status: 'review' });
+
+    expect(res.body.data.map(listed => listed.title)).toEqual(['Reviewed']);
+    expect(res.body.status_counts).toEqual({ pending: 1, review: 1 });
+  });
+});
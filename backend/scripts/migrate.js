@@ -0,0 +1,56 @@
+// Apply, roll back or list database migrations.
+//
+//   npm run migrate                   # apply pending migrations
+//   npm run migrate:rollback          # undo the latest migration
+//   npm run migrate:rollback -- 3     # undo the latest three
+//   npm run migrate:status            # list applied and pending migrations
+//
+// The server applies pending migrations itself when it starts.
+require('dotenv').config();
+const { db, runCommand } = require('../db');
+const { migrate, rollback, migrationStatus } = require('../db/migrate');
+
+const label = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+const commands = {
+  up: async () => {
+    const applied = await migrate();
+    applied.forEach(migration => console.log(`Applied ${label(migration)}`));
+    console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Database is up to date');
+  },
+
+  down: async (steps = '1') => {
+    const count = parseInt(steps, 10);
+    if (!(count > 0)) {
+      throw new Error('Steps must be a positive number');
+    }
+    const rolledBack = await rollback(count);
+    rolledBack.forEach(migration => console.log(`Rolled back ${label(migration)}`));
+    console.log(rolledBack.length > 0 ? `${rolledBack.length} migration(s) rolled back` : 'No migrations to roll back');
+  },
+
+  status: async () => {
+    const migrations = await migrationStatus();
+    migrations.forEach((migration) => {
+      const state = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+      console.log(`${label(migration)}  ${state}${migration.missing ? '  (scripts missing)' : ''}`);
+    });
+    const pending = migrations.filter(migration => !migration.applied_at).length;
+    console.log(pending > 0 ? `${pending} pending migration(s)` : 'Database is up to date');
+  }
+};
+
+const [name = 'up', ...args] = process.argv.slice(2);
+const command = commands[name];
+if (!command) {
+  console.error(`Unknown command "${name}"; use up, down or status`);
+  process.exit(1);
+}
+
+runCommand('PRAGMA foreign_keys = ON')
+  .then(() => command(...args))
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,71 @@
+// Local SMTP sink for trying out reminder emails during development. It
+// accepts every message without sending it anywhere and prints it.
+//
+//   npm run smtp-sink
+//
+// then start the server with SMTP_HOST=localhost and SMTP_PORT=2525.
+const net = require('net');
+
+const PORT = process.env.SMTP_SINK_PORT || 2525;
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let message = null;
+  let envelope = { from: null, to: [] };
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply('220 localhost SMTP sink ready');
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      // Collect the message until the lone dot that ends it
+      if (message !== null) {
+        if (line === '.') {
+          console.log(`✉ From ${envelope.from} to ${envelope.to.join(', ')}`);
+          console.log(`${message.join('\n')}\n`);
+          message = null;
+          envelope = { from: null, to: [] };
+          reply('250 OK: message accepted');
+        } else {
+          message.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250 localhost');
+      } else if (command === 'MAIL') {
+        envelope.from = line.slice(10).trim();
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push(line.slice(8).trim());
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        message = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (command === 'NOOP') {
+        reply('250 OK');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+  });
+  socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, () => {
+  console.log(`SMTP sink listening on localhost:${PORT}`);
+});
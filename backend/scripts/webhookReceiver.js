@@ -0,0 +1,59 @@
+// Local webhook receiver for trying out webhooks during development. It
+// logs every delivery and checks its signature against WEBHOOK_SECRET.
+//
+//   WEBHOOK_SECRET=<secret> npm run webhook-receiver
+//
+// then create a webhook for http://localhost:4000/. Set FAIL_RATE (0-1)
+// to answer some deliveries with a 500 and watch them being retried.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+
+// Compare the signature header with the HMAC-SHA256 of "<timestamp>.<body>"
+// in constant time
+const verifySignature = (req, body) => {
+  const hmac = crypto.createHmac('sha256', SECRET)
+    .update(`${req.headers['x-webhook-timestamp']}.${body}`)
+    .digest('hex');
+  const expected = Buffer.from(`sha256=${hmac}`);
+  const received = Buffer.from(req.headers['x-webhook-signature'] || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const delivery = req.headers['x-webhook-delivery'];
+    const event = req.headers['x-webhook-event'];
+
+    if (SECRET && !verifySignature(req, body)) {
+      console.log(`✗ Delivery ${delivery} (${event}): invalid signature`);
+      res.writeHead(401).end('Invalid signature');
+      return;
+    }
+    if (Math.random() < FAIL_RATE) {
+      console.log(`✗ Delivery ${delivery} (${event}): failing on purpose`);
+      res.writeHead(500).end('Failing on purpose');
+      return;
+    }
+
+    const payload = JSON.parse(body || '{}');
+    console.log(`✓ Delivery ${delivery} (${event}) for task ${payload.data?.task?.id}`);
+    console.log(JSON.stringify(payload, null, 2));
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/`);
+  if (!SECRET) {
+    console.log('WEBHOOK_SECRET is not set, so signatures are not checked');
+  }
+});
@@ -0,0 +1,42 @@
+const request = require('supertest');
+const app = require('../app');
+const { initDb } = require('../db/migrate');
+const { taskRepository } = require('../repositories');
+
+// Bring the schema and task storage of the test file's database up to
+// date, without the migration log
+const setUpDatabase = async () => {
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  try {
+    await initDb();
+    await taskRepository.init();
+  } finally {
+    log.mockRestore();
+  }
+};
+
+let accounts = 0;
+
+// Register a new account. Resolves with its user and tokens, and `api`
+// for requests made as that user, e.g. api.post('/api/tasks').send(...)
+const signUp = async ({ name } = {}) => {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `user${++accounts}@example.com`, password: 'password123', name });
+  if (res.status !== 201) {
+    throw new Error(`Registration failed: ${JSON.stringify(res.body)}`);
+  }
+
+  const { user, access_token: accessToken, refresh_token: refreshToken } = res.body.data;
+  const api = {};
+  for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+    api[method] = (path) => request(app)[method](path).set('Authorization', `Bearer ${accessToken}`);
+  }
+  return { user, accessToken, refreshToken, api };
+};
+
+module.exports = {
+  app,
+  setUpDatabase,
+  signUp,
+};
@@ -0,0 +1,7 @@
+// Each test file gets a SQLite database of its own, in memory, which also
+// stores the tasks. The task repository suite runs against the other
+// backends itself; set TEST_DATABASE_URL=postgres://... to include
+// PostgreSQL. The suite empties its task tables, so point it at a database
+// kept for tests.
+process.env.SQLITE_PATH = ':memory:';
+process.env.DATABASE_URL = 'sqlite:';
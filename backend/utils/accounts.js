@@ -0,0 +1,14 @@
+const { runQuery } = require('../db');
+const { taskRepository } = require('../repositories');
+
+// Tasks created before accounts existed have no owner, so no one could see
+// them. They go to the first account: registering it claims them, and tasks
+// still without an owner once accounts exist are claimed at startup.
+const claimUnownedTasks = async () => {
+  const [{ id }] = await runQuery('SELECT MIN(id) AS id FROM users');
+  return id ? taskRepository.claimUnowned(id) : 0;
+};
+
+module.exports = {
+  claimUnownedTasks,
+};
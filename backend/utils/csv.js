@@ -0,0 +1,76 @@
+// Minimal RFC 4180 CSV reading and writing for task import and export.
+// Values holding a comma, quote or line break are quoted, with quotes
+// doubled inside them.
+
+// Format one value, leaving null and undefined empty
+const formatValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format one CSV line, including its CRLF ending
+const toCsvLine = (values) => `${values.map(formatValue).join(',')}\r\n`;
+
+// Parse CSV text into rows of string values, skipping blank lines. A
+// leading byte order mark is ignored. Throws on an unterminated quote.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  let fieldStart = true;
+
+  const endRow = () => {
+    row.push(value);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    value = '';
+    fieldStart = true;
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        value += char;
+      } else if (input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && fieldStart) {
+      quoted = true;
+      fieldStart = false;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+      fieldStart = true;
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      value += char;
+      fieldStart = false;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted value');
+  }
+  if (value !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+module.exports = {
+  toCsvLine,
+  parseCsv
+};
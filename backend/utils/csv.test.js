@@ -0,0 +1,52 @@
+const { toCsvLine, parseCsv } = require('./csv');
+
+describe('toCsvLine', () => {
+  test('joins values with commas and ends the line with CRLF', () => {
+    expect(toCsvLine(['a', 1, true])).toBe('a,1,true\r\n');
+  });
+
+  test('leaves null and undefined empty', () => {
+    expect(toCsvLine([null, 'b', undefined])).toBe(',b,\r\n');
+  });
+
+  test('quotes values holding a comma, quote or line break, doubling quotes', () => {
+    expect(toCsvLine(['a,b', 'say "hi"', 'one\ntwo', 'cr\rlf'])).toBe('"a,b","say ""hi""","one\ntwo","cr\rlf"\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  test('reads rows of values with CRLF or LF line endings', () => {
+    expect(parseCsv('a,b\r\nc,d\ne,f')).toEqual([['a', 'b'], ['c', 'd'], ['e', 'f']]);
+  });
+
+  test('keeps empty values and skips blank lines', () => {
+    expect(parseCsv('a,,c\n\n,\r\n\r\n')).toEqual([['a', '', 'c'], ['', '']]);
+  });
+
+  test('reads quoted values spanning lines, with commas and doubled quotes', () => {
+    expect(parseCsv('title,description\r\n"Plan, then ship","Line one\r\nsaid ""go""\nLine three"\r\n'))
+      .toEqual([['title', 'description'], ['Plan, then ship', 'Line one\r\nsaid "go"\nLine three']]);
+  });
+
+  test('takes quotes inside an unquoted value literally', () => {
+    expect(parseCsv('a "b" c,"d"')).toEqual([['a "b" c', 'd']]);
+  });
+
+  test('ignores a leading byte order mark', () => {
+    expect(parseCsv('\uFEFFtitle\nTask')).toEqual([['title'], ['Task']]);
+  });
+
+  test('throws on an unterminated quoted value', () => {
+    expect(() => parseCsv('title\n"never closed\n')).toThrow('Unterminated quoted value');
+  });
+
+  test('reads back what toCsvLine writes', () => {
+    const rows = [
+      ['title', 'description', 'tags'],
+      ['Write "release" notes', 'First line\r\nsecond, with comma\n\nafter a blank line', '1;2'],
+      ['', 'only a description', ''],
+      ['"', '""', ',']
+    ];
+    expect(parseCsv(rows.map(toCsvLine).join(''))).toEqual(rows);
+  });
+});
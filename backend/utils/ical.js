@@ -0,0 +1,128 @@
+// iCalendar (RFC 5545) output for task due dates. A task becomes an
+// all-day VEVENT on its due date, or a VTODO due that day when the `todo`
+// component is asked for.
+
+const PRODID = '-//Task Manager//Tasks//EN';
+
+// iCalendar PRIORITY values, where 1 is the highest and 0 means none
+const PRIORITY_VALUES = { urgent: 1, high: 3, medium: 5, low: 7, none: 0 };
+
+// Escape a TEXT value
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line so no line is longer than 75 octets
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > 75) {
+      lines.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join('\r\n');
+};
+
+// Join content lines, each ending in CRLF
+const toContent = (lines) => lines.map(line => `${foldLine(line)}\r\n`).join('');
+
+// A UTC DATE-TIME from a SQLite "YYYY-MM-DD HH:MM:SS" timestamp
+const formatTimestamp = (value) => `${value.replace(/[-:]/g, '').replace(' ', 'T')}Z`;
+
+// A DATE from the date part of a due date, or null when it has none
+const formatDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+  return match ? match.slice(1).join('') : null;
+};
+
+// The DATE after a DATE, where an all-day event ends
+const nextDate = (date) => {
+  const day = new Date(Date.UTC(date.slice(0, 4), date.slice(4, 6) - 1, Number(date.slice(6)) + 1));
+  return day.toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+// The iCalendar STATUS of a task, from its status's place in the workflow.
+// A done status is COMPLETED when it completes the task and CANCELLED
+// otherwise; open tasks NEED-ACTION in the default status and are
+// IN-PROCESS after that. Events are only CANCELLED or CONFIRMED.
+const statusFor = (task, workflow, component) => {
+  const cancelled = workflow.isDone(task.status) && !workflow.isComplete(task.status);
+  if (component === 'event') {
+    return cancelled ? 'CANCELLED' : 'CONFIRMED';
+  }
+  if (workflow.isComplete(task.status)) {
+    return 'COMPLETED';
+  }
+  if (cancelled) {
+    return 'CANCELLED';
+  }
+  return task.status === workflow.defaultStatus ? 'NEEDS-ACTION' : 'IN-PROCESS';
+};
+
+// The calendar component of a task with a due date. The UID only depends
+// on the task id, so clients update the same entry as the task changes,
+// and SEQUENCE follows the task version.
+const taskToICal = (task, workflow, component = 'event') => {
+  const due = formatDate(task.due_date);
+  const name = component === 'todo' ? 'VTODO' : 'VEVENT';
+  const lines = [
+    `BEGIN:${name}`,
+    `UID:task-${task.id}@task-manager`,
+    `DTSTAMP:${formatTimestamp(task.updated_at)}`,
+    `CREATED:${formatTimestamp(task.created_at)}`,
+    `LAST-MODIFIED:${formatTimestamp(task.updated_at)}`,
+    `SEQUENCE:${(task.version || 1) - 1}`,
+    `SUMMARY:${escapeText(task.title)}`
+  ];
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  }
+  if (component === 'todo') {
+    lines.push(`DUE;VALUE=DATE:${due}`);
+    if (workflow.isComplete(task.status)) {
+      lines.push('PERCENT-COMPLETE:100');
+    }
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${due}`, `DTEND;VALUE=DATE:${nextDate(due)}`, 'TRANSP:TRANSPARENT');
+  }
+  lines.push(`STATUS:${statusFor(task, workflow, component)}`);
+  if (PRIORITY_VALUES[task.priority]) {
+    lines.push(`PRIORITY:${PRIORITY_VALUES[task.priority]}`);
+  }
+  if (task.tags?.length > 0) {
+    lines.push(`CATEGORIES:${task.tags.map(tag => escapeText(tag.name)).join(',')}`);
+  }
+  lines.push(`END:${name}`);
+  return toContent(lines);
+};
+
+// The start of a calendar; subscribed clients are asked to refresh hourly
+const calendarStart = (name) => toContent([
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODID}`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${escapeText(name)}`,
+  'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+  'X-PUBLISHED-TTL:PT1H'
+]);
+
+const calendarEnd = () => toContent(['END:VCALENDAR']);
+
+module.exports = {
+  formatDate,
+  taskToICal,
+  calendarStart,
+  calendarEnd
+};
@@ -0,0 +1,116 @@
+const { formatDate, taskToICal, calendarStart, calendarEnd } = require('./ical');
+
+// The workflow of a new database
+const workflow = {
+  defaultStatus: 'pending',
+  isDone: (status) => ['completed', 'cancelled'].includes(status),
+  isComplete: (status) => status === 'completed'
+};
+
+const task = (fields = {}) => ({
+  id: 7,
+  title: 'Pay rent',
+  description: null,
+  status: 'pending',
+  priority: 'none',
+  due_date: '2024-05-31',
+  version: 3,
+  created_at: '2024-05-01 08:00:00',
+  updated_at: '2024-05-02 09:30:00',
+  tags: [],
+  ...fields
+});
+
+// The content lines of a component, unfolded
+const linesOf = (content) => content.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+describe('formatDate', () => {
+  test('takes the date part of a due date', () => {
+    expect(formatDate('2024-05-31')).toBe('20240531');
+    expect(formatDate('2024-05-31T23:00:00Z')).toBe('20240531');
+    expect(formatDate('')).toBeNull();
+    expect(formatDate(null)).toBeNull();
+  });
+});
+
+describe('taskToICal', () => {
+  test('makes an all-day event on the due date', () => {
+    expect(linesOf(taskToICal(task(), workflow))).toEqual([
+      'BEGIN:VEVENT',
+      'UID:task-7@task-manager',
+      'DTSTAMP:20240502T093000Z',
+      'CREATED:20240501T080000Z',
+      'LAST-MODIFIED:20240502T093000Z',
+      'SEQUENCE:2',
+      'SUMMARY:Pay rent',
+      'DTSTART;VALUE=DATE:20240531',
+      'DTEND;VALUE=DATE:20240601',
+      'TRANSP:TRANSPARENT',
+      'STATUS:CONFIRMED',
+      'END:VEVENT'
+    ]);
+  });
+
+  test('ends all-day events on the next day across months and leap days', () => {
+    expect(taskToICal(task({ due_date: '2024-02-28' }), workflow)).toContain('DTEND;VALUE=DATE:20240229');
+    expect(taskToICal(task({ due_date: '2023-12-31' }), workflow)).toContain('DTEND;VALUE=DATE:20240101');
+  });
+
+  test('makes a to-do due on the due date', () => {
+    const lines = linesOf(taskToICal(task({ status: 'completed' }), workflow, 'todo'));
+
+    expect(lines[0]).toBe('BEGIN:VTODO');
+    expect(lines).toEqual(expect.arrayContaining(['DUE;VALUE=DATE:20240531', 'PERCENT-COMPLETE:100', 'STATUS:COMPLETED']));
+    expect(lines).not.toContain('DTSTART;VALUE=DATE:20240531');
+  });
+
+  test.each([
+    ['pending', 'todo', 'NEEDS-ACTION'],
+    ['in-progress', 'todo', 'IN-PROCESS'],
+    ['completed', 'todo', 'COMPLETED'],
+    ['cancelled', 'todo', 'CANCELLED'],
+    ['completed', 'event', 'CONFIRMED'],
+    ['cancelled', 'event', 'CANCELLED']
+  ])('gives a %s %s the status %s', (status, component, expected) => {
+    expect(linesOf(taskToICal(task({ status }), workflow, component))).toContain(`STATUS:${expected}`);
+  });
+
+  test('adds the priority, description and tags', () => {
+    const lines = linesOf(taskToICal(task({
+      priority: 'urgent',
+      description: 'Landlord; flat 2, by transfer\nRef: 12\\34',
+      tags: [{ name: 'home' }, { name: 'money, bills' }]
+    }), workflow));
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'PRIORITY:1',
+      'DESCRIPTION:Landlord\\; flat 2\\, by transfer\\nRef: 12\\\\34',
+      'CATEGORIES:home,money\\, bills'
+    ]));
+  });
+
+  test('folds lines longer than 75 octets without splitting characters', () => {
+    const content = taskToICal(task({ title: 'é'.repeat(60) }), workflow);
+
+    for (const line of content.split('\r\n')) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+    expect(linesOf(content)).toContain(`SUMMARY:${'é'.repeat(60)}`);
+  });
+});
+
+describe('calendarStart and calendarEnd', () => {
+  test('wrap the components in a named calendar', () => {
+    expect(linesOf(calendarStart('Tasks, mine'))).toEqual([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Task Manager//Tasks//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:Tasks\\, mine',
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      'X-PUBLISHED-TTL:PT1H'
+    ]);
+    expect(calendarEnd()).toBe('END:VCALENDAR\r\n');
+  });
+});
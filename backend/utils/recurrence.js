@@ -0,0 +1,267 @@
+// Recurrence rules use a subset of RFC 5545 RRULE syntax, e.g.
+//   FREQ=WEEKLY;INTERVAL=2;BYDAY=TU
+//   FREQ=MONTHLY;BYDAY=-1FR;COUNT=6
+//   FREQ=MONTHLY;BYMONTHDAY=15;UNTIL=20271231
+// Supported parts: FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT and UNTIL.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Search limit for the next occurrence, in periods of the rule's frequency
+const MAX_PERIODS = 1000;
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Parse a rule string into an object. Throws an Error describing the first
+// problem found so validators can surface it directly.
+const parseRule = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error('Recurrence must be a non-empty RRULE string');
+  }
+
+  const rule = { interval: 1, byDay: [], byMonthDay: [] };
+  const seen = new Set();
+
+  for (const part of value.trim().replace(/^RRULE:/i, '').split(';')) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+    const val = (rawValue || '').toUpperCase();
+
+    if (!key || !val) {
+      throw new Error(`Invalid recurrence part "${part}"`);
+    }
+    if (seen.has(key)) {
+      throw new Error(`Recurrence part ${key} is repeated`);
+    }
+    seen.add(key);
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(val)) {
+          throw new Error(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = val;
+        break;
+
+      case 'INTERVAL':
+        if (!/^\d+$/.test(val) || Number(val) < 1 || Number(val) > 366) {
+          throw new Error('INTERVAL must be an integer between 1 and 366');
+        }
+        rule.interval = Number(val);
+        break;
+
+      case 'BYDAY':
+        rule.byDay = val.split(',').map((item) => {
+          const match = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+          if (!match) {
+            throw new Error(`Invalid BYDAY value "${item}"`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), n: match[1] ? Number(match[1]) : null };
+        });
+        break;
+
+      case 'BYMONTHDAY':
+        rule.byMonthDay = val.split(',').map((item) => {
+          const day = Number(item);
+          if (!/^-?\d+$/.test(item) || day === 0 || day < -31 || day > 31) {
+            throw new Error(`Invalid BYMONTHDAY value "${item}"`);
+          }
+          return day;
+        });
+        break;
+
+      case 'COUNT':
+        if (!/^\d+$/.test(val) || Number(val) < 1) {
+          throw new Error('COUNT must be a positive integer');
+        }
+        rule.count = Number(val);
+        break;
+
+      case 'UNTIL':
+        rule.until = parseUntil(val);
+        if (!rule.until) {
+          throw new Error('UNTIL must be a date such as 20271231');
+        }
+        break;
+
+      default:
+        throw new Error(`Unsupported recurrence part ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('Recurrence must include FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Recurrence cannot include both COUNT and UNTIL');
+  }
+  if (rule.byDay.some(day => day.n !== null) && rule.freq !== 'MONTHLY') {
+    throw new Error('Ordinal BYDAY values such as 2TU are only supported with FREQ=MONTHLY');
+  }
+  if (rule.byDay.length > 0 && !['WEEKLY', 'MONTHLY'].includes(rule.freq)) {
+    throw new Error('BYDAY is only supported with FREQ=WEEKLY or FREQ=MONTHLY');
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq !== 'MONTHLY') {
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+  if (rule.byDay.length > 0 && rule.byMonthDay.length > 0) {
+    throw new Error('Recurrence cannot include both BYDAY and BYMONTHDAY');
+  }
+
+  return rule;
+};
+
+// Serialize a rule object back into a normalized RRULE string
+const formatRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.n || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${rule.until.toISOString().slice(0, 10).replace(/-/g, '')}`);
+  }
+  return parts.join(';');
+};
+
+// Return the normalized form of a rule string; throws when invalid
+const normalizeRule = (value) => formatRule(parseRule(value));
+
+const utcDate = (year, month, day) => new Date(Date.UTC(year, month, day));
+const daysInMonth = (year, month) => utcDate(year, month + 1, 0).getUTCDate();
+
+// Monday-based week number, used to honour INTERVAL for weekly rules
+const weekIndex = (date) => Math.floor((date.getTime() / DAY_MS + 3) / 7);
+
+// Candidate dates in a month for a monthly rule, in ascending order
+const monthCandidates = (rule, year, month, anchorDay) => {
+  const lastDay = daysInMonth(year, month);
+  let days = [];
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay
+      .map(day => (day > 0 ? day : lastDay + day + 1))
+      .filter(day => day >= 1 && day <= lastDay);
+  } else if (rule.byDay.length > 0) {
+    for (const { weekday, n } of rule.byDay) {
+      const matches = [];
+      for (let day = 1; day <= lastDay; day++) {
+        if (utcDate(year, month, day).getUTCDay() === weekday) {
+          matches.push(day);
+        }
+      }
+      if (n === null) {
+        days.push(...matches);
+      } else {
+        const day = n > 0 ? matches[n - 1] : matches[matches.length + n];
+        if (day) days.push(day);
+      }
+    }
+  } else {
+    // Months shorter than the anchor day fall on their last day
+    days = [Math.min(anchorDay, lastDay)];
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b).map(day => utcDate(year, month, day));
+};
+
+// Find the first occurrence strictly after `from` (a UTC midnight Date)
+const findNext = (rule, from) => {
+  const year = from.getUTCFullYear();
+  const month = from.getUTCMonth();
+  const day = from.getUTCDate();
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return utcDate(year, month, day + rule.interval);
+
+    case 'WEEKLY': {
+      if (rule.byDay.length === 0) {
+        return utcDate(year, month, day + 7 * rule.interval);
+      }
+      const weekdays = rule.byDay.map(item => item.weekday);
+      const startWeek = weekIndex(from);
+      for (let offset = 1; offset <= 7 * rule.interval + 7; offset++) {
+        const candidate = utcDate(year, month, day + offset);
+        const inActiveWeek = (weekIndex(candidate) - startWeek) % rule.interval === 0;
+        if (inActiveWeek && weekdays.includes(candidate.getUTCDay())) {
+          return candidate;
+        }
+      }
+      return null;
+    }
+
+    case 'MONTHLY': {
+      for (let period = 0; period <= MAX_PERIODS; period++) {
+        const first = utcDate(year, month + period * rule.interval, 1);
+        const candidate = monthCandidates(rule, first.getUTCFullYear(), first.getUTCMonth(), day)
+          .find(date => date > from);
+        if (candidate) {
+          return candidate;
+        }
+      }
+      return null;
+    }
+
+    case 'YEARLY': {
+      const nextYear = year + rule.interval;
+      return utcDate(nextYear, month, Math.min(day, daysInMonth(nextYear, month)));
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Compute the next occurrence of a recurring task. `dueDate` is the current
+// due date (any format accepted by Date, date-only values kept date-only);
+// tasks without one recur from `completedAt`. Returns null when the rule
+// has ended, otherwise { dueDate, recurrence } where COUNT is reduced by one
+// so the remaining occurrences travel with the next task.
+const nextOccurrence = (ruleString, dueDate, completedAt = new Date()) => {
+  const rule = parseRule(ruleString);
+  if (rule.count === 1) {
+    return null;
+  }
+
+  const base = dueDate ? new Date(dueDate) : completedAt;
+  const from = utcDate(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate());
+  const next = findNext(rule, from);
+
+  if (!next || (rule.until && next > rule.until)) {
+    return null;
+  }
+
+  // Keep the time of day of timestamped due dates
+  let nextDueDate = next.toISOString().slice(0, 10);
+  if (dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+    nextDueDate = new Date(next.getTime() + (base.getTime() - from.getTime())).toISOString();
+  }
+
+  return {
+    dueDate: nextDueDate,
+    recurrence: formatRule({ ...rule, count: rule.count ? rule.count - 1 : undefined })
+  };
+};
+
+module.exports = {
+  parseRule,
+  normalizeRule,
+  nextOccurrence,
+};
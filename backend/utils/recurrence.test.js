@@ -0,0 +1,141 @@
+const { parseRule, normalizeRule, nextOccurrence } = require('./recurrence');
+
+// The due date following `dueDate` under `rule`, or null when it has ended
+const next = (rule, dueDate) => nextOccurrence(rule, dueDate)?.dueDate ?? null;
+
+// The due dates following `dueDate`, each from the one before
+const series = (rule, dueDate, length) => {
+  const dates = [];
+  let occurrence = { dueDate, recurrence: rule };
+  while (dates.length < length && (occurrence = nextOccurrence(occurrence.recurrence, occurrence.dueDate))) {
+    dates.push(occurrence.dueDate);
+  }
+  return dates;
+};
+
+describe('parseRule', () => {
+  test('reads the supported parts', () => {
+    expect(parseRule('RRULE:freq=monthly;interval=2;byday=-1FR,2TU;count=6')).toEqual({
+      freq: 'MONTHLY',
+      interval: 2,
+      byDay: [{ weekday: 5, n: -1 }, { weekday: 2, n: 2 }],
+      byMonthDay: [],
+      count: 6
+    });
+    expect(parseRule('FREQ=MONTHLY;BYMONTHDAY=15,-1;UNTIL=20271231').until).toEqual(new Date('2027-12-31T00:00:00Z'));
+  });
+
+  test.each([
+    ['', 'Recurrence must be a non-empty RRULE string'],
+    ['INTERVAL=2', 'Recurrence must include FREQ'],
+    ['FREQ=HOURLY', 'FREQ must be one of: DAILY, WEEKLY, MONTHLY, YEARLY'],
+    ['FREQ=DAILY;FREQ=WEEKLY', 'Recurrence part FREQ is repeated'],
+    ['FREQ=DAILY;INTERVAL=0', 'INTERVAL must be an integer between 1 and 366'],
+    ['FREQ=WEEKLY;BYDAY=XX', 'Invalid BYDAY value "XX"'],
+    ['FREQ=WEEKLY;BYDAY=2TU', 'Ordinal BYDAY values such as 2TU are only supported with FREQ=MONTHLY'],
+    ['FREQ=DAILY;BYDAY=MO', 'BYDAY is only supported with FREQ=WEEKLY or FREQ=MONTHLY'],
+    ['FREQ=MONTHLY;BYMONTHDAY=32', 'Invalid BYMONTHDAY value "32"'],
+    ['FREQ=MONTHLY;BYDAY=MO;BYMONTHDAY=1', 'Recurrence cannot include both BYDAY and BYMONTHDAY'],
+    ['FREQ=DAILY;COUNT=2;UNTIL=20271231', 'Recurrence cannot include both COUNT and UNTIL'],
+    ['FREQ=DAILY;UNTIL=2027-12-31', 'UNTIL must be a date such as 20271231'],
+    ['FREQ=DAILY;BYHOUR=9', 'Unsupported recurrence part BYHOUR']
+  ])('rejects %p', (rule, message) => {
+    expect(() => parseRule(rule)).toThrow(message);
+  });
+});
+
+describe('normalizeRule', () => {
+  test('writes parts in a fixed order, leaving out the default interval', () => {
+    expect(normalizeRule('count=3;byday=mo,fr;interval=1;freq=weekly')).toBe('FREQ=WEEKLY;BYDAY=MO,FR;COUNT=3');
+    expect(normalizeRule('RRULE:UNTIL=20271231T120000Z;FREQ=DAILY;INTERVAL=3')).toBe('FREQ=DAILY;INTERVAL=3;UNTIL=20271231');
+  });
+});
+
+describe('nextOccurrence', () => {
+  test('steps daily, weekly and yearly rules by their interval', () => {
+    expect(next('FREQ=DAILY', '2024-05-31')).toBe('2024-06-01');
+    expect(next('FREQ=DAILY;INTERVAL=3', '2024-12-30')).toBe('2025-01-02');
+    expect(next('FREQ=WEEKLY;INTERVAL=2', '2024-05-01')).toBe('2024-05-15');
+    expect(next('FREQ=YEARLY', '2024-05-01')).toBe('2025-05-01');
+  });
+
+  test('keeps the time of day of timestamped due dates', () => {
+    expect(next('FREQ=DAILY', '2024-05-01T15:30:00.000Z')).toBe('2024-05-02T15:30:00.000Z');
+  });
+
+  test('recurs from the completion date of tasks without a due date', () => {
+    expect(nextOccurrence('FREQ=WEEKLY', null, new Date('2024-05-01T10:00:00Z')).dueDate).toBe('2024-05-08');
+  });
+
+  describe('at the end of a month', () => {
+    test('moves to the last day of shorter months', () => {
+      expect(next('FREQ=MONTHLY', '2024-01-31')).toBe('2024-02-29');
+      expect(next('FREQ=MONTHLY', '2023-01-31')).toBe('2023-02-28');
+      expect(next('FREQ=MONTHLY;INTERVAL=3', '2024-08-31')).toBe('2024-11-30');
+      expect(next('FREQ=YEARLY', '2024-02-29')).toBe('2025-02-28');
+    });
+
+    test('follows month days counted from the end', () => {
+      expect(series('FREQ=MONTHLY;BYMONTHDAY=-1', '2024-01-31', 3)).toEqual(['2024-02-29', '2024-03-31', '2024-04-30']);
+    });
+
+    test('skips months without the day', () => {
+      expect(series('FREQ=MONTHLY;BYMONTHDAY=31', '2024-01-31', 3)).toEqual(['2024-03-31', '2024-05-31', '2024-07-31']);
+    });
+
+    test('rolls over into the next year', () => {
+      expect(next('FREQ=MONTHLY;BYMONTHDAY=15', '2024-12-20')).toBe('2025-01-15');
+      expect(next('FREQ=MONTHLY', '2024-12-31')).toBe('2025-01-31');
+    });
+  });
+
+  describe('with BYDAY', () => {
+    test('moves on to the first weekday of the next week', () => {
+      // 2024-05-03 is a Friday
+      expect(series('FREQ=WEEKLY;BYDAY=MO,FR', '2024-05-03', 3)).toEqual(['2024-05-06', '2024-05-10', '2024-05-13']);
+    });
+
+    test('treats Sunday as the end of the week', () => {
+      // 2024-05-04 is a Saturday
+      expect(series('FREQ=WEEKLY;INTERVAL=2;BYDAY=SA,SU', '2024-05-04', 3)).toEqual(['2024-05-05', '2024-05-18', '2024-05-19']);
+    });
+
+    test('skips the weeks between intervals', () => {
+      // 2024-04-29 is a Monday
+      expect(series('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR', '2024-04-29', 3)).toEqual(['2024-05-03', '2024-05-13', '2024-05-17']);
+    });
+
+    test('crosses into the next year', () => {
+      // 2024-12-30 is a Monday
+      expect(series('FREQ=WEEKLY;BYDAY=MO,WE', '2024-12-30', 2)).toEqual(['2025-01-01', '2025-01-06']);
+    });
+
+    test('finds the nth or last weekday of a month', () => {
+      expect(series('FREQ=MONTHLY;BYDAY=2TU', '2024-05-14', 2)).toEqual(['2024-06-11', '2024-07-09']);
+      expect(series('FREQ=MONTHLY;BYDAY=-1FR', '2024-05-31', 2)).toEqual(['2024-06-28', '2024-07-26']);
+      expect(next('FREQ=MONTHLY;BYDAY=-1FR', '2024-05-10')).toBe('2024-05-31');
+    });
+
+    test('skips months without a fifth weekday', () => {
+      expect(series('FREQ=MONTHLY;BYDAY=5FR', '2024-05-31', 2)).toEqual(['2024-08-30', '2024-11-29']);
+    });
+  });
+
+  describe('when the rule runs out', () => {
+    test('counts down COUNT with each occurrence', () => {
+      expect(nextOccurrence('FREQ=DAILY;COUNT=3', '2024-05-01')).toEqual({ dueDate: '2024-05-02', recurrence: 'FREQ=DAILY;COUNT=2' });
+      expect(nextOccurrence('FREQ=DAILY;COUNT=2', '2024-05-02')).toEqual({ dueDate: '2024-05-03', recurrence: 'FREQ=DAILY;COUNT=1' });
+      expect(series('FREQ=DAILY;COUNT=3', '2024-05-01', 5)).toEqual(['2024-05-02', '2024-05-03']);
+    });
+
+    test('ends on the last occurrence', () => {
+      expect(nextOccurrence('FREQ=WEEKLY;COUNT=1', '2024-05-01')).toBeNull();
+    });
+
+    test('stops at UNTIL, which is included', () => {
+      expect(series('FREQ=DAILY;UNTIL=20240503', '2024-05-01', 5)).toEqual(['2024-05-02', '2024-05-03']);
+      expect(next('FREQ=WEEKLY;BYDAY=FR;UNTIL=20240509', '2024-05-03')).toBeNull();
+      expect(nextOccurrence('FREQ=DAILY;UNTIL=20240503', '2024-05-01').recurrence).toBe('FREQ=DAILY;UNTIL=20240503');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const nodemailer = require('nodemailer');
+const { runCommand } = require('../db');
+const { queueWebhookDeliveries } = require('./webhooks');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Email is sent over SMTP once SMTP_HOST is set. Without SMTP_USER no
+// login is attempted, which suits a local SMTP sink.
+let transporter = null;
+const getTransporter = () => {
+  transporter = transporter || nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return transporter;
+};
+
+// Channels reminders are sent through, by name. `enabled()` says whether a
+// channel is set up, and `send(reminder)` delivers one reminder, throwing
+// on failure and optionally resolving with a short outcome for the log.
+// A reminder has its `id`, `title`, `offset_minutes`, `due_at`, the `task`
+// row and the `user` it belongs to.
+const REMINDER_CHANNELS = {
+  // Shown in the app's notification list
+  in_app: {
+    enabled: () => true,
+    send: async (reminder) => {
+      await runCommand(
+        `INSERT INTO notifications (user_id, task_id, type, title, body, created_at)
+         VALUES (?, ?, 'reminder', ?, ?, datetime('now'))`,
+        [reminder.user.id, reminder.task.id, reminder.title, reminder.task.description || null]
+      );
+    }
+  },
+
+  // Emailed to the task owner
+  email: {
+    enabled: () => Boolean(process.env.SMTP_HOST),
+    send: async (reminder) => {
+      const { task } = reminder;
+      await getTransporter().sendMail({
+        from: process.env.REMINDER_EMAIL_FROM || 'Task Manager <reminders@localhost>',
+        to: reminder.user.email,
+        subject: `Reminder: ${reminder.title}`,
+        text: [
+          reminder.title,
+          '',
+          `Due: ${task.due_date}`,
+          `Status: ${task.status}`,
+          ...(task.description ? ['', task.description] : []),
+          '',
+          `${FRONTEND_URL}/tasks/${task.id}`
+        ].join('\n')
+      });
+    }
+  },
+
+  // Delivered to the owner's webhooks subscribed to task.reminder. Task
+  // events are numbered by their history id, so reminders are numbered
+  // apart from them with their reminder_log id.
+  webhook: {
+    enabled: () => true,
+    send: async (reminder) => {
+      const queued = await queueWebhookDeliveries(reminder.user.id, {
+        id: `reminder-${reminder.id}`,
+        type: 'task.reminder',
+        created_at: new Date().toISOString(),
+        data: {
+          task: reminder.task,
+          reminder: { title: reminder.title, offset_minutes: reminder.offset_minutes, due_at: reminder.due_at }
+        }
+      }, { reminderLogId: reminder.id });
+      return queued > 0 ? 'queued' : 'no subscribers';
+    }
+  }
+};
+
+// The channels to send through: those named in REMINDER_CHANNELS (all by
+// default) that are set up, as [name, channel] pairs
+const enabledReminderChannels = () => {
+  const names = (process.env.REMINDER_CHANNELS || Object.keys(REMINDER_CHANNELS).join(','))
+    .split(',')
+    .map(name => name.trim());
+  return Object.entries(REMINDER_CHANNELS).filter(([name, channel]) => names.includes(name) && channel.enabled());
+};
+
+module.exports = {
+  REMINDER_CHANNELS,
+  enabledReminderChannels,
+};
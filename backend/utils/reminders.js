@@ -0,0 +1,204 @@
+const { runQuery, runCommand, withTransaction } = require('../db');
+const { taskRepository } = require('../repositories');
+const { getWorkflow } = require('./workflow');
+const { enabledReminderChannels } = require('./reminderChannels');
+
+// Reminders a task can have, and how far from its due date they can be
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_OFFSET = 30 * 24 * 60;
+
+// How often reminders are looked for
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// A reminder before the due date is dropped once the task has been overdue
+// this long, e.g. after downtime; overdue reminders take over from there
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+// How long a claimed reminder is left to its sender. One still being sent
+// after that is claimed again while it is due, and given up on once not.
+const SEND_LEASE_MS = 10 * 60 * 1000;
+
+// Time of day (UTC) at which a due date without a time is due
+const DUE_TIME = /^\d{2}:\d{2}$/.test(process.env.REMINDER_DUE_TIME || '') ? process.env.REMINDER_DUE_TIME : '09:00';
+
+// Reminder offsets of a task row; stored as JSON, minutes before the due
+// date, largest first
+const parseReminders = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value ? JSON.parse(value) : [];
+};
+
+const serializeReminders = (reminders) => (reminders?.length > 0 ? JSON.stringify(reminders) : null);
+
+// The moment a task is due, or null when its due date cannot be read
+const dueMoment = (dueDate) => {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(dueDate) ? new Date(`${dueDate}T${DUE_TIME}:00Z`) : new Date(dueDate);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// "3 days", "1 hour"... in the largest unit that fits
+const formatDuration = (minutes) => {
+  const units = [['week', 7 * 24 * 60], ['day', 24 * 60], ['hour', 60], ['minute', 1]];
+  const [unit, size] = units.find(([, unitSize]) => minutes >= unitSize) || units[units.length - 1];
+  const count = Math.round(minutes / size);
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+// How a reminder describes the due date. It goes by the reminder's offset
+// unless it is being sent late, then by how far away the due date really is.
+const describeDue = (offset, dueAt, now) => {
+  let minutes = Math.round((dueAt.getTime() - now.getTime()) / 60000);
+  if (Math.abs(minutes - offset) <= 5) {
+    minutes = offset;
+  }
+  if (minutes === 0) {
+    return 'is due now';
+  }
+  return minutes > 0 ? `is due in ${formatDuration(minutes)}` : `is ${formatDuration(-minutes)} overdue`;
+};
+
+// Send a claimed reminder through every enabled channel and record how
+// each one went. A channel failing does not stop the others.
+const sendReminder = async (id, { owner_email: email, owner_name: name, ...task }, offset, dueAt, now) => {
+  const reminder = {
+    id,
+    offset_minutes: offset,
+    due_at: dueAt.toISOString(),
+    title: `${task.title} ${describeDue(offset, dueAt, now)}`,
+    task: { ...task, reminders: parseReminders(task.reminders) },
+    user: { id: task.owner_id, email, name }
+  };
+
+  const outcomes = {};
+  let delivered = false;
+  for (const [channelName, channel] of enabledReminderChannels()) {
+    try {
+      outcomes[channelName] = (await channel.send(reminder)) || 'sent';
+      delivered = true;
+    } catch (err) {
+      console.error(`Error sending reminder ${id} by ${channelName}:`, err);
+      outcomes[channelName] = `failed: ${err.message}`;
+    }
+  }
+
+  await runCommand(
+    'UPDATE reminder_log SET status = ?, channels = ?, leased_until = NULL WHERE id = ?',
+    [delivered ? 'sent' : 'failed', JSON.stringify(outcomes), id]
+  );
+};
+
+// Send the reminders that have come due for open tasks. When several of a
+// task's reminders are due at once only the latest is sent and the others
+// are logged as skipped. Each reminder is claimed in reminder_log before it
+// is sent, so it goes out once even if sending fails; only when its sender
+// stops before recording the outcome is it sent again, after its lease.
+const sendDueReminders = async (now = new Date()) => {
+  const windowMs = (Math.ceil(MAX_REMINDER_OFFSET / (24 * 60)) + 1) * 24 * 60 * 60 * 1000;
+  const day = (time) => new Date(time).toISOString().slice(0, 10);
+  const { doneStatuses } = await getWorkflow();
+  const candidates = await taskRepository.listWithReminders({
+    dueFrom: day(now.getTime() - windowMs),
+    dueTo: day(now.getTime() + windowMs),
+    doneStatuses
+  });
+
+  // Owners are looked up in SQLite, where users live whatever stores tasks
+  const ownerIds = [...new Set(candidates.map(task => task.owner_id))];
+  const owners = ownerIds.length === 0 ? [] : await runQuery(
+    `SELECT id, email, name FROM users WHERE id IN (${ownerIds.map(() => '?').join(', ')})`,
+    ownerIds
+  );
+  const ownersById = new Map(owners.map(owner => [owner.id, owner]));
+  const tasks = candidates
+    .filter(task => ownersById.has(task.owner_id))
+    .map(task => ({
+      ...task,
+      owner_email: ownersById.get(task.owner_id).email,
+      owner_name: ownersById.get(task.owner_id).name
+    }));
+
+  let sent = 0;
+  for (const task of tasks) {
+    const dueAt = dueMoment(task.due_date);
+    if (!dueAt) {
+      continue;
+    }
+
+    const [latest, ...earlier] = parseReminders(task.reminders)
+      .map(offset => ({ offset, remindAt: dueAt.getTime() - offset * 60000 }))
+      .filter(({ remindAt }) => remindAt <= now.getTime())
+      .sort((a, b) => b.remindAt - a.remindAt);
+    if (!latest) {
+      continue;
+    }
+    const stale = latest.offset >= 0 && now.getTime() - dueAt.getTime() > STALE_AFTER_MS;
+
+    // A reminder already logged is only claimed again once its lease ran out
+    const claimedId = await withTransaction(async () => {
+      const claim = async (offset, status) => (await runQuery(
+        `INSERT INTO reminder_log (task_id, offset_minutes, due_at, status, leased_until, created_at)
+         VALUES (?, ?, ?, ?, ?, datetime('now'))
+         ON CONFLICT (task_id, offset_minutes, due_at) DO UPDATE
+         SET status = excluded.status, leased_until = excluded.leased_until
+         WHERE status = 'sending' AND leased_until <= ?
+         RETURNING id`,
+        [task.id, offset, dueAt.toISOString(), status,
+          status === 'sending' ? new Date(now.getTime() + SEND_LEASE_MS).toISOString() : null, now.toISOString()]
+      ))[0];
+      for (const { offset } of earlier) {
+        await claim(offset, 'skipped');
+      }
+      const claimed = await claim(latest.offset, stale ? 'skipped' : 'sending');
+      return !stale && claimed ? claimed.id : null;
+    });
+
+    if (claimedId) {
+      await sendReminder(claimedId, task, latest.offset, dueAt, now);
+      sent++;
+    }
+  }
+
+  // Those whose lease ran out and that were not due again, their task having
+  // been finished or moved since, are given up on
+  await runCommand(
+    "UPDATE reminder_log SET status = 'failed', leased_until = NULL WHERE status = 'sending' AND leased_until <= ?",
+    [now.toISOString()]
+  );
+  return sent;
+};
+
+// Send due reminders now and then every minute while the server runs
+const scheduleReminders = () => {
+  let running = false;
+  const run = () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    sendDueReminders()
+      .then((count) => {
+        if (count > 0) {
+          console.log(`Sent ${count} reminder${count === 1 ? '' : 's'}`);
+        }
+      })
+      .catch((err) => console.error('Error sending reminders:', err))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  run();
+  setInterval(run, CHECK_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  MAX_REMINDERS,
+  MAX_REMINDER_OFFSET,
+  parseReminders,
+  serializeReminders,
+  dueMoment,
+  sendDueReminders,
+  scheduleReminders,
+};
@@ -0,0 +1,199 @@
+const http = require('http');
+const { runQuery, runCommand } = require('../db');
+const { setUpDatabase, signUp } = require('../test/helpers');
+const { REMINDER_CHANNELS } = require('./reminderChannels');
+const { sendDueReminders } = require('./reminders');
+
+beforeAll(setUpDatabase);
+
+// Each test keeps its due dates in a year of its own, so that the
+// reminders of one are out of the others' reach
+const at = (iso) => new Date(iso);
+
+const logOf = (task) => runQuery(
+  'SELECT offset_minutes, status, channels FROM reminder_log WHERE task_id = ? ORDER BY offset_minutes',
+  [task.id]
+);
+
+describe('reminders on tasks', () => {
+  let api;
+
+  beforeAll(async () => {
+    ({ api } = await signUp());
+  });
+
+  test('are stored without duplicates, largest offset first', async () => {
+    const res = await api.post('/api/tasks').send({ title: 'Call back', due_date: '2024-05-02', reminders: [60, 1440, 60, -30] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.reminders).toEqual([1440, 60, -30]);
+    expect((await api.patch(`/api/tasks/${res.body.data.id}`).send({ reminders: null })).body.data.reminders).toEqual([]);
+  });
+
+  const TOO_MANY = 'Reminders must be an array of at most 5 offsets';
+  const OUT_OF_RANGE = 'Reminders must be whole minutes before the due date (negative for after it), up to 30 days either way';
+
+  test.each([
+    [[1, 2, 3, 4, 5, 6], TOO_MANY],
+    ['60', TOO_MANY],
+    [[43201], OUT_OF_RANGE],
+    [[60, -43201], OUT_OF_RANGE],
+    [[1.5], OUT_OF_RANGE]
+  ])('rejects %j', async (reminders, msg) => {
+    const res = await api.post('/api/tasks').send({ title: 'Too many', reminders });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([expect.objectContaining({ path: 'reminders', msg })]);
+  });
+});
+
+describe('sendDueReminders', () => {
+  let api;
+
+  beforeEach(async () => {
+    ({ api } = await signUp());
+  });
+
+  const createTask = async (task) => (await api.post('/api/tasks').send(task)).body.data;
+  const notifications = async () => (await api.get('/api/notifications')).body.data;
+
+  test('sends the latest reminder due once, skipping earlier ones', async () => {
+    const task = await createTask({ title: 'Pay rent', description: 'By transfer', due_date: '2030-05-02', reminders: [1440, 60] });
+    await createTask({ title: 'Not yet', due_date: '2030-05-03', reminders: [60] });
+
+    expect(await sendDueReminders(at('2030-05-02T08:00:00Z'))).toBe(1);
+    expect(await sendDueReminders(at('2030-05-02T08:01:00Z'))).toBe(0);
+
+    expect(await logOf(task)).toEqual([
+      { offset_minutes: 60, status: 'sent', channels: JSON.stringify({ in_app: 'sent', webhook: 'no subscribers' }) },
+      { offset_minutes: 1440, status: 'skipped', channels: '{}' }
+    ]);
+    expect(await notifications()).toEqual([expect.objectContaining({
+      task_id: task.id,
+      type: 'reminder',
+      title: 'Pay rent is due in 1 hour',
+      body: 'By transfer',
+      read_at: null
+    })]);
+  });
+
+  test('says how far away the due date really is when sending late', async () => {
+    await createTask({ title: 'Renew passport', due_date: '2031-05-02', reminders: [10080] });
+
+    await sendDueReminders(at('2031-04-30T09:00:00Z'));
+
+    expect((await notifications()).map(notification => notification.title)).toEqual(['Renew passport is due in 2 days']);
+  });
+
+  test('drops reminders for before the due date once it is well past, but not overdue ones', async () => {
+    const task = await createTask({ title: 'Water plants', due_date: '2032-05-02', reminders: [60, -120] });
+
+    expect(await sendDueReminders(at('2032-05-02T10:30:00Z'))).toBe(0);
+    expect(await sendDueReminders(at('2032-05-02T11:00:00Z'))).toBe(1);
+
+    expect((await logOf(task)).map(({ offset_minutes: offset, status }) => [offset, status])).toEqual([[-120, 'sent'], [60, 'skipped']]);
+    expect((await notifications()).map(notification => notification.title)).toEqual(['Water plants is 2 hours overdue']);
+  });
+
+  test('leaves out finished tasks and starts over when the due date moves', async () => {
+    const task = await createTask({ title: 'Book dentist', due_date: '2033-05-02', reminders: [60] });
+    await createTask({ title: 'Done already', status: 'completed', due_date: '2033-05-02', reminders: [60] });
+
+    expect(await sendDueReminders(at('2033-05-02T08:30:00Z'))).toBe(1);
+    await api.patch(`/api/tasks/${task.id}`).send({ due_date: '2033-05-09' });
+    expect(await sendDueReminders(at('2033-05-09T08:30:00Z'))).toBe(1);
+
+    expect((await notifications()).map(notification => notification.title)).toEqual([
+      'Book dentist is due in 30 minutes',
+      'Book dentist is due in 30 minutes'
+    ]);
+  });
+
+  test('still sends through the other channels when one fails', async () => {
+    const task = await createTask({ title: 'Feed cat', due_date: '2034-05-02', reminders: [60] });
+    const send = jest.spyOn(REMINDER_CHANNELS.in_app, 'send').mockRejectedValueOnce(new Error('Inbox full'));
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      expect(await sendDueReminders(at('2034-05-02T08:00:00Z'))).toBe(1);
+    } finally {
+      send.mockRestore();
+      error.mockRestore();
+    }
+
+    expect(await logOf(task)).toEqual([{
+      offset_minutes: 60,
+      status: 'sent',
+      channels: JSON.stringify({ in_app: 'failed: Inbox full', webhook: 'no subscribers' })
+    }]);
+    expect(await notifications()).toEqual([]);
+  });
+
+  test('sends again what was being sent when its lease ran out, while still due', async () => {
+    const stuck = async (title, status, leasedUntil) => {
+      const task = await createTask({ title, status, due_date: '2036-05-02', reminders: [60] });
+      await runCommand(
+        `INSERT INTO reminder_log (task_id, offset_minutes, due_at, status, leased_until)
+         VALUES (?, 60, '2036-05-02T09:00:00.000Z', 'sending', ?)`,
+        [task.id, leasedUntil]
+      );
+      return task;
+    };
+    const expired = await stuck('Lease ran out', 'pending', '2036-05-02T07:55:00.000Z');
+    const leased = await stuck('Still being sent', 'pending', '2036-05-02T08:05:00.000Z');
+    const finished = await stuck('Finished since', 'completed', '2036-05-02T07:55:00.000Z');
+    const [{ id }] = await runQuery('SELECT id FROM reminder_log WHERE task_id = ?', [expired.id]);
+
+    expect(await sendDueReminders(at('2036-05-02T08:00:00Z'))).toBe(1);
+
+    expect(await runQuery('SELECT id, status, leased_until FROM reminder_log WHERE task_id = ?', [expired.id])).toEqual([
+      { id, status: 'sent', leased_until: null }
+    ]);
+    expect((await logOf(leased)).map(log => log.status)).toEqual(['sending']);
+    expect((await logOf(finished)).map(log => log.status)).toEqual(['failed']);
+    expect((await notifications()).map(notification => notification.title)).toEqual(['Lease ran out is due in 1 hour']);
+  });
+
+  test('posts a task.reminder event to subscribed webhooks', async () => {
+    let resolveBody;
+    const received = new Promise((resolve) => {
+      resolveBody = resolve;
+    });
+    const receiver = http.createServer((req, res) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        res.end('ok');
+        resolveBody(body);
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+      await api.post('/api/webhooks').send({ url, events: ['task.reminder'] });
+      const task = await createTask({ title: 'Submit report', due_date: '2035-05-02', reminders: [0] });
+
+      await sendDueReminders(at('2035-05-02T09:00:00Z'));
+
+      const [log] = await logOf(task);
+      expect(JSON.parse(log.channels)).toEqual({ in_app: 'sent', webhook: 'queued' });
+      const [{ id: logId }] = await runQuery('SELECT id FROM reminder_log WHERE task_id = ?', [task.id]);
+      expect(await runQuery("SELECT event_id, reminder_log_id FROM webhook_deliveries WHERE event_type = 'task.reminder'"))
+        .toEqual([{ event_id: null, reminder_log_id: logId }]);
+      expect(JSON.parse(await received)).toMatchObject({
+        id: `reminder-${logId}`,
+        type: 'task.reminder',
+        data: {
+          task: { id: task.id, reminders: [0] },
+          reminder: { title: 'Submit report is due now', offset_minutes: 0, due_at: '2035-05-02T09:00:00.000Z' }
+        }
+      });
+    } finally {
+      await new Promise(resolve => receiver.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,87 @@
+// Full-text search over task titles and descriptions. A search string is
+// parsed into terms here, which each task repository matches its own way
+// (an FTS5 query for SQLite, built below), so search syntax errors can
+// never reach the database:
+//   deploy api        words starting with "deploy" and "api"
+//   "release notes"   the exact phrase
+//   -draft            no word starting with "draft"
+
+// Markers wrapped around matched terms by highlight() and snippet()
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+
+// Words longer than this are cut, which keeps prefix queries cheap
+const MAX_TERM_LENGTH = 64;
+
+// Most terms taken from one search string
+const MAX_TERMS = 16;
+
+// Split text into the words a search matches
+const words = (text) => text
+  .split(/[^\p{L}\p{N}_]+/u)
+  .filter(Boolean)
+  .map(word => word.slice(0, MAX_TERM_LENGTH));
+
+// Quote a word or phrase for FTS5; bare words also match as prefixes
+const quote = (text, prefix) => `"${text.replace(/"/g, '""')}"${prefix ? '*' : ''}`;
+
+// Parse a search string into terms, each a list of `words` to match in
+// order, the last one as a prefix when `prefix` is set. Every `include`
+// term must match and no `exclude` term may; either is null when the
+// search has no such terms. Returns null when nothing searchable is left.
+const parseSearch = (search) => {
+  const include = [];
+  const exclude = [];
+  const pattern = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+  let token;
+
+  while ((token = pattern.exec(search)) !== null && include.length + exclude.length < MAX_TERMS) {
+    const phrase = token[2] !== undefined;
+    const negated = Boolean(phrase ? token[1] : token[3]);
+    const parts = words(phrase ? token[2] : token[4]);
+    if (parts.length === 0) continue;
+
+    // A word with punctuation inside, like "e-mail", matches as a phrase
+    (negated ? exclude : include).push({ words: parts, prefix: !phrase });
+  }
+
+  if (include.length === 0 && exclude.length === 0) {
+    return null;
+  }
+  return {
+    include: include.length > 0 ? include : null,
+    exclude: exclude.length > 0 ? exclude : null
+  };
+};
+
+// FTS5 MATCH expressions of parsed search terms: all of the `include`
+// terms, or any of the `exclude` terms
+const buildMatchQuery = ({ include, exclude }) => ({
+  include: include ? include.map(term => quote(term.words.join(' '), term.prefix)).join(' ') : null,
+  exclude: exclude ? exclude.map(term => quote(term.words.join(' '), term.prefix)).join(' OR ') : null
+});
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Turn marked highlight() output into escaped HTML with <mark> tags
+const toHighlightHtml = (text) => {
+  if (!text) {
+    return null;
+  }
+  return escapeHtml(text)
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+};
+
+module.exports = {
+  MATCH_START,
+  MATCH_END,
+  words,
+  parseSearch,
+  buildMatchQuery,
+  toHighlightHtml
+};
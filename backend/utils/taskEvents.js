@@ -0,0 +1,154 @@
+const { EventEmitter } = require('events');
+const { runQuery, runCommand, afterCommit } = require('../db');
+const { queryValidators } = require('../openapi/validation');
+const { queueWebhookDeliveries } = require('./webhooks');
+
+// Task fields tracked in the history, in display order
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'due_date',
+  'project_id',
+  'parent_id',
+  'recurrence',
+  'reminders',
+  'tags'
+];
+
+// Emits 'recorded' with the owner id whenever an appended event is
+// committed
+const taskEventEmitter = new EventEmitter();
+taskEventEmitter.setMaxListeners(0);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Query parameters of the history and activity feeds
+const EVENT_QUERY_PARAMETERS = [
+  {
+    name: 'limit',
+    in: 'query',
+    description: 'Events per page',
+    schema: {
+      type: 'integer',
+      minimum: 1,
+      maximum: MAX_LIMIT,
+      default: DEFAULT_LIMIT,
+      'x-message': `Limit must be between 1 and ${MAX_LIMIT}`
+    }
+  },
+  {
+    name: 'cursor',
+    in: 'query',
+    description: 'Cursor of the next page (`pagination.next_cursor`)',
+    schema: { type: 'integer', minimum: 1, 'x-message': 'Invalid cursor' }
+  }
+];
+
+const validateEventQuery = queryValidators(EVENT_QUERY_PARAMETERS);
+
+// Comparable value of a tracked field; tags are reduced to sorted names and
+// empty lists count as no value
+const fieldValue = (task, field) => {
+  if (!task) {
+    return null;
+  }
+  if (field === 'reminders') {
+    return task.reminders?.length > 0 ? task.reminders : null;
+  }
+  if (field === 'tags') {
+    const names = (task.tags || []).map(tag => tag.name).sort();
+    return names.length > 0 ? names : null;
+  }
+  return task[field] === undefined ? null : task[field];
+};
+
+// Field-level diff between two task snapshots: { field: { from, to } }.
+// A missing snapshot stands for a task that does not exist yet (or anymore).
+const diffTasks = (before, after) => {
+  const changes = {};
+  for (const field of TRACKED_FIELDS) {
+    const from = fieldValue(before, field);
+    const to = fieldValue(after, field);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+};
+
+// Append an event for a task and queue it for the owner's webhooks.
+// Updates that change nothing are not recorded. Events without a
+// before/after snapshot (restore, purge) pass `task`.
+const recordTaskEvent = async (action, { before = null, after = null, task = after || before, actorId = null }) => {
+  const changes = diffTasks(before, after);
+
+  if (['updated', 'status_changed'].includes(action) && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const result = await runCommand(
+    `INSERT INTO task_events (task_id, owner_id, actor_id, action, task_title, changes, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`,
+    [task.id, task.owner_id, actorId, action, task.title, JSON.stringify(changes)]
+  );
+
+  await queueWebhookDeliveries(task.owner_id, {
+    id: result.id,
+    type: `task.${action}`,
+    created_at: new Date().toISOString(),
+    data: { task, changes, actor_id: actorId }
+  });
+  afterCommit(() => taskEventEmitter.emit('recorded', task.owner_id));
+  return result.id;
+};
+
+// List events newest first, optionally for a single task. Paging is keyed
+// on the event id: pass the previous page's `next_cursor` as `cursor`.
+const listTaskEvents = async ({ ownerId, taskId = null, limit = DEFAULT_LIMIT, cursor = null }) => {
+  const conditions = ['e.owner_id = ?'];
+  const params = [ownerId];
+
+  if (taskId !== null) {
+    conditions.push('e.task_id = ?');
+    params.push(taskId);
+  }
+  if (cursor !== null) {
+    conditions.push('e.id < ?');
+    params.push(cursor);
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const rows = await runQuery(
+    `SELECT e.*, u.name AS actor_name, u.email AS actor_email
+     FROM task_events e LEFT JOIN users u ON u.id = e.actor_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY e.id DESC
+     LIMIT ?`,
+    [...params, limit + 1]
+  );
+
+  const hasMore = rows.length > limit;
+  const events = rows.slice(0, limit).map(({ actor_name, actor_email, changes, ...event }) => ({
+    ...event,
+    changes: JSON.parse(changes),
+    actor: event.actor_id ? { id: event.actor_id, name: actor_name, email: actor_email } : null
+  }));
+
+  return {
+    events,
+    limit,
+    nextCursor: hasMore ? String(events[events.length - 1].id) : null
+  };
+};
+
+module.exports = {
+  taskEventEmitter,
+  EVENT_QUERY_PARAMETERS,
+  validateEventQuery,
+  diffTasks,
+  recordTaskEvent,
+  listTaskEvents,
+};
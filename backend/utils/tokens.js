@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Secrets must be configured in production; development falls back to
+// fixed values so tokens survive server restarts.
+const getSecret = (name, fallback) => {
+  const secret = process.env[name];
+  if (secret) {
+    return secret;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+  return fallback;
+};
+
+const ACCESS_SECRET = getSecret('JWT_SECRET', 'dev-access-secret');
+const REFRESH_SECRET = getSecret('JWT_REFRESH_SECRET', 'dev-refresh-secret');
+
+// Sign a short-lived access token for the given user
+const signAccessToken = (user) => {
+  return jwt.sign({ sub: String(user.id), email: user.email }, ACCESS_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+};
+
+// Sign a long-lived refresh token. The returned tokenId is stored so the
+// token can be revoked on logout or rotation.
+const signRefreshToken = (user) => {
+  const tokenId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const token = jwt.sign({ sub: String(user.id), jti: tokenId }, REFRESH_SECRET, {
+    expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`,
+  });
+
+  return { token, tokenId, expiresAt: expiresAt.toISOString() };
+};
+
+// Calendar feed tokens are random secrets stored only as a SHA-256 hash
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateFeedToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashFeedToken(token) };
+};
+
+// Verify tokens; both throw jsonwebtoken errors when invalid or expired
+const verifyAccessToken = (token) => jwt.verify(token, ACCESS_SECRET);
+const verifyRefreshToken = (token) => jwt.verify(token, REFRESH_SECRET);
+
+module.exports = {
+  signAccessToken,
+  signRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  generateFeedToken,
+  hashFeedToken,
+};
@@ -0,0 +1,80 @@
+const { runCommand } = require('../db');
+const { taskRepository } = require('../repositories');
+const { recordTaskEvent } = require('./taskEvents');
+
+// Days a trashed task is kept before it is purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// How often expired trash is purged
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Tables in SQLite holding rows of a task, cleared when it is purged
+const TASK_CHILD_TABLES = ['comments', 'reminder_log', 'notifications'];
+
+// Move a task and its live subtasks to the trash. They share one
+// millisecond-precision deleted_at value so they can be restored together.
+const trashTask = (id) => taskRepository.trash(id);
+
+// Restore a trashed task together with the subtasks trashed alongside it
+const restoreTask = (task) => taskRepository.restore(task);
+
+// Permanently delete a task and its subtasks, with their comments,
+// reminders and notifications. Resolves with the deleted task ids.
+const purgeTask = async (id) => {
+  const ids = await taskRepository.purge(id);
+  if (ids.length === 0) {
+    return ids;
+  }
+  const placeholders = ids.map(() => '?').join(', ');
+  for (const table of TASK_CHILD_TABLES) {
+    await runCommand(`DELETE FROM ${table} WHERE task_id IN (${placeholders})`, ids);
+  }
+  return ids;
+};
+
+// Date at which a trashed task will be purged, as an ISO string
+const purgeDate = (deletedAt) => {
+  const date = new Date(`${deletedAt.replace(' ', 'T')}Z`);
+  date.setUTCDate(date.getUTCDate() + TRASH_RETENTION_DAYS);
+  return date.toISOString();
+};
+
+// Permanently delete tasks that have been in the trash past the retention
+// period. Subtasks trashed with their parent go with it.
+const purgeExpiredTasks = async () => {
+  const cutoff = new Date();
+  cutoff.setUTCDate(cutoff.getUTCDate() - TRASH_RETENTION_DAYS);
+  const expired = await taskRepository.listExpiredTrash(cutoff);
+
+  for (const task of expired) {
+    await purgeTask(task.id);
+    await recordTaskEvent('purged', { task });
+  }
+  return expired.length;
+};
+
+// Purge expired trash now and then periodically while the server runs
+const scheduleTrashPurge = () => {
+  const run = () => {
+    purgeExpiredTasks()
+      .then((count) => {
+        if (count > 0) {
+          console.log(`Purged ${count} task${count === 1 ? '' : 's'} from the trash`);
+        }
+      })
+      .catch((err) => console.error('Error purging trash:', err));
+  };
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  trashTask,
+  restoreTask,
+  purgeTask,
+  purgeDate,
+  purgeExpiredTasks,
+  scheduleTrashPurge,
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { runQuery, runCommand, afterCommit } = require('../db');
+
+// Event types a webhook can subscribe to: one per task event action, and
+// due-date reminders
+const WEBHOOK_EVENTS = [
+  'task.created',
+  'task.updated',
+  'task.status_changed',
+  'task.deleted',
+  'task.restored',
+  'task.purged',
+  'task.reminder'
+];
+
+// Attempts made before a delivery fails for good. Retries wait 30 seconds
+// and double each time, so the last one is about an hour after the first.
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_SECONDS = 30;
+
+// How long an endpoint has to answer, and how much of its answer is kept
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const RESPONSE_BODY_LIMIT = 2000;
+
+// Deliveries sent at once, and how often due retries are looked for
+const DELIVERY_BATCH_SIZE = 10;
+const POLL_INTERVAL_MS = 15 * 1000;
+
+// How long a claimed delivery is left to its sender, well past the time
+// the endpoint has to answer. One still claimed after that is sent again.
+const DELIVERY_LEASE_SECONDS = 60;
+
+// A new random signing secret
+const generateWebhookSecret = () => crypto.randomBytes(24).toString('hex');
+
+// HMAC-SHA256 signature of a delivery. The timestamp is signed with the
+// body so a captured request cannot be replayed later.
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Seconds to wait before retrying a delivery that has failed `attempts` times
+const retryDelay = (attempts) => RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+
+// Queue a delivery of a task event to each of the owner's active webhooks
+// subscribed to it, returning how many were queued. Called alongside the
+// event, so the deliveries are only kept when the change they describe is.
+// Task events are logged by their history id, reminders by their
+// reminder_log id.
+const queueWebhookDeliveries = async (ownerId, event, { reminderLogId = null } = {}) => {
+  const webhooks = await runQuery('SELECT id, events FROM webhooks WHERE owner_id = ? AND active = 1', [ownerId]);
+  const subscribed = webhooks.filter(webhook => JSON.parse(webhook.events).includes(event.type));
+  if (subscribed.length === 0) {
+    return 0;
+  }
+
+  const payload = JSON.stringify(event);
+  for (const webhook of subscribed) {
+    await runCommand(
+      `INSERT INTO webhook_deliveries (webhook_id, event_id, reminder_log_id, event_type, payload, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, datetime('now'))`,
+      [webhook.id, reminderLogId === null ? event.id : null, reminderLogId, event.type, payload]
+    );
+  }
+  afterCommit(() => setImmediate(deliverDueWebhooks));
+  return subscribed.length;
+};
+
+// Queue an earlier delivery to be sent again with the same payload
+const redeliver = async (delivery) => {
+  const result = await runCommand(
+    `INSERT INTO webhook_deliveries (webhook_id, event_id, reminder_log_id, event_type, payload, next_attempt_at, redelivery_of)
+     VALUES (?, ?, ?, ?, ?, datetime('now'), ?)`,
+    [delivery.webhook_id, delivery.event_id, delivery.reminder_log_id, delivery.event_type, delivery.payload, delivery.id]
+  );
+  setImmediate(deliverDueWebhooks);
+  return result.id;
+};
+
+// POST a delivery to its webhook. Resolves with the response status and
+// body, or with the error when no response arrived.
+const sendDelivery = (delivery) => new Promise((resolve) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const url = new URL(delivery.url);
+  const client = url.protocol === 'https:' ? https : http;
+
+  const request = client.request(url, {
+    method: 'POST',
+    timeout: DELIVERY_TIMEOUT_MS,
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(delivery.payload),
+      'User-Agent': 'Task-Manager-Webhooks/1.0',
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Delivery': String(delivery.id),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`
+    }
+  }, (response) => {
+    let body = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      if (body.length < RESPONSE_BODY_LIMIT) {
+        body += chunk;
+      }
+    });
+    response.on('end', () => resolve({ status: response.statusCode, body: body.slice(0, RESPONSE_BODY_LIMIT) }));
+    response.on('error', (error) => resolve({ error: error.message }));
+  });
+
+  request.on('timeout', () => {
+    request.destroy(new Error(`No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds`));
+  });
+  request.on('error', (error) => resolve({ error: error.message }));
+  request.end(delivery.payload);
+});
+
+// Lease a due delivery to this sender, resolving with whether it was
+// still free: another sender may have claimed it since it was looked up
+const claimDelivery = async (delivery) => (
+  await runCommand(
+    `UPDATE webhook_deliveries SET leased_until = datetime('now', ?)
+     WHERE id = ? AND status = 'pending' AND (leased_until IS NULL OR leased_until <= datetime('now'))`,
+    [`+${DELIVERY_LEASE_SECONDS} seconds`, delivery.id]
+  )
+).changes === 1;
+
+// Claim a delivery, send it and record the outcome: succeeded on a 2xx
+// response, otherwise retried later until it runs out of attempts
+const attemptDelivery = async (delivery) => {
+  if (!(await claimDelivery(delivery))) {
+    return;
+  }
+  const result = await sendDelivery(delivery);
+  const attempts = delivery.attempts + 1;
+  const succeeded = result.status >= 200 && result.status < 300;
+  const error = result.error || (succeeded ? null : `Endpoint responded with ${result.status}`);
+
+  let status = 'pending';
+  if (succeeded) {
+    status = 'succeeded';
+  } else if (attempts >= MAX_ATTEMPTS) {
+    status = 'failed';
+  }
+
+  await runCommand(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempts = ?, last_attempt_at = datetime('now'),
+         next_attempt_at = CASE WHEN ? = 'pending' THEN datetime('now', ?) END,
+         response_status = ?, response_body = ?, error = ?, leased_until = NULL
+     WHERE id = ?`,
+    [status, attempts, status, `+${retryDelay(attempts)} seconds`,
+      result.status || null, result.body ?? null, error, delivery.id]
+  );
+};
+
+// Send every delivery that is due, a batch at a time, along with those
+// whose lease ran out before their outcome was recorded. Deliveries of a
+// paused webhook wait until it is turned back on.
+let delivering = false;
+let deliverAgain = false;
+const deliverDueWebhooks = async () => {
+  if (delivering) {
+    deliverAgain = true;
+    return;
+  }
+  delivering = true;
+
+  try {
+    do {
+      deliverAgain = false;
+      let batch;
+      do {
+        batch = await runQuery(
+          `SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+           JOIN webhooks w ON w.id = d.webhook_id
+           WHERE d.status = 'pending' AND w.active = 1 AND d.next_attempt_at <= datetime('now')
+             AND (d.leased_until IS NULL OR d.leased_until <= datetime('now'))
+           ORDER BY d.next_attempt_at ASC, d.id ASC
+           LIMIT ?`,
+          [DELIVERY_BATCH_SIZE]
+        );
+        await Promise.all(batch.map(attemptDelivery));
+      } while (batch.length === DELIVERY_BATCH_SIZE);
+    } while (deliverAgain);
+  } catch (err) {
+    console.error('Error delivering webhooks:', err);
+  } finally {
+    delivering = false;
+  }
+};
+
+// Send due deliveries now and then poll for retries while the server runs
+const scheduleWebhookDeliveries = () => {
+  deliverDueWebhooks();
+  setInterval(deliverDueWebhooks, POLL_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateWebhookSecret,
+  signPayload,
+  queueWebhookDeliveries,
+  redeliver,
+  scheduleWebhookDeliveries,
+};
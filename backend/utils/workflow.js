@@ -0,0 +1,62 @@
+const { runQuery } = require('../db');
+
+// The status workflow is read from the statuses and status_transitions
+// tables once and kept for the life of the process; restart the server
+// after editing them.
+let cached = null;
+
+const buildWorkflow = (rows, transitions) => {
+  const statuses = rows.map(row => ({
+    name: row.name,
+    label: row.label,
+    color: row.color,
+    position: row.position,
+    category: row.category,
+    is_default: Boolean(row.is_default),
+    is_complete: Boolean(row.is_complete),
+    requires_unblocked: Boolean(row.requires_unblocked),
+    transitions: transitions
+      .filter(transition => transition.from_status === row.name)
+      .map(transition => transition.to_status)
+  }));
+  const byName = new Map(statuses.map(status => [status.name, status]));
+  const names = statuses.map(status => status.name);
+
+  return {
+    statuses,
+    names,
+    defaultStatus: (statuses.find(status => status.is_default) || statuses[0]).name,
+    doneStatuses: statuses.filter(status => status.category === 'done').map(status => status.name),
+    completeStatuses: statuses.filter(status => status.is_complete).map(status => status.name),
+    isStatus: (name) => byName.has(name),
+    isDone: (name) => byName.get(name)?.category === 'done',
+    isComplete: (name) => Boolean(byName.get(name)?.is_complete),
+    requiresUnblocked: (name) => Boolean(byName.get(name)?.requires_unblocked),
+    canTransition: (from, to) => from === to || Boolean(byName.get(from)?.transitions.includes(to)),
+    allowedFrom: (name) => byName.get(name)?.transitions || []
+  };
+};
+
+// Load the workflow, reading the tables on first use
+const getWorkflow = async () => {
+  if (!cached) {
+    const rows = await runQuery('SELECT * FROM statuses ORDER BY position ASC, name ASC');
+    const transitions = await runQuery('SELECT from_status, to_status FROM status_transitions');
+    cached = buildWorkflow(rows, transitions);
+  }
+  return cached;
+};
+
+// Validator for a status value, for express-validator's custom()
+const isKnownStatus = async (value) => {
+  const workflow = await getWorkflow();
+  if (!workflow.isStatus(value)) {
+    throw new Error(`Status must be one of: ${workflow.names.join(', ')}`);
+  }
+  return true;
+};
+
+module.exports = {
+  getWorkflow,
+  isKnownStatus
+};
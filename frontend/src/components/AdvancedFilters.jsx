@@ -0,0 +1,199 @@
+import React from 'react';
+import { useTaskContext } from '../context/TaskContext';
+import { useTagContext } from '../context/TagContext';
+import { useWorkflowContext } from '../context/WorkflowContext';
+import TagChip from './TagChip';
+import { PRIORITIES } from '../utils/priority';
+
+// Advanced filters and their cleared values
+export const ADVANCED_FILTER_DEFAULTS = {
+  dueAfter: '',
+  dueBefore: '',
+  createdAfter: '',
+  updatedSince: '',
+  overdue: '',
+  hasDueDate: '',
+  priority: '',
+};
+
+// Number of advanced filters currently set
+export const countAdvancedFilters = (filters) =>
+  Object.keys(ADVANCED_FILTER_DEFAULTS).filter(key => filters[key]).length +
+  (filters.status.includes(',') || filters.status.startsWith('!') ? 1 : 0) +
+  filters.tags.filter(name => name.startsWith('!')).length;
+
+// Split the status filter ("pending,in-progress" or "!completed") into the
+// chosen statuses and whether they are excluded
+const parseStatusFilter = (value) => {
+  const parts = value.split(',').filter(Boolean);
+  return {
+    exclude: parts.length > 0 && parts.every(part => part.startsWith('!')),
+    statuses: parts.map(part => part.replace(/^!/, '')),
+  };
+};
+
+// Date ranges, overdue, status sets, priority and tag exclusion for the task list
+const AdvancedFilters = () => {
+  const { filters, setFilters, loading } = useTaskContext();
+  const { tags } = useTagContext();
+  const { statuses: workflowStatuses } = useWorkflowContext();
+  const { exclude, statuses } = parseStatusFilter(filters.status);
+
+  const setStatuses = (nextStatuses, nextExclude) => {
+    setFilters({
+      status: nextStatuses.map(status => (nextExclude ? `!${status}` : status)).join(','),
+    });
+  };
+
+  const toggleStatus = (status) => {
+    setStatuses(
+      statuses.includes(status) ? statuses.filter(item => item !== status) : [...statuses, status],
+      exclude
+    );
+  };
+
+  const toggleExcludedTag = (tag) => {
+    const name = `!${tag.name}`;
+    setFilters({
+      tags: filters.tags.includes(name)
+        ? filters.tags.filter(item => item !== name)
+        : [...filters.tags.filter(item => item !== tag.name), name],
+    });
+  };
+
+  const handleChange = (e) => {
+    setFilters({ [e.target.name]: e.target.value });
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 grid gap-4 sm:grid-cols-2">
+      {/* Status set */}
+      <fieldset className="sm:col-span-2">
+        <legend className="text-sm font-medium text-gray-700 mb-2">Status</legend>
+        <div className="flex flex-wrap items-center gap-4">
+          {workflowStatuses.map(option => (
+            <label key={option.name} className="flex items-center gap-1.5 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={statuses.includes(option.name)}
+                onChange={() => toggleStatus(option.name)}
+                className="rounded text-primary-600 focus:ring-primary-500"
+                disabled={loading}
+              />
+              {option.label}
+            </label>
+          ))}
+          <select
+            value={exclude ? 'exclude' : 'include'}
+            onChange={(e) => setStatuses(statuses, e.target.value === 'exclude')}
+            className="text-xs border border-gray-300 rounded px-2 py-1 bg-white"
+            disabled={loading || statuses.length === 0}
+            aria-label="Status match mode"
+          >
+            <option value="include">Show only these</option>
+            <option value="exclude">Hide these</option>
+          </select>
+        </div>
+      </fieldset>
+
+      {/* Due date */}
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-2">Due between</span>
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            name="dueAfter"
+            value={filters.dueAfter}
+            onChange={handleChange}
+            max={filters.dueBefore || undefined}
+            className="input"
+            disabled={loading}
+            aria-label="Due on or after"
+          />
+          <span className="text-gray-500">&ndash;</span>
+          <input
+            type="date"
+            name="dueBefore"
+            value={filters.dueBefore}
+            onChange={handleChange}
+            min={filters.dueAfter || undefined}
+            className="input"
+            disabled={loading}
+            aria-label="Due on or before"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Overdue
+          <select name="overdue" value={filters.overdue} onChange={handleChange} className="input mt-2" disabled={loading}>
+            <option value="">Any</option>
+            <option value="true">Only overdue</option>
+            <option value="false">Hide overdue</option>
+          </select>
+        </label>
+        <label className="block text-sm font-medium text-gray-700">
+          Due date
+          <select name="hasDueDate" value={filters.hasDueDate} onChange={handleChange} className="input mt-2" disabled={loading}>
+            <option value="">Any</option>
+            <option value="true">Has a due date</option>
+            <option value="false">No due date</option>
+          </select>
+        </label>
+      </div>
+
+      <label className="block text-sm font-medium text-gray-700">
+        Priority
+        <select name="priority" value={filters.priority} onChange={handleChange} className="input mt-2" disabled={loading}>
+          <option value="">Any</option>
+          <option value="urgent,high">High or urgent</option>
+          {PRIORITIES.map(priority => (
+            <option key={priority.value} value={priority.value}>{priority.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="block text-sm font-medium text-gray-700">
+        Created after
+        <input
+          type="date"
+          name="createdAfter"
+          value={filters.createdAfter}
+          onChange={handleChange}
+          className="input mt-2"
+          disabled={loading}
+        />
+      </label>
+
+      <label className="block text-sm font-medium text-gray-700">
+        Updated since
+        <input
+          type="date"
+          name="updatedSince"
+          value={filters.updatedSince}
+          onChange={handleChange}
+          className="input mt-2"
+          disabled={loading}
+        />
+      </label>
+
+      {/* Tag exclusion */}
+      {tags.length > 0 && (
+        <div className="sm:col-span-2 flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-gray-700">Hide tasks tagged:</span>
+          {tags.map(tag => (
+            <TagChip
+              key={tag.id}
+              tag={tag}
+              selected={filters.tags.includes(`!${tag.name}`)}
+              onClick={toggleExcludedTag}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdvancedFilters;
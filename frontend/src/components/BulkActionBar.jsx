@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { useTaskContext } from '../context/TaskContext';
+import { useTagContext } from '../context/TagContext';
+import { useWorkflowContext } from '../context/WorkflowContext';
+import { PRIORITIES } from '../utils/priority';
+
+// Actions applied to every selected task in a single bulk request
+const BulkActionBar = ({ selectedTasks, onClear }) => {
+  const { bulkUpdateTasks } = useTaskContext();
+  const { tags } = useTagContext();
+  const { statuses } = useWorkflowContext();
+  const [dueDate, setDueDate] = useState('');
+  const [atomic, setAtomic] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const count = selectedTasks.length;
+
+  // Send one operation per selected task and summarize the outcome
+  const runBulk = async (op, fields = {}) => {
+    setWorking(true);
+    setMessage(null);
+    const operations = selectedTasks.map(task => ({ id: task.id, op, version: task.version, ...fields }));
+    const result = await bulkUpdateTasks(operations, { atomic });
+    setWorking(false);
+
+    const failures = result.data.filter(item => !item.success && item.status !== 424);
+    const firstError = failures[0]?.error;
+    if (!result.success) {
+      setMessage({ type: 'error', text: firstError ? `${result.error}: ${firstError}` : result.error });
+      return;
+    }
+    if (failures.length > 0) {
+      setMessage({
+        type: 'error',
+        text: `${result.summary.succeeded} updated, ${failures.length} failed: ${firstError}`,
+      });
+    } else {
+      setMessage({ type: 'success', text: `${result.summary.succeeded} task${result.summary.succeeded === 1 ? '' : 's'} updated` });
+    }
+  };
+
+  const handleStatus = (e) => {
+    if (e.target.value) runBulk('status', { status: e.target.value });
+    e.target.value = '';
+  };
+
+  const handlePriority = (e) => {
+    if (e.target.value) runBulk('priority', { priority: e.target.value });
+    e.target.value = '';
+  };
+
+  const handleTag = (op) => (e) => {
+    if (e.target.value) runBulk(op, { tags: [Number(e.target.value)] });
+    e.target.value = '';
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Move ${count} task${count === 1 ? '' : 's'} to the trash?`)) {
+      runBulk('delete');
+    }
+  };
+
+  if (count === 0 && !message) {
+    return null;
+  }
+
+  return (
+    <div className="card sticky top-4 z-10 border-primary-200 bg-primary-50 animate-fade-in">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-sm font-medium text-gray-900">
+          {count} selected
+        </span>
+
+        <select onChange={handleStatus} defaultValue="" className="input w-auto py-1 text-sm" disabled={working || count === 0}>
+          <option value="" disabled>Set status...</option>
+          {statuses.map(status => (
+            <option key={status.name} value={status.name}>{status.label}</option>
+          ))}
+        </select>
+
+        <select onChange={handlePriority} defaultValue="" className="input w-auto py-1 text-sm" disabled={working || count === 0}>
+          <option value="" disabled>Set priority...</option>
+          {PRIORITIES.map(priority => (
+            <option key={priority.value} value={priority.value}>{priority.label}</option>
+          ))}
+        </select>
+
+        <div className="flex items-center gap-1">
+          <input
+            type="date"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            className="input w-auto py-1 text-sm"
+            disabled={working || count === 0}
+            aria-label="Due date"
+          />
+          <button
+            onClick={() => runBulk('due_date', { due_date: dueDate || null })}
+            className="btn-secondary py-1 text-sm"
+            disabled={working || count === 0}
+          >
+            {dueDate ? 'Set due date' : 'Clear due date'}
+          </button>
+        </div>
+
+        {tags.length > 0 && (
+          <>
+            <select onChange={handleTag('add_tags')} defaultValue="" className="input w-auto py-1 text-sm" disabled={working || count === 0}>
+              <option value="" disabled>Add tag...</option>
+              {tags.map(tag => (
+                <option key={tag.id} value={tag.id}>{tag.name}</option>
+              ))}
+            </select>
+            <select onChange={handleTag('remove_tags')} defaultValue="" className="input w-auto py-1 text-sm" disabled={working || count === 0}>
+              <option value="" disabled>Remove tag...</option>
+              {tags.map(tag => (
+                <option key={tag.id} value={tag.id}>{tag.name}</option>
+              ))}
+            </select>
+          </>
+        )}
+
+        <button
+          onClick={handleDelete}
+          className="px-3 py-1 text-sm font-medium text-red-600 hover:text-red-700"
+          disabled={working || count === 0}
+        >
+          Delete
+        </button>
+
+        <label className="flex items-center gap-1.5 text-sm text-gray-700" title="Apply nothing if any task fails">
+          <input
+            type="checkbox"
+            checked={atomic}
+            onChange={(e) => setAtomic(e.target.checked)}
+            className="rounded text-primary-600 focus:ring-primary-500"
+          />
+          All or nothing
+        </label>
+
+        <button
+          onClick={() => {
+            setMessage(null);
+            onClear();
+          }}
+          className="ml-auto text-sm text-gray-600 hover:text-gray-900"
+        >
+          {count === 0 ? 'Dismiss' : 'Clear selection'}
+        </button>
+      </div>
+
+      {message && (
+        <p className={`mt-2 text-sm ${message.type === 'error' ? 'text-red-700' : 'text-green-700'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { useTaskContext } from '../context/TaskContext';
+import { useAuthContext } from '../context/AuthContext';
+import { formatTimestamp } from '../utils/format';
+
+const MAX_LENGTH = 2000;
+
+// Chronological comment thread of a task with add, edit and delete
+const CommentThread = ({ taskId }) => {
+  const { fetchComments, addComment, updateComment, deleteComment } = useTaskContext();
+  const { user } = useAuthContext();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [body, setBody] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editBody, setEditBody] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      const result = await fetchComments(taskId);
+      if (cancelled) return;
+      if (result.success) {
+        setComments(result.data);
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId, fetchComments]);
+
+  // Check a comment body against the backend rules
+  const validate = (text) => {
+    if (!text.trim()) return 'Comment cannot be empty';
+    if (text.length > MAX_LENGTH) return `Comment must be less than ${MAX_LENGTH} characters`;
+    return '';
+  };
+
+  // Add a new comment to the end of the thread
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validate(body);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await addComment(taskId, body.trim());
+    if (result.success) {
+      setComments(prev => [...prev, result.data]);
+      setBody('');
+      setError('');
+    } else {
+      setError(result.error);
+    }
+    setSubmitting(false);
+  };
+
+  const startEditing = (comment) => {
+    setEditingId(comment.id);
+    setEditBody(comment.body);
+    setError('');
+  };
+
+  // Save an edited comment in place
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    const validationError = validate(editBody);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await updateComment(taskId, editingId, editBody.trim());
+    if (result.success) {
+      setComments(prev => prev.map(comment => comment.id === editingId ? result.data : comment));
+      setEditingId(null);
+      setError('');
+    } else {
+      setError(result.error);
+    }
+    setSubmitting(false);
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) {
+      return;
+    }
+
+    const result = await deleteComment(taskId, comment.id);
+    if (result.success) {
+      setComments(prev => prev.filter(item => item.id !== comment.id));
+      setError('');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">
+        Comments {comments.length > 0 && <span className="text-gray-500 font-normal">({comments.length})</span>}
+      </h2>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No comments yet. Start the discussion below.</p>
+      ) : (
+        <ul className="space-y-4 mb-6">
+          {comments.map(comment => (
+            <li key={comment.id} className="border-l-2 border-gray-200 pl-4">
+              <div className="flex items-center justify-between gap-2 mb-1">
+                <p className="text-sm">
+                  <span className="font-medium text-gray-900">
+                    {comment.author_name || comment.author_email}
+                  </span>
+                  <span className="text-gray-500">
+                    {' '}&middot; {formatTimestamp(comment.created_at)}
+                    {comment.updated_at !== comment.created_at && ' (edited)'}
+                  </span>
+                </p>
+                {comment.author_id === user?.id && editingId !== comment.id && (
+                  <div className="flex gap-2 text-xs">
+                    <button
+                      onClick={() => startEditing(comment)}
+                      className="text-gray-500 hover:text-primary-600"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(comment)}
+                      className="text-gray-500 hover:text-red-600"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {editingId === comment.id ? (
+                <form onSubmit={handleSaveEdit} className="space-y-2">
+                  <label htmlFor={`comment-${comment.id}`} className="sr-only">Edit comment</label>
+                  <textarea
+                    id={`comment-${comment.id}`}
+                    value={editBody}
+                    onChange={(e) => setEditBody(e.target.value)}
+                    rows={3}
+                    className="input text-sm"
+                    disabled={submitting}
+                    autoFocus
+                  />
+                  <div className="flex justify-end gap-2">
+                    <button
+                      type="button"
+                      onClick={() => setEditingId(null)}
+                      className="btn-secondary text-sm"
+                      disabled={submitting}
+                    >
+                      Cancel
+                    </button>
+                    <button type="submit" className="btn-primary text-sm" disabled={submitting}>
+                      Save
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">{comment.body}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <label htmlFor="new-comment" className="sr-only">Add a comment</label>
+        <textarea
+          id="new-comment"
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={3}
+          className={`input text-sm ${error ? 'border-red-500 focus:border-red-500 focus:ring-red-500' : ''}`}
+          placeholder="Add a comment..."
+          disabled={submitting}
+        />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end">
+          <button type="submit" className="btn-primary text-sm" disabled={submitting || !body.trim()}>
+            {submitting && !editingId ? 'Posting...' : 'Comment'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,19 @@
+import React from 'react';
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"' };
+
+const unescape = (text) => text.replace(/&(amp|lt|gt|quot);/g, entity => ENTITIES[entity]);
+
+// Render search highlight HTML from the API ("a <mark>match</mark>") as
+// text with <mark> elements, without injecting any HTML
+const Highlight = ({ html }) => (
+  <>
+    {html.split(/(<mark>[\s\S]*?<\/mark>)/).map((part, index) => (
+      part.startsWith('<mark>')
+        ? <mark key={index} className="bg-yellow-200 text-current rounded-sm px-0.5">{unescape(part.slice(6, -7))}</mark>
+        : <React.Fragment key={index}>{unescape(part)}</React.Fragment>
+    ))}
+  </>
+);
+
+export default Highlight;
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { useTaskContext } from '../context/TaskContext';
+import { useWorkflowContext } from '../context/WorkflowContext';
+import { getPriority } from '../utils/priority';
+
+// Preview of a task import. The file is checked with a dry run first and
+// can only be imported once every row is valid.
+const ImportDialog = ({ file, onClose }) => {
+  const { importTasks } = useTaskContext();
+  const { getStatus, defaultStatus } = useWorkflowContext();
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    importTasks(file, { dryRun: true }).then(result => {
+      if (cancelled) return;
+      if (result.success) {
+        setPreview(result);
+      } else {
+        setError(result.error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file, importTasks]);
+
+  const handleImport = async () => {
+    setImporting(true);
+    const result = await importTasks(file);
+    setImporting(false);
+    if (result.success) {
+      onClose(result.message);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const invalid = preview?.summary.invalid || 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" role="dialog" aria-modal="true">
+      <div className="card w-full max-w-3xl max-h-[90vh] overflow-y-auto animate-fade-in">
+        <h2 className="text-xl font-bold text-gray-900 mb-2">Import {file.name}</h2>
+        <p className="text-sm text-gray-600 mb-6">
+          {!preview && !error && 'Checking the file...'}
+          {preview && (invalid > 0
+            ? `${invalid} of ${preview.data.length} rows have errors. Fix them and choose the file again.`
+            : `${preview.summary.valid} task${preview.summary.valid === 1 ? '' : 's'} will be created.`)}
+        </p>
+
+        {error && (
+          <p className="mb-4 text-sm text-red-600">{error}</p>
+        )}
+
+        {preview && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-xs uppercase text-gray-500 border-b border-gray-200">
+                <tr>
+                  <th className="py-2 pr-3">Row</th>
+                  <th className="py-2 pr-3">Title</th>
+                  <th className="py-2 pr-3">Status</th>
+                  <th className="py-2 pr-3">Priority</th>
+                  <th className="py-2">Due</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.data.map(row => (
+                  <tr key={row.row} className="border-b border-gray-100 align-top">
+                    <td className="py-2 pr-3 text-gray-500">{row.row}</td>
+                    {row.success ? (
+                      <>
+                        <td className="py-2 pr-3 text-gray-900 break-words">{row.data.title}</td>
+                        <td className="py-2 pr-3">{getStatus(row.data.status || defaultStatus).label}</td>
+                        <td className="py-2 pr-3">{getPriority(row.data.priority).label}</td>
+                        <td className="py-2">{row.data.due_date || '-'}</td>
+                      </>
+                    ) : (
+                      <td colSpan={4} className="py-2 text-red-600">
+                        {row.errors.map((rowError, index) => (
+                          <div key={index}>{rowError.path ? `${rowError.path}: ` : ''}{rowError.msg}</div>
+                        ))}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-3 pt-6">
+          <button type="button" onClick={() => onClose()} className="btn-secondary" disabled={importing}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleImport}
+            className="btn-primary"
+            disabled={importing || !preview || invalid > 0}
+          >
+            {importing ? 'Importing...' : 'Import tasks'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
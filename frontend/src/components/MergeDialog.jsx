@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { useProjectContext } from '../context/ProjectContext';
+import { useTagContext } from '../context/TagContext';
+import { useWorkflowContext } from '../context/WorkflowContext';
+import { describeRecurrence } from '../utils/recurrence';
+import { getPriority } from '../utils/priority';
+import { describeReminder } from '../utils/reminders';
+
+const FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'status', label: 'Status' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'due_date', label: 'Due date' },
+  { key: 'project_id', label: 'Project' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'recurrence', label: 'Recurrence' },
+  { key: 'reminders', label: 'Reminders' },
+];
+
+// Bring a task, or the data submitted by TaskForm, into one comparable shape
+const normalize = (task) => ({
+  title: task.title || '',
+  description: task.description || '',
+  status: task.status || '',
+  priority: task.priority || 'none',
+  due_date: task.due_date ? task.due_date.split('T')[0] : '',
+  project_id: task.project_id || null,
+  tags: (task.tags || []).map(tag => (typeof tag === 'object' ? tag.id : tag)).sort((a, b) => a - b),
+  recurrence: task.recurrence || null,
+  reminders: task.reminders || [],
+});
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Three-way comparison of each field. Fields changed on only one side
+// resolve automatically; fields both sides changed need a choice.
+const compareFields = (base, mine, theirs) => FIELDS
+  .map(field => {
+    const baseValue = base[field.key];
+    const mineValue = mine[field.key];
+    const theirsValue = theirs[field.key];
+
+    if (isEqual(mineValue, theirsValue)) return null;
+    if (isEqual(mineValue, baseValue)) return { ...field, mineValue, theirsValue, resolved: 'theirs' };
+    if (isEqual(theirsValue, baseValue)) return { ...field, mineValue, theirsValue, resolved: 'mine' };
+    return { ...field, mineValue, theirsValue, resolved: null };
+  })
+  .filter(Boolean);
+
+// Field-by-field merge of the user's edits with changes saved by someone
+// else in the meantime. `base` is the task as it was loaded, `mine` the
+// submitted form data and `theirs` the task as it is now.
+const MergeDialog = ({ base, mine, theirs, onResolve, onDiscard, loading = false }) => {
+  const { getProjectById } = useProjectContext();
+  const { tags } = useTagContext();
+  const { getStatus } = useWorkflowContext();
+  const differences = compareFields(normalize(base), normalize(mine), normalize(theirs));
+  const [choices, setChoices] = useState(() => Object.fromEntries(
+    differences.map(field => [field.key, field.resolved || 'mine'])
+  ));
+
+  // Readable form of a field value
+  const formatValue = (key, value) => {
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return <span className="italic text-gray-400">none</span>;
+    }
+    switch (key) {
+      case 'status':
+        return getStatus(value).label;
+      case 'priority':
+        return getPriority(value).label;
+      case 'due_date':
+        return new Date(`${value}T00:00:00`).toLocaleDateString();
+      case 'project_id':
+        return getProjectById(value)?.name || `Project #${value}`;
+      case 'tags':
+        return value.map(id => tags.find(tag => tag.id === id)?.name || `#${id}`).join(', ');
+      case 'recurrence':
+        return `Repeats ${describeRecurrence(value)}`;
+      case 'reminders':
+        return value.map(describeReminder).join(', ');
+      default:
+        return <span className="whitespace-pre-wrap break-words">{value}</span>;
+    }
+  };
+
+  // Build the data for a PUT from the chosen side of every field
+  const handleResolve = () => {
+    const merged = { ...normalize(theirs) };
+    differences.forEach(field => {
+      merged[field.key] = choices[field.key] === 'mine' ? field.mineValue : field.theirsValue;
+    });
+
+    const data = {
+      title: merged.title,
+      description: merged.description,
+      status: merged.status,
+      priority: merged.priority,
+      parent_id: theirs.parent_id || null,
+      project_id: merged.project_id,
+      tags: merged.tags,
+      recurrence: merged.recurrence,
+      reminders: merged.reminders,
+    };
+    if (merged.due_date) {
+      data.due_date = merged.due_date;
+    }
+    onResolve(data);
+  };
+
+  const conflicts = differences.filter(field => !field.resolved).length;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" role="dialog" aria-modal="true">
+      <div className="card w-full max-w-2xl max-h-[90vh] overflow-y-auto animate-fade-in">
+        <h2 className="text-xl font-bold text-gray-900 mb-2">This task was changed while you were editing</h2>
+        <p className="text-sm text-gray-600 mb-6">
+          {conflicts > 0
+            ? `Choose which version to keep for the ${conflicts} field${conflicts === 1 ? '' : 's'} you both changed.`
+            : 'Your changes and theirs touch different fields and can be combined.'}
+        </p>
+
+        <div className="space-y-4">
+          {differences.map(field => (
+            <fieldset key={field.key} className="border border-gray-200 rounded-lg p-3">
+              <legend className="px-1 text-sm font-medium text-gray-700">
+                {field.label}
+                {field.resolved && (
+                  <span className="ml-2 text-xs font-normal text-gray-500">
+                    (only changed {field.resolved === 'mine' ? 'by you' : 'by them'})
+                  </span>
+                )}
+              </legend>
+              <div className="grid sm:grid-cols-2 gap-2">
+                {[
+                  { side: 'mine', title: 'Your version', value: field.mineValue },
+                  { side: 'theirs', title: 'Saved version', value: field.theirsValue },
+                ].map(option => (
+                  <label
+                    key={option.side}
+                    className={`flex gap-2 rounded-md border p-2 text-sm cursor-pointer ${
+                      choices[field.key] === option.side ? 'border-primary-500 bg-primary-50' : 'border-gray-200'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name={`merge-${field.key}`}
+                      checked={choices[field.key] === option.side}
+                      onChange={() => setChoices(prev => ({ ...prev, [field.key]: option.side }))}
+                      className="mt-0.5 text-primary-600 focus:ring-primary-500"
+                      disabled={loading}
+                    />
+                    <span className="min-w-0">
+                      <span className="block text-xs text-gray-500">{option.title}</span>
+                      <span className="text-gray-900">{formatValue(field.key, option.value)}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap justify-end gap-3 pt-6">
+          <button type="button" onClick={onDiscard} className="btn-secondary" disabled={loading}>
+            Discard my changes
+          </button>
+          <button type="button" onClick={handleResolve} className="btn-primary" disabled={loading}>
+            {loading ? 'Saving...' : 'Save merged task'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MergeDialog;
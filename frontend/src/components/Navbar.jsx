@@ -0,0 +1,73 @@
+import React from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuthContext } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
+
+const Navbar = () => {
+  const navigate = useNavigate();
+  const { user, isAuthenticated, logout } = useAuthContext();
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <nav className="bg-white shadow-sm border-b border-gray-200">
+      <div className="container mx-auto px-4">
+        <div className="flex justify-between items-center h-16">
+          <Link to="/" className="flex items-center gap-2 text-xl font-bold text-gray-900 hover:text-primary-600 transition-colors">
+            <svg className="w-8 h-8" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+            </svg>
+            Task Manager
+          </Link>
+          
+          {isAuthenticated ? (
+            <div className="flex items-center gap-4">
+              <Link
+                to="/"
+                className="text-gray-600 hover:text-gray-900 transition-colors"
+              >
+                Tasks
+              </Link>
+              <Link
+                to="/new"
+                className="btn-primary"
+              >
+                New Task
+              </Link>
+              <NotificationBell />
+              <span className="hidden sm:inline text-sm text-gray-500">
+                {user.name || user.email}
+              </span>
+              <button
+                onClick={handleLogout}
+                className="text-gray-600 hover:text-gray-900 transition-colors"
+              >
+                Sign Out
+              </button>
+            </div>
+          ) : (
+            <div className="flex items-center gap-4">
+              <Link
+                to="/login"
+                className="text-gray-600 hover:text-gray-900 transition-colors"
+              >
+                Sign In
+              </Link>
+              <Link
+                to="/register"
+                className="btn-primary"
+              >
+                Create Account
+              </Link>
+            </div>
+          )}
+        </div>
+      </div>
+    </nav>
+  );
+};
+
+export default Navbar;
@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { api } from '../context/TaskContext';
+import { formatTimestamp } from '../utils/format';
+
+// How often new notifications are looked for
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Bell in the navbar with the number of unread notifications, opening the
+// latest ones. Reminders are the only notifications so far.
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await api.get('/notifications');
+      setNotifications(response.data.data);
+      setUnreadCount(response.data.unread_count);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchNotifications]);
+
+  // Mark a notification as read and open its task
+  const handleSelect = async (notification) => {
+    setOpen(false);
+    if (!notification.read_at) {
+      try {
+        const response = await api.post(`/notifications/${notification.id}/read`);
+        setNotifications(prev => prev.map(item => (item.id === notification.id ? response.data.data : item)));
+        setUnreadCount(prev => Math.max(prev - 1, 0));
+      } catch (error) {
+        console.error('Failed to mark notification as read:', error);
+      }
+    }
+    if (notification.task_id) {
+      navigate(`/tasks/${notification.task_id}`);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await api.post('/notifications/read');
+      await fetchNotifications();
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(prev => !prev)}
+        className="relative p-1 text-gray-600 hover:text-gray-900 transition-colors"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={open}
+      >
+        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] rounded-full bg-red-600 px-1 text-center text-xs font-medium text-white">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-40 mt-2 w-80 rounded-lg border border-gray-200 bg-white shadow-lg">
+          <div className="flex items-center justify-between border-b border-gray-200 px-4 py-2">
+            <span className="text-sm font-semibold text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                type="button"
+                onClick={handleMarkAllRead}
+                className="text-xs text-primary-600 hover:text-primary-800"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-center text-sm text-gray-500">No notifications yet.</p>
+          ) : (
+            <ul className="max-h-96 divide-y divide-gray-100 overflow-y-auto">
+              {notifications.map(notification => (
+                <li key={notification.id}>
+                  <button
+                    type="button"
+                    onClick={() => handleSelect(notification)}
+                    className={`block w-full px-4 py-3 text-left hover:bg-gray-50 ${notification.read_at ? '' : 'bg-primary-50'}`}
+                  >
+                    <p className={`text-sm ${notification.read_at ? 'text-gray-700' : 'font-medium text-gray-900'}`}>
+                      {notification.title}
+                    </p>
+                    <p className="mt-0.5 text-xs text-gray-500">{formatTimestamp(notification.created_at)}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { NavLink, useNavigate } from 'react-router-dom';
+import { useProjectContext } from '../context/ProjectContext';
+
+const ProjectSidebar = () => {
+  const navigate = useNavigate();
+  const { projects, createProject, deleteProject, fetchProjects } = useProjectContext();
+  const [isAdding, setIsAdding] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+
+  // Refresh task counts whenever the sidebar is shown
+  useEffect(() => {
+    fetchProjects();
+  }, [fetchProjects]);
+
+  const linkClass = ({ isActive }) =>
+    `flex items-center justify-between gap-2 px-3 py-2 rounded-lg text-sm transition-colors ${
+      isActive
+        ? 'bg-primary-50 text-primary-700 font-medium'
+        : 'text-gray-700 hover:bg-gray-100'
+    }`;
+
+  // Handle new project submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      setError('Name is required');
+      return;
+    }
+    if (name.length > 100) {
+      setError('Name must be less than 100 characters');
+      return;
+    }
+
+    const result = await createProject({ name: name.trim() });
+    if (result.success) {
+      setName('');
+      setError('');
+      setIsAdding(false);
+      navigate(`/projects/${result.data.id}`);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  // Handle project delete
+  const handleDelete = async (project) => {
+    if (!window.confirm(`Delete project "${project.name}"? Its tasks will be kept without a project.`)) {
+      return;
+    }
+
+    const result = await deleteProject(project.id);
+    if (result.success) {
+      navigate('/', { replace: true });
+    }
+  };
+
+  return (
+    <aside className="lg:w-64 flex-shrink-0">
+      <div className="card p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide">Projects</h2>
+          <button
+            onClick={() => setIsAdding(prev => !prev)}
+            className="p-1 text-gray-400 hover:text-primary-600 transition-colors"
+            title="New project"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+            </svg>
+          </button>
+        </div>
+
+        {isAdding && (
+          <form onSubmit={handleSubmit} className="mb-3">
+            <label htmlFor="project-name" className="sr-only">Project name</label>
+            <input
+              type="text"
+              id="project-name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className={`input text-sm ${error ? 'border-red-500 focus:border-red-500 focus:ring-red-500' : ''}`}
+              placeholder="Project name"
+              autoFocus
+            />
+            {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+          </form>
+        )}
+
+        <nav className="space-y-1">
+          <NavLink to="/" end className={linkClass}>
+            <span>All Tasks</span>
+          </NavLink>
+
+          {projects.map(project => (
+            <div key={project.id} className="group relative">
+              <NavLink to={`/projects/${project.id}`} className={linkClass}>
+                <span className="flex items-center gap-2 min-w-0">
+                  <span
+                    className="w-2.5 h-2.5 rounded-full flex-shrink-0"
+                    style={{ backgroundColor: project.color }}
+                  />
+                  <span className="truncate">{project.name}</span>
+                </span>
+                <span className="text-xs text-gray-400 group-hover:hidden">{project.task_count}</span>
+              </NavLink>
+              <button
+                onClick={() => handleDelete(project)}
+                className="absolute right-2 top-1/2 -translate-y-1/2 hidden group-hover:block p-1 text-gray-400 hover:text-red-600"
+                title="Delete project"
+              >
+                <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          ))}
+        </nav>
+
+        {projects.length === 0 && !isAdding && (
+          <p className="mt-3 text-xs text-gray-500">
+            No projects yet.{' '}
+            <button onClick={() => setIsAdding(true)} className="text-primary-600 hover:text-primary-700">
+              Create one
+            </button>
+          </p>
+        )}
+
+        <nav className="mt-4 pt-3 border-t border-gray-200">
+          <NavLink to="/trash" className={linkClass}>
+            <span className="flex items-center gap-2">
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+              </svg>
+              Trash
+            </span>
+          </NavLink>
+          <NavLink to="/calendar" className={linkClass}>
+            <span className="flex items-center gap-2">
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+              </svg>
+              Calendar
+            </span>
+          </NavLink>
+          <NavLink to="/webhooks" className={linkClass}>
+            <span className="flex items-center gap-2">
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+              </svg>
+              Webhooks
+            </span>
+          </NavLink>
+        </nav>
+      </div>
+    </aside>
+  );
+};
+
+export default ProjectSidebar;
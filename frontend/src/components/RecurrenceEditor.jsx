@@ -0,0 +1,236 @@
+import React from 'react';
+import {
+  WEEKDAYS,
+  ordinal,
+  parseRecurrence,
+  formatRecurrence,
+  describeRecurrence,
+} from '../utils/recurrence';
+
+const FREQUENCIES = [
+  { value: 'DAILY', label: 'Daily', unit: 'day' },
+  { value: 'WEEKLY', label: 'Weekly', unit: 'week' },
+  { value: 'MONTHLY', label: 'Monthly', unit: 'month' },
+  { value: 'YEARLY', label: 'Yearly', unit: 'year' },
+];
+
+const ORDINALS = [1, 2, 3, 4, -1];
+
+// Weekday code of a YYYY-MM-DD date, defaulting to today
+const weekdayOf = (dateString) => {
+  const date = dateString ? new Date(`${dateString}T00:00:00`) : new Date();
+  return WEEKDAYS[(date.getDay() + 6) % 7].code;
+};
+
+// Editor for a task's recurrence rule. `value` is an RRULE string or null;
+// `dueDate` seeds sensible defaults for new rules.
+const RecurrenceEditor = ({ value, dueDate, onChange, disabled = false }) => {
+  const rule = parseRecurrence(value);
+
+  const update = (changes) => onChange(formatRecurrence({ ...rule, ...changes }));
+
+  // Turning recurrence on starts from a weekly rule on the due date's weekday
+  const handleToggle = (e) => {
+    if (!e.target.checked) {
+      onChange(null);
+      return;
+    }
+    onChange(formatRecurrence({
+      freq: 'WEEKLY',
+      interval: 1,
+      byDay: [{ n: null, day: weekdayOf(dueDate) }],
+      byMonthDay: [],
+      count: null,
+      until: null,
+    }));
+  };
+
+  // BYDAY and BYMONTHDAY only apply to some frequencies
+  const handleFreqChange = (freq) => {
+    update({
+      freq,
+      byDay: freq === 'WEEKLY' ? [{ n: null, day: weekdayOf(dueDate) }] : [],
+      byMonthDay: [],
+    });
+  };
+
+  const toggleWeekday = (code) => {
+    const selected = rule.byDay.some(item => item.day === code);
+    const byDay = selected
+      ? rule.byDay.filter(item => item.day !== code)
+      : [...rule.byDay, { n: null, day: code }];
+    // Keep at least one weekday selected
+    if (byDay.length > 0) {
+      update({ byDay });
+    }
+  };
+
+  const monthlyMode = rule?.byDay.length > 0 ? 'weekday' : 'day';
+  const monthlyWeekday = rule?.byDay[0] || { n: 1, day: weekdayOf(dueDate) };
+  const endMode = rule?.count ? 'count' : rule?.until ? 'until' : 'never';
+  const unit = FREQUENCIES.find(freq => freq.value === rule?.freq)?.unit || 'week';
+
+  return (
+    <div className="space-y-3">
+      <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={Boolean(rule)}
+          onChange={handleToggle}
+          disabled={disabled}
+          className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+        />
+        Repeat this task
+      </label>
+
+      {rule && (
+        <div className="space-y-3 pl-6 border-l-2 border-gray-200">
+          {/* Frequency and interval */}
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            <select
+              value={rule.freq}
+              onChange={(e) => handleFreqChange(e.target.value)}
+              className="input w-auto"
+              disabled={disabled}
+              aria-label="Frequency"
+            >
+              {FREQUENCIES.map(freq => (
+                <option key={freq.value} value={freq.value}>{freq.label}</option>
+              ))}
+            </select>
+            <span>every</span>
+            <input
+              type="number"
+              min={1}
+              max={366}
+              value={rule.interval}
+              onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              className="input w-20"
+              disabled={disabled}
+              aria-label="Interval"
+            />
+            <span>{rule.interval === 1 ? unit : `${unit}s`}</span>
+          </div>
+
+          {/* Weekdays for weekly rules */}
+          {rule.freq === 'WEEKLY' && (
+            <div className="flex flex-wrap gap-1">
+              {WEEKDAYS.map(day => {
+                const selected = rule.byDay.some(item => item.day === day.code);
+                return (
+                  <button
+                    key={day.code}
+                    type="button"
+                    onClick={() => toggleWeekday(day.code)}
+                    disabled={disabled}
+                    aria-pressed={selected}
+                    className={`px-2.5 py-1 rounded text-xs font-medium border transition-colors ${
+                      selected
+                        ? 'bg-primary-600 text-white border-primary-600'
+                        : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                    }`}
+                  >
+                    {day.short}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Day of month or nth weekday for monthly rules */}
+          {rule.freq === 'MONTHLY' && (
+            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+              <select
+                value={monthlyMode}
+                onChange={(e) => update(e.target.value === 'weekday'
+                  ? { byDay: [monthlyWeekday], byMonthDay: [] }
+                  : { byDay: [], byMonthDay: [] })}
+                className="input w-auto"
+                disabled={disabled}
+                aria-label="Monthly repeat mode"
+              >
+                <option value="day">On the due date's day</option>
+                <option value="weekday">On the</option>
+              </select>
+              {monthlyMode === 'weekday' && (
+                <>
+                  <select
+                    value={monthlyWeekday.n || 1}
+                    onChange={(e) => update({ byDay: [{ ...monthlyWeekday, n: Number(e.target.value) }] })}
+                    className="input w-auto"
+                    disabled={disabled}
+                    aria-label="Week of month"
+                  >
+                    {ORDINALS.map(n => (
+                      <option key={n} value={n}>{ordinal(n)}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={monthlyWeekday.day}
+                    onChange={(e) => update({ byDay: [{ ...monthlyWeekday, day: e.target.value }] })}
+                    className="input w-auto"
+                    disabled={disabled}
+                    aria-label="Weekday"
+                  >
+                    {WEEKDAYS.map(day => (
+                      <option key={day.code} value={day.code}>{day.name}</option>
+                    ))}
+                  </select>
+                </>
+              )}
+            </div>
+          )}
+
+          {/* End condition */}
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            <span>Ends</span>
+            <select
+              value={endMode}
+              onChange={(e) => update({
+                count: e.target.value === 'count' ? 5 : null,
+                until: e.target.value === 'until' ? (dueDate || new Date().toISOString().slice(0, 10)) : null,
+              })}
+              className="input w-auto"
+              disabled={disabled}
+              aria-label="End condition"
+            >
+              <option value="never">Never</option>
+              <option value="count">After</option>
+              <option value="until">On date</option>
+            </select>
+            {endMode === 'count' && (
+              <>
+                <input
+                  type="number"
+                  min={1}
+                  value={rule.count}
+                  onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                  className="input w-20"
+                  disabled={disabled}
+                  aria-label="Number of occurrences"
+                />
+                <span>occurrences</span>
+              </>
+            )}
+            {endMode === 'until' && (
+              <input
+                type="date"
+                value={rule.until}
+                onChange={(e) => e.target.value && update({ until: e.target.value })}
+                className="input w-auto"
+                disabled={disabled}
+                aria-label="End date"
+              />
+            )}
+          </div>
+
+          <p className="text-sm text-gray-500">
+            Repeats {describeRecurrence(rule)}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
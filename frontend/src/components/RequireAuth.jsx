@@ -0,0 +1,36 @@
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuthContext } from '../context/AuthContext';
+import { TaskProvider } from '../context/TaskContext';
+import { ProjectProvider } from '../context/ProjectContext';
+import { TagProvider } from '../context/TagContext';
+import { WorkflowProvider } from '../context/WorkflowContext';
+import { WebhookProvider } from '../context/WebhookContext';
+import UndoToast from './UndoToast';
+
+// Layout route that only renders its children for signed-in users
+const RequireAuth = () => {
+  const { isAuthenticated } = useAuthContext();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return (
+    <WorkflowProvider>
+      <TaskProvider>
+        <ProjectProvider>
+          <TagProvider>
+            <WebhookProvider>
+              <Outlet />
+              <UndoToast />
+            </WebhookProvider>
+          </TagProvider>
+        </ProjectProvider>
+      </TaskProvider>
+    </WorkflowProvider>
+  );
+};
+
+export default RequireAuth;
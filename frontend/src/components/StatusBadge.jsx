@@ -0,0 +1,19 @@
+import React from 'react';
+import { useWorkflowContext } from '../context/WorkflowContext';
+
+// Coloured pill showing a task status's label
+const StatusBadge = ({ status }) => {
+  const { getStatus } = useWorkflowContext();
+  const { label, color } = getStatus(status);
+
+  return (
+    <span
+      className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border"
+      style={{ backgroundColor: `${color}1a`, borderColor: `${color}66`, color }}
+    >
+      {label}
+    </span>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { useTaskContext } from '../context/TaskContext';
+import { useWorkflowContext } from '../context/WorkflowContext';
+
+// Checklist of a task's subtasks with inline completion and creation
+const SubtaskList = ({ parent }) => {
+  const { fetchSubtasks, createSubtask, updateSubtaskStatus } = useTaskContext();
+  const { defaultStatus, completeStatus } = useWorkflowContext();
+  const [subtasks, setSubtasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newTitle, setNewTitle] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      const result = await fetchSubtasks(parent.id);
+      if (cancelled) return;
+      if (result.success) {
+        setSubtasks(result.data);
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [parent.id, fetchSubtasks]);
+
+  // Toggle a subtask between the complete and default statuses
+  const handleToggle = async (subtask) => {
+    const status = subtask.status === completeStatus ? defaultStatus : completeStatus;
+    const result = await updateSubtaskStatus(parent.id, subtask.id, status);
+    if (result.success) {
+      setSubtasks(prev => prev.map(item => item.id === subtask.id ? result.data : item));
+      setError('');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  // Add a subtask from the inline input
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const title = newTitle.trim();
+    if (!title) return;
+    if (title.length > 255) {
+      setError('Title must be less than 255 characters');
+      return;
+    }
+
+    const result = await createSubtask(parent.id, { title });
+    if (result.success) {
+      setSubtasks(prev => [...prev, result.data]);
+      setNewTitle('');
+      setError('');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-xs text-gray-500">Loading subtasks...</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {subtasks.length > 0 && (
+        <ul className="space-y-1">
+          {subtasks.map(subtask => (
+            <li key={subtask.id} className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                id={`subtask-${subtask.id}`}
+                checked={subtask.status === completeStatus}
+                onChange={() => handleToggle(subtask)}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <label
+                htmlFor={`subtask-${subtask.id}`}
+                className={subtask.status === completeStatus ? 'line-through text-gray-400' : 'text-gray-700'}
+              >
+                {subtask.title}
+              </label>
+              {subtask.progress?.total > 0 && (
+                <span className="text-xs text-gray-400">
+                  {subtask.progress.completed}/{subtask.progress.total}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <label htmlFor={`new-subtask-${parent.id}`} className="sr-only">New subtask</label>
+        <input
+          type="text"
+          id={`new-subtask-${parent.id}`}
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          className="input text-sm py-1"
+          placeholder="Add a subtask"
+        />
+        <button type="submit" className="btn-secondary text-sm py-1" disabled={!newTitle.trim()}>
+          Add
+        </button>
+      </form>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -0,0 +1,47 @@
+import React from 'react';
+
+// Coloured label for a tag; clickable when onClick is given
+const TagChip = ({ tag, selected = true, onClick, onRemove }) => {
+  const style = selected
+    ? { backgroundColor: `${tag.color}22`, borderColor: tag.color, color: tag.color }
+    : undefined;
+  const className = `inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium border ${
+    selected ? '' : 'bg-white border-gray-300 text-gray-600 hover:border-gray-400'
+  }`;
+
+  const content = (
+    <>
+      <span className="w-1.5 h-1.5 rounded-full" style={{ backgroundColor: tag.color }} />
+      {tag.name}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove(tag);
+          }}
+          className="ml-0.5 hover:opacity-70"
+          title={`Remove ${tag.name}`}
+        >
+          &times;
+        </button>
+      )}
+    </>
+  );
+
+  if (onClick) {
+    return (
+      <button type="button" onClick={() => onClick(tag)} className={className} style={style}>
+        {content}
+      </button>
+    );
+  }
+
+  return (
+    <span className={className} style={style}>
+      {content}
+    </span>
+  );
+};
+
+export default TagChip;
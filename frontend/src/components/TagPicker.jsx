@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { useTagContext } from '../context/TagContext';
+import TagChip from './TagChip';
+
+// Palette offered for new tags
+const TAG_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#6b7280'];
+
+// Toggle existing tags on a task, or create a new one inline
+const TagPicker = ({ value, onChange, disabled = false }) => {
+  const { tags, createTag } = useTagContext();
+  const [newTagName, setNewTagName] = useState('');
+  const [error, setError] = useState('');
+
+  const toggleTag = (tag) => {
+    if (disabled) return;
+    onChange(value.includes(tag.id)
+      ? value.filter(id => id !== tag.id)
+      : [...value, tag.id]);
+  };
+
+  // Create a tag and select it straight away
+  const handleCreate = async () => {
+    const name = newTagName.trim();
+    if (!name) return;
+    if (name.length > 50 || name.includes(',')) {
+      setError('Tag names must be under 50 characters and cannot contain commas');
+      return;
+    }
+
+    const existing = tags.find(tag => tag.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      if (!value.includes(existing.id)) onChange([...value, existing.id]);
+      setNewTagName('');
+      return;
+    }
+
+    const color = TAG_COLORS[tags.length % TAG_COLORS.length];
+    const result = await createTag({ name, color });
+    if (result.success) {
+      onChange([...value, result.data.id]);
+      setNewTagName('');
+      setError('');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleCreate();
+    }
+  };
+
+  return (
+    <div>
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {tags.map(tag => (
+            <TagChip
+              key={tag.id}
+              tag={tag}
+              selected={value.includes(tag.id)}
+              onClick={toggleTag}
+            />
+          ))}
+        </div>
+      )}
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={newTagName}
+          onChange={(e) => setNewTagName(e.target.value)}
+          onKeyDown={handleKeyDown}
+          className="input"
+          placeholder="Add a new tag"
+          aria-label="New tag name"
+          disabled={disabled}
+        />
+        <button
+          type="button"
+          onClick={handleCreate}
+          className="btn-secondary whitespace-nowrap"
+          disabled={disabled || !newTagName.trim()}
+        >
+          Add Tag
+        </button>
+      </div>
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default TagPicker;
@@ -1,11 +1,24 @@
 import React, { useState, useEffect } from 'react';
+import { useProjectContext } from '../context/ProjectContext';
+import { useWorkflowContext } from '../context/WorkflowContext';
+import TagPicker from './TagPicker';
+import RecurrenceEditor from './RecurrenceEditor';
+import { PRIORITIES } from '../utils/priority';
+import { REMINDER_PRESETS, describeReminder, sortReminders } from '../utils/reminders';
 
-const TaskForm = ({ task, onSubmit, onCancel, loading = false }) => {
+const TaskForm = ({ task, defaultProjectId = '', onSubmit, onCancel, loading = false }) => {
+  const { projects } = useProjectContext();
+  const { statuses, defaultStatus, allowedStatuses } = useWorkflowContext();
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    status: 'pending',
+    status: '',
+    priority: 'none',
     due_date: '',
+    project_id: defaultProjectId,
+    tags: [],
+    recurrence: null,
+    reminders: [],
   });
   const [errors, setErrors] = useState({});
 
@@ -15,8 +28,13 @@ const TaskForm = ({ task, onSubmit, onCancel, loading = false }) => {
       setFormData({
         title: task.title || '',
         description: task.description || '',
-        status: task.status || 'pending',
+        status: task.status || '',
+        priority: task.priority || 'none',
         due_date: task.due_date ? task.due_date.split('T')[0] : '',
+        project_id: task.project_id ? String(task.project_id) : '',
+        tags: (task.tags || []).map(tag => tag.id),
+        recurrence: task.recurrence || null,
+        reminders: task.reminders || [],
       });
     }
   }, [task]);
@@ -37,7 +55,7 @@ const TaskForm = ({ task, onSubmit, onCancel, loading = false }) => {
       newErrors.description = 'Description must be less than 1000 characters';
     }
 
-    // Status: Optional (has default 'pending'), no validation needed
+    // Status: Optional (new tasks default to the workflow's first status), no validation needed
 
     // Due Date: Optional, but if provided must be valid and not in past
     if (formData.due_date) {
@@ -63,7 +81,13 @@ const TaskForm = ({ task, onSubmit, onCancel, loading = false }) => {
       const submitData = {
         title: formData.title,
         description: formData.description,
-        status: formData.status,
+        status: formData.status || defaultStatus,
+        priority: formData.priority,
+        parent_id: task?.parent_id || null,
+        project_id: formData.project_id ? parseInt(formData.project_id, 10) : null,
+        tags: formData.tags,
+        recurrence: formData.recurrence,
+        reminders: formData.reminders,
       };
       
       // Only add due_date if it's not empty
@@ -75,6 +99,16 @@ const TaskForm = ({ task, onSubmit, onCancel, loading = false }) => {
     }
   };
 
+  // Turn a reminder offset on or off
+  const toggleReminder = (offset) => {
+    setFormData(prev => ({
+      ...prev,
+      reminders: prev.reminders.includes(offset)
+        ? prev.reminders.filter(value => value !== offset)
+        : sortReminders([...prev.reminders, offset])
+    }));
+  };
+
   // Handle input changes
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -153,18 +187,71 @@ const TaskForm = ({ task, onSubmit, onCancel, loading = false }) => {
           <select
             id="status"
             name="status"
-            value={formData.status}
+            value={formData.status || defaultStatus}
             onChange={handleChange}
             className="input"
             disabled={loading}
           >
-            <option value="pending">Pending</option>
-            <option value="in-progress">In Progress</option>
-            <option value="completed">Completed</option>
-            <option value="cancelled">Cancelled</option>
+            {/* An existing task can only move along the workflow's transitions */}
+            {(task ? allowedStatuses(task.status) : statuses).map(status => (
+              <option key={status.name} value={status.name}>{status.label}</option>
+            ))}
           </select>
         </div>
 
+        {/* Priority Field */}
+        <div>
+          <label htmlFor="priority" className="label">
+            Priority <span className="text-gray-500 text-sm">(optional)</span>
+          </label>
+          <select
+            id="priority"
+            name="priority"
+            value={formData.priority}
+            onChange={handleChange}
+            className="input"
+            disabled={loading}
+          >
+            {PRIORITIES.map(priority => (
+              <option key={priority.value} value={priority.value}>{priority.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Project Field */}
+        <div>
+          <label htmlFor="project_id" className="label">
+            Project <span className="text-gray-500 text-sm">(optional)</span>
+          </label>
+          <select
+            id="project_id"
+            name="project_id"
+            value={formData.project_id}
+            onChange={handleChange}
+            className="input"
+            disabled={loading}
+          >
+            <option value="">No project</option>
+            {projects.map(project => (
+              <option key={project.id} value={String(project.id)}>
+                {project.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Tags Field */}
+        <div>
+          <span className="label">
+            Tags <span className="text-gray-500 text-sm">(optional)</span>
+          </span>
+          <TagPicker
+            value={formData.tags}
+            onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+            disabled={loading}
+          />
+        </div>
+
         {/* Due Date Field */}
         <div>
           <label htmlFor="due_date" className="label">
@@ -188,6 +275,45 @@ const TaskForm = ({ task, onSubmit, onCancel, loading = false }) => {
           )}
         </div>
 
+        {/* Recurrence Field */}
+        <div>
+          <span className="label">
+            Recurrence <span className="text-gray-500 text-sm">(optional)</span>
+          </span>
+          <RecurrenceEditor
+            value={formData.recurrence}
+            dueDate={formData.due_date}
+            onChange={(recurrence) => setFormData(prev => ({ ...prev, recurrence }))}
+            disabled={loading}
+          />
+        </div>
+
+        {/* Reminders Field */}
+        {formData.due_date && (
+          <fieldset>
+            <legend className="label">
+              Reminders <span className="text-gray-500 text-sm">(optional)</span>
+            </legend>
+            <div className="flex flex-wrap gap-x-4 gap-y-2">
+              {sortReminders([...REMINDER_PRESETS, ...formData.reminders]).map(offset => (
+                <label key={offset} className="inline-flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.reminders.includes(offset)}
+                    onChange={() => toggleReminder(offset)}
+                    className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    disabled={loading}
+                  />
+                  {describeReminder(offset)}
+                </label>
+              ))}
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              Sent to your notifications, and by email or webhook where set up.
+            </p>
+          </fieldset>
+        )}
+
         {/* Form Actions */}
         <div className="flex justify-end space-x-3 pt-4">
           <button
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { useTaskContext } from '../context/TaskContext';
+import { useProjectContext } from '../context/ProjectContext';
+import { useWorkflowContext } from '../context/WorkflowContext';
+import { formatTimestamp } from '../utils/format';
+import { describeRecurrence } from '../utils/recurrence';
+import { getPriority } from '../utils/priority';
+import { describeReminder } from '../utils/reminders';
+
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  status: 'status',
+  priority: 'priority',
+  due_date: 'due date',
+  project_id: 'project',
+  parent_id: 'parent task',
+  recurrence: 'recurrence',
+  reminders: 'reminders',
+  tags: 'tags',
+};
+
+const ACTION_DOTS = {
+  created: 'bg-green-500',
+  updated: 'bg-primary-500',
+  status_changed: 'bg-yellow-500',
+  deleted: 'bg-red-500',
+  restored: 'bg-green-500',
+  purged: 'bg-red-700',
+};
+
+// Timeline of a task's recorded changes, newest first
+const TaskHistory = ({ taskId }) => {
+  const { fetchTaskHistory } = useTaskContext();
+  const { getProjectById } = useProjectContext();
+  const { getStatus } = useWorkflowContext();
+  const [events, setEvents] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      const result = await fetchTaskHistory(taskId);
+      if (cancelled) return;
+      if (result.success) {
+        setEvents(result.data);
+        setNextCursor(result.nextCursor);
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId, fetchTaskHistory]);
+
+  const handleLoadMore = async () => {
+    setLoading(true);
+    const result = await fetchTaskHistory(taskId, nextCursor);
+    if (result.success) {
+      setEvents(prev => [...prev, ...result.data]);
+      setNextCursor(result.nextCursor);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  // Readable form of a field value
+  const formatValue = (field, value) => {
+    if (value === null || value === '') return 'none';
+    switch (field) {
+      case 'status':
+        return getStatus(value).label;
+      case 'priority':
+        return getPriority(value).label;
+      case 'due_date':
+        return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+      case 'project_id':
+        return getProjectById(value)?.name || `project #${value}`;
+      case 'parent_id':
+        return `task #${value}`;
+      case 'recurrence':
+        return describeRecurrence(value);
+      case 'reminders':
+        return value.map(describeReminder).join(', ');
+      case 'tags':
+        return value.join(', ');
+      default:
+        return `"${value}"`;
+    }
+  };
+
+  // One line per changed field
+  const describeChange = (field, { from, to }) => {
+    const label = FIELD_LABELS[field] || field;
+    if (field === 'description') {
+      return to ? `updated the ${label}` : `removed the ${label}`;
+    }
+    if (from === null) return `set ${label} to ${formatValue(field, to)}`;
+    if (to === null) return `cleared ${label} (was ${formatValue(field, from)})`;
+    return `changed ${label} from ${formatValue(field, from)} to ${formatValue(field, to)}`;
+  };
+
+  const renderDetails = (event) => {
+    if (event.action === 'created') return ['created this task'];
+    if (event.action === 'deleted') return ['moved this task to the trash'];
+    if (event.action === 'restored') return ['restored this task from the trash'];
+    if (event.action === 'purged') return ['permanently deleted this task'];
+    return Object.entries(event.changes).map(([field, change]) => describeChange(field, change));
+  };
+
+  return (
+    <div className="card">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">History</h2>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {!loading && events.length === 0 && !error && (
+        <p className="text-sm text-gray-500">No changes recorded yet.</p>
+      )}
+
+      {events.length > 0 && (
+        <ol className="relative border-l border-gray-200 ml-1.5 space-y-4">
+          {events.map(event => (
+            <li key={event.id} className="pl-5">
+              <span
+                className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-white ${ACTION_DOTS[event.action] || 'bg-gray-400'}`}
+              />
+              <p className="text-sm text-gray-500">
+                <span className="font-medium text-gray-900">
+                  {event.actor?.name || event.actor?.email || 'Someone'}
+                </span>
+                {' '}&middot; {formatTimestamp(event.created_at)}
+              </p>
+              <ul className="text-sm text-gray-700">
+                {renderDetails(event).map((line, index) => (
+                  <li key={index}>{line}</li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {loading && <p className="text-sm text-gray-500 mt-3">Loading history...</p>}
+
+      {!loading && nextCursor && (
+        <button onClick={handleLoadMore} className="mt-4 text-sm text-primary-600 hover:text-primary-700">
+          Show older changes
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TaskHistory;
@@ -1,34 +1,21 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useTaskContext } from '../context/TaskContext';
+import { useWorkflowContext } from '../context/WorkflowContext';
+import TagChip from './TagChip';
+import SubtaskList from './SubtaskList';
+import Highlight from './Highlight';
+import StatusBadge from './StatusBadge';
+import { describeRecurrence } from '../utils/recurrence';
+import { getPriority } from '../utils/priority';
 
-const TaskItem = ({ task }) => {
-  const { updateTaskStatus, deleteTask } = useTaskContext();
+const TaskItem = ({ task, selected = false, onSelectChange }) => {
+  const { updateTaskStatus, patchTask, deleteTask } = useTaskContext();
+  const { getStatus, isDone, allowedStatuses } = useWorkflowContext();
   const [isUpdating, setIsUpdating] = useState(false);
+  const [editingDueDate, setEditingDueDate] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
-
-  // Status configuration
-  const statusConfig = {
-    pending: {
-      label: 'Pending',
-      color: 'bg-yellow-100 text-yellow-800 border-yellow-200',
-      bgColor: 'bg-yellow-50',
-    },
-    'in-progress': {
-      label: 'In Progress',
-      color: 'bg-blue-100 text-blue-800 border-blue-200',
-      bgColor: 'bg-blue-50',
-    },
-    completed: {
-      label: 'Completed',
-      color: 'bg-green-100 text-green-800 border-green-200',
-      bgColor: 'bg-green-50',
-    },
-    cancelled: {
-      label: 'Cancelled',
-      color: 'bg-red-100 text-red-800 border-red-200',
-      bgColor: 'bg-red-50',
-    },
-  };
+  const [showSubtasks, setShowSubtasks] = useState(false);
 
   // Format date
   const formatDate = (dateString) => {
@@ -47,7 +34,7 @@ const TaskItem = ({ task }) => {
     const dueDate = new Date(task.due_date);
     const today = new Date();
     today.setHours(0, 0, 0, 0);
-    return dueDate < today && task.status !== 'completed' && task.status !== 'cancelled';
+    return dueDate < today && !isDone(task.status);
   };
 
   // Handle status change
@@ -56,7 +43,7 @@ const TaskItem = ({ task }) => {
     
     setIsUpdating(true);
     try {
-      await updateTaskStatus(task.id, newStatus);
+      await updateTaskStatus(task.id, newStatus, { version: task.version });
     } catch (error) {
       console.error('Failed to update status:', error);
     } finally {
@@ -64,12 +51,24 @@ const TaskItem = ({ task }) => {
     }
   };
 
-  // Handle delete
-  const handleDelete = async () => {
-    if (!window.confirm('Are you sure you want to delete this task?')) {
-      return;
+  // Inline due date edit; only the due date is sent. On a conflict the
+  // list already shows the newer task, so the edit is simply dropped.
+  const handleDueDateChange = async (value) => {
+    setEditingDueDate(false);
+    if ((value || null) === (task.due_date ? task.due_date.split('T')[0] : null)) return;
+
+    setIsUpdating(true);
+    try {
+      await patchTask(task.id, { due_date: value || null }, { version: task.version });
+    } catch (error) {
+      console.error('Failed to update due date:', error);
+    } finally {
+      setIsUpdating(false);
     }
+  };
 
+  // Handle delete; the task goes to the trash and can be undone
+  const handleDelete = async () => {
     setIsDeleting(true);
     try {
       await deleteTask(task.id);
@@ -80,40 +79,132 @@ const TaskItem = ({ task }) => {
     }
   };
 
-  const status = statusConfig[task.status] || statusConfig.pending;
+  const status = getStatus(task.status);
+  const priority = getPriority(task.priority);
 
   return (
-    <div className={`card ${status.bgColor} animate-slide-up hover:shadow-md transition-shadow duration-200`}>
+    <div
+      className="card animate-slide-up hover:shadow-md transition-shadow duration-200"
+      style={{ backgroundColor: `${status.color}0d` }}
+    >
       <div className="flex items-start justify-between">
         <div className="flex-1 min-w-0">
           {/* Title and Status */}
           <div className="flex items-center gap-3 mb-2">
+            {onSelectChange && (
+              <input
+                type="checkbox"
+                checked={selected}
+                onChange={(e) => onSelectChange(task, e.target.checked)}
+                className="rounded text-primary-600 focus:ring-primary-500"
+                aria-label={`Select ${task.title}`}
+              />
+            )}
             <h3 className="text-lg font-semibold text-gray-900 truncate">
-              {task.title}
+              <Link to={`/tasks/${task.id}`} className="hover:text-primary-600 transition-colors">
+                {task.search?.title ? <Highlight html={task.search.title} /> : task.title}
+              </Link>
             </h3>
-            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${status.color}`}>
-              {status.label}
-            </span>
+            <StatusBadge status={task.status} />
+            {priority.value !== 'none' && (
+              <span
+                className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${priority.className}`}
+                title={`${priority.label} priority`}
+              >
+                {priority.label}
+              </span>
+            )}
+            {task.is_blocked && (
+              <span
+                className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium border bg-red-100 text-red-800 border-red-200"
+                title="This task cannot start until its blockers are finished"
+              >
+                <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636" />
+                </svg>
+                Blocked
+              </span>
+            )}
           </div>
 
-          {/* Description */}
+          {/* Blockers */}
+          {task.is_blocked && (
+            <p className="text-xs text-gray-600 mb-2">
+              Blocked by{' '}
+              {task.blocked_by
+                .filter(blocker => !isDone(blocker.status))
+                .map((blocker, index) => (
+                  <React.Fragment key={blocker.id}>
+                    {index > 0 && ', '}
+                    <Link
+                      to={`/tasks/${blocker.id}`}
+                      className="text-primary-600 hover:text-primary-700 font-medium"
+                    >
+                      {blocker.title}
+                    </Link>
+                  </React.Fragment>
+                ))}
+            </p>
+          )}
+
+          {/* Description, or the matching part of it when searching */}
           {task.description && (
             <p className="text-gray-600 text-sm mb-3 line-clamp-2">
-              {task.description}
+              {task.search?.snippet?.includes('<mark>')
+                ? <Highlight html={task.search.snippet} />
+                : task.description}
             </p>
           )}
 
+          {/* Tags */}
+          {task.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1.5 mb-3">
+              {task.tags.map(tag => (
+                <TagChip key={tag.id} tag={tag} />
+              ))}
+            </div>
+          )}
+
           {/* Due Date */}
           <div className="flex items-center gap-4 text-sm text-gray-500 mb-4">
             <div className="flex items-center gap-1">
               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
               </svg>
-              <span className={isOverdue() ? 'text-red-600 font-medium' : ''}>
-                {formatDate(task.due_date)}
-                {isOverdue() && ' (Overdue)'}
-              </span>
+              {editingDueDate ? (
+                <input
+                  type="date"
+                  defaultValue={task.due_date ? task.due_date.split('T')[0] : ''}
+                  onBlur={(e) => handleDueDateChange(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') e.target.blur();
+                    if (e.key === 'Escape') setEditingDueDate(false);
+                  }}
+                  className="input py-0.5 px-1 text-sm w-auto"
+                  autoFocus
+                />
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => setEditingDueDate(true)}
+                  className={`hover:underline ${isOverdue() ? 'text-red-600 font-medium' : ''}`}
+                  title="Change due date"
+                  disabled={isUpdating}
+                >
+                  {formatDate(task.due_date)}
+                  {isOverdue() && ' (Overdue)'}
+                </button>
+              )}
             </div>
+
+            {task.recurrence && (
+              <div className="flex items-center gap-1" title={task.recurrence}>
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                </svg>
+                <span>Repeats {describeRecurrence(task.recurrence)}</span>
+              </div>
+            )}
             
             <div className="flex items-center gap-1">
               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -123,7 +214,43 @@ const TaskItem = ({ task }) => {
                 Created {new Date(task.created_at).toLocaleDateString()}
               </span>
             </div>
+
+            <Link
+              to={`/tasks/${task.id}`}
+              className="flex items-center gap-1 hover:text-gray-700 transition-colors"
+              title="View comments"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
+              </svg>
+              {task.comment_count || 0}
+            </Link>
+
+            <button
+              onClick={() => setShowSubtasks(prev => !prev)}
+              className="flex items-center gap-1 hover:text-gray-700 transition-colors"
+              aria-expanded={showSubtasks}
+            >
+              <svg
+                className={`w-4 h-4 transition-transform ${showSubtasks ? 'rotate-90' : ''}`}
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+              </svg>
+              {task.progress?.total > 0
+                ? `Subtasks ${task.progress.completed}/${task.progress.total}`
+                : 'Subtasks'}
+            </button>
           </div>
+
+          {/* Subtasks */}
+          {showSubtasks && (
+            <div className="mb-4 pl-5 border-l-2 border-gray-200">
+              <SubtaskList parent={task} />
+            </div>
+          )}
         </div>
 
         {/* Actions */}
@@ -135,9 +262,9 @@ const TaskItem = ({ task }) => {
             disabled={isUpdating}
             className="text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
           >
-            {Object.entries(statusConfig).map(([value, config]) => (
-              <option key={value} value={value}>
-                {config.label}
+            {allowedStatuses(task.status).map(option => (
+              <option key={option.name} value={option.name}>
+                {option.label}
               </option>
             ))}
           </select>
@@ -158,7 +285,7 @@ const TaskItem = ({ task }) => {
             <button
               onClick={handleDelete}
               className="p-1 text-gray-400 hover:text-red-600 transition-colors"
-              title="Delete task"
+              title="Move to trash"
               disabled={isDeleting}
             >
               {isDeleting ? (
@@ -1,10 +1,105 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useTaskContext } from '../context/TaskContext';
+import { useTagContext } from '../context/TagContext';
+import { useWorkflowContext } from '../context/WorkflowContext';
 import TaskItem from './TaskItem';
+import TagChip from './TagChip';
+import BulkActionBar from './BulkActionBar';
+import ImportDialog from './ImportDialog';
+import AdvancedFilters, { ADVANCED_FILTER_DEFAULTS, countAdvancedFilters } from './AdvancedFilters';
 
-const TaskList = () => {
-  const { tasks, loading, error, filters, setFilters } = useTaskContext();
+// Sort options offered in the list header
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Best match', searchOnly: true },
+  { value: 'smart', label: 'What to work on next' },
+  { value: '-created_at', label: 'Newest first' },
+  { value: 'created_at', label: 'Oldest first' },
+  { value: 'due_date,-created_at', label: 'Due date' },
+  { value: '-priority,due_date', label: 'Priority' },
+  { value: '-updated_at', label: 'Recently updated' },
+  { value: 'title', label: 'Title (A-Z)' },
+];
+
+const TaskList = ({ title = 'Tasks', newTaskPath = '/new' }) => {
+  const {
+    tasks,
+    loading,
+    loadingMore,
+    error,
+    filters,
+    pagination,
+    setFilters,
+    fetchTasks,
+    loadMoreTasks,
+    exportTasks,
+  } = useTaskContext();
+  const { tags } = useTagContext();
+  const { statuses } = useWorkflowContext();
   const [localSearch, setLocalSearch] = useState(filters.search || '');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const loadMoreRef = useRef(null);
+  const importInputRef = useRef(null);
+
+  // Drop selected tasks that are no longer in the list
+  useEffect(() => {
+    setSelectedIds(prev => {
+      const remaining = prev.filter(id => tasks.some(task => task.id === id));
+      return remaining.length === prev.length ? prev : remaining;
+    });
+  }, [tasks]);
+
+  const selectedTasks = tasks.filter(task => selectedIds.includes(task.id));
+  const allSelected = tasks.length > 0 && selectedTasks.length === tasks.length;
+
+  const handleSelectChange = (task, checked) => {
+    setSelectedIds(prev => (checked ? [...prev, task.id] : prev.filter(id => id !== task.id)));
+  };
+
+  const handleSelectAll = (e) => {
+    setSelectedIds(e.target.checked ? tasks.map(task => task.id) : []);
+  };
+
+  // Export the tasks matching the current filters
+  const handleExport = async (format) => {
+    const result = await exportTasks(format);
+    setNotice(result.success ? null : { type: 'error', text: result.error });
+  };
+
+  const handleImportFile = (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) {
+      setNotice(null);
+      setImportFile(file);
+    }
+  };
+
+  const handleImportClose = (message) => {
+    setImportFile(null);
+    if (message) {
+      setNotice({ type: 'success', text: message });
+    }
+  };
+
+  // Load the next page when the sentinel below the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !pagination.nextCursor || !('IntersectionObserver' in window)) {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        loadMoreTasks();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [pagination.nextCursor, loadMoreTasks]);
 
   // Handle search with debounce
   const handleSearchChange = (e) => {
@@ -13,8 +108,15 @@ const TaskList = () => {
     
     // Debounce search
     clearTimeout(window.searchTimeout);
+    // Rank results by relevance while searching
     window.searchTimeout = setTimeout(() => {
-      setFilters({ search: value });
+      if (value && !filters.search) {
+        setFilters({ search: value, sort: 'relevance' });
+      } else if (!value && filters.sort === 'relevance') {
+        setFilters({ search: value, sort: '-created_at' });
+      } else {
+        setFilters({ search: value });
+      }
     }, 300);
   };
 
@@ -23,27 +125,45 @@ const TaskList = () => {
     setFilters({ status: e.target.value });
   };
 
+  // Handle sort change
+  const handleSortChange = (e) => {
+    setFilters({ sort: e.target.value });
+  };
+
+  // Toggle a tag in the tag filter; selecting it drops any exclusion of it
+  const handleTagToggle = (tag) => {
+    const selected = filters.tags.includes(tag.name)
+      ? filters.tags.filter(name => name !== tag.name)
+      : [...filters.tags.filter(name => name !== `!${tag.name}`), tag.name];
+    setFilters({ tags: selected });
+  };
+
+  // Switch between matching any or all selected tags
+  const handleTagModeChange = (e) => {
+    setFilters({ tagMode: e.target.value });
+  };
+
+  const advancedCount = countAdvancedFilters(filters);
+  const hasFilters = Boolean(filters.status || filters.search || filters.tags.length || advancedCount);
+  const includedTags = filters.tags.filter(name => !name.startsWith('!'));
+  const customStatus = filters.status && !filters.status.includes(',') && !filters.status.startsWith('!')
+    ? null
+    : filters.status;
+
   // Clear filters
   const clearFilters = () => {
-    setFilters({ status: '', search: '' });
+    setFilters({
+      status: '',
+      search: '',
+      tags: [],
+      ...ADVANCED_FILTER_DEFAULTS,
+      ...(filters.sort === 'relevance' && { sort: '-created_at' }),
+    });
     setLocalSearch('');
   };
 
-  // Get filtered tasks
-  const filteredTasks = tasks.filter(task => {
-    const matchesStatus = !filters.status || task.status === filters.status;
-    const matchesSearch = !filters.search || 
-      task.title.toLowerCase().includes(filters.search.toLowerCase()) ||
-      (task.description && task.description.toLowerCase().includes(filters.search.toLowerCase()));
-    
-    return matchesStatus && matchesSearch;
-  });
-
-  // Get status counts
-  const statusCounts = tasks.reduce((acc, task) => {
-    acc[task.status] = (acc[task.status] || 0) + 1;
-    return acc;
-  }, {});
+  // Status counts are computed by the server across all pages
+  const statusCounts = pagination.statusCounts;
 
   if (error) {
     return (
@@ -57,7 +177,7 @@ const TaskList = () => {
           <h3 className="text-lg font-semibold text-gray-900 mb-2">Error Loading Tasks</h3>
           <p className="text-gray-600 mb-4">{error}</p>
           <button
-            onClick={() => window.location.reload()}
+            onClick={() => fetchTasks(filters)}
             className="btn-primary"
           >
             Try Again
@@ -72,23 +192,50 @@ const TaskList = () => {
       {/* Header */}
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
         <div>
-          <h1 className="text-3xl font-bold text-gray-900">Tasks</h1>
+          <h1 className="text-3xl font-bold text-gray-900">{title}</h1>
           <p className="text-gray-600 mt-1">
-            {loading ? 'Loading...' : `${filteredTasks.length} of ${tasks.length} tasks`}
+            {loading ? 'Loading...' : `${tasks.length} of ${pagination.total} tasks`}
           </p>
         </div>
         
-        <button
-          onClick={() => window.location.href = '/new'}
-          className="btn-primary flex items-center gap-2"
-        >
-          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-          </svg>
-          New Task
-        </button>
+        <div className="flex flex-wrap items-center gap-2">
+          <button onClick={() => handleExport('csv')} className="btn-secondary" disabled={loading}>
+            Export CSV
+          </button>
+          <button onClick={() => handleExport('json')} className="btn-secondary" disabled={loading}>
+            Export JSON
+          </button>
+          <button onClick={() => importInputRef.current.click()} className="btn-secondary">
+            Import
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={handleImportFile}
+            className="hidden"
+            aria-label="Import tasks from a CSV or JSON file"
+          />
+          <button
+            onClick={() => window.location.href = newTaskPath}
+            className="btn-primary flex items-center gap-2"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+            </svg>
+            New Task
+          </button>
+        </div>
       </div>
 
+      {notice && (
+        <p className={`text-sm ${notice.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>
+          {notice.text}
+        </p>
+      )}
+
+      {importFile && <ImportDialog file={importFile} onClose={handleImportClose} />}
+
       {/* Filters */}
       <div className="card">
         <div className="flex flex-col sm:flex-row gap-4">
@@ -124,15 +271,41 @@ const TaskList = () => {
               disabled={loading}
             >
               <option value="">All Statuses</option>
-              <option value="pending">Pending</option>
-              <option value="in-progress">In Progress</option>
-              <option value="completed">Completed</option>
-              <option value="cancelled">Cancelled</option>
+              {customStatus && <option value={customStatus}>Custom selection</option>}
+              {statuses.map(status => (
+                <option key={status.name} value={status.name}>{status.label}</option>
+              ))}
             </select>
           </div>
 
+          {/* Sort */}
+          <div className="sm:w-48">
+            <label htmlFor="sort" className="sr-only">Sort tasks</label>
+            <select
+              id="sort"
+              value={filters.sort}
+              onChange={handleSortChange}
+              className="input"
+              disabled={loading}
+            >
+              {SORT_OPTIONS.filter(option => !option.searchOnly || filters.search).map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <button
+            onClick={() => setShowAdvanced(prev => !prev)}
+            className="btn-secondary whitespace-nowrap"
+            aria-expanded={showAdvanced}
+          >
+            Advanced{advancedCount > 0 && ` (${advancedCount})`}
+          </button>
+
           {/* Clear Filters */}
-          {(filters.status || filters.search) && (
+          {hasFilters && (
             <button
               onClick={clearFilters}
               className="btn-secondary"
@@ -143,18 +316,50 @@ const TaskList = () => {
           )}
         </div>
 
+        {/* Tag Filter */}
+        {tags.length > 0 && (
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <span className="text-sm text-gray-500">Tags:</span>
+            {tags.map(tag => (
+              <TagChip
+                key={tag.id}
+                tag={tag}
+                selected={filters.tags.includes(tag.name)}
+                onClick={handleTagToggle}
+              />
+            ))}
+            {includedTags.length > 1 && (
+              <>
+                <label htmlFor="tag-mode" className="sr-only">Tag match mode</label>
+                <select
+                  id="tag-mode"
+                  value={filters.tagMode}
+                  onChange={handleTagModeChange}
+                  className="text-xs border border-gray-300 rounded px-2 py-1 bg-white"
+                  disabled={loading}
+                >
+                  <option value="any">Match any</option>
+                  <option value="all">Match all</option>
+                </select>
+              </>
+            )}
+          </div>
+        )}
+
+        {showAdvanced && <AdvancedFilters />}
+
         {/* Status Counts */}
         <div className="mt-4 flex flex-wrap gap-2">
-          {Object.entries(statusCounts).map(([status, count]) => (
+          {statuses.filter(status => statusCounts[status.name] !== undefined).map(status => (
             <span
-              key={status}
+              key={status.name}
               className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                status === filters.status
+                filters.status.split(',').includes(status.name)
                   ? 'bg-primary-100 text-primary-800'
                   : 'bg-gray-100 text-gray-800'
               }`}
             >
-              {status.charAt(0).toUpperCase() + status.slice(1)}: {count}
+              {status.label}: {statusCounts[status.name]}
             </span>
           ))}
         </div>
@@ -174,7 +379,7 @@ const TaskList = () => {
       )}
 
       {/* Empty State */}
-      {!loading && filteredTasks.length === 0 && (
+      {!loading && tasks.length === 0 && (
         <div className="card">
           <div className="text-center py-12">
             <div className="text-gray-400 mb-4">
@@ -183,17 +388,17 @@ const TaskList = () => {
               </svg>
             </div>
             <h3 className="text-lg font-semibold text-gray-900 mb-2">
-              {filters.status || filters.search ? 'No tasks found' : 'No tasks yet'}
+              {hasFilters ? 'No tasks found' : 'No tasks yet'}
             </h3>
             <p className="text-gray-600 mb-4">
-              {filters.status || filters.search 
+              {hasFilters
                 ? 'Try adjusting your filters or search terms.'
                 : 'Get started by creating your first task.'
               }
             </p>
-            {!filters.status && !filters.search && (
+            {!hasFilters && (
               <button
-                onClick={() => window.location.href = '/new'}
+                onClick={() => window.location.href = newTaskPath}
                 className="btn-primary"
               >
                 Create Your First Task
@@ -204,11 +409,44 @@ const TaskList = () => {
       )}
 
       {/* Task List */}
-      {!loading && filteredTasks.length > 0 && (
+      {!loading && tasks.length > 0 && (
         <div className="space-y-4">
-          {filteredTasks.map((task) => (
-            <TaskItem key={task.id} task={task} />
+          <BulkActionBar
+            selectedTasks={selectedTasks}
+            onClear={() => setSelectedIds([])}
+          />
+
+          <label className="flex items-center gap-2 px-1 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={allSelected}
+              onChange={handleSelectAll}
+              className="rounded text-primary-600 focus:ring-primary-500"
+            />
+            Select all loaded tasks
+          </label>
+
+          {tasks.map((task) => (
+            <TaskItem
+              key={task.id}
+              task={task}
+              selected={selectedIds.includes(task.id)}
+              onSelectChange={handleSelectChange}
+            />
           ))}
+
+          {/* Load More */}
+          {pagination.nextCursor && (
+            <div ref={loadMoreRef} className="text-center py-4">
+              <button
+                onClick={loadMoreTasks}
+                className="btn-secondary"
+                disabled={loadingMore}
+              >
+                {loadingMore ? 'Loading more...' : 'Load more'}
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from 'react';
+import { useTaskContext } from '../context/TaskContext';
+
+// How long the undo prompt stays on screen
+const TOAST_DURATION_MS = 8000;
+
+// Toast offering to restore the most recently trashed task
+const UndoToast = () => {
+  const { lastDeleted, restoreTask, dismissUndo } = useTaskContext();
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState('');
+
+  // Each deletion restarts the timer
+  useEffect(() => {
+    if (!lastDeleted) return undefined;
+    setError('');
+    const timer = setTimeout(dismissUndo, TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [lastDeleted, dismissUndo]);
+
+  if (!lastDeleted) {
+    return null;
+  }
+
+  const handleUndo = async () => {
+    setRestoring(true);
+    const result = await restoreTask(lastDeleted.id);
+    if (!result.success) {
+      setError(result.error);
+    }
+    setRestoring(false);
+  };
+
+  return (
+    <div className="fixed bottom-6 inset-x-0 z-50 flex justify-center px-4 pointer-events-none">
+      <div
+        role="status"
+        className="pointer-events-auto flex items-center gap-4 px-4 py-3 rounded-lg shadow-lg bg-gray-900 text-white text-sm animate-slide-up"
+      >
+        <span className="max-w-xs truncate">
+          {error || (lastDeleted.title ? `"${lastDeleted.title}" moved to trash` : 'Task moved to trash')}
+        </span>
+        <button
+          onClick={handleUndo}
+          disabled={restoring}
+          className="font-semibold text-primary-300 hover:text-primary-200 disabled:opacity-50"
+        >
+          {restoring ? 'Restoring...' : 'Undo'}
+        </button>
+        <button onClick={dismissUndo} className="text-gray-400 hover:text-white" title="Dismiss">
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { useWebhookContext } from '../context/WebhookContext';
+import { formatTimestamp } from '../utils/format';
+
+const STATUS_CLASSES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+// Delivery log of a webhook, newest first, with a redeliver action
+const WebhookDeliveries = ({ webhookId }) => {
+  const { fetchDeliveries, redeliver } = useWebhookContext();
+  const [deliveries, setDeliveries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchDeliveries(webhookId).then(result => {
+      if (cancelled) return;
+      if (result.success) {
+        setDeliveries(result.data);
+        setNextCursor(result.nextCursor);
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [webhookId, fetchDeliveries]);
+
+  const handleLoadMore = async () => {
+    setLoading(true);
+    const result = await fetchDeliveries(webhookId, nextCursor);
+    if (result.success) {
+      setDeliveries(prev => [...prev, ...result.data]);
+      setNextCursor(result.nextCursor);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  const handleRedeliver = async (delivery) => {
+    setBusyId(delivery.id);
+    const result = await redeliver(webhookId, delivery.id);
+    if (result.success) {
+      setDeliveries(prev => [result.data, ...prev]);
+      setError('');
+    } else {
+      setError(result.error);
+    }
+    setBusyId(null);
+  };
+
+  if (!loading && deliveries.length === 0 && !error) {
+    return <p className="text-sm text-gray-500">No deliveries yet.</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <ul className="divide-y divide-gray-100">
+        {deliveries.map(delivery => (
+          <li key={delivery.id} className="flex items-center justify-between gap-4 py-2 text-sm">
+            <div className="min-w-0">
+              <div className="flex items-center gap-2">
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_CLASSES[delivery.status]}`}>
+                  {delivery.status}
+                </span>
+                <span className="font-mono text-gray-900">{delivery.event_type}</span>
+                <span className="text-gray-500">#{delivery.id}</span>
+              </div>
+              <p className="text-gray-500 mt-0.5">
+                {formatTimestamp(delivery.created_at)}
+                {' '}&middot; {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+                {delivery.response_status && <>{' '}&middot; HTTP {delivery.response_status}</>}
+                {delivery.error && !delivery.response_status && <>{' '}&middot; {delivery.error}</>}
+                {delivery.status === 'pending' && delivery.next_attempt_at && delivery.attempts > 0 && (
+                  <>{' '}&middot; retrying {formatTimestamp(delivery.next_attempt_at)}</>
+                )}
+              </p>
+            </div>
+            <button
+              onClick={() => handleRedeliver(delivery)}
+              className="btn-secondary text-sm flex-shrink-0"
+              disabled={busyId === delivery.id}
+            >
+              Redeliver
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {loading && <p className="text-sm text-gray-500">Loading deliveries...</p>}
+      {!loading && nextCursor && (
+        <button onClick={handleLoadMore} className="text-sm text-primary-600 hover:text-primary-700">
+          Load older deliveries
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default WebhookDeliveries;
@@ -0,0 +1,109 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { api, getStoredAuth, setStoredAuth, onAuthFailure } from './TaskContext';
+
+// Create context
+const AuthContext = createContext();
+
+// Map a token response onto the shape kept in storage
+const toSession = (data) => ({
+  user: data.user,
+  accessToken: data.access_token,
+  refreshToken: data.refresh_token,
+});
+
+// Provider component
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(() => getStoredAuth()?.user || null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Sign out locally when the API can no longer refresh the session
+  useEffect(() => {
+    onAuthFailure(() => setUser(null));
+    return () => onAuthFailure(null);
+  }, []);
+
+  // Shared handler for login and register
+  const authenticate = useCallback(async (path, credentials) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await api.post(path, credentials);
+
+      if (response.data.success) {
+        const session = toSession(response.data.data);
+        setStoredAuth(session);
+        setUser(session.user);
+        return { success: true };
+      } else {
+        throw new Error(response.data.error || 'Authentication failed');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.details?.[0]?.msg ||
+                          error.response?.data?.error ||
+                          error.message ||
+                          'An unexpected error occurred';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Sign in with email and password
+  const login = useCallback((email, password) => {
+    return authenticate('/auth/login', { email, password });
+  }, [authenticate]);
+
+  // Create an account and sign in
+  const register = useCallback((name, email, password) => {
+    return authenticate('/auth/register', { name, email, password });
+  }, [authenticate]);
+
+  // Revoke the refresh token and clear the local session
+  const logout = useCallback(async () => {
+    const auth = getStoredAuth();
+    setStoredAuth(null);
+    setUser(null);
+
+    if (auth?.refreshToken) {
+      try {
+        await api.post('/auth/logout', { refresh_token: auth.refreshToken });
+      } catch (error) {
+        console.error('Failed to revoke session:', error);
+      }
+    }
+  }, []);
+
+  // Clear error
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  const value = {
+    user,
+    isAuthenticated: Boolean(user),
+    loading,
+    error,
+    login,
+    register,
+    logout,
+    clearError,
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+// Custom hook to use the auth context
+export const useAuthContext = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuthContext must be used within an AuthProvider');
+  }
+  return context;
+};
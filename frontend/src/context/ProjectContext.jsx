@@ -0,0 +1,129 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { api } from './TaskContext';
+
+// Create context
+const ProjectContext = createContext();
+
+// Provider component
+export const ProjectProvider = ({ children }) => {
+  const [projects, setProjects] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Helper function to handle API errors
+  const handleApiError = (error) => {
+    console.error('API Error:', error);
+    const errorMessage = error.response?.data?.error ||
+                        error.message ||
+                        'An unexpected error occurred';
+    setError(errorMessage);
+    return { success: false, error: errorMessage };
+  };
+
+  // Fetch all projects
+  const fetchProjects = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await api.get('/projects');
+
+      if (response.data.success) {
+        setProjects(response.data.data);
+      } else {
+        throw new Error(response.data.error || 'Failed to fetch projects');
+      }
+    } catch (error) {
+      handleApiError(error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Create a new project
+  const createProject = useCallback(async (projectData) => {
+    try {
+      const response = await api.post('/projects', projectData);
+
+      if (response.data.success) {
+        setProjects(prev => [...prev, response.data.data]
+          .sort((a, b) => a.name.localeCompare(b.name)));
+        return { success: true, data: response.data.data };
+      } else {
+        throw new Error(response.data.error || 'Failed to create project');
+      }
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }, []);
+
+  // Update a project
+  const updateProject = useCallback(async (id, projectData) => {
+    try {
+      const response = await api.put(`/projects/${id}`, projectData);
+
+      if (response.data.success) {
+        setProjects(prev => prev.map(project =>
+          project.id === response.data.data.id ? response.data.data : project
+        ));
+        return { success: true, data: response.data.data };
+      } else {
+        throw new Error(response.data.error || 'Failed to update project');
+      }
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }, []);
+
+  // Delete a project
+  const deleteProject = useCallback(async (id) => {
+    try {
+      const response = await api.delete(`/projects/${id}`);
+
+      if (response.data.success) {
+        setProjects(prev => prev.filter(project => project.id !== id));
+        return { success: true };
+      } else {
+        throw new Error(response.data.error || 'Failed to delete project');
+      }
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }, []);
+
+  // Look up a loaded project by id
+  const getProjectById = useCallback((id) => {
+    return projects.find(project => String(project.id) === String(id)) || null;
+  }, [projects]);
+
+  // Load projects on component mount
+  useEffect(() => {
+    fetchProjects();
+  }, [fetchProjects]);
+
+  const value = {
+    projects,
+    loading,
+    error,
+    fetchProjects,
+    createProject,
+    updateProject,
+    deleteProject,
+    getProjectById,
+  };
+
+  return (
+    <ProjectContext.Provider value={value}>
+      {children}
+    </ProjectContext.Provider>
+  );
+};
+
+// Custom hook to use the project context
+export const useProjectContext = () => {
+  const context = useContext(ProjectContext);
+  if (!context) {
+    throw new Error('useProjectContext must be used within a ProjectProvider');
+  }
+  return context;
+};
@@ -0,0 +1,123 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { api } from './TaskContext';
+
+// Create context
+const TagContext = createContext();
+
+// Provider component
+export const TagProvider = ({ children }) => {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Helper function to handle API errors
+  const handleApiError = (error) => {
+    console.error('API Error:', error);
+    const errorMessage = error.response?.data?.error ||
+                        error.message ||
+                        'An unexpected error occurred';
+    setError(errorMessage);
+    return { success: false, error: errorMessage };
+  };
+
+  // Fetch all tags
+  const fetchTags = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await api.get('/tags');
+
+      if (response.data.success) {
+        setTags(response.data.data);
+      } else {
+        throw new Error(response.data.error || 'Failed to fetch tags');
+      }
+    } catch (error) {
+      handleApiError(error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Create a new tag
+  const createTag = useCallback(async (tagData) => {
+    try {
+      const response = await api.post('/tags', tagData);
+
+      if (response.data.success) {
+        setTags(prev => [...prev, response.data.data]
+          .sort((a, b) => a.name.localeCompare(b.name)));
+        return { success: true, data: response.data.data };
+      } else {
+        throw new Error(response.data.error || 'Failed to create tag');
+      }
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }, []);
+
+  // Update a tag
+  const updateTag = useCallback(async (id, tagData) => {
+    try {
+      const response = await api.put(`/tags/${id}`, tagData);
+
+      if (response.data.success) {
+        setTags(prev => prev.map(tag =>
+          tag.id === response.data.data.id ? response.data.data : tag
+        ));
+        return { success: true, data: response.data.data };
+      } else {
+        throw new Error(response.data.error || 'Failed to update tag');
+      }
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }, []);
+
+  // Delete a tag
+  const deleteTag = useCallback(async (id) => {
+    try {
+      const response = await api.delete(`/tags/${id}`);
+
+      if (response.data.success) {
+        setTags(prev => prev.filter(tag => tag.id !== id));
+        return { success: true };
+      } else {
+        throw new Error(response.data.error || 'Failed to delete tag');
+      }
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }, []);
+
+  // Load tags on component mount
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
+  const value = {
+    tags,
+    loading,
+    error,
+    fetchTags,
+    createTag,
+    updateTag,
+    deleteTag,
+  };
+
+  return (
+    <TagContext.Provider value={value}>
+      {children}
+    </TagContext.Provider>
+  );
+};
+
+// Custom hook to use the tag context
+export const useTagContext = () => {
+  const context = useContext(TagContext);
+  if (!context) {
+    throw new Error('useTagContext must be used within a TagProvider');
+  }
+  return context;
+};
@@ -1,26 +1,194 @@
-import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 
 // API base URL
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
+// Local storage key holding the signed-in user and tokens
+const AUTH_STORAGE_KEY = 'taskManagerAuth';
+
+// Read the stored auth session, if any
+export const getStoredAuth = () => {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY)) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Persist or clear the auth session
+export const setStoredAuth = (auth) => {
+  if (auth) {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(auth));
+  } else {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+  }
+};
+
+// Called when the session can no longer be refreshed
+let authFailureHandler = null;
+export const onAuthFailure = (handler) => {
+  authFailureHandler = handler;
+};
+
 // Create axios instance with default config
-const api = axios.create({
+export const api = axios.create({
   baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Attach the access token to every request
+api.interceptors.request.use((config) => {
+  const auth = getStoredAuth();
+  if (auth?.accessToken) {
+    config.headers.Authorization = `Bearer ${auth.accessToken}`;
+  }
+  return config;
+});
+
+// Refresh the session once when an access token has expired. Concurrent
+// requests that fail at the same time share a single refresh call.
+let refreshPromise = null;
+
+const refreshSession = async () => {
+  const auth = getStoredAuth();
+  if (!auth?.refreshToken) {
+    throw new Error('Not signed in');
+  }
+
+  const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
+    refresh_token: auth.refreshToken,
+  });
+  const { user, access_token, refresh_token } = response.data.data;
+  const nextAuth = { user, accessToken: access_token, refreshToken: refresh_token };
+  setStoredAuth(nextAuth);
+  return nextAuth;
+};
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    const isAuthRoute = config?.url?.startsWith('/auth/');
+
+    if (response?.status !== 401 || !config || config._retried || isAuthRoute) {
+      throw error;
+    }
+
+    try {
+      refreshPromise = refreshPromise || refreshSession();
+      const auth = await refreshPromise;
+      config._retried = true;
+      config.headers.Authorization = `Bearer ${auth.accessToken}`;
+      return api(config);
+    } catch (refreshError) {
+      setStoredAuth(null);
+      if (authFailureHandler) authFailureHandler();
+      throw error;
+    } finally {
+      refreshPromise = null;
+    }
+  }
+);
+
+// Delay before reconnecting to the task stream after it drops
+const STREAM_RETRY_MS = 5000;
+
+// Wait before refetching the list for task changes pushed by the stream,
+// so a burst of them is fetched once
+const STREAM_REFETCH_MS = 500;
+
+// Most tasks the server lists at once, and so most a refetch can cover
+const MAX_PAGE_SIZE = 200;
+
+// Open the task event stream and hand each event to `onEvent` until the
+// stream ends. EventSource cannot send the access token, so the stream is
+// read with fetch, refreshing the session once if the token has expired.
+const readTaskStream = async (lastEventId, signal, onEvent) => {
+  const open = (auth) => fetch(`${API_BASE_URL}/tasks/stream`, {
+    headers: {
+      Accept: 'text/event-stream',
+      Authorization: `Bearer ${auth?.accessToken}`,
+      ...(lastEventId && { 'Last-Event-ID': lastEventId }),
+    },
+    signal,
+  });
+
+  let response = await open(getStoredAuth());
+  if (response.status === 401) {
+    try {
+      refreshPromise = refreshPromise || refreshSession();
+      response = await open(await refreshPromise);
+    } finally {
+      refreshPromise = null;
+    }
+  }
+  if (!response.ok) {
+    throw new Error(`Task stream failed with status ${response.status}`);
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    // Events are separated by a blank line; keep any partial one
+    buffer += value;
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      const event = { id: null, type: 'message', data: [] };
+      for (const line of block.split(/\r?\n/)) {
+        const [, field, content = ''] = /^([^:]*):? ?(.*)$/.exec(line);
+        if (field === 'id') event.id = content;
+        if (field === 'event') event.type = content;
+        if (field === 'data') event.data.push(content);
+      }
+      if (event.data.length > 0) {
+        onEvent({ ...event, data: JSON.parse(event.data.join('\n')) });
+      }
+    }
+  }
+};
+
+// Number of tasks requested per page
+const PAGE_SIZE = 20;
+
+// Partial task updates are sent as JSON Merge Patch documents
+const MERGE_PATCH_HEADERS = { 'Content-Type': 'application/merge-patch+json' };
+
 // Initial state
 const initialState = {
   tasks: [],
   loading: false,
+  loadingMore: false,
   error: null,
   filters: {
     status: '',
     search: '',
+    project: '',
+    tags: [],
+    tagMode: 'any',
+    sort: '-created_at',
+    dueAfter: '',
+    dueBefore: '',
+    createdAfter: '',
+    updatedSince: '',
+    overdue: '',
+    hasDueDate: '',
+    priority: '',
   },
+  pagination: {
+    total: 0,
+    statusCounts: {},
+    nextCursor: null,
+  },
+  // Most recently trashed task, offered for undo
+  lastDeleted: null,
 };
 
 // Action types
@@ -29,9 +197,13 @@ const TASK_ACTIONS = {
   SET_ERROR: 'SET_ERROR',
   CLEAR_ERROR: 'CLEAR_ERROR',
   SET_TASKS: 'SET_TASKS',
+  SET_LOADING_MORE: 'SET_LOADING_MORE',
+  APPEND_TASKS: 'APPEND_TASKS',
   ADD_TASK: 'ADD_TASK',
   UPDATE_TASK: 'UPDATE_TASK',
   DELETE_TASK: 'DELETE_TASK',
+  REMOVE_TASKS: 'REMOVE_TASKS',
+  CLEAR_LAST_DELETED: 'CLEAR_LAST_DELETED',
   SET_FILTERS: 'SET_FILTERS',
 };
 
@@ -42,18 +214,47 @@ const taskReducer = (state, action) => {
       return { ...state, loading: action.payload };
     
     case TASK_ACTIONS.SET_ERROR:
-      return { ...state, error: action.payload, loading: false };
+      return { ...state, error: action.payload, loading: false, loadingMore: false };
     
     case TASK_ACTIONS.CLEAR_ERROR:
       return { ...state, error: null };
     
     case TASK_ACTIONS.SET_TASKS:
-      return { ...state, tasks: action.payload, loading: false };
+      return {
+        ...state,
+        tasks: action.payload.tasks,
+        pagination: action.payload.pagination,
+        loading: false,
+      };
+    
+    case TASK_ACTIONS.SET_LOADING_MORE:
+      return { ...state, loadingMore: action.payload };
+    
+    case TASK_ACTIONS.APPEND_TASKS:
+      return {
+        ...state,
+        tasks: [
+          ...state.tasks,
+          ...action.payload.tasks.filter(task => !state.tasks.some(t => t.id === task.id)),
+        ],
+        pagination: action.payload.pagination,
+        loadingMore: false,
+      };
     
     case TASK_ACTIONS.ADD_TASK:
+      // A task can be listed already, when a refetch for the stream lands
+      // before its create response
+      if (state.tasks.some(task => task.id === action.payload.id)) {
+        return {
+          ...state,
+          tasks: state.tasks.map(task => task.id === action.payload.id ? action.payload : task),
+          loading: false,
+        };
+      }
       return { 
         ...state, 
         tasks: [action.payload, ...state.tasks],
+        pagination: { ...state.pagination, total: state.pagination.total + 1 },
         loading: false 
       };
     
@@ -67,12 +268,45 @@ const taskReducer = (state, action) => {
       };
     
     case TASK_ACTIONS.DELETE_TASK:
+      // Deletions pushed by the stream only matter for listed tasks, and
+      // are not offered for undo
+      if (action.remote) {
+        if (!state.tasks.some(task => task.id === action.payload)) {
+          return state;
+        }
+        return {
+          ...state,
+          tasks: state.tasks.filter(task => task.id !== action.payload),
+          pagination: {
+            ...state.pagination,
+            total: Math.max(state.pagination.total - 1, 0),
+          },
+        };
+      }
       return {
         ...state,
         tasks: state.tasks.filter(task => task.id !== action.payload),
+        pagination: {
+          ...state.pagination,
+          total: Math.max(state.pagination.total - 1, 0),
+        },
+        lastDeleted: state.tasks.find(task => task.id === action.payload) || { id: action.payload },
         loading: false,
       };
     
+    case TASK_ACTIONS.REMOVE_TASKS:
+      return {
+        ...state,
+        tasks: state.tasks.filter(task => !action.payload.includes(task.id)),
+        pagination: {
+          ...state.pagination,
+          total: Math.max(state.pagination.total - action.payload.length, 0),
+        },
+      };
+    
+    case TASK_ACTIONS.CLEAR_LAST_DELETED:
+      return { ...state, lastDeleted: null };
+    
     case TASK_ACTIONS.SET_FILTERS:
       return {
         ...state,
@@ -84,6 +318,73 @@ const taskReducer = (state, action) => {
   }
 };
 
+// Today's date in the user's time zone, as YYYY-MM-DD
+const localDate = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+// Start of a local calendar day as an ISO timestamp
+const startOfLocalDay = (date) => new Date(`${date}T00:00:00`).toISOString();
+
+// Save a downloaded file
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// The error message of a failed download, whose body arrives as a blob
+// too since a file was asked for
+const downloadError = async (error) => {
+  const body = error.response?.data instanceof Blob
+    ? await error.response.data.text().then(JSON.parse).catch(() => null)
+    : null;
+  return body?.error || error.message;
+};
+
+// A letter, digit or underscore; searches need at least one
+const SEARCHABLE = /[\p{L}\p{N}_]/u;
+
+// Build list query parameters from the current filters
+const buildTaskParams = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.status) params.append('status', filters.status);
+  // The server rejects searches without any word in them, such as "*"
+  if (SEARCHABLE.test(filters.search || '')) params.append('search', filters.search);
+  if (filters.project) params.append('project', filters.project);
+  if (filters.tags?.length) {
+    params.append('tags', filters.tags.join(','));
+    params.append('tag_mode', filters.tagMode || 'any');
+  }
+  if (filters.dueAfter) params.append('due_after', filters.dueAfter);
+  if (filters.dueBefore) params.append('due_before', filters.dueBefore);
+  if (filters.createdAfter) params.append('created_after', startOfLocalDay(filters.createdAfter));
+  if (filters.updatedSince) params.append('updated_since', startOfLocalDay(filters.updatedSince));
+  if (filters.hasDueDate) params.append('has_due_date', filters.hasDueDate);
+  if (filters.priority) params.append('priority', filters.priority);
+  // Overdue and smart ordering are judged by the user's date, matching TaskItem
+  if (filters.overdue) params.append('overdue', filters.overdue);
+  if (filters.overdue || filters.sort === 'smart') params.append('today', localDate());
+  // Searches are ranked by relevance when no sort is sent
+  if (filters.sort && filters.sort !== 'relevance') params.append('sort', filters.sort);
+  params.append('limit', PAGE_SIZE);
+  return params;
+};
+
+// Map a list response onto the shape kept in state
+const toTaskPage = (body) => ({
+  tasks: body.data,
+  pagination: {
+    total: body.total,
+    statusCounts: body.status_counts || {},
+    nextCursor: body.pagination?.next_cursor || null,
+  },
+});
+
 // Create context
 const TaskContext = createContext();
 
@@ -100,20 +401,16 @@ export const TaskProvider = ({ children }) => {
     dispatch({ type: TASK_ACTIONS.SET_ERROR, payload: errorMessage });
   };
 
-  // Fetch all tasks
+  // Fetch the first page of tasks
   const fetchTasks = useCallback(async (filters = {}) => {
     try {
       dispatch({ type: TASK_ACTIONS.SET_LOADING, payload: true });
       dispatch({ type: TASK_ACTIONS.CLEAR_ERROR });
 
-      const params = new URLSearchParams();
-      if (filters.status) params.append('status', filters.status);
-      if (filters.search) params.append('search', filters.search);
-
-      const response = await api.get(`/tasks?${params.toString()}`);
+      const response = await api.get(`/tasks?${buildTaskParams(filters).toString()}`);
       
       if (response.data.success) {
-        dispatch({ type: TASK_ACTIONS.SET_TASKS, payload: response.data.data });
+        dispatch({ type: TASK_ACTIONS.SET_TASKS, payload: toTaskPage(response.data) });
       } else {
         throw new Error(response.data.error || 'Failed to fetch tasks');
       }
@@ -122,6 +419,29 @@ export const TaskProvider = ({ children }) => {
     }
   }, []);
 
+  // Fetch the next page of tasks and append it to the list
+  const loadMoreTasks = useCallback(async () => {
+    const { filters, pagination, loading, loadingMore } = state;
+    if (!pagination.nextCursor || loading || loadingMore) return;
+
+    try {
+      dispatch({ type: TASK_ACTIONS.SET_LOADING_MORE, payload: true });
+
+      const params = buildTaskParams(filters);
+      params.append('after', pagination.nextCursor);
+
+      const response = await api.get(`/tasks?${params.toString()}`);
+
+      if (response.data.success) {
+        dispatch({ type: TASK_ACTIONS.APPEND_TASKS, payload: toTaskPage(response.data) });
+      } else {
+        throw new Error(response.data.error || 'Failed to fetch tasks');
+      }
+    } catch (error) {
+      handleApiError(error);
+    }
+  }, [state]);
+
   // Create a new task
   const createTask = useCallback(async (taskData) => {
     try {
@@ -143,20 +463,68 @@ export const TaskProvider = ({ children }) => {
   }, []);
 
   // Update a task
-  const updateTask = useCallback(async (id, taskData) => {
+  // Pass the version the edit was based on to reject conflicting writes;
+  // a conflict returns `conflict: true` with the task as it is now.
+  const updateTask = useCallback(async (id, taskData, { version } = {}) => {
     try {
       dispatch({ type: TASK_ACTIONS.SET_LOADING, payload: true });
       dispatch({ type: TASK_ACTIONS.CLEAR_ERROR });
 
-      const response = await api.put(`/tasks/${id}`, taskData);
+      const response = await api.put(`/tasks/${id}`, taskData, {
+        headers: version ? { 'If-Match': `"${version}"` } : {},
+      });
       
       if (response.data.success) {
         dispatch({ type: TASK_ACTIONS.UPDATE_TASK, payload: response.data.data });
+        // Completing a recurring task creates its next occurrence
+        if (response.data.next_occurrence) {
+          dispatch({ type: TASK_ACTIONS.ADD_TASK, payload: response.data.next_occurrence });
+        }
         return { success: true, data: response.data.data };
       } else {
         throw new Error(response.data.error || 'Failed to update task');
       }
     } catch (error) {
+      if (error.response?.status === 412) {
+        dispatch({ type: TASK_ACTIONS.SET_LOADING, payload: false });
+        dispatch({ type: TASK_ACTIONS.UPDATE_TASK, payload: error.response.data.data });
+        return { success: false, conflict: true, current: error.response.data.data };
+      }
+      handleApiError(error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  // Change only the given fields of a task (JSON Merge Patch); null clears
+  // a field. Conflicts are reported the same way as for updateTask.
+  const patchTask = useCallback(async (id, changes, { version } = {}) => {
+    try {
+      dispatch({ type: TASK_ACTIONS.SET_LOADING, payload: true });
+      dispatch({ type: TASK_ACTIONS.CLEAR_ERROR });
+
+      const response = await api.patch(`/tasks/${id}`, changes, {
+        headers: {
+          ...MERGE_PATCH_HEADERS,
+          ...(version && { 'If-Match': `"${version}"` }),
+        },
+      });
+
+      if (response.data.success) {
+        dispatch({ type: TASK_ACTIONS.UPDATE_TASK, payload: response.data.data });
+        // Completing a recurring task creates its next occurrence
+        if (response.data.next_occurrence) {
+          dispatch({ type: TASK_ACTIONS.ADD_TASK, payload: response.data.next_occurrence });
+        }
+        return { success: true, data: response.data.data };
+      } else {
+        throw new Error(response.data.error || 'Failed to update task');
+      }
+    } catch (error) {
+      if (error.response?.status === 412) {
+        dispatch({ type: TASK_ACTIONS.SET_LOADING, payload: false });
+        dispatch({ type: TASK_ACTIONS.UPDATE_TASK, payload: error.response.data.data });
+        return { success: false, conflict: true, current: error.response.data.data };
+      }
       handleApiError(error);
       return { success: false, error: error.message };
     }
@@ -182,26 +550,193 @@ export const TaskProvider = ({ children }) => {
     }
   }, []);
 
-  // Update task status
-  const updateTaskStatus = useCallback(async (id, status) => {
+  // Restore a task from the trash
+  const restoreTask = useCallback(async (id) => {
     try {
-      dispatch({ type: TASK_ACTIONS.SET_LOADING, payload: true });
-      dispatch({ type: TASK_ACTIONS.CLEAR_ERROR });
-
-      const response = await api.patch(`/tasks/${id}/status`, { status });
-      
+      const response = await api.post(`/tasks/${id}/restore`);
       if (response.data.success) {
-        dispatch({ type: TASK_ACTIONS.UPDATE_TASK, payload: response.data.data });
+        dispatch({ type: TASK_ACTIONS.CLEAR_LAST_DELETED });
+        // Only top-level tasks are shown in the list
+        if (!response.data.data.parent_id) {
+          dispatch({ type: TASK_ACTIONS.ADD_TASK, payload: response.data.data });
+        }
         return { success: true, data: response.data.data };
       } else {
-        throw new Error(response.data.error || 'Failed to update task status');
+        throw new Error(response.data.error || 'Failed to restore task');
       }
     } catch (error) {
-      handleApiError(error);
-      return { success: false, error: error.message };
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
     }
   }, []);
 
+  // Hide the undo prompt for the last deleted task
+  const dismissUndo = useCallback(() => {
+    dispatch({ type: TASK_ACTIONS.CLEAR_LAST_DELETED });
+  }, []);
+
+  // Fetch the trashed tasks
+  const fetchTrash = useCallback(async () => {
+    try {
+      const response = await api.get('/tasks/trash');
+      if (response.data.success) {
+        return {
+          success: true,
+          data: response.data.data,
+          retentionDays: response.data.retention_days,
+        };
+      } else {
+        throw new Error(response.data.error || 'Failed to fetch trash');
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, []);
+
+  // Permanently delete a trashed task
+  const purgeTask = useCallback(async (id) => {
+    try {
+      const response = await api.delete(`/tasks/${id}/purge`);
+      if (response.data.success) {
+        return { success: true };
+      } else {
+        throw new Error(response.data.error || 'Failed to delete task');
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, []);
+
+  // Apply several operations in one request, e.g.
+  // `{ id, op: 'status', status }`. Each result says whether its operation
+  // was applied; with `atomic` a single failure applies none of them.
+  const bulkUpdateTasks = useCallback(async (operations, { atomic = false } = {}) => {
+    try {
+      const response = await api.post('/tasks/bulk', { operations, atomic });
+      const results = response.data.data;
+
+      const removed = results.filter(result => result.success && result.op === 'delete').map(result => result.id);
+      if (removed.length > 0) {
+        dispatch({ type: TASK_ACTIONS.REMOVE_TASKS, payload: removed });
+      }
+      // Conflicting operations return the task as it is now
+      results.filter(result => result.data).forEach(result => {
+        dispatch({ type: TASK_ACTIONS.UPDATE_TASK, payload: result.data });
+        if (result.next_occurrence) {
+          dispatch({ type: TASK_ACTIONS.ADD_TASK, payload: result.next_occurrence });
+        }
+      });
+
+      return { success: true, data: results, summary: response.data.summary };
+    } catch (error) {
+      console.error('API Error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error || error.message,
+        data: error.response?.data?.data || [],
+      };
+    }
+  }, []);
+
+  // Download the tasks matching the current filters as a CSV or JSON file
+  const exportTasks = useCallback(async (format) => {
+    try {
+      const params = buildTaskParams(state.filters);
+      params.delete('limit');
+      params.append('format', format);
+      const response = await api.get(`/tasks/export?${params.toString()}`, { responseType: 'blob' });
+      saveBlob(response.data, `tasks-${localDate()}.${format}`);
+      return { success: true };
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: await downloadError(error) };
+    }
+  }, [state.filters]);
+
+  // Download a task's due date as an iCalendar file
+  const downloadTaskCalendar = useCallback(async (id) => {
+    try {
+      const response = await api.get(`/tasks/${id}/calendar.ics`, { responseType: 'blob' });
+      saveBlob(response.data, `task-${id}.ics`);
+      return { success: true };
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: await downloadError(error) };
+    }
+  }, []);
+
+  // Get whether the calendar feed link is on
+  const fetchCalendarFeed = useCallback(async () => {
+    try {
+      const response = await api.get('/calendar');
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, []);
+
+  // Create a new calendar feed link, replacing the previous one
+  const createCalendarLink = useCallback(async () => {
+    try {
+      const response = await api.post('/calendar/token');
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, []);
+
+  // Turn the calendar feed link off
+  const disableCalendarLink = useCallback(async () => {
+    try {
+      await api.delete('/calendar/token');
+      return { success: true };
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, []);
+
+  // Import tasks from a CSV or JSON file. A dry run only checks the rows,
+  // returning each one's errors or the task it would create.
+  const importTasks = useCallback(async (file, { dryRun = false } = {}) => {
+    try {
+      const contentType = file.name.toLowerCase().endsWith('.csv') ? 'text/csv' : 'application/json';
+      const response = await api.post(
+        `/tasks/import${dryRun ? '?dry_run=true' : ''}`,
+        await file.text(),
+        { headers: { 'Content-Type': contentType } }
+      );
+
+      // Imported tasks may or may not match the current filters
+      if (!dryRun) {
+        fetchTasks(state.filters);
+      }
+      return {
+        success: true,
+        data: response.data.data,
+        summary: response.data.summary,
+        message: response.data.message,
+      };
+    } catch (error) {
+      console.error('API Error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.error || error.message,
+        details: error.response?.data?.details || [],
+      };
+    }
+  }, [fetchTasks, state.filters]);
+
+  // Update task status
+  const updateTaskStatus = useCallback(
+    (id, status, options) => patchTask(id, { status }, options),
+    [patchTask]
+  );
+
   // Get a single task
   const getTask = useCallback(async (id) => {
     try {
@@ -221,6 +756,149 @@ export const TaskProvider = ({ children }) => {
     }
   }, []);
 
+  // Re-fetch a task in the list, e.g. after its subtasks change
+  const refreshTask = useCallback(async (id) => {
+    try {
+      const response = await api.get(`/tasks/${id}`);
+      if (response.data.success) {
+        dispatch({ type: TASK_ACTIONS.UPDATE_TASK, payload: response.data.data });
+      }
+    } catch (error) {
+      console.error('Failed to refresh task:', error);
+    }
+  }, []);
+
+  // Subtask helpers leave the list's loading state alone so the parent
+  // task stays on screen while its checklist is edited
+  const fetchSubtasks = useCallback(async (id) => {
+    try {
+      const response = await api.get(`/tasks/${id}/subtasks`);
+      if (response.data.success) {
+        return { success: true, data: response.data.data };
+      } else {
+        throw new Error(response.data.error || 'Failed to fetch subtasks');
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, []);
+
+  // Create a subtask under a task
+  const createSubtask = useCallback(async (parentId, taskData) => {
+    try {
+      const response = await api.post(`/tasks/${parentId}/subtasks`, taskData);
+      if (response.data.success) {
+        await refreshTask(parentId);
+        return { success: true, data: response.data.data };
+      } else {
+        throw new Error(response.data.error || 'Failed to create subtask');
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, [refreshTask]);
+
+  // Change a subtask's status and refresh its parent's progress
+  const updateSubtaskStatus = useCallback(async (parentId, id, status) => {
+    try {
+      const response = await api.patch(`/tasks/${id}`, { status }, { headers: MERGE_PATCH_HEADERS });
+      if (response.data.success) {
+        await refreshTask(parentId);
+        return { success: true, data: response.data.data };
+      } else {
+        throw new Error(response.data.error || 'Failed to update subtask');
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, [refreshTask]);
+
+  // Comment helpers, like the subtask ones, leave the list's loading state alone
+  const fetchComments = useCallback(async (taskId) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/comments`);
+      if (response.data.success) {
+        return { success: true, data: response.data.data };
+      } else {
+        throw new Error(response.data.error || 'Failed to fetch comments');
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, []);
+
+  // Add a comment and refresh the task's comment count
+  const addComment = useCallback(async (taskId, body) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/comments`, { body });
+      if (response.data.success) {
+        await refreshTask(taskId);
+        return { success: true, data: response.data.data };
+      } else {
+        throw new Error(response.data.error || 'Failed to add comment');
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, [refreshTask]);
+
+  // Edit the body of a comment
+  const updateComment = useCallback(async (taskId, id, body) => {
+    try {
+      const response = await api.put(`/tasks/${taskId}/comments/${id}`, { body });
+      if (response.data.success) {
+        return { success: true, data: response.data.data };
+      } else {
+        throw new Error(response.data.error || 'Failed to update comment');
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, []);
+
+  // Delete a comment and refresh the task's comment count
+  const deleteComment = useCallback(async (taskId, id) => {
+    try {
+      const response = await api.delete(`/tasks/${taskId}/comments/${id}`);
+      if (response.data.success) {
+        await refreshTask(taskId);
+        return { success: true };
+      } else {
+        throw new Error(response.data.error || 'Failed to delete comment');
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, [refreshTask]);
+
+  // Fetch a page of a task's change history, newest first
+  const fetchTaskHistory = useCallback(async (taskId, cursor = null) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/history`, {
+        params: cursor ? { cursor } : {},
+      });
+      if (response.data.success) {
+        return {
+          success: true,
+          data: response.data.data,
+          nextCursor: response.data.pagination.next_cursor,
+        };
+      } else {
+        throw new Error(response.data.error || 'Failed to fetch task history');
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, []);
+
   // Set filters
   const setFilters = useCallback((filters) => {
     dispatch({ type: TASK_ACTIONS.SET_FILTERS, payload: filters });
@@ -236,14 +914,119 @@ export const TaskProvider = ({ children }) => {
     fetchTasks(state.filters);
   }, [state.filters, fetchTasks]);
 
+  // Latest state for the stream handler, which outlives renders
+  const stateRef = useRef(state);
+  useEffect(() => {
+    stateRef.current = state;
+  }, [state]);
+
+  // Refetch the tasks listed so far, in the background, so the server
+  // decides which of them still belong in the list and which join it
+  const refetchListedTasks = useCallback(async () => {
+    const { filters, tasks } = stateRef.current;
+    const params = buildTaskParams(filters);
+    params.set('limit', Math.min(Math.max(tasks.length, PAGE_SIZE), MAX_PAGE_SIZE));
+
+    try {
+      const response = await api.get(`/tasks?${params.toString()}`);
+      if (response.data.success) {
+        dispatch({ type: TASK_ACTIONS.SET_TASKS, payload: toTaskPage(response.data) });
+      }
+    } catch (error) {
+      console.error('Error refetching tasks:', error);
+    }
+  }, []);
+
+  // Refetch the list shortly, once for a burst of stream events
+  const refetchTimer = useRef(null);
+  const scheduleRefetch = useCallback(() => {
+    clearTimeout(refetchTimer.current);
+    refetchTimer.current = setTimeout(refetchListedTasks, STREAM_REFETCH_MS);
+  }, [refetchListedTasks]);
+  useEffect(() => () => clearTimeout(refetchTimer.current), []);
+
+  // Apply task changes pushed by the server, e.g. from another tab or
+  // device. Subtasks are not listed, but their parent's progress changes.
+  // A listed task is updated at once; whether a changed task joins or
+  // leaves the list is left to the server, by refetching it.
+  const handleStreamEvent = useCallback(({ type, data }) => {
+    const { tasks, filters } = stateRef.current;
+
+    if (type === 'reset') {
+      fetchTasks(filters);
+    } else if (type === 'deleted') {
+      dispatch({ type: TASK_ACTIONS.DELETE_TASK, payload: data.id, remote: true });
+    } else if (data.task.parent_id) {
+      if (tasks.some(task => task.id === data.task.parent_id)) {
+        refreshTask(data.task.parent_id);
+      }
+    } else {
+      if (tasks.some(task => task.id === data.task.id)) {
+        dispatch({ type: TASK_ACTIONS.UPDATE_TASK, payload: data.task });
+      }
+      scheduleRefetch();
+    }
+  }, [fetchTasks, refreshTask, scheduleRefetch]);
+
+  // Follow the task stream for as long as the provider is mounted,
+  // reconnecting after errors from the last event received
+  useEffect(() => {
+    const controller = new AbortController();
+    let lastEventId = null;
+    let retryTimer = null;
+
+    const connect = async () => {
+      try {
+        await readTaskStream(lastEventId, controller.signal, (event) => {
+          lastEventId = event.id;
+          handleStreamEvent(event);
+        });
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Task stream error:', error);
+      }
+      if (!controller.signal.aborted) {
+        retryTimer = setTimeout(connect, STREAM_RETRY_MS);
+      }
+    };
+
+    connect();
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  }, [handleStreamEvent]);
+
   const value = {
     ...state,
     fetchTasks,
+    loadMoreTasks,
     createTask,
     updateTask,
+    patchTask,
     deleteTask,
+    restoreTask,
+    dismissUndo,
+    fetchTrash,
+    purgeTask,
     updateTaskStatus,
+    bulkUpdateTasks,
+    exportTasks,
+    importTasks,
+    downloadTaskCalendar,
+    fetchCalendarFeed,
+    createCalendarLink,
+    disableCalendarLink,
     getTask,
+    refreshTask,
+    fetchSubtasks,
+    createSubtask,
+    updateSubtaskStatus,
+    fetchComments,
+    addComment,
+    updateComment,
+    deleteComment,
+    fetchTaskHistory,
     setFilters,
     clearError,
   };
@@ -0,0 +1,134 @@
+import React, { createContext, useContext, useState, useCallback } from 'react';
+import { api } from './TaskContext';
+
+// Create context
+const WebhookContext = createContext();
+
+// Provider component. Webhooks are only loaded by the pages that show them.
+export const WebhookProvider = ({ children }) => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Helper function to handle API errors
+  const handleApiError = (error) => {
+    console.error('API Error:', error);
+    const errorMessage = error.response?.data?.error ||
+                        error.message ||
+                        'An unexpected error occurred';
+    setError(errorMessage);
+    return { success: false, error: errorMessage };
+  };
+
+  // Fetch all webhooks and the event types they can subscribe to
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [webhooksResponse, eventsResponse] = await Promise.all([
+        api.get('/webhooks'),
+        api.get('/webhooks/events')
+      ]);
+
+      setWebhooks(webhooksResponse.data.data);
+      setEvents(eventsResponse.data.data);
+    } catch (error) {
+      handleApiError(error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Create a new webhook; the response holds its secret
+  const createWebhook = useCallback(async (webhookData) => {
+    try {
+      const response = await api.post('/webhooks', webhookData);
+      const { secret, ...webhook } = response.data.data;
+      setWebhooks(prev => [...prev, webhook]);
+      return { success: true, data: webhook, secret };
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }, []);
+
+  // Update a webhook
+  const updateWebhook = useCallback(async (id, webhookData) => {
+    try {
+      const response = await api.put(`/webhooks/${id}`, webhookData);
+      setWebhooks(prev => prev.map(webhook =>
+        webhook.id === response.data.data.id ? response.data.data : webhook
+      ));
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }, []);
+
+  // Delete a webhook
+  const deleteWebhook = useCallback(async (id) => {
+    try {
+      await api.delete(`/webhooks/${id}`);
+      setWebhooks(prev => prev.filter(webhook => webhook.id !== id));
+      return { success: true };
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }, []);
+
+  // Fetch a page of a webhook's delivery log, newest first
+  const fetchDeliveries = useCallback(async (id, cursor = null) => {
+    try {
+      const params = cursor ? { cursor } : {};
+      const response = await api.get(`/webhooks/${id}/deliveries`, { params });
+      return {
+        success: true,
+        data: response.data.data,
+        nextCursor: response.data.pagination.next_cursor
+      };
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, []);
+
+  // Queue a delivery to be sent again
+  const redeliver = useCallback(async (id, deliveryId) => {
+    try {
+      const response = await api.post(`/webhooks/${id}/deliveries/${deliveryId}/redeliver`);
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      console.error('API Error:', error);
+      return { success: false, error: error.response?.data?.error || error.message };
+    }
+  }, []);
+
+  const value = {
+    webhooks,
+    events,
+    loading,
+    error,
+    fetchWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    fetchDeliveries,
+    redeliver,
+  };
+
+  return (
+    <WebhookContext.Provider value={value}>
+      {children}
+    </WebhookContext.Provider>
+  );
+};
+
+// Custom hook to use the webhook context
+export const useWebhookContext = () => {
+  const context = useContext(WebhookContext);
+  if (!context) {
+    throw new Error('useWebhookContext must be used within a WebhookProvider');
+  }
+  return context;
+};
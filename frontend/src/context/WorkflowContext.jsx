@@ -0,0 +1,79 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { api } from './TaskContext';
+
+// Create context
+const WorkflowContext = createContext();
+
+// Provider component; the task statuses and allowed transitions come from
+// the server so that dropdowns and badges follow its workflow
+export const WorkflowProvider = ({ children }) => {
+  const [statuses, setStatuses] = useState([]);
+  const [defaultStatus, setDefaultStatus] = useState('');
+  const [error, setError] = useState(null);
+
+  // Fetch the workflow
+  const fetchWorkflow = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await api.get('/workflow');
+
+      if (response.data.success) {
+        setStatuses(response.data.data.statuses);
+        setDefaultStatus(response.data.data.default_status);
+      } else {
+        throw new Error(response.data.error || 'Failed to fetch workflow');
+      }
+    } catch (error) {
+      console.error('API Error:', error);
+      setError(error.response?.data?.error || error.message);
+    }
+  }, []);
+
+  // Load the workflow on component mount
+  useEffect(() => {
+    fetchWorkflow();
+  }, [fetchWorkflow]);
+
+  const value = useMemo(() => {
+    const byName = new Map(statuses.map(status => [status.name, status]));
+
+    // A status by name; unknown names get a plain gray placeholder
+    const getStatus = (name) => byName.get(name) || {
+      name,
+      label: name,
+      color: '#6b7280',
+      category: 'open',
+      transitions: [],
+    };
+
+    return {
+      statuses,
+      defaultStatus,
+      error,
+      fetchWorkflow,
+      getStatus,
+      isDone: (name) => getStatus(name).category === 'done',
+      // The status a task is marked with when checked off
+      completeStatus: statuses.find(status => status.is_complete)?.name || '',
+      // The current status followed by those it may change to, in display order
+      allowedStatuses: (name) => statuses.filter(
+        status => status.name === name || getStatus(name).transitions.includes(status.name)
+      ),
+    };
+  }, [statuses, defaultStatus, error, fetchWorkflow]);
+
+  return (
+    <WorkflowContext.Provider value={value}>
+      {children}
+    </WorkflowContext.Provider>
+  );
+};
+
+// Custom hook to use the workflow context
+export const useWorkflowContext = () => {
+  const context = useContext(WorkflowContext);
+  if (!context) {
+    throw new Error('useWorkflowContext must be used within a WorkflowProvider');
+  }
+  return context;
+};
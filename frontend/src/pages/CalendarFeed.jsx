@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { useTaskContext } from '../context/TaskContext';
+import ProjectSidebar from '../components/ProjectSidebar';
+import { formatTimestamp } from '../utils/format';
+
+// Calendar subscription link for task due dates. The server only keeps a
+// hash of the link, so it is shown once when created.
+const CalendarFeed = () => {
+  const { fetchCalendarFeed, createCalendarLink, disableCalendarLink } = useTaskContext();
+  const [feed, setFeed] = useState(null);
+  const [url, setUrl] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchCalendarFeed().then(result => {
+      if (cancelled) return;
+      if (result.success) {
+        setFeed(result.data);
+      } else {
+        setError(result.error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchCalendarFeed]);
+
+  const handleCreate = async () => {
+    if (feed?.enabled && !window.confirm('Calendars subscribed with the current link will stop updating. Create a new link?')) {
+      return;
+    }
+
+    setBusy(true);
+    const result = await createCalendarLink();
+    if (result.success) {
+      setUrl(result.data.url);
+      setFeed({ enabled: true, created_at: null, last_used_at: null });
+      setCopied(false);
+      setError('');
+    } else {
+      setError(result.error);
+    }
+    setBusy(false);
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm('Turn the calendar link off? Subscribed calendars will stop updating.')) {
+      return;
+    }
+
+    setBusy(true);
+    const result = await disableCalendarLink();
+    if (result.success) {
+      setUrl('');
+      setFeed({ enabled: false, created_at: null, last_used_at: null });
+      setError('');
+    } else {
+      setError(result.error);
+    }
+    setBusy(false);
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(url);
+    setCopied(true);
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-6xl">
+      <div className="flex flex-col lg:flex-row gap-6">
+        <ProjectSidebar />
+        <div className="flex-1 min-w-0 space-y-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Calendar</h1>
+            <p className="text-gray-600 mt-1">
+              Subscribe to your task due dates from Google Calendar, Apple Calendar, Outlook or any app that
+              accepts an iCalendar (.ics) link.
+            </p>
+          </div>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">{error}</div>
+          )}
+
+          {!feed ? (
+            <div className="card text-center py-12 text-gray-600">Loading...</div>
+          ) : (
+            <div className="card space-y-4">
+              {url ? (
+                <div className="space-y-2">
+                  <label htmlFor="calendar-url" className="label">Subscription link</label>
+                  <div className="flex gap-2">
+                    <input id="calendar-url" type="text" value={url} readOnly className="input font-mono text-sm" onFocus={(e) => e.target.select()} />
+                    <button onClick={handleCopy} className="btn-secondary whitespace-nowrap">
+                      {copied ? 'Copied' : 'Copy'}
+                    </button>
+                  </div>
+                  <p className="text-sm text-gray-500">
+                    Copy the link now; it will not be shown again. Anyone with it can see your task due dates.
+                    Add <code>&amp;component=todo</code> to get tasks instead of all-day events, or any task list
+                    filter such as <code>&amp;project=3</code> to narrow it.
+                  </p>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-700">
+                  {feed.enabled
+                    ? `Your calendar link is on${feed.last_used_at ? ` and was last fetched ${formatTimestamp(feed.last_used_at)}` : ''}. Create a new link if you need to see it again.`
+                    : 'Your calendar link is off.'}
+                </p>
+              )}
+
+              <div className="flex flex-wrap gap-2">
+                <button onClick={handleCreate} className="btn-primary" disabled={busy}>
+                  {feed.enabled ? 'Create new link' : 'Create link'}
+                </button>
+                {feed.enabled && (
+                  <button
+                    onClick={handleDisable}
+                    className="px-3 py-2 text-sm font-medium text-red-600 hover:text-red-700"
+                    disabled={busy}
+                  >
+                    Turn off
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeed;
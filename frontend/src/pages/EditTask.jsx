@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useTaskContext } from '../context/TaskContext';
 import TaskForm from '../components/TaskForm';
+import MergeDialog from '../components/MergeDialog';
 
 const EditTask = () => {
   const navigate = useNavigate();
@@ -10,6 +11,8 @@ const EditTask = () => {
   const [task, setTask] = useState(null);
   const [fetching, setFetching] = useState(true);
   const [error, setError] = useState(null);
+  // Set when someone else saved the task while it was being edited
+  const [conflict, setConflict] = useState(null);
 
   useEffect(() => {
     const fetchTask = async () => {
@@ -35,13 +38,27 @@ const EditTask = () => {
     }
   }, [id, getTask]);
 
-  const handleSubmit = async (taskData) => {
-    const result = await updateTask(id, taskData);
+  // Save with the version the edit started from; a conflict opens the merge dialog
+  const handleSubmit = async (taskData, base = task) => {
+    const result = await updateTask(id, taskData, { version: base.version });
     if (result.success) {
       navigate('/', { replace: true });
+    } else if (result.conflict) {
+      setConflict({ base, mine: taskData, theirs: result.current });
     }
   };
 
+  // Retry with the merged data, based on the version that caused the conflict
+  const handleResolve = (mergedData) => {
+    handleSubmit(mergedData, conflict.theirs);
+  };
+
+  // Drop the local edits and reload the form with the saved task
+  const handleDiscard = () => {
+    setTask(conflict.theirs);
+    setConflict(null);
+  };
+
   const handleCancel = () => {
     navigate('/');
   };
@@ -154,6 +171,18 @@ const EditTask = () => {
         onCancel={handleCancel}
         loading={loading}
       />
+
+      {conflict && (
+        <MergeDialog
+          key={conflict.theirs.version}
+          base={conflict.base}
+          mine={conflict.mine}
+          theirs={conflict.theirs}
+          onResolve={handleResolve}
+          onDiscard={handleDiscard}
+          loading={loading}
+        />
+      )}
     </div>
   );
 };
@@ -1,12 +1,26 @@
-import React from 'react';
+import React, { useEffect } from 'react';
+import { useTaskContext } from '../context/TaskContext';
+import ProjectSidebar from '../components/ProjectSidebar';
 import TaskList from '../components/TaskList';
 
 const Home = () => {
+  const { setFilters } = useTaskContext();
+
+  // Show tasks from every project
+  useEffect(() => {
+    setFilters({ project: '' });
+  }, [setFilters]);
+
   return (
     <div className="container mx-auto px-4 py-8 max-w-6xl">
-      <TaskList />
+      <div className="flex flex-col lg:flex-row gap-6">
+        <ProjectSidebar />
+        <div className="flex-1 min-w-0">
+          <TaskList />
+        </div>
+      </div>
     </div>
   );
 };
 
-export default Home; 
\ No newline at end of file
+export default Home; 
@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { Link, Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useAuthContext } from '../context/AuthContext';
+
+const Login = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { login, isAuthenticated, loading, error, clearError } = useAuthContext();
+  const [formData, setFormData] = useState({ email: '', password: '' });
+
+  const redirectTo = location.state?.from?.pathname || '/';
+
+  // Clear stale errors from other auth pages
+  useEffect(() => {
+    clearError();
+  }, [clearError]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const result = await login(formData.email, formData.password);
+    if (result.success) {
+      navigate(redirectTo, { replace: true });
+    }
+  };
+
+  if (isAuthenticated) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-md">
+      <div className="card animate-fade-in">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6">Sign In</h2>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label htmlFor="email" className="label">Email</label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={formData.email}
+              onChange={handleChange}
+              className="input"
+              autoComplete="email"
+              required
+              disabled={loading}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="password" className="label">Password</label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              className="input"
+              autoComplete="current-password"
+              required
+              disabled={loading}
+            />
+          </div>
+
+          <button type="submit" className="btn-primary w-full" disabled={loading}>
+            {loading ? 'Signing in...' : 'Sign In'}
+          </button>
+        </form>
+
+        <p className="mt-6 text-center text-sm text-gray-600">
+          Don't have an account?{' '}
+          <Link to="/register" className="text-primary-600 hover:text-primary-700 font-medium">
+            Create one
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -1,21 +1,26 @@
 import React from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useTaskContext } from '../context/TaskContext';
 import TaskForm from '../components/TaskForm';
 
 const NewTask = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const { createTask, loading, error, clearError } = useTaskContext();
 
+  // Tasks created from a project page start in that project
+  const projectId = searchParams.get('project') || '';
+  const backPath = projectId ? `/projects/${projectId}` : '/';
+
   const handleSubmit = async (taskData) => {
     const result = await createTask(taskData);
     if (result.success) {
-      navigate('/', { replace: true });
+      navigate(backPath, { replace: true });
     }
   };
 
   const handleCancel = () => {
-    navigate('/');
+    navigate(backPath);
   };
 
   return (
@@ -59,6 +64,7 @@ const NewTask = () => {
       )}
       
       <TaskForm
+        defaultProjectId={projectId}
         onSubmit={handleSubmit}
         onCancel={handleCancel}
         loading={loading}
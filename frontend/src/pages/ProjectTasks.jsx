@@ -0,0 +1,37 @@
+import React, { useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { useTaskContext } from '../context/TaskContext';
+import { useProjectContext } from '../context/ProjectContext';
+import ProjectSidebar from '../components/ProjectSidebar';
+import TaskList from '../components/TaskList';
+
+const ProjectTasks = () => {
+  const { id } = useParams();
+  const { setFilters } = useTaskContext();
+  const { getProjectById } = useProjectContext();
+  const project = getProjectById(id);
+
+  // Scope the task list to this project
+  useEffect(() => {
+    setFilters({ project: id });
+  }, [id, setFilters]);
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-6xl">
+      <div className="flex flex-col lg:flex-row gap-6">
+        <ProjectSidebar />
+        <div className="flex-1 min-w-0">
+          {project?.description && (
+            <p className="text-gray-600 mb-4">{project.description}</p>
+          )}
+          <TaskList
+            title={project ? project.name : 'Project'}
+            newTaskPath={`/new?project=${id}`}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectTasks;
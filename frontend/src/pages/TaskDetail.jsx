@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useTaskContext } from '../context/TaskContext';
+import { useProjectContext } from '../context/ProjectContext';
+import { useWorkflowContext } from '../context/WorkflowContext';
+import TagChip from '../components/TagChip';
+import SubtaskList from '../components/SubtaskList';
+import CommentThread from '../components/CommentThread';
+import TaskHistory from '../components/TaskHistory';
+import { describeRecurrence } from '../utils/recurrence';
+import { getPriority } from '../utils/priority';
+import { describeReminder } from '../utils/reminders';
+
+// Format a due date, or a placeholder when there is none
+const formatDate = (dateString) => {
+  if (!dateString) return 'No due date';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+// Read-only view of a task with its subtasks, comment thread and history
+const TaskDetail = () => {
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const { getTask, downloadTaskCalendar } = useTaskContext();
+  const { getProjectById } = useProjectContext();
+  const { getStatus, isDone } = useWorkflowContext();
+  const [task, setTask] = useState(null);
+  const [fetching, setFetching] = useState(true);
+  const [error, setError] = useState(null);
+  const [calendarError, setCalendarError] = useState('');
+
+  useEffect(() => {
+    const fetchTask = async () => {
+      setFetching(true);
+      setError(null);
+      const result = await getTask(id);
+      if (result.success) {
+        setTask(result.data);
+      } else {
+        setError(result.error || 'Failed to load task');
+      }
+      setFetching(false);
+    };
+
+    fetchTask();
+  }, [id, getTask]);
+
+  const handleAddToCalendar = async () => {
+    setCalendarError('');
+    const result = await downloadTaskCalendar(task.id);
+    if (!result.success) {
+      setCalendarError(result.error);
+    }
+  };
+
+  const backButton = (
+    <div className="mb-6">
+      <button
+        onClick={() => navigate(-1)}
+        className="flex items-center gap-2 text-gray-600 hover:text-gray-900 transition-colors"
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+        </svg>
+        Back
+      </button>
+    </div>
+  );
+
+  if (fetching) {
+    return (
+      <div className="container mx-auto px-4 py-8 max-w-3xl">
+        <div className="card text-center py-12">
+          <svg className="animate-spin w-8 h-8 mx-auto text-primary-600 mb-4" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+          </svg>
+          <p className="text-gray-600">Loading task...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !task) {
+    return (
+      <div className="container mx-auto px-4 py-8 max-w-3xl">
+        {backButton}
+        <div className="card text-center py-8">
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">Task Not Found</h3>
+          <p className="text-gray-600 mb-4">{error || "The task you're looking for doesn't exist or has been deleted."}</p>
+          <Link to="/" className="btn-primary">Back to Tasks</Link>
+        </div>
+      </div>
+    );
+  }
+
+  const project = task.project_id ? getProjectById(task.project_id) : null;
+  const openBlockers = task.blocked_by.filter(blocker => !isDone(blocker.status));
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-3xl space-y-6">
+      {backButton}
+
+      <div className="card">
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <div className="min-w-0">
+            <h1 className="text-2xl font-bold text-gray-900 break-words">{task.title}</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              {getStatus(task.status).label}
+              {task.priority !== 'none' && <>{' '}&middot; {getPriority(task.priority).label} priority</>}
+              {' '}&middot; Due {formatDate(task.due_date)}
+              {project && (
+                <>
+                  {' '}&middot;{' '}
+                  <Link to={`/projects/${project.id}`} className="text-primary-600 hover:text-primary-700">
+                    {project.name}
+                  </Link>
+                </>
+              )}
+            </p>
+          </div>
+          <div className="flex flex-shrink-0 gap-2">
+            {task.due_date && (
+              <button onClick={handleAddToCalendar} className="btn-secondary">
+                Add to calendar
+              </button>
+            )}
+            <Link to={`/edit/${task.id}`} className="btn-secondary">
+              Edit
+            </Link>
+          </div>
+        </div>
+
+        {calendarError && (
+          <p className="text-sm text-red-600 mb-3">{calendarError}</p>
+        )}
+
+        {task.parent_id && (
+          <p className="text-sm text-gray-600 mb-3">
+            Subtask of{' '}
+            <Link to={`/tasks/${task.parent_id}`} className="text-primary-600 hover:text-primary-700 font-medium">
+              parent task
+            </Link>
+          </p>
+        )}
+
+        {openBlockers.length > 0 && (
+          <p className="text-sm text-red-700 mb-3">
+            Blocked by{' '}
+            {openBlockers.map((blocker, index) => (
+              <React.Fragment key={blocker.id}>
+                {index > 0 && ', '}
+                <Link to={`/tasks/${blocker.id}`} className="font-medium underline">
+                  {blocker.title}
+                </Link>
+              </React.Fragment>
+            ))}
+          </p>
+        )}
+
+        {task.recurrence && (
+          <p className="text-sm text-gray-600 mb-3">Repeats {describeRecurrence(task.recurrence)}</p>
+        )}
+
+        {task.due_date && task.reminders?.length > 0 && (
+          <p className="text-sm text-gray-600 mb-3">
+            Reminders: {task.reminders.map(describeReminder).join(', ')}
+          </p>
+        )}
+
+        {task.tags.length > 0 && (
+          <div className="flex flex-wrap gap-1.5 mb-4">
+            {task.tags.map(tag => (
+              <TagChip key={tag.id} tag={tag} />
+            ))}
+          </div>
+        )}
+
+        {task.description ? (
+          <p className="text-gray-700 whitespace-pre-wrap break-words">{task.description}</p>
+        ) : (
+          <p className="text-gray-400 italic">No description</p>
+        )}
+      </div>
+
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Subtasks</h2>
+        <SubtaskList parent={task} />
+      </div>
+
+      <CommentThread taskId={task.id} />
+
+      <TaskHistory taskId={task.id} />
+    </div>
+  );
+};
+
+export default TaskDetail;
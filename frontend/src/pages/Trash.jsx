@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTaskContext } from '../context/TaskContext';
+import ProjectSidebar from '../components/ProjectSidebar';
+import { formatTimestamp } from '../utils/format';
+
+// Trashed tasks with restore and permanent delete
+const Trash = () => {
+  const { fetchTrash, restoreTask, purgeTask } = useTaskContext();
+  const [tasks, setTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true);
+    const result = await fetchTrash();
+    if (result.success) {
+      setTasks(result.data);
+      setRetentionDays(result.retentionDays);
+      setError('');
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  }, [fetchTrash]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const handleRestore = async (task) => {
+    setBusyId(task.id);
+    const result = await restoreTask(task.id);
+    if (result.success) {
+      setTasks(prev => prev.filter(item => item.id !== task.id));
+      setError('');
+    } else {
+      setError(result.error);
+    }
+    setBusyId(null);
+  };
+
+  const handlePurge = async (task) => {
+    if (!window.confirm(`Permanently delete "${task.title}"? This cannot be undone.`)) {
+      return;
+    }
+
+    setBusyId(task.id);
+    const result = await purgeTask(task.id);
+    if (result.success) {
+      setTasks(prev => prev.filter(item => item.id !== task.id));
+      setError('');
+    } else {
+      setError(result.error);
+    }
+    setBusyId(null);
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-6xl">
+      <div className="flex flex-col lg:flex-row gap-6">
+        <ProjectSidebar />
+        <div className="flex-1 min-w-0 space-y-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Trash</h1>
+            {retentionDays && (
+              <p className="text-gray-600 mt-1">
+                Deleted tasks are permanently removed after {retentionDays} days.
+              </p>
+            )}
+          </div>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">{error}</div>
+          )}
+
+          {loading ? (
+            <div className="card text-center py-12 text-gray-600">Loading trash...</div>
+          ) : tasks.length === 0 ? (
+            <div className="card text-center py-12">
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">Trash is empty</h3>
+              <p className="text-gray-600">Tasks you delete will appear here.</p>
+            </div>
+          ) : (
+            <ul className="space-y-3">
+              {tasks.map(task => (
+                <li key={task.id} className="card flex items-center justify-between gap-4">
+                  <div className="min-w-0">
+                    <h3 className="font-semibold text-gray-900 truncate">{task.title}</h3>
+                    <p className="text-sm text-gray-500">
+                      Deleted {formatTimestamp(task.deleted_at)}
+                      {' '}&middot; Removed for good on {new Date(task.purge_at).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <div className="flex gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => handleRestore(task)}
+                      className="btn-secondary text-sm"
+                      disabled={busyId === task.id}
+                    >
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handlePurge(task)}
+                      className="px-3 py-2 text-sm font-medium text-red-600 hover:text-red-700"
+                      disabled={busyId === task.id}
+                    >
+                      Delete forever
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { useWebhookContext } from '../context/WebhookContext';
+import ProjectSidebar from '../components/ProjectSidebar';
+import WebhookDeliveries from '../components/WebhookDeliveries';
+
+const EMPTY_FORM = { url: '', events: [], secret: '' };
+
+// Webhook subscriptions with their delivery logs. A webhook's secret is
+// only shown once, right after it is created.
+const Webhooks = () => {
+  const {
+    webhooks,
+    events,
+    loading,
+    error,
+    fetchWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+  } = useWebhookContext();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [newSecret, setNewSecret] = useState(null);
+  const [openId, setOpenId] = useState(null);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [fetchWebhooks]);
+
+  const toggleEvent = (event) => {
+    setFormData(prev => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter(item => item !== event)
+        : [...prev.events, event]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (formData.events.length === 0) {
+      setFormError('Choose at least one event');
+      return;
+    }
+
+    setCreating(true);
+    const { secret, ...webhookData } = formData;
+    const result = await createWebhook(secret ? formData : webhookData);
+    if (result.success) {
+      setNewSecret({ id: result.data.id, secret: result.secret });
+      setFormData(EMPTY_FORM);
+      setFormError('');
+    } else {
+      setFormError(result.error);
+    }
+    setCreating(false);
+  };
+
+  const handleToggleActive = (webhook) => {
+    updateWebhook(webhook.id, { url: webhook.url, events: webhook.events, active: !webhook.active });
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url} and its delivery log?`)) {
+      return;
+    }
+    await deleteWebhook(webhook.id);
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-6xl">
+      <div className="flex flex-col lg:flex-row gap-6">
+        <ProjectSidebar />
+        <div className="flex-1 min-w-0 space-y-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Webhooks</h1>
+            <p className="text-gray-600 mt-1">
+              Send a signed POST request to another service whenever your tasks change.
+            </p>
+          </div>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">{error}</div>
+          )}
+
+          <form onSubmit={handleCreate} className="card space-y-4">
+            <div>
+              <label htmlFor="webhook-url" className="label">Payload URL</label>
+              <input
+                id="webhook-url"
+                type="url"
+                value={formData.url}
+                onChange={(e) => setFormData(prev => ({ ...prev, url: e.target.value }))}
+                className="input"
+                placeholder="https://example.com/hooks/tasks"
+                required
+              />
+            </div>
+            <fieldset>
+              <legend className="label">Events</legend>
+              <div className="flex flex-wrap gap-x-4 gap-y-2">
+                {events.map(event => (
+                  <label key={event} className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={formData.events.includes(event)}
+                      onChange={() => toggleEvent(event)}
+                    />
+                    <span className="font-mono">{event}</span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+            <div>
+              <label htmlFor="webhook-secret" className="label">Secret (optional)</label>
+              <input
+                id="webhook-secret"
+                type="text"
+                value={formData.secret}
+                onChange={(e) => setFormData(prev => ({ ...prev, secret: e.target.value }))}
+                className="input font-mono"
+                placeholder="Generated when left empty"
+              />
+            </div>
+            {formError && <p className="text-sm text-red-600">{formError}</p>}
+            <button type="submit" className="btn-primary" disabled={creating}>
+              {creating ? 'Adding...' : 'Add webhook'}
+            </button>
+          </form>
+
+          {loading && webhooks.length === 0 ? (
+            <div className="card text-center py-12 text-gray-600">Loading webhooks...</div>
+          ) : (
+            <ul className="space-y-3">
+              {webhooks.map(webhook => (
+                <li key={webhook.id} className="card space-y-3">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <h3 className="font-semibold text-gray-900 break-all">{webhook.url}</h3>
+                      <p className="text-sm text-gray-500 font-mono">{webhook.events.join(', ')}</p>
+                      <p className="text-sm text-gray-500">
+                        {webhook.active ? 'Active' : 'Paused'}
+                        {webhook.last_delivery_status && <>{' '}&middot; Last delivery {webhook.last_delivery_status}</>}
+                      </p>
+                    </div>
+                    <div className="flex gap-2 flex-shrink-0">
+                      <button
+                        onClick={() => setOpenId(openId === webhook.id ? null : webhook.id)}
+                        className="btn-secondary text-sm"
+                      >
+                        {openId === webhook.id ? 'Hide deliveries' : 'Deliveries'}
+                      </button>
+                      <button onClick={() => handleToggleActive(webhook)} className="btn-secondary text-sm">
+                        {webhook.active ? 'Pause' : 'Resume'}
+                      </button>
+                      <button
+                        onClick={() => handleDelete(webhook)}
+                        className="px-3 py-2 text-sm font-medium text-red-600 hover:text-red-700"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+
+                  {newSecret?.id === webhook.id && (
+                    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+                      Signing secret: <code className="break-all">{newSecret.secret}</code>
+                      <br />
+                      Copy it now; it will not be shown again.
+                    </div>
+                  )}
+
+                  {openId === webhook.id && <WebhookDeliveries webhookId={webhook.id} />}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Webhooks;
@@ -0,0 +1,11 @@
+// Format a SQLite UTC timestamp ("YYYY-MM-DD HH:MM:SS") in the user's locale
+export const formatTimestamp = (value) => {
+  const date = new Date(`${value.replace(' ', 'T')}Z`);
+  return date.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+};
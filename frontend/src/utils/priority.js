@@ -0,0 +1,12 @@
+// Task priorities from most to least pressing, with their badge colours
+export const PRIORITIES = [
+  { value: 'urgent', label: 'Urgent', className: 'bg-red-100 text-red-800 border-red-200' },
+  { value: 'high', label: 'High', className: 'bg-orange-100 text-orange-800 border-orange-200' },
+  { value: 'medium', label: 'Medium', className: 'bg-yellow-100 text-yellow-800 border-yellow-200' },
+  { value: 'low', label: 'Low', className: 'bg-gray-100 text-gray-700 border-gray-200' },
+  { value: 'none', label: 'None', className: '' },
+];
+
+// A priority by value; unknown values are treated as none
+export const getPriority = (value) =>
+  PRIORITIES.find(priority => priority.value === value) || PRIORITIES[PRIORITIES.length - 1];
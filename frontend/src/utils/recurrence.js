@@ -0,0 +1,129 @@
+// Helpers for the RRULE subset accepted by the API
+// (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT and UNTIL)
+
+export const WEEKDAYS = [
+  { code: 'MO', short: 'Mon', name: 'Monday' },
+  { code: 'TU', short: 'Tue', name: 'Tuesday' },
+  { code: 'WE', short: 'Wed', name: 'Wednesday' },
+  { code: 'TH', short: 'Thu', name: 'Thursday' },
+  { code: 'FR', short: 'Fri', name: 'Friday' },
+  { code: 'SA', short: 'Sat', name: 'Saturday' },
+  { code: 'SU', short: 'Sun', name: 'Sunday' },
+];
+
+const UNITS = {
+  DAILY: 'day',
+  WEEKLY: 'week',
+  MONTHLY: 'month',
+  YEARLY: 'year',
+};
+
+const dayName = (code) => WEEKDAYS.find(day => day.code === code)?.name || code;
+
+// 1 -> "1st", 2 -> "2nd", -1 -> "last", -2 -> "2nd to last"
+export const ordinal = (n) => {
+  if (n === -1) return 'last';
+  if (n < 0) return `${ordinal(-n)} to last`;
+  const suffix = n % 100 >= 11 && n % 100 <= 13
+    ? 'th'
+    : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+  return `${n}${suffix}`;
+};
+
+const joinList = (items) => {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+};
+
+// Parse a rule string into an editable object; returns null when empty
+export const parseRecurrence = (value) => {
+  if (!value) return null;
+
+  const rule = { freq: 'WEEKLY', interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+  value.replace(/^RRULE:/i, '').split(';').forEach(part => {
+    const [key, val = ''] = part.toUpperCase().split('=');
+    switch (key) {
+      case 'FREQ':
+        rule.freq = val;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(val) || 1;
+        break;
+      case 'BYDAY':
+        rule.byDay = val.split(',').map(item => {
+          const match = /^([+-]?\d)?([A-Z]{2})$/.exec(item) || [];
+          return { n: match[1] ? Number(match[1]) : null, day: match[2] };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = val.split(',').map(Number);
+        break;
+      case 'COUNT':
+        rule.count = Number(val) || null;
+        break;
+      case 'UNTIL':
+        rule.until = `${val.slice(0, 4)}-${val.slice(4, 6)}-${val.slice(6, 8)}`;
+        break;
+      default:
+        break;
+    }
+  });
+  return rule;
+};
+
+// Serialize an editable rule object back into an RRULE string
+export const formatRecurrence = (rule) => {
+  if (!rule) return null;
+
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(item => `${item.n || ''}${item.day}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  return parts.join(';');
+};
+
+// Human-readable summary, e.g. "every 2nd Tuesday" or
+// "every month on the last Friday, 6 times"
+export const describeRecurrence = (value) => {
+  const rule = typeof value === 'string' ? parseRecurrence(value) : value;
+  if (!rule || !UNITS[rule.freq]) return '';
+
+  const unit = UNITS[rule.freq];
+  const every = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+  let text;
+
+  if (rule.freq === 'DAILY' && rule.interval === 1) {
+    text = 'every day';
+  } else if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) {
+    const days = WEEKDAYS.filter(day => rule.byDay.some(item => item.day === day.code));
+    const names = days.map(day => day.name);
+    const isWeekdays = days.length === 5 && days.every(day => !['SA', 'SU'].includes(day.code));
+
+    if (rule.interval === 1) {
+      text = isWeekdays ? 'every weekday' : `every ${joinList(names)}`;
+    } else {
+      text = `every ${ordinal(rule.interval)} ${joinList(names)}`;
+    }
+  } else if (rule.freq === 'MONTHLY' && rule.byDay.length > 0) {
+    const days = rule.byDay.map(item =>
+      item.n ? `${ordinal(item.n)} ${dayName(item.day)}` : `every ${dayName(item.day)}`
+    );
+    text = `${every} on the ${joinList(days)}`.replace('on the every', 'on every');
+  } else if (rule.freq === 'MONTHLY' && rule.byMonthDay.length > 0) {
+    const days = rule.byMonthDay.map(day => (day < 0 ? `${ordinal(day)} day` : ordinal(day)));
+    text = `${every} on the ${joinList(days)}`;
+  } else {
+    text = every;
+  }
+
+  if (rule.count) {
+    text += rule.count === 1 ? ', once more' : `, ${rule.count} times`;
+  } else if (rule.until) {
+    text += `, until ${new Date(`${rule.until}T00:00:00`).toLocaleDateString()}`;
+  }
+  return text;
+};
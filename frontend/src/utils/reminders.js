@@ -0,0 +1,21 @@
+// Reminder offsets offered in the task form, in minutes before the due
+// date; negative offsets remind once the task is overdue
+export const REMINDER_PRESETS = [10080, 1440, 60, 0, -1440];
+
+// "3 days", "1 hour"... in the largest unit that fits
+const formatDuration = (minutes) => {
+  const units = [['week', 7 * 24 * 60], ['day', 24 * 60], ['hour', 60], ['minute', 1]];
+  const [unit, size] = units.find(([, unitSize]) => minutes >= unitSize && minutes % unitSize === 0)
+    || units[units.length - 1];
+  const count = minutes / size;
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+// Readable form of a reminder offset, e.g. "1 day before" or "2 hours overdue"
+export const describeReminder = (offset) => {
+  if (offset === 0) return 'When due';
+  return offset > 0 ? `${formatDuration(offset)} before` : `${formatDuration(-offset)} overdue`;
+};
+
+// Offsets sorted the way the backend stores them, earliest reminder first
+export const sortReminders = (reminders) => [...new Set(reminders)].sort((a, b) => b - a);